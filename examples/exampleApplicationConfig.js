@@ -32,6 +32,14 @@ module.exports = {
   // This is included in most tags, paths, and names.
   deployId: 15,
 
+  // Optional environment variables for the Lambda functions of all components,
+  // provided to handlers in process.env and as context.environment. Values
+  // must be strings. Components can add to or override these with their own
+  // environment property.
+  environment: {
+    STAGE: 'production'
+  },
+
   // AWS deployment settings.
   //
   // The application is deployed as a CloudFormation stack, and after successful
@@ -104,7 +112,15 @@ module.exports = {
     // destroyed on deployment failure.
     //
     // This can be helpful during development.
-    skipCloudFormationStackDeletionOnFailure: false
+    skipCloudFormationStackDeletionOnFailure: false,
+
+    // If set true, then component packages that are unchanged since a prior
+    // build are reused from a cache rather than installed and zipped again,
+    // and are not uploaded again if already present in S3.
+    //
+    // NPM packages specified by version range are not resolved again, so pin
+    // exact versions or turn this off to pick up new releases.
+    incrementalBuild: false
   },
 
   // The coordinator is a lambda function package that is expected to consume
@@ -149,7 +165,57 @@ module.exports = {
     // function instances will be launched in response to messages in their
     // queues. This goes a long way towards determining the pace of the
     // application for small applications and small amounts of data.
-    minInterval: 10
+    //
+    // Ignored in the scheduled mode.
+    minInterval: 10,
+
+    // Either 'selfInvoking' (the default) or 'scheduled'.
+    //
+    // In the self-invoking mode each coordinator invokes its successor once
+    // minInterval has elapsed. In the scheduled mode a CloudWatch Events rule
+    // invokes each of the coordinators at a fixed rate instead, so that a
+    // failed invocation cannot break the chain.
+    mode: 'selfInvoking',
+
+    // For the scheduled mode, the rate in minutes at which coordinators are
+    // invoked. Defaults to 1, which is the shortest possible schedule.
+    scheduleRate: 1,
+
+    // Optional. The CloudWatch namespace for the custom metrics published by
+    // the coordinator. Defaults to 'LambdaComplex'.
+    metricsNamespace: 'LambdaComplex'
+  },
+
+  // Optional. If present, the Lambda Complex code and the listed NPM packages
+  // are deployed once as a Lambda layer used by all components, rather than
+  // being copied into every component package.
+  layer: {
+    // Optional. NPM package names mapped to versions.
+    dependencies: {
+      'aws-sdk': '^2.1692.0'
+    }
+  },
+
+  // Optional. If present, CloudWatch alarms are added to the CloudFormation
+  // stack: one for the coordinators stopping, one for each eventFromMessage
+  // component queue backing up, and one for errors in each Lambda function.
+  monitoring: {
+    // Optional. If true, an SNS topic is created and notified by the alarms.
+    // Its ARN is included in the ARN map as AlarmTopicArn. Subscribe to it to
+    // receive notifications.
+    alarmTopic: true,
+
+    // Optional. The number of Lambda function errors in a period that raises an
+    // alarm. Defaults to 1.
+    lambdaErrorThreshold: 1,
+
+    // Optional. In seconds, the age of the oldest message in a component queue
+    // that raises an alarm. Defaults to 300.
+    maxMessageAge: 300,
+
+    // Optional. In seconds, the period over which alarm metrics are evaluated.
+    // Must be a multiple of 60. Defaults to 300.
+    period: 300
   },
 
   // Every Lambda function, and thus every component, is associated with a
@@ -214,6 +280,20 @@ module.exports = {
       // Type of the component.
       type: 'eventFromMessage',
 
+      // Optional environment variables for this component, added to those of
+      // the application.
+      environment: {
+        OUTPUT_BUCKET: 'example-production-output'
+      },
+
+      // Optional secrets, obtained once per Lambda function container and
+      // provided to handlers as context.secrets. Each value is either the name
+      // of an SSM Parameter Store parameter or an object with base64 KMS
+      // ciphertext, e.g. { kms: 'AQICAHh...' }.
+      secrets: {
+        apiKey: '/example/production/apiKey'
+      },
+
       // The maximum number of Lambda function instances for this component that
       // will run at any one time. This, coupled with coordinator.minInterval,
       // goes towards determining the rate at which this component's message
@@ -227,6 +307,25 @@ module.exports = {
       // time should make no difference either way.
       queueWaitTime: 5,
 
+      // Optional. If true, a dead letter queue is created for this component.
+      // Messages that have been received maxReceiveCount times without being
+      // processed successfully, such as those containing invalid JSON, are
+      // moved there by SQS rather than retried forever.
+      deadLetter: true,
+
+      // Optional, and only valid alongside deadLetter. Defaults to 5.
+      maxReceiveCount: 5,
+
+      // Optional. If true, then on deployment of a new version of the
+      // application any messages waiting in this component's queue in the
+      // prior stack are moved to the new queue before the prior stack is
+      // deleted. Otherwise they are lost.
+      migrateQueuedMessages: true,
+
+      // Optional. If false, the coordinator does not publish CloudWatch custom
+      // metrics for this component. Defaults to true.
+      metrics: true,
+
       // Define where the results from this Lambda function are sent. The data
       // passed to context.succeed(data) or context.done(null, data) will be
       // send on to another component as the event passed to the handle of its
@@ -245,6 +344,17 @@ module.exports = {
       // components.
       //routing: ['componentA', 'componentB'],
       //
+      // The array can also contain routing rules, which are checked when the
+      // configuration is validated. A rule sends results on success that match
+      // its optional condition, or with onError: true sends the event on
+      // failure. Conditions test the value at a dot-separated path with one of
+      // equals, in, or exists; with no test, the value must be truthy.
+      //routing: [
+      //  { when: { path: 'type', equals: 'image' }, to: 'componentA' },
+      //  { when: { path: 'type', in: ['text', 'html'] }, to: ['componentB'] },
+      //  { onError: true, to: 'componentC' }
+      //],
+      //
       // If a function, then the destination components and the data sent can
       // be specified as desired.
       //
@@ -271,6 +381,18 @@ module.exports = {
       //    { name: 'componentA', data: _.values(data) }
       //  ];
       //},
+      //
+      // A routing function is also passed the event given to the handler and
+      // a metadata object of the form {componentName, receiveCount,
+      // remainingTime, envelope}, so that routing can depend on the input:
+      //
+      //routing: function (error, data, event, metadata) {
+      //  if (error && metadata.receiveCount >= 3) {
+      //    return { name: 'componentA', data: event };
+      //  }
+      //
+      //  return { name: 'componentB', data: data };
+      //},
 
       // Detailing the lambda function to be used by this component.
       lambda: {
@@ -292,6 +414,10 @@ module.exports = {
         // Memory size in MB, with a minimum of 128.
         memorySize: 128,
 
+        // Optional Node.js runtime, one of nodejs18.x, nodejs20.x, and
+        // nodejs22.x. Defaults to nodejs22.x.
+        runtime: 'nodejs22.x',
+
         // Timeout for the function in seconds.
         timeout: 60,
 
@@ -319,9 +445,9 @@ module.exports = {
       // send on to another component as the event passed to the handle of its
       // Lambda function.
       //
-      // In this case, no destination is defined so no other function will be
-      // invoked as a result of this function completing.
-      routing: undefined,
+      // In this case results are sent on to be joined with the results of
+      // other invocations of this component.
+      routing: 'eventFromAggregationExample',
 
       // Detailing the lambda function to be used by this component.
       lambda: {
@@ -349,6 +475,50 @@ module.exports = {
         // The role used by this function.
         role: 'default'
       }
+    },
+
+    // Example of a lambda function that is invoked once with the collected
+    // results of many preceding invocations, joining them back together.
+    {
+      name: 'eventFromAggregationExample',
+
+      type: 'eventFromAggregation',
+
+      // The results routed to this component are grouped by a correlation key.
+      // This is either the name of a property of the routed data, or a
+      // function that returns the key:
+      //
+      // correlationKey: function (data) {
+      //   return data.jobId;
+      // },
+      correlationKey: 'jobId',
+
+      // The number of results to wait for before invoking the handler, either
+      // a number or a function of the routed data that returns the count.
+      expectedCount: function (data) {
+        return data.total;
+      },
+
+      // Optional. If set, the handler is invoked with the results collected
+      // so far if the expected count has not arrived after this many seconds.
+      aggregationTimeout: 300,
+
+      // The handler is passed an event of the form:
+      //
+      // {
+      //   correlationKey: 'key',
+      //   results: [...],
+      //   complete: true
+      // }
+      routing: undefined,
+
+      lambda: {
+        npmPackage: 'package-name',
+        handler: 'index.handler',
+        memorySize: 128,
+        timeout: 60,
+        role: 'default'
+      }
     }
   ]
 
@@ -66,6 +66,9 @@ module.exports = {
       type: 'eventFromMessage',
       queueWaitTime: 5,
       maxConcurrency: 10,
+      // Each invocation receives up to this many messages and runs the handler
+      // once for each of them.
+      batchSize: 5,
       // Since this defines no routing, this is a dead end: events are delivered
       // here and no further processing results.
       // routing: undefined,
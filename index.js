@@ -11,13 +11,38 @@ var Janitor = require('cloudwatch-logs-janitor');
 var fs = require('fs-extra');
 
 // Local.
+var cacheUtilities = require('./lib/build/cacheUtilities');
 var common = require('./lib/build/common');
 var configValidator = require('./lib/build/configValidator');
+var graphUtilities = require('./lib/build/graphUtilities');
 var installUtilities = require('./lib/build/installUtilities');
 var packageUtilities = require('./lib/build/packageUtilities');
 var cloudFormationTemplateUtilities = require('./lib/build/cloudFormationTemplateUtilities');
 var cloudFormationUtilities = require('./lib/deploy/cloudFormationUtilities');
 var s3Utilities = require('./lib/deploy/s3Utilities');
+var testbed = require('./lib/local/testbed');
+var constants = require('./lib/shared/constants');
+var utilities = require('./lib/shared/utilities');
+
+/**
+ * Validate the configuration of a Lambda Complex application.
+ *
+ * Errors make the configuration invalid, and will cause a build to fail.
+ * Warnings are for things that are valid but probably mistakes, such as
+ * routing cycles among eventFromInvocation components, and don't stop a
+ * build. Warnings are only checked for when there are no errors.
+ *
+ * @param {Object} config The application configuration.
+ * @return {Object} Of the form {errors: Error[], warnings: Error[]}.
+ */
+exports.validate = function (config) {
+  var errors = configValidator.validate(config);
+
+  return {
+    errors: errors,
+    warnings: errors.length ? [] : configValidator.getWarnings(config)
+  };
+};
 
 /**
  * Build a Lambda Complex application.
@@ -41,6 +66,19 @@ exports.build = function (config, callback) {
       fs.remove(common.getApplicationBuildDirectory(config), asyncCallback);
     },
 
+    // For an incremental build, put in place the packages that are unchanged
+    // since they were last built, so that they are not installed and zipped
+    // again.
+    restoreFromCache: function (asyncCallback) {
+      if (!config.deployment.incrementalBuild) {
+        return asyncCallback();
+      }
+
+      cacheUtilities.restorePackages(config, function (error) {
+        asyncCallback(error);
+      });
+    },
+
     // Download or copy the NPM packages containing Lambda function handlers.
     install: function (asyncCallback) {
       installUtilities.installLambdaFunctions(config, asyncCallback);
@@ -51,6 +89,15 @@ exports.build = function (config, callback) {
       packageUtilities.packageLambdaFunctions(config, asyncCallback);
     },
 
+    // For an incremental build, keep the new packages for later builds.
+    addToCache: function (asyncCallback) {
+      if (!config.deployment.incrementalBuild) {
+        return asyncCallback();
+      }
+
+      cacheUtilities.cachePackages(config, asyncCallback);
+    },
+
     // Create the CloudFormation template for this application deployment.
     generateCloudFormationTemplate: function (asyncCallback) {
       cloudFormationTemplateUtilities.generateTemplate(config, asyncCallback);
@@ -88,6 +135,17 @@ exports.deploy = function (config, callback) {
       s3Utilities.uploadConfig(config, asyncCallback);
     },
 
+    // Write the control file for the running state up front. Application roles
+    // can't list the bucket, so a missing control file would look like an
+    // access error to the coordinators rather than a missing object.
+    uploadApplicationControl: function (asyncCallback) {
+      s3Utilities.uploadApplicationControl(
+        constants.applicationState.RUNNING,
+        config,
+        asyncCallback
+      );
+    },
+
     // Now on to the actual CloudFormation deployment, including the activities
     // needed to switch over resources to use the new application, and deletion
     // of old stacks.
@@ -134,3 +192,258 @@ exports.deploy = function (config, callback) {
     callback(error, results);
   });
 };
+
+/**
+ * Set the state of a deployed Lambda Complex application in its control file,
+ * once it is confirmed that the deployment exists.
+ *
+ * @param {String} state The application state.
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+function setApplicationState (state, config, callback) {
+  s3Utilities.confirmDeployment(config, function (error) {
+    if (error) {
+      return callback(error);
+    }
+
+    s3Utilities.uploadApplicationControl(state, config, callback);
+  });
+}
+
+/**
+ * Pause a deployed Lambda Complex application.
+ *
+ * Coordinators continue to run, but stop invoking application Lambda functions
+ * until the application is resumed. Lambda functions that are already running
+ * will complete. Messages sent to the application queues remain there.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.pause = function (config, callback) {
+  setApplicationState(constants.applicationState.PAUSED, config, callback);
+};
+
+/**
+ * Shut down a deployed Lambda Complex application.
+ *
+ * Coordinators stop invoking application Lambda functions and also stop
+ * invoking their successors, so the application halts within one coordinator
+ * interval. Lambda functions that are already running will complete. The
+ * CloudFormation stack remains in place, and the application can be resumed.
+ *
+ * In the scheduled coordinator mode the schedule continues to invoke
+ * coordinators, but they do nothing.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.shutdown = function (config, callback) {
+  setApplicationState(constants.applicationState.SHUTDOWN, config, callback);
+};
+
+/**
+ * Resume a paused or shut down Lambda Complex application.
+ *
+ * If the application was shut down and coordinators are self-invoking, then
+ * this also starts up coordinators to replace those that stopped.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.resume = function (config, callback) {
+  var control;
+
+  async.series({
+    // Don't write a control file for a deployment that doesn't exist.
+    confirmDeployment: function (asyncCallback) {
+      s3Utilities.confirmDeployment(config, asyncCallback);
+    },
+
+    // Find out what state the application is in now.
+    loadApplicationControl: function (asyncCallback) {
+      utilities.loadApplicationControl(config, function (error, _control) {
+        control = _control;
+        asyncCallback(error);
+      });
+    },
+
+    // Set it running again.
+    uploadApplicationControl: function (asyncCallback) {
+      s3Utilities.uploadApplicationControl(
+        constants.applicationState.RUNNING,
+        config,
+        asyncCallback
+      );
+    },
+
+    // A shut down application needs new coordinators, unless they are invoked
+    // on a schedule.
+    restartApplication: function (asyncCallback) {
+      if (
+        !control ||
+        control.state !== constants.applicationState.SHUTDOWN ||
+        config.coordinator.mode === constants.coordinatorMode.SCHEDULED
+      ) {
+        return asyncCallback();
+      }
+
+      utilities.loadArnMap(config, function (error, arnMap) {
+        if (error) {
+          return asyncCallback(error);
+        }
+
+        cloudFormationUtilities.restartApplication(
+          arnMap,
+          config,
+          asyncCallback
+        );
+      });
+    }
+  }, function (error) {
+    callback(error);
+  });
+};
+
+/**
+ * Obtain the status of a deployed Lambda Complex application, read from the
+ * live state of its queues and concurrency queues.
+ *
+ * The status is of the form:
+ *
+ * {
+ *   // One of 'running', 'paused', or 'shutdown'.
+ *   applicationState: 'running',
+ *   components: [
+ *     {
+ *       name: 'functionX',
+ *       type: 'eventFromMessage',
+ *       // A roughly accurate count of how many Lambda functions are presently
+ *       // running for this component, or null if it could not be obtained.
+ *       concurrency: 1,
+ *       // For eventFromMessage type only.
+ *       maxConcurrency: 10,
+ *       queuedMessageCount: 0,
+ *       // For eventFromMessage type with a dead letter queue only.
+ *       deadLetterQueuedMessageCount: 0
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * The internal coordinator and invoker components are included, so the
+ * concurrency of the coordinator component is the count of running
+ * coordinators.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error, status).
+ */
+exports.status = function (config, callback) {
+  var applicationStatus;
+  var arnMap;
+
+  async.series({
+    loadArnMap: function (asyncCallback) {
+      utilities.loadArnMap(config, function (error, _arnMap) {
+        arnMap = _arnMap;
+        asyncCallback(error);
+      });
+    },
+
+    determineApplicationStatus: function (asyncCallback) {
+      utilities.determineApplicationStatus(
+        common.getAllComponents(config),
+        arnMap,
+        config.coordinator.maxApiConcurrency,
+        function (error, status) {
+          applicationStatus = status;
+          asyncCallback(error);
+        }
+      );
+    },
+
+    // No control file means that the application has never been paused or
+    // shut down.
+    loadApplicationControl: function (asyncCallback) {
+      utilities.loadApplicationControl(config, function (error, control) {
+        applicationStatus.applicationState = (control && control.state) ||
+          constants.applicationState.RUNNING;
+        asyncCallback(error);
+      });
+    }
+  }, function (error) {
+    callback(error, applicationStatus);
+  });
+};
+
+/**
+ * Build a Lambda Complex application and run it locally, with each component
+ * in a child process, against in-memory stand-ins for the AWS services it uses.
+ *
+ * See lib/local/testbed.js for the available options and the form of the
+ * results. In addition to those, set options.skipBuild to true to run an
+ * application that is already built.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Object} options Options for the local run.
+ * @param {Function} callback Of the form function (error, results).
+ */
+exports.runLocal = function (config, options, callback) {
+  var results;
+
+  options = options || {};
+
+  async.series({
+    // Run the build task, unless told otherwise.
+    build: function (asyncCallback) {
+      if (options.skipBuild) {
+        return asyncCallback();
+      }
+
+      exports.build(config, asyncCallback);
+    },
+
+    // Run the application until the coordinators stop.
+    run: function (asyncCallback) {
+      testbed.run(config, options, function (error, _results) {
+        results = _results;
+        asyncCallback(error);
+      });
+    }
+  }, function (error) {
+    callback(error, results);
+  });
+};
+
+/**
+ * Render the graph of a Lambda Complex application from its configuration:
+ * components, their types and queues, and the routing between them.
+ *
+ * Routing given as strings or routing rules is drawn as edges between
+ * components. Routing functions are drawn as dynamic edges, since where they
+ * send data is only known at runtime.
+ *
+ * Unlike the other functions here, this makes no requests, and so returns the
+ * result directly.
+ *
+ * @param {Object} config The application configuration.
+ * @param {String} [format] One of 'dot', 'mermaid', or 'json'. Defaults to
+ *   'dot'.
+ * @return {String} The rendered graph.
+ * @throws {Error} If the configuration or format is invalid.
+ */
+exports.graph = function (config, format) {
+  var results = configValidator.validate(config);
+  if (results.length) {
+    throw new Error(util.format(
+      'Invalid configuration: %s',
+      JSON.stringify(results, null, '  ')
+    ));
+  }
+
+  return graphUtilities.renderGraph(
+    config,
+    format || constants.graphFormat.DOT
+  );
+};
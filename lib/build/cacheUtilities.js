@@ -0,0 +1,401 @@
+/**
+ * @fileOverview Content hashes and the build cache, for incremental builds.
+ *
+ * When deployment.incrementalBuild is set, each package, meaning each component
+ * and the layer if there is one, is given a content hash derived from
+ * everything that goes into it:
+ *
+ * - The Lambda Complex version and the files it adds to packages.
+ * - The version of the AWS SDK that the build bundles.
+ * - The contents of a local NPM package directory, or otherwise the package
+ *   name or specifier given in the configuration.
+ * - The part of the configuration that ends up in the package, which excludes
+ *   the deploy ID.
+ *
+ * Zipped packages are kept in a cache directory shared by the builds for all
+ * deployments of the application. A package with a hash that matches a cached
+ * zip file is restored from it rather than installed and zipped again.
+ */
+
+// Core.
+var crypto = require('crypto');
+var path = require('path');
+var util = require('util');
+
+// NPM.
+var async = require('async');
+var awsSdkPackageJson = require('aws-sdk/package.json');
+var extractZip = require('extract-zip');
+var fs = require('fs-extra');
+var _ = require('lodash');
+
+// Local.
+var common = require('./common');
+var constants = require('../shared/constants');
+var packageJson = require('../../package.json');
+
+// ---------------------------------------------------------------------------
+// Variables.
+// ---------------------------------------------------------------------------
+
+// The files that Lambda Complex adds to packages, directly or via the layer.
+var frameworkFilePaths = [
+  path.join(__dirname, 'template/index.js.hbs'),
+  path.join(__dirname, '../shared/constants.js'),
+  path.join(__dirname, '../shared/utilities.js')
+];
+
+// ---------------------------------------------------------------------------
+// Internal functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize a component definition, including the source of any functions
+ * such as routing functions.
+ *
+ * @param {Object} component Component definition.
+ * @return {String} The serialized definition.
+ */
+function serializeComponent (component) {
+  return JSON.stringify(component, function (key, value) {
+    if (typeof value === 'function') {
+      return value.toString();
+    }
+
+    return value;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Functions exported only for testability.
+// ---------------------------------------------------------------------------
+
+/**
+ * Add the relative paths and contents of all of the files in a directory to a
+ * hash, in a consistent order. Version control directories are ignored.
+ *
+ * @param {Object} hash A crypto Hash instance.
+ * @param {String} dir The absolute path to the directory.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.updateHashWithDirectory = function (hash, dir, callback) {
+  function addDirectory (relativeDir, asyncCallback) {
+    fs.readdir(path.join(dir, relativeDir), function (error, names) {
+      if (error) {
+        return asyncCallback(error);
+      }
+
+      async.eachSeries(names.sort(), function (name, innerAsyncCallback) {
+        var relativePath = path.join(relativeDir, name);
+        var absolutePath = path.join(dir, relativePath);
+
+        if (name === '.git') {
+          return innerAsyncCallback();
+        }
+
+        fs.stat(absolutePath, function (statError, stats) {
+          // A broken symlink has nothing to contribute.
+          if (statError && statError.code === 'ENOENT') {
+            return innerAsyncCallback();
+          }
+
+          if (statError) {
+            return innerAsyncCallback(statError);
+          }
+
+          if (stats.isDirectory()) {
+            return addDirectory(relativePath, innerAsyncCallback);
+          }
+
+          fs.readFile(absolutePath, function (readError, contents) {
+            if (readError) {
+              return innerAsyncCallback(readError);
+            }
+
+            hash.update(util.format('%s\n%d\n', relativePath, contents.length));
+            hash.update(contents);
+            innerAsyncCallback();
+          });
+        });
+      }, asyncCallback);
+    });
+  }
+
+  addDirectory('', callback);
+};
+
+/**
+ * Obtain the content hash for a package.
+ *
+ * @param {Object} component Component definition, or the layer definition.
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error, hash).
+ */
+exports.getPackageHash = function (component, config, callback) {
+  var hash = crypto.createHash('sha256');
+  var isLayer = component.name === constants.layer.NAME;
+
+  hash.update(packageJson.version);
+  // The version of the AWS SDK bundled into the layer or each package.
+  hash.update(awsSdkPackageJson.version);
+
+  async.series({
+    addFrameworkFiles: function (asyncCallback) {
+      async.eachSeries(frameworkFilePaths, function (filePath, innerAsyncCallback) {
+        fs.readFile(filePath, function (error, contents) {
+          if (!error) {
+            hash.update(contents);
+          }
+
+          innerAsyncCallback(error);
+        });
+      }, asyncCallback);
+    },
+    addConfig: function (asyncCallback) {
+      // The whole configuration, bar the deploy ID, is written into each
+      // component package, or only into the layer if there is one.
+      if (isLayer || !config.layer) {
+        hash.update(common.generateConfigContents(config));
+      }
+
+      if (isLayer) {
+        hash.update(JSON.stringify(config.layer));
+      }
+      else {
+        hash.update(serializeComponent(component));
+      }
+
+      asyncCallback();
+    },
+    addNpmPackage: function (asyncCallback) {
+      if (isLayer) {
+        return asyncCallback();
+      }
+
+      fs.stat(component.lambda.npmPackage, function (error, stats) {
+        // Anything other than a local directory is a name or specifier that NPM
+        // resolves, and that is all there is to go on.
+        if (error || !stats.isDirectory()) {
+          hash.update(component.lambda.npmPackage);
+          return asyncCallback();
+        }
+
+        exports.updateHashWithDirectory(
+          hash,
+          component.lambda.npmPackage,
+          asyncCallback
+        );
+      });
+    }
+  }, function (error) {
+    if (error) {
+      return callback(error);
+    }
+
+    callback(null, hash.digest('hex'));
+  });
+};
+
+/**
+ * Obtain the absolute path to the cached zip file for a package with a given
+ * content hash.
+ *
+ * @param {Object} component Component definition, or the layer definition.
+ * @param {String} hash The content hash.
+ * @param {Object} config The application configuration.
+ * @return {String} The absolute path.
+ */
+exports.getCachedZipFilePath = function (component, hash, config) {
+  return path.join(
+    common.getApplicationBuildCacheDirectory(config),
+    component.name + '-' + hash + '.zip'
+  );
+};
+
+/**
+ * Restore a package from the build cache if it holds a zip file with a
+ * matching hash. The zip file is put in place, and extracted to the package
+ * directory as though the package had been installed.
+ *
+ * @param {Object} component Component definition, or the layer definition.
+ * @param {String} hash The content hash.
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error, restored).
+ */
+exports.restorePackage = function (component, hash, config, callback) {
+  var cachedZipFilePath = exports.getCachedZipFilePath(component, hash, config);
+  var zipFilePath = common.getComponentZipFilePath(component, config);
+
+  fs.pathExists(cachedZipFilePath, function (error, exists) {
+    if (error || !exists) {
+      return callback(error, false);
+    }
+
+    async.series({
+      copy: function (asyncCallback) {
+        fs.copy(cachedZipFilePath, zipFilePath, asyncCallback);
+      },
+      extract: function (asyncCallback) {
+        extractZip(zipFilePath, {
+          dir: path.join(
+            common.getApplicationBuildDirectory(config),
+            component.name
+          )
+        }, asyncCallback);
+      }
+    }, function (seriesError) {
+      callback(seriesError, !seriesError);
+    });
+  });
+};
+
+/**
+ * Add the zip file for a package to the build cache, removing any older cached
+ * zip files for the same package.
+ *
+ * @param {Object} component Component definition, or the layer definition.
+ * @param {String} hash The content hash.
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.cachePackage = function (component, hash, config, callback) {
+  var cacheDir = common.getApplicationBuildCacheDirectory(config);
+  var pattern = new RegExp(
+    '^' + _.escapeRegExp(component.name) + '-[0-9a-f]{64}\\.zip$'
+  );
+
+  async.series({
+    ensureDirectory: function (asyncCallback) {
+      fs.mkdirs(cacheDir, asyncCallback);
+    },
+    removeOlder: function (asyncCallback) {
+      fs.readdir(cacheDir, function (error, names) {
+        if (error) {
+          return asyncCallback(error);
+        }
+
+        async.each(_.filter(names, function (name) {
+          return pattern.test(name);
+        }), function (name, innerAsyncCallback) {
+          fs.remove(path.join(cacheDir, name), innerAsyncCallback);
+        }, asyncCallback);
+      });
+    },
+    copy: function (asyncCallback) {
+      fs.copy(
+        common.getComponentZipFilePath(component, config),
+        exports.getCachedZipFilePath(component, hash, config),
+        asyncCallback
+      );
+    }
+  }, callback);
+};
+
+// ---------------------------------------------------------------------------
+// Exported functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Obtain the content hash recorded for a package by an incremental build.
+ *
+ * @param {Object} component Component definition, or the layer definition.
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error, hash), where the
+ *   hash is undefined if none was recorded.
+ */
+exports.getRecordedPackageHash = function (component, config, callback) {
+  fs.readFile(common.getComponentHashFilePath(component, config), {
+    encoding: 'utf8'
+  }, function (error, hash) {
+    if (error && error.code === 'ENOENT') {
+      return callback();
+    }
+
+    callback(error, hash);
+  });
+};
+
+/**
+ * Obtain the content hashes recorded for all packages by an incremental build.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error, hashes), where the
+ *   hashes are indexed by package name, and undefined where none was recorded.
+ */
+exports.getRecordedPackageHashes = function (config, callback) {
+  var hashes = {};
+
+  async.eachSeries(common.getAllPackages(config), function (component, asyncCallback) {
+    exports.getRecordedPackageHash(component, config, function (error, hash) {
+      hashes[component.name] = hash;
+      asyncCallback(error);
+    });
+  }, function (error) {
+    callback(error, hashes);
+  });
+};
+
+/**
+ * Work out the content hash of every package, record each alongside the zip
+ * file for the package, and restore those packages found in the build cache.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error, restoredNames).
+ */
+exports.restorePackages = function (config, callback) {
+  var restoredNames = [];
+
+  async.eachSeries(common.getAllPackages(config), function (component, asyncCallback) {
+    exports.getPackageHash(component, config, function (error, hash) {
+      if (error) {
+        return asyncCallback(error);
+      }
+
+      fs.outputFile(common.getComponentHashFilePath(component, config), hash, {
+        encoding: 'utf-8'
+      }, function (writeError) {
+        if (writeError) {
+          return asyncCallback(writeError);
+        }
+
+        exports.restorePackage(component, hash, config, function (restoreError, restored) {
+          if (restored) {
+            restoredNames.push(component.name);
+          }
+
+          asyncCallback(restoreError);
+        });
+      });
+    });
+  }, function (error) {
+    callback(error, restoredNames);
+  });
+};
+
+/**
+ * Add the zip file of every package that was not restored from the build cache
+ * to the cache.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.cachePackages = function (config, callback) {
+  async.eachSeries(common.getAllPackages(config), function (component, asyncCallback) {
+    exports.getRecordedPackageHash(component, config, function (error, hash) {
+      if (error || !hash) {
+        return asyncCallback(error);
+      }
+
+      fs.pathExists(
+        exports.getCachedZipFilePath(component, hash, config),
+        function (existsError, exists) {
+          if (existsError || exists) {
+            return asyncCallback(existsError);
+          }
+
+          exports.cachePackage(component, hash, config, asyncCallback);
+        }
+      );
+    });
+  }, callback);
+};
@@ -10,6 +10,7 @@ var fs = require('fs-extra');
 var _ = require('lodash');
 
 // Local.
+var cacheUtilities = require('../build/cacheUtilities');
 var common = require('../build/common');
 var constants = require('../shared/constants');
 var utilities = require('../shared/utilities');
@@ -29,9 +30,20 @@ exports.getAllRoles = function (config) {
     // The internal role, not specified in config.
     {
       name: constants.coordinator.ROLE,
-      // No custom statements. The standard set of default statements added
-      // in CloudFormation template construction are all that is needed.
-      statements: []
+      // Beyond the standard set of default statements added in CloudFormation
+      // template construction, the coordinator publishes custom metrics.
+      // PutMetricData does not support resource-level permissions.
+      statements: [
+        {
+          effect: 'Allow',
+          action: [
+            'cloudwatch:PutMetricData'
+          ],
+          resource: [
+            '*'
+          ]
+        }
+      ]
     }
   ].concat(config.roles);
 };
@@ -42,7 +54,7 @@ exports.getAllRoles = function (config) {
 
 /**
  * Every role is given an additional policy allowing read/write access to the
- * queues that are a part of the application.
+ * queues that are a part of the application, including dead letter queues.
  *
  * @param {Object} config The application configuration.
  * @return {Object} The statement.
@@ -51,22 +63,82 @@ function getQueuesStatement (config) {
   return {
     Effect: 'Allow',
     Action: [
+      'sqs:ChangeMessageVisibility',
       'sqs:DeleteMessage',
       'sqs:GetQueueAttributes',
       'sqs:ReceiveMessage',
       'sqs:SendMessage'
     ],
-    Resource: _.map(
-      common.getEventFromMessageComponents(config),
-      function (component) {
+    Resource: _.chain(
+      common.getEventFromMessageComponents(config)
+    ).map(function (component) {
+      var queueNames = [utilities.getQueueName(component.name)];
+
+      if (component.deadLetter) {
+        queueNames.push(utilities.getDeadLetterQueueName(component.name));
+      }
+
+      return _.map(queueNames, function (queueName) {
         return {
           'Fn::GetAtt': [
-            utilities.getQueueName(component.name),
+            queueName,
             'Arn'
           ]
         };
+      });
+    }).flatten().value()
+  };
+}
+
+/**
+ * For the DynamoDB concurrency backend, every role is given an additional
+ * policy allowing read/write access to the concurrency table.
+ *
+ * @param {Object} config The application configuration.
+ * @return {Object} The statement.
+ */
+function getConcurrencyTableStatement (config) {
+  return {
+    Effect: 'Allow',
+    Action: [
+      'dynamodb:GetItem',
+      'dynamodb:UpdateItem'
+    ],
+    Resource: [
+      {
+        'Fn::GetAtt': [
+          utilities.getConcurrencyTableName(),
+          'Arn'
+        ]
       }
-    )
+    ]
+  };
+}
+
+/**
+ * For applications with event from aggregation components, every role is given
+ * an additional policy allowing read/write access to the aggregation table. Any
+ * component can route results to an aggregation, and the coordinator scans for
+ * aggregations that have timed out.
+ *
+ * @param {Object} config The application configuration.
+ * @return {Object} The statement.
+ */
+function getAggregationTableStatement (config) {
+  return {
+    Effect: 'Allow',
+    Action: [
+      'dynamodb:Scan',
+      'dynamodb:UpdateItem'
+    ],
+    Resource: [
+      {
+        'Fn::GetAtt': [
+          utilities.getAggregationTableName(),
+          'Arn'
+        ]
+      }
+    ]
   };
 }
 
@@ -152,6 +224,63 @@ function getCloudWatchLogsStatement (config) {
   };
 }
 
+/**
+ * Roles used by components that declare secrets are given additional policies
+ * allowing those secrets to be obtained: reading the SSM parameters named, and
+ * decrypting via KMS.
+ *
+ * The KMS key isn't known from the configuration, as KMS ciphertext and SSM
+ * SecureString parameters identify their own keys, so decryption is allowed
+ * for any key. Key policies still have to grant the role access.
+ *
+ * @param {String} roleName The name of the role in the configuration.
+ * @param {Object} config The application configuration.
+ * @return {Object[]} The statements, or an empty array if none are needed.
+ */
+function getSecretsStatements (roleName, config) {
+  var secrets = _.chain(config.components).filter(function (component) {
+    return component.lambda.role === roleName;
+  }).map(function (component) {
+    return _.values(component.secrets);
+  }).flatten().value();
+
+  var parameterNames = _.chain(secrets).filter(_.isString).uniq().value();
+  var statements = [];
+
+  if (!secrets.length) {
+    return statements;
+  }
+
+  if (parameterNames.length) {
+    statements.push({
+      Effect: 'Allow',
+      Action: [
+        'ssm:GetParameter'
+      ],
+      Resource: _.map(parameterNames, function (name) {
+        return util.format(
+          // The wildcard is the account ID, which we don't know at this point.
+          'arn:aws:ssm:%s:*:parameter/%s',
+          config.deployment.region,
+          name.replace(/^\//, '')
+        );
+      })
+    });
+  }
+
+  statements.push({
+    Effect: 'Allow',
+    Action: [
+      'kms:Decrypt'
+    ],
+    Resource: [
+      '*'
+    ]
+  });
+
+  return statements;
+}
+
 /**
  * Every role is given additional policies allowing permissions relating to S3
  * keys that are a part of the application.
@@ -170,6 +299,11 @@ function getS3ArnMapStatement (config) {
         'arn:aws:s3:::%s/%s',
         config.deployment.s3Bucket,
         utilities.getArnMapS3Key(config)
+      ),
+      util.format(
+        'arn:aws:s3:::%s/%s',
+        config.deployment.s3Bucket,
+        utilities.getApplicationControlS3Key(config)
       )
     ]
   };
@@ -235,7 +369,7 @@ function setDescription (template, config) {
  * Each role is associated with one or more Lambda functions and provide
  * permissions allowing the Lambda functions to:
  *
- * - fetch the ARN map from S3.
+ * - fetch the ARN map and application control file from S3.
  * - invoke the Lambda functions associated with this application.
  * - write to CloudWatch Logs.
  * - interact with the SQS queues associated with this application.
@@ -295,34 +429,86 @@ function setRoles (template, config) {
     // Add statements for various permissions needed by all of the application
     // Lambda functions.
     statements.push(getQueuesStatement(config));
-    statements.push(getConcurrencyQueuesStatement(config));
+    if (common.isDynamoDbConcurrencyBackend(config)) {
+      statements.push(getConcurrencyTableStatement(config));
+    }
+    else {
+      statements.push(getConcurrencyQueuesStatement(config));
+    }
     statements.push(getLambdaFunctionsStatement(config));
     statements.push(getS3ArnMapStatement(config));
     statements.push(getS3ApplicationConfirmationStatement(config));
     statements.push(getCloudWatchLogsStatement(config));
+    if (common.getEventFromAggregationComponents(config).length) {
+      statements.push(getAggregationTableStatement(config));
+    }
+    Array.prototype.push.apply(
+      statements,
+      getSecretsStatements(roleConfig.name, config)
+    );
 
     // Add this role to the template.
     template.Resources[roleName] = role;
   });
 }
 
+/**
+ * Add the layer holding the Lambda Complex runtime and shared dependencies, if
+ * the application uses one. It is uploaded alongside the component packages.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ * @param {Object} packageHashes Recorded content hashes indexed by package name.
+ */
+function setLayer (template, config, packageHashes) {
+  if (!config.layer) {
+    return;
+  }
+
+  template.Resources[utilities.getLayerName()] = {
+    Type: 'AWS::Lambda::LayerVersion',
+    Properties: {
+      CompatibleRuntimes: _.clone(constants.lambda.RUNTIMES),
+      Content: {
+        S3Bucket: config.deployment.s3Bucket,
+        S3Key: common.getComponentS3Key(
+          common.getLayerDefinition(),
+          config,
+          packageHashes[constants.layer.NAME]
+        )
+      },
+      Description: util.format(
+        'Lambda Complex runtime for %s %s.',
+        config.name,
+        config.deployId
+      )
+    }
+  };
+}
+
 /**
  * Add the Lambda function resources to the template.
  *
  * @param {Object} template The CloudFormation template under construction.
  * @param {Object} config The application configuration.
+ * @param {Object} packageHashes Recorded content hashes indexed by package name.
  */
-function setLambdaFunctions (template, config) {
+function setLambdaFunctions (template, config, packageHashes) {
   var components = common.getAllComponents(config);
 
   _.each(components, function (component) {
     var lambdaFunctionName = utilities.getLambdaFunctionName(component.name);
+    var environment = {};
     var lambda = {
       Type: 'AWS::Lambda::Function',
       Properties: {
         Code: {
           S3Bucket: config.deployment.s3Bucket,
-          S3Key: common.getComponentS3Key(component, config)
+          S3Key: common.getComponentS3Key(
+            component,
+            config,
+            packageHashes[component.name]
+          )
           // Not used here.
           //S3ObjectVersion: ''
         },
@@ -336,11 +522,33 @@ function setLambdaFunctions (template, config) {
             'Arn'
           ]
         },
-        Runtime: 'nodejs',
+        Runtime: component.lambda.runtime || constants.lambda.DEFAULT_RUNTIME,
         Timeout: component.lambda.timeout || constants.lambda.MIN_TIMEOUT
       }
     };
 
+    // The environment is for application code, so internal components don't
+    // get the application environment.
+    if (component.type !== constants.componentType.INTERNAL) {
+      environment = utilities.getComponentEnvironment(component, config);
+    }
+
+    // Every function is given the deploy ID, which is left out of the packages
+    // so that they can be reused by later deployments.
+    environment[constants.environment.DEPLOY_ID] = '' + config.deployId;
+
+    lambda.Properties.Environment = {
+      Variables: environment
+    };
+
+    if (config.layer) {
+      lambda.Properties.Layers = [
+        {
+          Ref: utilities.getLayerName()
+        }
+      ];
+    }
+
     // Add Lambda function to template.
     template.Resources[lambdaFunctionName] = lambda;
 
@@ -361,6 +569,56 @@ function setLambdaFunctions (template, config) {
   });
 }
 
+/**
+ * Add a dead letter queue for a message component to the template, and point
+ * the redrive policy of the component queue at it.
+ *
+ * Messages that have been received too many times without being deleted, such
+ * as those containing invalid JSON or data that the component always fails on,
+ * are moved here by SQS.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ * @param {Object} component The component definition.
+ */
+function setDeadLetterQueue (template, config, component) {
+  var queueName = utilities.getDeadLetterQueueName(component.name);
+
+  template.Resources[queueName] = {
+    Type: 'AWS::SQS::Queue',
+    Properties: {
+      QueueName: utilities.getFullDeadLetterQueueName(component.name, config),
+      // Keep failed messages for as long as possible, to allow time for them to
+      // be inspected.
+      MessageRetentionPeriod: constants.sqs.MAX_MESSAGE_RETENTION_PERIOD
+    }
+  };
+
+  template.Resources[
+    utilities.getQueueName(component.name)
+  ].Properties.RedrivePolicy = {
+    deadLetterTargetArn: {
+      'Fn::GetAtt': [
+        queueName,
+        'Arn'
+      ]
+    },
+    maxReceiveCount: component.maxReceiveCount || constants.DEFAULT_MAX_RECEIVE_COUNT
+  };
+
+  setOutput(
+    template,
+    utilities.getDeadLetterQueueArnOutputName(component.name),
+    queueName + ' ARN.',
+    {
+      'Fn::GetAtt': [
+        queueName,
+        'Arn'
+      ]
+    }
+  );
+}
+
 /**
  * Add the SQS queue resources for message components to the template.
  *
@@ -387,17 +645,16 @@ function setMessageComponentQueues (template, config) {
         //MaximumMessageSize: 262144,
         //MessageRetentionPeriod: 345600,
         //ReceiveMessageWaitTimeSeconds: 0,
-        // Not used.
-        //RedrivePolicy: {
-        //  deadLetterTargetArn: '',
-        //  maxReceiveCount: 1
-        //}
       }
     };
 
     // Add queue to the template.
     template.Resources[queueName] = queue;
 
+    if (component.deadLetter) {
+      setDeadLetterQueue(template, config, component);
+    }
+
     // Add a related output to obtain the queue ARN, as we'll need it to set up
     // the ARN map after deployment, but before starting up the application.
     setOutput(
@@ -477,6 +734,536 @@ function setConcurrencyQueues (template, config) {
   });
 }
 
+/**
+ * Add the DynamoDB table resource for tracking concurrency to the template.
+ *
+ * The table holds a counter item for each component, keyed by component name.
+ * Items are created by the first increment.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ */
+function setConcurrencyTable (template, config) {
+  var tableName = utilities.getConcurrencyTableName();
+
+  template.Resources[tableName] = {
+    Type: 'AWS::DynamoDB::Table',
+    Properties: {
+      TableName: utilities.getFullConcurrencyTableName(config),
+      AttributeDefinitions: [
+        {
+          AttributeName: 'name',
+          AttributeType: 'S'
+        }
+      ],
+      KeySchema: [
+        {
+          AttributeName: 'name',
+          KeyType: 'HASH'
+        }
+      ],
+      // Traffic is proportional to invocations, so pay for what is used.
+      BillingMode: 'PAY_PER_REQUEST'
+    }
+  };
+
+  setOutput(
+    template,
+    utilities.getConcurrencyTableArnOutputName(),
+    tableName + ' ARN.',
+    {
+      'Fn::GetAtt': [
+        tableName,
+        'Arn'
+      ]
+    }
+  );
+}
+
+/**
+ * Add the DynamoDB table resource holding the results collected by event from
+ * aggregation components to the template, if there are any such components.
+ *
+ * The table holds an item for each aggregation, keyed by component name and
+ * correlation key. Items expire once they are no longer needed.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ */
+function setAggregationTable (template, config) {
+  if (!common.getEventFromAggregationComponents(config).length) {
+    return;
+  }
+
+  var tableName = utilities.getAggregationTableName();
+
+  template.Resources[tableName] = {
+    Type: 'AWS::DynamoDB::Table',
+    Properties: {
+      TableName: utilities.getFullAggregationTableName(config),
+      AttributeDefinitions: [
+        {
+          AttributeName: 'id',
+          AttributeType: 'S'
+        }
+      ],
+      KeySchema: [
+        {
+          AttributeName: 'id',
+          KeyType: 'HASH'
+        }
+      ],
+      BillingMode: 'PAY_PER_REQUEST',
+      TimeToLiveSpecification: {
+        AttributeName: 'expiresAt',
+        Enabled: true
+      }
+    }
+  };
+
+  setOutput(
+    template,
+    utilities.getAggregationTableArnOutputName(),
+    tableName + ' ARN.',
+    {
+      'Fn::GetAtt': [
+        tableName,
+        'Arn'
+      ]
+    }
+  );
+}
+
+/**
+ * Add a permission allowing an AWS service to invoke a component Lambda
+ * function.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {String} permissionName The logical ID of the permission.
+ * @param {Object} component The component definition.
+ * @param {String} principal The service principal, e.g. 's3.amazonaws.com'.
+ * @param {Object} source Properties restricting the source of invocations,
+ *   such as SourceArn or SourceAccount.
+ */
+function setLambdaPermission (template, permissionName, component, principal, source) {
+  template.Resources[permissionName] = {
+    Type: 'AWS::Lambda::Permission',
+    Properties: _.extend({
+      Action: 'lambda:InvokeFunction',
+      FunctionName: {
+        'Fn::GetAtt': [
+          utilities.getLambdaFunctionName(component.name),
+          'Arn'
+        ]
+      },
+      Principal: principal
+    }, source)
+  };
+}
+
+/**
+ * Add the S3 bucket resources for event from S3 components to the template.
+ *
+ * Each bucket is created with a notification configuration that invokes the
+ * component Lambda function. S3 must be permitted to invoke the Lambda function
+ * before the bucket can be created, but the permission can't reference the
+ * bucket ARN without creating a circular dependency. So the permission is
+ * restricted to the account instead.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ */
+function setBucketNotifications (template, config) {
+  var components = common.getEventFromS3Components(config);
+
+  _.each(components, function (component) {
+    var bucketName = utilities.getBucketName(component.name);
+    var permissionName = utilities.getLambdaPermissionName(component.name);
+    var rules = [];
+
+    if (component.s3KeyPrefix) {
+      rules.push({
+        Name: 'prefix',
+        Value: component.s3KeyPrefix
+      });
+    }
+
+    if (component.s3KeySuffix) {
+      rules.push({
+        Name: 'suffix',
+        Value: component.s3KeySuffix
+      });
+    }
+
+    var lambdaConfigurations = _.map(component.s3Events, function (event) {
+      var lambdaConfiguration = {
+        Event: event,
+        Function: {
+          'Fn::GetAtt': [
+            utilities.getLambdaFunctionName(component.name),
+            'Arn'
+          ]
+        }
+      };
+
+      if (rules.length) {
+        lambdaConfiguration.Filter = {
+          S3Key: {
+            Rules: rules
+          }
+        };
+      }
+
+      return lambdaConfiguration;
+    });
+
+    setLambdaPermission(template, permissionName, component, 's3.amazonaws.com', {
+      SourceAccount: {
+        Ref: 'AWS::AccountId'
+      }
+    });
+
+    template.Resources[bucketName] = {
+      Type: 'AWS::S3::Bucket',
+      DependsOn: permissionName,
+      Properties: {
+        NotificationConfiguration: {
+          LambdaConfigurations: lambdaConfigurations
+        }
+      }
+    };
+
+    // Add a related output so that the bucket can be found from the ARN map.
+    setOutput(
+      template,
+      utilities.getBucketArnOutputName(component.name),
+      bucketName + ' ARN.',
+      {
+        'Fn::GetAtt': [
+          bucketName,
+          'Arn'
+        ]
+      }
+    );
+  });
+}
+
+/**
+ * Add the SNS topic resources for event from SNS components to the template.
+ *
+ * Each topic is created with a subscription for the component Lambda function.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ */
+function setTopicSubscriptions (template, config) {
+  var components = common.getEventFromSnsComponents(config);
+
+  _.each(components, function (component) {
+    var topicName = utilities.getTopicName(component.name);
+
+    template.Resources[topicName] = {
+      Type: 'AWS::SNS::Topic',
+      Properties: {
+        Subscription: [
+          {
+            Endpoint: {
+              'Fn::GetAtt': [
+                utilities.getLambdaFunctionName(component.name),
+                'Arn'
+              ]
+            },
+            Protocol: 'lambda'
+          }
+        ]
+      }
+    };
+
+    setLambdaPermission(
+      template,
+      utilities.getLambdaPermissionName(component.name),
+      component,
+      'sns.amazonaws.com',
+      {
+        SourceArn: {
+          Ref: topicName
+        }
+      }
+    );
+
+    // Add a related output so that the topic can be found from the ARN map.
+    // For a topic, Ref gives the ARN.
+    setOutput(
+      template,
+      utilities.getTopicArnOutputName(component.name),
+      topicName + ' ARN.',
+      {
+        Ref: topicName
+      }
+    );
+  });
+}
+
+/**
+ * In the scheduled mode, add the CloudWatch Events rules that invoke the
+ * coordinator at a fixed rate. There is one rule for each of the concurrent
+ * coordinators.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ */
+function setCoordinatorSchedule (template, config) {
+  if (config.coordinator.mode !== constants.coordinatorMode.SCHEDULED) {
+    return;
+  }
+
+  var component = constants.coordinator.COMPONENT;
+  var rate = config.coordinator.scheduleRate || constants.coordinator.DEFAULT_SCHEDULE_RATE;
+
+  _.times(config.coordinator.coordinatorConcurrency, function (index) {
+    var ruleName = util.format('CoordinatorScheduleRule%s', index + 1);
+
+    template.Resources[ruleName] = {
+      Type: 'AWS::Events::Rule',
+      Properties: {
+        Description: util.format(
+          '%s: invoke coordinator %s of %s.',
+          config.name,
+          index + 1,
+          config.coordinator.coordinatorConcurrency
+        ),
+        ScheduleExpression: util.format(
+          'rate(%s %s)',
+          rate,
+          rate === 1 ? 'minute' : 'minutes'
+        ),
+        State: 'ENABLED',
+        Targets: [
+          {
+            Arn: {
+              'Fn::GetAtt': [
+                utilities.getLambdaFunctionName(component.name),
+                'Arn'
+              ]
+            },
+            Id: utilities.getLambdaFunctionName(component.name),
+            // Lets the coordinator tell a scheduled invocation apart from the
+            // one made on deployment.
+            Input: JSON.stringify({
+              scheduled: true
+            })
+          }
+        ]
+      }
+    };
+
+    setLambdaPermission(
+      template,
+      ruleName + 'Permission',
+      component,
+      'events.amazonaws.com',
+      {
+        SourceArn: {
+          'Fn::GetAtt': [
+            ruleName,
+            'Arn'
+          ]
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Add a CloudWatch alarm to the template, notifying the alarm topic if there
+ * is one.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ * @param {String} alarmName The logical ID of the alarm.
+ * @param {Object} properties Alarm properties, such as the metric and
+ *   threshold.
+ */
+function setAlarm (template, config, alarmName, properties) {
+  var alarm = {
+    Type: 'AWS::CloudWatch::Alarm',
+    Properties: _.extend({
+      EvaluationPeriods: 1,
+      Period: config.monitoring.period || constants.monitoring.DEFAULT_PERIOD
+    }, properties)
+  };
+
+  if (config.monitoring.alarmTopic) {
+    alarm.Properties.AlarmActions = [
+      {
+        Ref: utilities.getAlarmTopicName()
+      }
+    ];
+  }
+
+  template.Resources[alarmName] = alarm;
+}
+
+/**
+ * Add the CloudWatch alarms defined by the monitoring configuration to the
+ * template, along with the SNS topic they notify if requested.
+ *
+ * There is an alarm for the coordinators stopping, one for each component
+ * queue backing up, and one for errors in each Lambda function.
+ *
+ * @param {Object} template The CloudFormation template under construction.
+ * @param {Object} config The application configuration.
+ */
+function setAlarms (template, config) {
+  if (!config.monitoring) {
+    return;
+  }
+
+  var coordinator = constants.coordinator.COMPONENT;
+  var maxMessageAge = config.monitoring.maxMessageAge ||
+    constants.monitoring.DEFAULT_MAX_MESSAGE_AGE;
+  var lambdaErrorThreshold = config.monitoring.lambdaErrorThreshold ||
+    constants.monitoring.DEFAULT_LAMBDA_ERROR_THRESHOLD;
+  var scheduled = config.coordinator.mode === constants.coordinatorMode.SCHEDULED;
+  var coordinatorAlarmProperties;
+
+  if (config.monitoring.alarmTopic) {
+    template.Resources[utilities.getAlarmTopicName()] = {
+      Type: 'AWS::SNS::Topic',
+      Properties: {
+        DisplayName: util.format('%s alarms', config.name)
+      }
+    };
+
+    // For a topic, Ref gives the ARN. Subscriptions to the topic are left to
+    // the user.
+    setOutput(
+      template,
+      utilities.getAlarmTopicArnOutputName(),
+      utilities.getAlarmTopicName() + ' ARN.',
+      {
+        Ref: utilities.getAlarmTopicName()
+      }
+    );
+  }
+
+  // An application with no running coordinators has stopped. With concurrency
+  // queues that is an empty coordinator queue, and missing data means that
+  // the queue is not being touched at all. There is no CloudWatch metric for
+  // the DynamoDB leases, so fall back to the absence of coordinator
+  // invocations. The same goes for the scheduled mode, as coordinators are
+  // only running for part of each interval between scheduled invocations.
+  if (common.isDynamoDbConcurrencyBackend(config) || scheduled) {
+    coordinatorAlarmProperties = {
+      AlarmDescription: util.format(
+        '%s: the coordinator is not being invoked.',
+        config.name
+      ),
+      Namespace: 'AWS/Lambda',
+      MetricName: 'Invocations',
+      Dimensions: [
+        {
+          Name: 'FunctionName',
+          Value: {
+            Ref: utilities.getLambdaFunctionName(coordinator.name)
+          }
+        }
+      ],
+      Statistic: 'Sum',
+      ComparisonOperator: 'LessThanThreshold',
+      Threshold: 1,
+      TreatMissingData: 'breaching'
+    };
+
+    // A period shorter than the interval between scheduled invocations would
+    // see none in most periods.
+    if (scheduled) {
+      coordinatorAlarmProperties.Period = Math.max(
+        config.monitoring.period || constants.monitoring.DEFAULT_PERIOD,
+        (config.coordinator.scheduleRate || constants.coordinator.DEFAULT_SCHEDULE_RATE) * 60
+      );
+    }
+
+    setAlarm(template, config, 'CoordinatorAlarm', coordinatorAlarmProperties);
+  }
+  else {
+    setAlarm(template, config, 'CoordinatorAlarm', {
+      AlarmDescription: util.format(
+        '%s: the coordinator concurrency queue is empty.',
+        config.name
+      ),
+      Namespace: 'AWS/SQS',
+      MetricName: 'ApproximateNumberOfMessagesVisible',
+      Dimensions: [
+        {
+          Name: 'QueueName',
+          Value: {
+            'Fn::GetAtt': [
+              utilities.getConcurrencyQueueName(coordinator.name),
+              'QueueName'
+            ]
+          }
+        }
+      ],
+      Statistic: 'Minimum',
+      ComparisonOperator: 'LessThanThreshold',
+      Threshold: 1,
+      TreatMissingData: 'breaching'
+    });
+  }
+
+  _.each(common.getEventFromMessageComponents(config), function (component) {
+    setAlarm(template, config, utilities.getQueueAlarmName(component.name), {
+      AlarmDescription: util.format(
+        '%s: messages are waiting too long in the %s queue.',
+        config.name,
+        component.name
+      ),
+      Namespace: 'AWS/SQS',
+      MetricName: 'ApproximateAgeOfOldestMessage',
+      Dimensions: [
+        {
+          Name: 'QueueName',
+          Value: {
+            'Fn::GetAtt': [
+              utilities.getQueueName(component.name),
+              'QueueName'
+            ]
+          }
+        }
+      ],
+      Statistic: 'Maximum',
+      ComparisonOperator: 'GreaterThanThreshold',
+      Threshold: maxMessageAge,
+      TreatMissingData: 'notBreaching'
+    });
+  });
+
+  _.each(common.getAllComponents(config), function (component) {
+    setAlarm(template, config, utilities.getLambdaErrorsAlarmName(component.name), {
+      AlarmDescription: util.format(
+        '%s: the %s Lambda function is failing.',
+        config.name,
+        component.name
+      ),
+      Namespace: 'AWS/Lambda',
+      MetricName: 'Errors',
+      Dimensions: [
+        {
+          Name: 'FunctionName',
+          Value: {
+            Ref: utilities.getLambdaFunctionName(component.name)
+          }
+        }
+      ],
+      Statistic: 'Sum',
+      ComparisonOperator: 'GreaterThanOrEqualToThreshold',
+      Threshold: lambdaErrorThreshold,
+      TreatMissingData: 'notBreaching'
+    });
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Exported functions.
 // ---------------------------------------------------------------------------
@@ -498,18 +1285,36 @@ exports.generateTemplate = function (config, callback) {
     Outputs: {}
   };
 
-  setDescription(template, config);
-  setRoles(template, config);
-  setLambdaFunctions(template, config);
-  setMessageComponentQueues(template, config);
-  setConcurrencyQueues(template, config);
+  // Packages from an incremental build are referenced by content hash.
+  cacheUtilities.getRecordedPackageHashes(config, function (error, packageHashes) {
+    if (error) {
+      return callback(error);
+    }
 
-  fs.writeJSON(
-    common.getCloudFormationTemplatePath(config),
-    template,
-    {
-      spaces: 2
-    },
-    callback
-  );
+    setDescription(template, config);
+    setRoles(template, config);
+    setLayer(template, config, packageHashes);
+    setLambdaFunctions(template, config, packageHashes);
+    setMessageComponentQueues(template, config);
+    if (common.isDynamoDbConcurrencyBackend(config)) {
+      setConcurrencyTable(template, config);
+    }
+    else {
+      setConcurrencyQueues(template, config);
+    }
+    setAggregationTable(template, config);
+    setBucketNotifications(template, config);
+    setTopicSubscriptions(template, config);
+    setCoordinatorSchedule(template, config);
+    setAlarms(template, config);
+
+    fs.writeJSON(
+      common.getCloudFormationTemplatePath(config),
+      template,
+      {
+        spaces: 2
+      },
+      callback
+    );
+  });
 };
@@ -46,6 +46,34 @@ exports.getApplicationBuildNodeModulesDirectory = function (config) {
   return path.join(exports.getApplicationBuildDirectory(config), 'node_modules');
 };
 
+/**
+ * Obtain the absolute path to the build cache directory for an application.
+ * This is shared by the builds for all deployments of the application, and
+ * holds zipped packages for reuse by incremental builds.
+ *
+ * @param {Object} config Configuration object.
+ * @return {String} The absolute path.
+ */
+exports.getApplicationBuildCacheDirectory = function (config) {
+  return path.resolve(exports.getApplicationBuildDirectory(config), '../.cache');
+};
+
+/**
+ * Obtain the absolute path to the node_modules directory of the layer for an
+ * application. Deployed, this is /opt/nodejs/node_modules.
+ *
+ * @param {Object} config Configuration object.
+ * @return {String} The absolute path.
+ */
+exports.getLayerNodeModulesDirectory = function (config) {
+  return path.join(
+    exports.getApplicationBuildDirectory(config),
+    constants.layer.NAME,
+    'nodejs',
+    'node_modules'
+  );
+};
+
 /**
  * Obtain an array of absolute paths to the installed Lambda function NPM
  * packages for an application, in the node_modules directory, prior to their
@@ -95,11 +123,25 @@ exports.getApplicationPackageDirectories = function (config, callback) {
 /**
  * Obtain the S3 key for a zipped Lambda function NPM module.
  *
+ * A module with a content hash recorded by an incremental build is kept under
+ * a key derived from the hash and shared by all deployments of the
+ * application, so that later deployments can reuse it.
+ *
  * @param {Object} component Component definition object.
  * @param {Object} config Application configuration object.
+ * @param {String} [hash] The content hash, if there is one.
  * @return {String} The key.
  */
-exports.getComponentS3Key = function (component, config) {
+exports.getComponentS3Key = function (component, config, hash) {
+  if (hash) {
+    return path.join(
+      config.deployment.s3KeyPrefix,
+      config.name,
+      'packages',
+      component.name + '-' + hash + '.zip'
+    );
+  }
+
   return path.join(
     utilities.getFullS3KeyPrefix(config),
     component.name + '.zip'
@@ -120,6 +162,21 @@ exports.getComponentZipFilePath = function (component, config) {
   );
 };
 
+/**
+ * Obtain the absolute path to the file holding the content hash for a Lambda
+ * function NPM module. Only incremental builds write this file.
+ *
+ * @param {Object} component Component definition object.
+ * @param {Object} config Configuration object.
+ * @return {String} The absolute path.
+ */
+exports.getComponentHashFilePath = function (component, config) {
+  return path.join(
+    exports.getApplicationBuildDirectory(config),
+    component.name + '.hash'
+  );
+};
+
 /**
  * Obtain the absolute path to the CloudFormation template for a given Lambda
  * Complex application.
@@ -181,6 +238,35 @@ exports.getAllComponents = function (config) {
   ].concat(config.components);
 };
 
+/**
+ * Return a definition for the Lambda layer. It is packaged and uploaded in the
+ * same way as a component, for which only the name is needed.
+ *
+ * @return {Object} A definition with a name property.
+ */
+exports.getLayerDefinition = function () {
+  return {
+    name: constants.layer.NAME
+  };
+};
+
+/**
+ * Return an array of everything that is packaged and uploaded: all components,
+ * including internal ones, and the layer if the application uses one.
+ *
+ * @param {Object} config Configuration object.
+ * @return {Object[]} Component definitions and the layer definition.
+ */
+exports.getAllPackages = function (config) {
+  var packages = exports.getAllComponents(config);
+
+  if (config.layer) {
+    packages.push(exports.getLayerDefinition());
+  }
+
+  return packages;
+};
+
 /**
  * Return an array containing the event from message type components only.
  *
@@ -193,42 +279,124 @@ exports.getEventFromMessageComponents = function (config) {
   });
 }
 
+/**
+ * Return an array containing the event from S3 type components only.
+ *
+ * @param {Object} config The application configuration.
+ * @return {Object[]} Only event from S3 components.
+ */
+exports.getEventFromS3Components = function (config) {
+  return _.filter(exports.getAllComponents(config), function (component) {
+    return component.type === constants.componentType.EVENT_FROM_S3;
+  });
+};
+
+/**
+ * Return an array containing the event from SNS type components only.
+ *
+ * @param {Object} config The application configuration.
+ * @return {Object[]} Only event from SNS components.
+ */
+exports.getEventFromSnsComponents = function (config) {
+  return _.filter(exports.getAllComponents(config), function (component) {
+    return component.type === constants.componentType.EVENT_FROM_SNS;
+  });
+};
+
+/**
+ * Return an array containing the event from aggregation type components only.
+ *
+ * @param {Object} config The application configuration.
+ * @return {Object[]} Only event from aggregation components.
+ */
+exports.getEventFromAggregationComponents = function (config) {
+  return _.filter(exports.getAllComponents(config), function (component) {
+    return component.type === constants.componentType.EVENT_FROM_AGGREGATION;
+  });
+};
+
+/**
+ * Does this application track concurrency with a DynamoDB table rather than
+ * concurrency queues?
+ *
+ * @param {Object} config The application configuration.
+ * @return {Boolean} True if the DynamoDB concurrency backend is used.
+ */
+exports.isDynamoDbConcurrencyBackend = function (config) {
+  return config.concurrencyBackend === constants.concurrencyBackend.DYNAMODB;
+};
+
+/**
+ * Return the names of the components that a routing definition sends data to,
+ * so far as that can be known without running the application.
+ *
+ * Names are taken from strings and from the destinations of routing rules.
+ * Routing functions decide at runtime, so they contribute no names.
+ *
+ * @param {String|Array|Function} routing The routing of a component.
+ * @return {String[]} The destination component names, without duplicates.
+ */
+exports.getRoutingDestinationNames = function (routing) {
+  if (!_.isString(routing) && !_.isArray(routing)) {
+    return [];
+  }
+
+  return _.chain([].concat(routing)).map(function (item) {
+    if (_.isPlainObject(item)) {
+      return item.to;
+    }
+
+    return item;
+  }).flatten().filter(_.isString).uniq().value();
+};
+
 /**
  * Given a config object generate the contents of the config.js file to be
  * included in Lambda function NPM modules.
  *
  * Since we have to include function definitions this isn't as simple as just
- * generating JSON.
+ * generating JSON. The deploy ID is not included, but read from the Lambda
+ * function environment, so that the contents are the same for every
+ * deployment of an unchanged configuration.
  *
  * @param {Object} config The application configuration.
  * @return {String} Contents to be written to a file.
  */
 exports.generateConfigContents = function (config) {
-  var token = '__ROUTING_FN_%s__';
+  var token = '__COMPONENT_FN_%s__';
   var quotedToken = '"' + token + '"';
-  var routingFns = [];
+  var componentFns = [];
   var switchoverFn;
   var switchoverToken = '__SWITCHOVER_FN__';
   var quotedSwitchoverToken = '"' + switchoverToken + '"';
+  var deployIdToken = '__DEPLOY_ID__';
+  var quotedDeployIdToken = '"' + deployIdToken + '"';
 
   // Take a copy to manipulate.
   config = _.cloneDeep(config);
 
+  // Replace the deploy ID with a token.
+  config.deployId = deployIdToken;
+
   // Replace the switchover function with a token.
   if (config.deployment.switchoverFunction) {
     switchoverFn = config.deployment.switchoverFunction;
     config.deployment.switchoverFunction = switchoverToken;
   }
 
-  // Replace all of the routing functions with string tokens.
+  // Replace all of the component functions with string tokens: routing
+  // functions, and the correlation key and expected count functions of event
+  // from aggregation components.
   _.each(config.components, function (component) {
-    if (typeof component.routing !== 'function') {
-      return;
-    }
+    _.each(['routing', 'correlationKey', 'expectedCount'], function (property) {
+      if (typeof component[property] !== 'function') {
+        return;
+      }
 
-    var index = routingFns.length;
-    routingFns[index] = component.routing;
-    component.routing = util.format(token, index);
+      var index = componentFns.length;
+      componentFns[index] = component[property];
+      component[property] = util.format(token, index);
+    });
   });
 
   // Generate the content, dropping any remaining functions such as the
@@ -239,12 +407,17 @@ exports.generateConfigContents = function (config) {
   );
 
   // Now replace the tokens with string representations of the replaced
-  // routing functions.
+  // component functions, and the deploy ID with a read of the environment.
+  contents = contents.replace(
+    quotedDeployIdToken,
+    util.format('process.env.%s', constants.environment.DEPLOY_ID)
+  );
+
   if (switchoverFn) {
     contents = contents.replace(quotedSwitchoverToken, switchoverFn.toString());
   }
 
-  _.each(routingFns, function (fn, index) {
+  _.each(componentFns, function (fn, index) {
     contents = contents.replace(
       util.format(quotedToken, index),
       fn.toString()
@@ -11,6 +11,8 @@ var jsonschemaHelpers = require('jsonschema/lib/helpers');
 var _ = require('lodash');
 
 // Local.
+var common = require('./common');
+var graphUtilities = require('./graphUtilities');
 var constants = require('../shared/constants');
 
 // --------------------------------------------------------------------------
@@ -31,6 +33,15 @@ var configSchema = {
           },
           {
             $ref: '/EventFromInvocationComponent'
+          },
+          {
+            $ref: '/EventFromS3Component'
+          },
+          {
+            $ref: '/EventFromSnsComponent'
+          },
+          {
+            $ref: '/EventFromAggregationComponent'
           }
         ]
       },
@@ -38,6 +49,14 @@ var configSchema = {
       noDuplicatePropertyValuesFor: ['name'],
       required: true
     },
+    concurrencyBackend: {
+      type: 'string',
+      enum: [
+        constants.concurrencyBackend.SQS,
+        constants.concurrencyBackend.DYNAMODB
+      ],
+      required: false
+    },
     coordinator: {
       $ref: '/Coordinator',
       required: true
@@ -59,6 +78,18 @@ var configSchema = {
       $ref: '/Deployment',
       required: true
     },
+    environment: {
+      $ref: '/Environment',
+      required: false
+    },
+    layer: {
+      $ref: '/Layer',
+      required: false
+    },
+    monitoring: {
+      $ref: '/Monitoring',
+      required: false
+    },
     name: {
       type: 'string',
       pattern: /[a-z0-9]+/i,
@@ -107,6 +138,26 @@ var coordinatorSchema = {
       minimum: 0,
       maximum: constants.lambda.MAX_TIMEOUT,
       required: true
+    },
+    // The CloudWatch namespace for metrics published by the coordinator.
+    metricsNamespace: {
+      type: 'string',
+      minLength: 1,
+      required: false
+    },
+    mode: {
+      type: 'string',
+      enum: [
+        constants.coordinatorMode.SELF_INVOKING,
+        constants.coordinatorMode.SCHEDULED
+      ],
+      required: false
+    },
+    // In minutes, used only in the scheduled mode.
+    scheduleRate: {
+      type: 'integer',
+      minimum: 1,
+      required: false
     }
   }
 };
@@ -143,6 +194,10 @@ var deploymentSchema = {
       type: 'boolean',
       required: false
     },
+    incrementalBuild: {
+      type: 'boolean',
+      required: false
+    },
     switchoverFunction: {
       isFunction: true,
       required: false
@@ -162,6 +217,60 @@ var deploymentSchema = {
   }
 };
 
+var monitoringSchema = {
+  id: '/Monitoring',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // If true, create an SNS topic notified by the alarms.
+    alarmTopic: {
+      type: 'boolean',
+      required: false
+    },
+    // In errors per period.
+    lambdaErrorThreshold: {
+      type: 'integer',
+      minimum: 1,
+      required: false
+    },
+    // In seconds.
+    maxMessageAge: {
+      type: 'integer',
+      minimum: 1,
+      required: false
+    },
+    // In seconds.
+    period: {
+      type: 'integer',
+      minimum: constants.monitoring.MIN_PERIOD,
+      multipleOf: constants.monitoring.MIN_PERIOD,
+      required: false
+    }
+  }
+};
+
+var layerSchema = {
+  id: '/Layer',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // NPM package names mapped to versions, installed in the layer.
+    dependencies: {
+      type: 'object',
+      patternProperties: {
+        '^(@[a-z0-9._\\-]+\\/)?[a-z0-9._\\-]+$': {
+          type: 'string',
+          // These are passed to npm install in a shell command.
+          pattern: /^[^"$`\\]+$/,
+          required: true
+        }
+      },
+      additionalProperties: false,
+      required: false
+    }
+  }
+};
+
 var roleSchema = {
   id: '/Role',
   type: 'object',
@@ -250,15 +359,41 @@ var eventFromMessageComponentSchema = {
       pattern: /[a-z0-9]+/i,
       invalidValues: [
         constants.coordinator.NAME,
-        constants.invoker.NAME
+        constants.invoker.NAME,
+        constants.layer.NAME
       ],
       required: true
     },
+    // Set false to stop the coordinator publishing metrics for the component.
+    metrics: {
+      type: 'boolean',
+      required: false
+    },
+    batchSize: {
+      type: 'integer',
+      minimum: 1,
+      maximum: constants.sqs.MAX_NUMBER_OF_MESSAGES,
+      required: false
+    },
+    deadLetter: {
+      type: 'boolean',
+      required: false
+    },
     maxConcurrency: {
       type: 'number',
       minimum: 1,
       required: true
     },
+    maxReceiveCount: {
+      type: 'integer',
+      minimum: constants.sqs.MIN_MAX_RECEIVE_COUNT,
+      maximum: constants.sqs.MAX_MAX_RECEIVE_COUNT,
+      required: false
+    },
+    migrateQueuedMessages: {
+      type: 'boolean',
+      required: false
+    },
     queueWaitTime: {
       type: 'number',
       minimum: 0,
@@ -266,22 +401,15 @@ var eventFromMessageComponentSchema = {
       required: true
     },
     routing: {
-      anyOf: [
-        {
-          type: 'string',
-          pattern: /[a-z0-9]+/i
-        },
-        {
-          type: 'array',
-          items: {
-            type: 'string',
-            pattern: /[a-z0-9]+/i
-          }
-        },
-        {
-          isFunction: true
-        }
-      ],
+      $ref: '/Routing',
+      required: false
+    },
+    environment: {
+      $ref: '/Environment',
+      required: false
+    },
+    secrets: {
+      $ref: '/Secrets',
       required: false
     },
     type: {
@@ -308,35 +436,356 @@ var eventFromInvocationComponentSchema = {
       pattern: /[a-z0-9]+/i,
       invalidValues: [
         constants.coordinator.NAME,
-        constants.invoker.NAME
+        constants.invoker.NAME,
+        constants.layer.NAME
       ],
       required: true
     },
+    // Set false to stop the coordinator publishing metrics for the component.
+    metrics: {
+      type: 'boolean',
+      required: false
+    },
     routing: {
+      $ref: '/Routing',
+      required: false
+    },
+    environment: {
+      $ref: '/Environment',
+      required: false
+    },
+    secrets: {
+      $ref: '/Secrets',
+      required: false
+    },
+    type: {
+      type: 'string',
+      enum: [
+        constants.componentType.EVENT_FROM_INVOCATION
+      ],
+      required: true
+    }
+  }
+};
+
+var eventFromS3ComponentSchema = {
+  id: '/EventFromS3Component',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    lambda: {
+      $ref: '/Lambda',
+      required: true
+    },
+    name: {
+      type: 'string',
+      pattern: /[a-z0-9]+/i,
+      invalidValues: [
+        constants.coordinator.NAME,
+        constants.invoker.NAME,
+        constants.layer.NAME
+      ],
+      required: true
+    },
+    // Set false to stop the coordinator publishing metrics for the component.
+    metrics: {
+      type: 'boolean',
+      required: false
+    },
+    routing: {
+      $ref: '/Routing',
+      required: false
+    },
+    environment: {
+      $ref: '/Environment',
+      required: false
+    },
+    secrets: {
+      $ref: '/Secrets',
+      required: false
+    },
+    s3Events: {
+      type: 'array',
+      items: {
+        type: 'string',
+        // E.g. 's3:ObjectCreated:*' or 's3:ObjectRemoved:Delete'.
+        pattern: /^s3:[a-z]+:[a-z\*]+$/i
+      },
+      minItems: 1,
+      required: true
+    },
+    s3KeyPrefix: {
+      type: 'string',
+      minLength: 1,
+      required: false
+    },
+    s3KeySuffix: {
+      type: 'string',
+      minLength: 1,
+      required: false
+    },
+    type: {
+      type: 'string',
+      enum: [
+        constants.componentType.EVENT_FROM_S3
+      ],
+      required: true
+    }
+  }
+};
+
+var eventFromSnsComponentSchema = {
+  id: '/EventFromSnsComponent',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    lambda: {
+      $ref: '/Lambda',
+      required: true
+    },
+    name: {
+      type: 'string',
+      pattern: /[a-z0-9]+/i,
+      invalidValues: [
+        constants.coordinator.NAME,
+        constants.invoker.NAME,
+        constants.layer.NAME
+      ],
+      required: true
+    },
+    // Set false to stop the coordinator publishing metrics for the component.
+    metrics: {
+      type: 'boolean',
+      required: false
+    },
+    routing: {
+      $ref: '/Routing',
+      required: false
+    },
+    environment: {
+      $ref: '/Environment',
+      required: false
+    },
+    secrets: {
+      $ref: '/Secrets',
+      required: false
+    },
+    type: {
+      type: 'string',
+      enum: [
+        constants.componentType.EVENT_FROM_SNS
+      ],
+      required: true
+    }
+  }
+};
+
+var eventFromAggregationComponentSchema = {
+  id: '/EventFromAggregationComponent',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // In seconds, how long to wait for the expected count of results before
+    // invoking the component with whatever has arrived.
+    aggregationTimeout: {
+      type: 'integer',
+      minimum: 1,
+      required: false
+    },
+    // A property name or function (data) used to obtain the correlation key
+    // from routed data.
+    correlationKey: {
       anyOf: [
         {
           type: 'string',
-          pattern: /[a-z0-9]+/i
+          minLength: 1
         },
         {
-          type: 'array',
-          items: {
-            type: 'string',
-            pattern: /[a-z0-9]+/i
-          }
+          isFunction: true
+        }
+      ],
+      required: true
+    },
+    // A number or function (data) returning the number of results to collect.
+    expectedCount: {
+      anyOf: [
+        {
+          type: 'integer',
+          minimum: 1
         },
         {
           isFunction: true
         }
       ],
+      required: true
+    },
+    lambda: {
+      $ref: '/Lambda',
+      required: true
+    },
+    name: {
+      type: 'string',
+      pattern: /[a-z0-9]+/i,
+      invalidValues: [
+        constants.coordinator.NAME,
+        constants.invoker.NAME,
+        constants.layer.NAME
+      ],
+      required: true
+    },
+    // Set false to stop the coordinator publishing metrics for the component.
+    metrics: {
+      type: 'boolean',
+      required: false
+    },
+    routing: {
+      $ref: '/Routing',
+      required: false
+    },
+    environment: {
+      $ref: '/Environment',
+      required: false
+    },
+    secrets: {
+      $ref: '/Secrets',
       required: false
     },
     type: {
       type: 'string',
       enum: [
-        constants.componentType.EVENT_FROM_INVOCATION
+        constants.componentType.EVENT_FROM_AGGREGATION
+      ],
+      required: true
+    }
+  }
+};
+
+// Environment variable names must be valid for Lambda, which also reserves
+// names with some prefixes for its own use.
+var environmentSchema = {
+  id: '/Environment',
+  type: 'object',
+  additionalProperties: false,
+  patternProperties: {
+    '^(?!AWS_|LAMBDA_)[a-zA-Z][a-zA-Z0-9_]*$': {
+      type: 'string'
+    }
+  }
+};
+
+// Secrets are indexed by the name under which the handler sees them. Each is
+// either the name of an SSM parameter or base64 KMS ciphertext.
+var secretsSchema = {
+  id: '/Secrets',
+  type: 'object',
+  additionalProperties: false,
+  patternProperties: {
+    '^[a-zA-Z][a-zA-Z0-9_]*$': {
+      anyOf: [
+        {
+          type: 'string',
+          pattern: /^[a-zA-Z0-9_.\-\/]+$/
+        },
+        {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            kms: {
+              type: 'string',
+              pattern: /^[a-zA-Z0-9+\/]+={0,2}$/,
+              required: true
+            }
+          }
+        }
+      ]
+    }
+  }
+};
+
+var routingSchema = {
+  id: '/Routing',
+  anyOf: [
+    {
+      type: 'string',
+      pattern: /[a-z0-9]+/i
+    },
+    {
+      type: 'array',
+      items: {
+        anyOf: [
+          {
+            type: 'string',
+            pattern: /[a-z0-9]+/i
+          },
+          {
+            $ref: '/RoutingRule'
+          }
+        ]
+      }
+    },
+    {
+      isFunction: true
+    }
+  ]
+};
+
+var routingRuleSchema = {
+  id: '/RoutingRule',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    onError: {
+      type: 'boolean',
+      required: false
+    },
+    to: {
+      anyOf: [
+        {
+          type: 'string',
+          pattern: /[a-z0-9]+/i
+        },
+        {
+          type: 'array',
+          items: {
+            type: 'string',
+            pattern: /[a-z0-9]+/i
+          },
+          minItems: 1
+        }
       ],
       required: true
+    },
+    when: {
+      $ref: '/RoutingCondition',
+      required: false
+    }
+  }
+};
+
+var routingConditionSchema = {
+  id: '/RoutingCondition',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    equals: {
+      type: ['string', 'number', 'boolean', 'null'],
+      required: false
+    },
+    exists: {
+      type: 'boolean',
+      required: false
+    },
+    in: {
+      type: 'array',
+      items: {
+        type: ['string', 'number', 'boolean', 'null']
+      },
+      required: false
+    },
+    path: {
+      type: 'string',
+      minLength: 1,
+      required: true
     }
   }
 };
@@ -373,6 +822,11 @@ var lambdaSchema = {
       pattern: /[a-z0-9]+/i,
       required: true
     },
+    runtime: {
+      type: 'string',
+      enum: constants.lambda.RUNTIMES,
+      required: false
+    },
     timeout: {
       type: 'number',
       minimum: constants.lambda.MIN_TIMEOUT,
@@ -396,6 +850,14 @@ validator.addSchema(
   deploymentSchema,
   '/Deployment'
 );
+validator.addSchema(
+  layerSchema,
+  '/Layer'
+);
+validator.addSchema(
+  monitoringSchema,
+  '/Monitoring'
+);
 validator.addSchema(
   roleSchema,
   '/Role'
@@ -412,6 +874,38 @@ validator.addSchema(
   eventFromInvocationComponentSchema,
   '/EventFromInvocationComponent'
 );
+validator.addSchema(
+  eventFromS3ComponentSchema,
+  '/EventFromS3Component'
+);
+validator.addSchema(
+  eventFromSnsComponentSchema,
+  '/EventFromSnsComponent'
+);
+validator.addSchema(
+  eventFromAggregationComponentSchema,
+  '/EventFromAggregationComponent'
+);
+validator.addSchema(
+  environmentSchema,
+  '/Environment'
+);
+validator.addSchema(
+  secretsSchema,
+  '/Secrets'
+);
+validator.addSchema(
+  routingSchema,
+  '/Routing'
+);
+validator.addSchema(
+  routingRuleSchema,
+  '/RoutingRule'
+);
+validator.addSchema(
+  routingConditionSchema,
+  '/RoutingCondition'
+);
 validator.addSchema(
   lambdaSchema,
   '/Lambda'
@@ -547,7 +1041,7 @@ function validateComponentRoleNames (config, errors) {
     return component.lambda.role;
   }).filter(function (name) {
     return !_.contains(roleNames, name);
-  }).value();
+  }).uniq().value();
 
   if (invalidComponentRoles.length) {
     errors.push(new Error(util.format(
@@ -558,7 +1052,11 @@ function validateComponentRoleNames (config, errors) {
 }
 
 /**
- * Check to see that string routing destinations are valid component names.
+ * Check to see that routing destinations, whether given as strings or in
+ * routing rules, are valid component names.
+ *
+ * Internal components such as the coordinator are reported separately: they
+ * exist in every application, but data cannot be routed to them.
  *
  * Append errors to the provided array.
  *
@@ -569,27 +1067,35 @@ function validateRoutingComponentNames (config, errors) {
   var componentNames = _.map(config.components, function (component) {
     return component.name;
   });
+  var internalComponentNames = [
+    constants.coordinator.NAME,
+    constants.invoker.NAME
+  ];
 
-  var invalidComponentNames = [];
-
-  var routings = _.chain(
+  var unknownComponentNames = _.chain(
     config.components
   ).map(function (component) {
-    return component.routing;
-  }).filter(function (routing) {
-    return _.isString(routing) || _.isArray(routing);
-  }).value();
+    return _.difference(
+      common.getRoutingDestinationNames(component.routing),
+      componentNames
+    );
+  }).flatten().uniq().value();
 
-  _.each(routings, function (routing) {
-    if (!_.isArray(routing)) {
-      routing = [routing];
-    }
+  var internalDestinations = _.intersection(
+    unknownComponentNames,
+    internalComponentNames
+  );
+  var invalidComponentNames = _.difference(
+    unknownComponentNames,
+    internalComponentNames
+  );
 
-    invalidComponentNames = invalidComponentNames.concat(_.difference(
-      routing,
-      componentNames
-    ));
-  });
+  if (internalDestinations.length) {
+    errors.push(new Error(util.format(
+      'One or more internal components specified in routing: %s',
+      internalDestinations.join(', ')
+    )));
+  }
 
   if (invalidComponentNames.length) {
     errors.push(new Error(util.format(
@@ -599,6 +1105,194 @@ function validateRoutingComponentNames (config, errors) {
   }
 }
 
+/**
+ * Check to see that routing destinations are components that can accept
+ * routed data. Event from S3 and event from SNS components are only ever
+ * invoked by S3 or SNS.
+ *
+ * Append errors to the provided array.
+ *
+ * @param {Object} config A configuration object.
+ * @param {Error[]} An array of errors.
+ */
+function validateRoutingComponentTypes (config, errors) {
+  var invalidComponentNames = _.chain(
+    config.components
+  ).filter(function (component) {
+    return _.contains([
+      constants.componentType.EVENT_FROM_S3,
+      constants.componentType.EVENT_FROM_SNS
+    ], component.type);
+  }).map(function (component) {
+    return component.name;
+  }).value();
+
+  var invalidDestinations = _.chain(
+    config.components
+  ).map(function (component) {
+    return common.getRoutingDestinationNames(component.routing);
+  }).flatten().intersection(invalidComponentNames).uniq().value();
+
+  if (invalidDestinations.length) {
+    errors.push(new Error(util.format(
+      'One or more components specified in routing cannot accept routed data: %s',
+      invalidDestinations.join(', ')
+    )));
+  }
+}
+
+/**
+ * Check to see that maxReceiveCount is only specified alongside a dead letter
+ * queue, as SQS only applies it as a part of a redrive policy.
+ *
+ * Append errors to the provided array.
+ *
+ * @param {Object} config A configuration object.
+ * @param {Error[]} An array of errors.
+ */
+function validateDeadLetterOptions (config, errors) {
+  var invalidComponentNames = _.chain(
+    config.components
+  ).filter(function (component) {
+    return component.maxReceiveCount !== undefined && !component.deadLetter;
+  }).map(function (component) {
+    return component.name;
+  }).value();
+
+  if (invalidComponentNames.length) {
+    errors.push(new Error(util.format(
+      'One or more components specify maxReceiveCount without deadLetter: %s',
+      invalidComponentNames.join(', ')
+    )));
+  }
+}
+
+// --------------------------------------------------------------------------
+// Warnings.
+// --------------------------------------------------------------------------
+
+// These checks look at the static routing graph for things that are allowed,
+// but are probably mistakes. Routing functions are opaque to them, so they
+// can only ever be warnings.
+
+/**
+ * Obtain a map of component name to the names of the components that it
+ * routes to, considering only static routing.
+ *
+ * @param {Object} graph A graph as returned by graphUtilities.getGraph.
+ * @return {Object} The map.
+ */
+function getStaticDestinationMap (graph) {
+  return _.reduce(graph.edges, function (map, edge) {
+    if (!edge.dynamic) {
+      map[edge.from] = _.union(map[edge.from] || [], [edge.to]);
+    }
+
+    return map;
+  }, {});
+}
+
+/**
+ * Warn about routing cycles among eventFromInvocation components. Each
+ * invocation in such a cycle causes another, without bound, whereas a cycle
+ * through a queue is at least limited by the maxConcurrency of the component.
+ *
+ * Append warnings to the provided array.
+ *
+ * @param {Object} graph A graph as returned by graphUtilities.getGraph.
+ * @param {Error[]} An array of warnings.
+ */
+function warnOnInvocationRoutingCycles (graph, warnings) {
+  var invocationNames = _.chain(graph.components).filter(function (component) {
+    return component.type === constants.componentType.EVENT_FROM_INVOCATION;
+  }).pluck('name').value();
+  var destinationMap = getStaticDestinationMap(graph);
+  var reachable = {};
+
+  // For each eventFromInvocation component, find the set of eventFromInvocation
+  // components reachable from it.
+  _.each(invocationNames, function (name) {
+    var stack = [name];
+    var current;
+
+    reachable[name] = [];
+
+    while (stack.length) {
+      current = stack.pop();
+
+      _.each(
+        _.intersection(destinationMap[current], invocationNames),
+        function (destination) {
+          if (!_.contains(reachable[name], destination)) {
+            reachable[name].push(destination);
+            stack.push(destination);
+          }
+        }
+      );
+    }
+  });
+
+  // Components that can reach one another are in the same cycle.
+  _.chain(invocationNames).filter(function (name) {
+    return _.contains(reachable[name], name);
+  }).map(function (name) {
+    return _.filter(invocationNames, function (otherName) {
+      return _.contains(reachable[name], otherName) &&
+        _.contains(reachable[otherName], name);
+    });
+  }).uniq(function (cycle) {
+    return cycle.join(',');
+  }).each(function (cycle) {
+    warnings.push(new Error(util.format(
+      'Routing cycle among eventFromInvocation components, which could recurse without bound: %s',
+      cycle.join(', ')
+    )));
+  }).value();
+}
+
+/**
+ * Warn about components that no static routing reaches.
+ *
+ * Components that receive input from outside the application, via a queue,
+ * bucket, or topic, don't need to be routed to. Other components that are not
+ * routed to can only be reached by routing functions or direct invocation.
+ *
+ * Append warnings to the provided array.
+ *
+ * @param {Object} graph A graph as returned by graphUtilities.getGraph.
+ * @param {Error[]} An array of warnings.
+ */
+function warnOnUnroutedComponents (graph, warnings) {
+  var externalInputTypes = [
+    constants.componentType.EVENT_FROM_MESSAGE,
+    constants.componentType.EVENT_FROM_S3,
+    constants.componentType.EVENT_FROM_SNS
+  ];
+  var routedToNames = _.chain(graph.edges).reject('dynamic').pluck('to').value();
+
+  var unroutedComponents = _.reject(graph.components, function (component) {
+    return _.contains(externalInputTypes, component.type) ||
+      _.contains(routedToNames, component.name);
+  });
+  var partitioned = _.partition(unroutedComponents, function (component) {
+    return component.type === constants.componentType.EVENT_FROM_INVOCATION;
+  });
+
+  if (partitioned[0].length) {
+    warnings.push(new Error(util.format(
+      'One or more eventFromInvocation components have no inbound routing, so are only invoked by routing functions or from outside the application: %s',
+      _.pluck(partitioned[0], 'name').join(', ')
+    )));
+  }
+
+  if (partitioned[1].length) {
+    warnings.push(new Error(util.format(
+      'One or more components have no input queue and are not routed to, so are unreachable unless a routing function sends to them: %s',
+      _.pluck(partitioned[1], 'name').join(', ')
+    )));
+  }
+}
+
 // --------------------------------------------------------------------------
 // Exported functions.
 // --------------------------------------------------------------------------
@@ -618,7 +1312,28 @@ exports.validate = function (config) {
   if (!errors.length) {
     validateComponentRoleNames(config, errors);
     validateRoutingComponentNames(config, errors);
+    validateRoutingComponentTypes(config, errors);
+    validateDeadLetterOptions(config, errors);
   }
 
   return errors;
 };
+
+/**
+ * Obtain warnings for the provided configuration: things that are valid, but
+ * are probably mistakes, such as routing cycles and unreachable components.
+ *
+ * This presupposes a valid configuration, so call validate first.
+ *
+ * @param {Object} config A configuration object.
+ * @return {Error[]} An array of warnings.
+ */
+exports.getWarnings = function (config) {
+  var graph = graphUtilities.getGraph(config);
+  var warnings = [];
+
+  warnOnInvocationRoutingCycles(graph, warnings);
+  warnOnUnroutedComponents(graph, warnings);
+
+  return warnings;
+};
@@ -0,0 +1,363 @@
+/**
+ * @fileOverview Utilities for rendering the graph of an application: its
+ * components and the routing between them.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var constants = require('../shared/constants');
+var utilities = require('../shared/utilities');
+
+// --------------------------------------------------------------------------
+// Internal functions.
+// --------------------------------------------------------------------------
+
+/**
+ * Describe the condition of a routing rule in a short form suitable for an
+ * edge label, e.g. 'type == "image"'.
+ *
+ * @param {Object} condition The condition, e.g. {path: 'type', equals: 'x'}.
+ * @return {String} The description.
+ */
+function describeRoutingCondition (condition) {
+  if (condition.hasOwnProperty('equals')) {
+    return util.format(
+      '%s == %s',
+      condition.path,
+      JSON.stringify(condition.equals)
+    );
+  }
+
+  if (condition.hasOwnProperty('in')) {
+    return util.format(
+      '%s in %s',
+      condition.path,
+      JSON.stringify(condition.in)
+    );
+  }
+
+  if (condition.hasOwnProperty('exists')) {
+    return util.format(
+      '%s %s',
+      condition.path,
+      condition.exists ? 'exists' : 'does not exist'
+    );
+  }
+
+  return condition.path;
+}
+
+/**
+ * Obtain the label for an edge, or an empty string if it needs none.
+ *
+ * @param {Object} edge An edge as returned by getGraph.
+ * @return {String} The label.
+ */
+function getEdgeLabel (edge) {
+  var parts = [];
+
+  if (edge.dynamic) {
+    return 'routing function';
+  }
+
+  if (edge.onError) {
+    parts.push('on error');
+  }
+
+  if (edge.when) {
+    parts.push(describeRoutingCondition(edge.when));
+  }
+
+  return parts.join(': ');
+}
+
+/**
+ * Obtain the lines of the label for a component node.
+ *
+ * @param {Object} component A component as returned by getGraph.
+ * @return {String[]} The lines of the label.
+ */
+function getComponentLabelLines (component) {
+  var lines = [
+    component.name,
+    component.type
+  ];
+
+  if (component.queue) {
+    lines.push('queue: ' + component.queue);
+  }
+
+  if (component.deadLetterQueue) {
+    lines.push('dead letter queue: ' + component.deadLetterQueue);
+  }
+
+  return lines;
+}
+
+/**
+ * Escape a string for use inside a double-quoted Graphviz DOT string.
+ *
+ * @param {String} value The string.
+ * @return {String} The escaped string.
+ */
+function escapeDot (value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Escape a string for use inside a double-quoted Mermaid label.
+ *
+ * @param {String} value The string.
+ * @return {String} The escaped string.
+ */
+function escapeMermaid (value) {
+  return value.replace(/"/g, '#quot;');
+}
+
+// --------------------------------------------------------------------------
+// Exported functions.
+// --------------------------------------------------------------------------
+
+/**
+ * Obtain the graph of an application from its configuration. This is of the
+ * form:
+ *
+ * {
+ *   name: 'applicationName',
+ *   components: [
+ *     {
+ *       name: 'componentName',
+ *       type: 'eventFromMessage',
+ *       // For eventFromMessage components only.
+ *       queue: 'ComponentNameQueue',
+ *       // For eventFromMessage components with a dead letter queue only.
+ *       deadLetterQueue: 'ComponentNameDeadLetterQueue'
+ *     },
+ *     ...
+ *   ],
+ *   edges: [
+ *     // Static routing, from a string or a routing rule.
+ *     {
+ *       from: 'componentName',
+ *       to: 'otherComponentName',
+ *       dynamic: false,
+ *       onError: false,
+ *       // The condition of a routing rule, if it has one.
+ *       when: { path: 'type', equals: 'image' }
+ *     },
+ *     // A routing function, which can send data anywhere.
+ *     {
+ *       from: 'componentName',
+ *       to: undefined,
+ *       dynamic: true,
+ *       onError: false
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * Internal components are not included.
+ *
+ * @param {Object} config The application configuration.
+ * @return {Object} The graph.
+ */
+exports.getGraph = function (config) {
+  var components = _.map(config.components, function (component) {
+    var node = {
+      name: component.name,
+      type: component.type
+    };
+
+    if (component.type === constants.componentType.EVENT_FROM_MESSAGE) {
+      node.queue = utilities.getQueueName(component.name);
+
+      if (component.deadLetter) {
+        node.deadLetterQueue = utilities.getDeadLetterQueueName(component.name);
+      }
+    }
+
+    return node;
+  });
+
+  var edges = _.chain(config.components).map(function (component) {
+    var routing = component.routing;
+
+    if (!routing) {
+      return [];
+    }
+
+    return _.map([].concat(routing), function (item) {
+      if (_.isFunction(item)) {
+        return [{
+          from: component.name,
+          to: undefined,
+          dynamic: true,
+          onError: false
+        }];
+      }
+
+      if (_.isString(item)) {
+        item = {
+          to: item
+        };
+      }
+
+      return _.map([].concat(item.to), function (name) {
+        var edge = {
+          from: component.name,
+          to: name,
+          dynamic: false,
+          onError: !!item.onError
+        };
+
+        if (item.when) {
+          edge.when = item.when;
+        }
+
+        return edge;
+      });
+    });
+  }).flattenDeep().value();
+
+  return {
+    name: config.name,
+    components: components,
+    edges: edges
+  };
+};
+
+/**
+ * Render a graph as Graphviz DOT.
+ *
+ * Dynamic edges run to a placeholder node for the routing function of the
+ * component, and are drawn dashed.
+ *
+ * @param {Object} graph A graph as returned by getGraph.
+ * @return {String} The DOT source.
+ */
+exports.toDot = function (graph) {
+  var lines = [
+    util.format('digraph "%s" {', escapeDot(graph.name)),
+    '  rankdir=LR;',
+    '  node [shape=box];'
+  ];
+
+  _.each(graph.components, function (component) {
+    lines.push(util.format(
+      '  "%s" [label="%s"];',
+      escapeDot(component.name),
+      _.map(getComponentLabelLines(component), escapeDot).join('\\n')
+    ));
+  });
+
+  _.each(graph.edges, function (edge) {
+    var attributes = [];
+    var label = getEdgeLabel(edge);
+    var to = edge.to;
+
+    if (edge.dynamic) {
+      to = edge.from + ' (dynamic)';
+      lines.push(util.format(
+        '  "%s" [label="?", shape=circle, style=dashed];',
+        escapeDot(to)
+      ));
+      attributes.push('style=dashed');
+    }
+
+    if (label) {
+      attributes.push(util.format('label="%s"', escapeDot(label)));
+    }
+
+    if (edge.onError) {
+      attributes.push('color=red');
+    }
+
+    lines.push(util.format(
+      '  "%s" -> "%s"%s;',
+      escapeDot(edge.from),
+      escapeDot(to),
+      attributes.length ? ' [' + attributes.join(', ') + ']' : ''
+    ));
+  });
+
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Render a graph as a Mermaid flowchart.
+ *
+ * Node IDs are derived from the order of components rather than their names,
+ * since Mermaid is restrictive about the characters allowed in IDs.
+ *
+ * @param {Object} graph A graph as returned by getGraph.
+ * @return {String} The Mermaid source.
+ */
+exports.toMermaid = function (graph) {
+  var ids = {};
+  var lines = [
+    'flowchart LR'
+  ];
+
+  _.each(graph.components, function (component, index) {
+    ids[component.name] = 'c' + index;
+    lines.push(util.format(
+      '  %s["%s"]',
+      ids[component.name],
+      _.map(getComponentLabelLines(component), escapeMermaid).join('<br/>')
+    ));
+  });
+
+  _.each(graph.edges, function (edge, index) {
+    var arrow = edge.dynamic ? '-.->' : '-->';
+    var label = getEdgeLabel(edge);
+    var to = ids[edge.to];
+
+    if (edge.dynamic) {
+      to = 'd' + index;
+      lines.push(util.format('  %s(("?"))', to));
+    }
+
+    lines.push(util.format(
+      '  %s %s%s %s',
+      ids[edge.from],
+      arrow,
+      label ? util.format('|"%s"|', escapeMermaid(label)) : '',
+      to
+    ));
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Render the graph of an application in the given format.
+ *
+ * @param {Object} config The application configuration.
+ * @param {String} format One of the values in constants.graphFormat.
+ * @return {String} The rendered graph.
+ */
+exports.renderGraph = function (config, format) {
+  var graph = exports.getGraph(config);
+
+  switch (format) {
+    case constants.graphFormat.DOT:
+      return exports.toDot(graph);
+    case constants.graphFormat.MERMAID:
+      return exports.toMermaid(graph);
+    case constants.graphFormat.JSON:
+      return JSON.stringify(graph, null, '  ') + '\n';
+    default:
+      throw new Error(util.format(
+        'Invalid graph format: %s. Use one of: %s',
+        format,
+        _.values(constants.graphFormat).join(', ')
+      ));
+  }
+};
@@ -4,8 +4,10 @@
  * This handles:
  *
  * - NPM installation.
+ * - Bundling the AWS SDK, which Lambda runtimes no longer provide.
  * - Copying modules to sensible places.
  * - Wrapping the handler function in Lambda Complex code.
+ * - Assembling the layer, if the application uses one.
  */
 
 // Core.
@@ -129,6 +131,244 @@ exports.npmInstallLambdaFunction = function (config, npmPackage, callback) {
   );
 };
 
+/**
+ * Obtain the contents of a file that loads one of the Lambda Complex runtime
+ * files from the layer, to stand in for the copy of that file that is
+ * otherwise placed in every component package.
+ *
+ * @param {String} name The runtime file, e.g. 'utilities'.
+ * @return {String} Contents to be written to a file.
+ */
+exports.generateLayerShimContents = function (name) {
+  return util.format(
+    '// Provided by the Lambda Complex layer.\nmodule.exports = require(\'%s/%s\');\n',
+    constants.layer.MODULE_NAME,
+    name
+  );
+};
+
+/**
+ * Write a file that loads one of the Lambda Complex runtime files from the
+ * layer into a component package, e.g. _utilities.js for 'utilities'.
+ *
+ * @param {String} destinationDir The component package directory.
+ * @param {String} name The runtime file, e.g. 'utilities'.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.writeLayerShim = function (destinationDir, name, callback) {
+  fs.outputFile(
+    path.join(destinationDir, '_' + name + '.js'),
+    exports.generateLayerShimContents(name),
+    {
+      encoding: 'utf-8'
+    },
+    callback
+  );
+};
+
+/**
+ * Obtain the entries of the node_modules directory holding the aws-sdk package
+ * that Lambda Complex depends on which are needed to run it: the package
+ * itself, and those of its dependencies that NPM placed alongside it rather
+ * than within it.
+ *
+ * @return {Object} Absolute paths to the entries, indexed by the path relative
+ *   to a node_modules directory at which each must be placed.
+ */
+exports.getAwsSdkModuleDirectories = function () {
+  var sdkDir = path.dirname(require.resolve('aws-sdk/package.json'));
+  var baseDir = path.dirname(sdkDir);
+  var entries = {};
+  var visited = {};
+
+  // Find a dependency the way that Node.js would, by looking in node_modules
+  // directories from the dependent package upwards.
+  function findPackage (name, fromDir) {
+    var candidateDir = path.join(fromDir, 'node_modules', name);
+
+    if (fs.existsSync(path.join(candidateDir, 'package.json'))) {
+      return candidateDir;
+    }
+
+    if (path.dirname(fromDir) === fromDir) {
+      throw new Error(util.format(
+        'Cannot find the %s package required by the aws-sdk package.',
+        name
+      ));
+    }
+
+    return findPackage(name, path.dirname(fromDir));
+  }
+
+  function addPackage (packageDir) {
+    var packageJson;
+    var segments;
+    var entry;
+
+    if (visited[packageDir]) {
+      return;
+    }
+
+    visited[packageDir] = true;
+    packageJson = fs.readJsonSync(path.join(packageDir, 'package.json'));
+    segments = path.relative(baseDir, packageDir).split(path.sep);
+
+    // Copying the top level entry that holds a package brings along anything
+    // nested within it.
+    entry = segments.slice(0, segments[0].charAt(0) === '@' ? 2 : 1).join('/');
+    entries[entry] = path.join(baseDir, entry);
+
+    _.each(_.keys(packageJson.dependencies), function (name) {
+      addPackage(findPackage(name, packageDir));
+    });
+  }
+
+  addPackage(sdkDir);
+
+  return entries;
+};
+
+/**
+ * Copy the version 2 aws-sdk package that Lambda Complex itself depends on,
+ * along with its dependencies, into a node_modules directory, unless there is
+ * one there already. The Lambda Complex code deployed with each component
+ * requires it, but the supported Lambda runtimes only provide version 3.
+ *
+ * Type definitions and browser builds are left out, as they are not used.
+ *
+ * @param {String} nodeModulesDir The node_modules directory.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.bundleAwsSdk = function (nodeModulesDir, callback) {
+  fs.pathExists(path.join(nodeModulesDir, 'aws-sdk'), function (error, exists) {
+    if (error || exists) {
+      return callback(error);
+    }
+
+    async.forEachOfSeries(
+      exports.getAwsSdkModuleDirectories(),
+      function (sourceDir, entry, asyncCallback) {
+        var destinationDir = path.join(nodeModulesDir, entry);
+
+        // Leave in place any dependency already provided by the package.
+        fs.pathExists(destinationDir, function (existsError, entryExists) {
+          if (existsError || entryExists) {
+            return asyncCallback(existsError);
+          }
+
+          fs.copy(sourceDir, destinationDir, {
+            filter: function (src) {
+              if (entry === 'aws-sdk' && path.relative(sourceDir, src) === 'dist') {
+                return false;
+              }
+
+              return !/\.d\.ts$/.test(src);
+            }
+          }, asyncCallback);
+        });
+      },
+      callback
+    );
+  });
+};
+
+/**
+ * Run npm install for the shared dependencies of the layer, placing them where
+ * Node.js runtimes will find them.
+ *
+ * The dependencies are passed to NPM as arguments rather than through a shell,
+ * so that nothing in the configuration is interpreted as a shell command.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.npmInstallLayerDependencies = function (config, callback) {
+  var installDir = path.dirname(common.getLayerNodeModulesDirectory(config));
+  var dependencies = _.map(config.layer.dependencies, function (version, name) {
+    return util.format('%s@%s', name, version);
+  });
+
+  if (!dependencies.length) {
+    return callback();
+  }
+
+  childProcess.execFile(
+    'npm',
+    [
+      '--no-package-lock',
+      '--no-save',
+      '--prefix',
+      installDir,
+      'install'
+    ].concat(dependencies),
+    {
+      env: process.env,
+      cwd: installDir,
+      encoding: 'utf-8'
+    },
+    function (error) {
+      if (error) {
+        return callback(error);
+      }
+
+      fs.remove(path.join(installDir, 'etc'), callback);
+    }
+  );
+};
+
+/**
+ * Assemble the layer in the application build directory: shared dependencies,
+ * and a module holding the configuration, constants, and utilities that are
+ * otherwise copied into every component package.
+ *
+ * @param {Object} config The application configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.installLayer = function (config, callback) {
+  var nodeModulesDir = common.getLayerNodeModulesDirectory(config);
+  var moduleDir = path.join(nodeModulesDir, constants.layer.MODULE_NAME);
+
+  async.series({
+    ensureDirectory: function (asyncCallback) {
+      fs.mkdirs(nodeModulesDir, asyncCallback);
+    },
+    // This must come first, as NPM removes anything it didn't install from the
+    // node_modules directory.
+    npmInstall: function (asyncCallback) {
+      exports.npmInstallLayerDependencies(config, asyncCallback);
+    },
+    // The layer provides the AWS SDK to all components, unless it was given
+    // a version of its own in the layer dependencies.
+    bundleAwsSdk: function (asyncCallback) {
+      exports.bundleAwsSdk(nodeModulesDir, asyncCallback);
+    },
+    writeConfig: function (asyncCallback) {
+      fs.outputFile(
+        path.join(moduleDir, 'config.js'),
+        common.generateConfigContents(config),
+        {
+          encoding: 'utf-8'
+        },
+        asyncCallback
+      );
+    },
+    copySharedConstants: function (asyncCallback) {
+      fs.copy(
+        path.join(__dirname, '../shared/constants.js'),
+        path.join(moduleDir, 'constants.js'),
+        asyncCallback
+      );
+    },
+    copySharedUtilities: function (asyncCallback) {
+      fs.copy(
+        path.join(__dirname, '../shared/utilities.js'),
+        path.join(moduleDir, 'utilities.js'),
+        asyncCallback
+      );
+    }
+  }, callback);
+};
+
 /**
  * Run the necessary steps to install the Lambda function for a component.
  *
@@ -235,8 +475,26 @@ exports.installLambdaFunction = function (
         }
       });
     },
-    // Write a copy of the configuration to _config.js in the installed package.
+    // Without a layer to provide it, each package needs its own AWS SDK,
+    // unless it already has one as a dependency.
+    bundleAwsSdk: function (asyncCallback) {
+      if (config.layer) {
+        return asyncCallback();
+      }
+
+      exports.bundleAwsSdk(
+        path.join(destinationDir, 'node_modules'),
+        asyncCallback
+      );
+    },
+    // Write a copy of the configuration to _config.js in the installed
+    // package. With a layer, this and the following files instead load their
+    // counterparts from the layer.
     copyConfig: function (asyncCallback) {
+      if (config.layer) {
+        return exports.writeLayerShim(destinationDir, 'config', asyncCallback);
+      }
+
       fs.outputFile(path.join(destinationDir, '_config.js'), configContents, {
         encoding: 'utf-8'
       }, asyncCallback);
@@ -244,6 +502,10 @@ exports.installLambdaFunction = function (
     // Write a copy of the constants file to _constants.js in the installed
     // package.
     copySharedConstants: function (asyncCallback) {
+      if (config.layer) {
+        return exports.writeLayerShim(destinationDir, 'constants', asyncCallback);
+      }
+
       fs.copy(
         path.join(__dirname, '../shared/constants.js'),
         path.join(destinationDir, '_constants.js'),
@@ -253,6 +515,10 @@ exports.installLambdaFunction = function (
     // Write a copy of the utilities file to _utilities.js in the installed
     // package.
     copySharedUtilities: function (asyncCallback) {
+      if (config.layer) {
+        return exports.writeLayerShim(destinationDir, 'utilities', asyncCallback);
+      }
+
       fs.copy(
         path.join(__dirname, '../shared/utilities.js'),
         path.join(destinationDir, '_utilities.js'),
@@ -317,11 +583,22 @@ exports.installLambdaFunctions = function (config, callback) {
       //
       // Also NPM can be cranky about running in parallel.
       async.eachSeries(components, function (component, innerAsyncCallback) {
-        exports.installLambdaFunction(
-          component,
-          config,
-          wrapperTemplate,
-          innerAsyncCallback
+        // Skip components already restored from the build cache in an
+        // incremental build.
+        fs.pathExists(
+          path.join(common.getApplicationBuildDirectory(config), component.name),
+          function (error, exists) {
+            if (error || exists) {
+              return innerAsyncCallback(error);
+            }
+
+            exports.installLambdaFunction(
+              component,
+              config,
+              wrapperTemplate,
+              innerAsyncCallback
+            );
+          }
         );
       }, asyncCallback);
     },
@@ -332,6 +609,25 @@ exports.installLambdaFunctions = function (config, callback) {
         common.getApplicationBuildNodeModulesDirectory(config),
         asyncCallback
       );
+    },
+    installLayer: function (asyncCallback) {
+      if (!config.layer) {
+        return asyncCallback();
+      }
+
+      fs.pathExists(
+        path.join(
+          common.getApplicationBuildDirectory(config),
+          constants.layer.NAME
+        ),
+        function (error, exists) {
+          if (error || exists) {
+            return asyncCallback(error);
+          }
+
+          exports.installLayer(config, asyncCallback);
+        }
+      );
     }
   }, callback);
 };
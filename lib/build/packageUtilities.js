@@ -68,20 +68,32 @@ exports.packageLambdaFunction = function (component, config, callback) {
 // ---------------------------------------------------------------------------
 
 /**
- * Zip up the installed Lambda function NPM modules.
+ * Zip up the installed Lambda function NPM modules, and the layer if there is
+ * one.
  *
  * @param {Object} config The application config.
  * @param {Function} callback Of the form function (error).
  */
 exports.packageLambdaFunctions = function (config, callback) {
-  var components = common.getAllComponents(config);
+  var components = common.getAllPackages(config);
 
   // Concurrently package modules.
   var queue = async.queue(function (component, asyncCallback) {
-    exports.packageLambdaFunction(
-      component,
-      config,
-      asyncCallback
+    // Packages restored from the build cache in an incremental build are
+    // already zipped.
+    fs.pathExists(
+      common.getComponentZipFilePath(component, config),
+      function (error, exists) {
+        if (error || exists) {
+          return asyncCallback(error);
+        }
+
+        exports.packageLambdaFunction(
+          component,
+          config,
+          asyncCallback
+        );
+      }
     );
   }, cpuCount);
 
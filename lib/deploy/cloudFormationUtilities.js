@@ -3,6 +3,7 @@
  */
 
 // NPM.
+var AWS = require('aws-sdk');
 var async = require('async');
 var cloudFormationDeploy = require('cloudformation-deploy');
 var fs = require('fs-extra');
@@ -12,8 +13,64 @@ var _ = require('lodash');
 var common = require('../build/common');
 var constants = require('../shared/constants');
 var s3Utilities = require('./s3Utilities');
+var sqsUtilities = require('./sqsUtilities');
 var utilities = require('../shared/utilities');
 
+// ---------------------------------------------------------------------------
+// Variables.
+// ---------------------------------------------------------------------------
+
+// Assuming the setting of credentials via environment variable, credentials
+// file, role, etc.
+//
+// This is exported for test purposes.
+exports.cloudFormationClient = new AWS.CloudFormation();
+
+// The cloudformation-deploy package tags stacks with the base name, here the
+// application name, which is how prior stacks are identified.
+var STACK_BASE_NAME_TAG = 'cloudformation-deploy:stackBaseName';
+
+// ---------------------------------------------------------------------------
+// Functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Invoke coordinator Lambda function instances.
+ *
+ * @param {Number} count How many coordinators to invoke.
+ * @param {Object} arnMap The ARN map.
+ * @param {Object} config Lambda Complex configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+function invokeCoordinators (count, arnMap, config, callback) {
+  var coordinatorArn = utilities.getLambdaFunctionArn(
+    constants.coordinator.NAME,
+    arnMap
+  );
+  // The coordinator doesn't need any specific event data.
+  var event = {};
+
+  // Space out the coordinators across the span of coordinator.minInterval.
+  var timeout = 0;
+  if (config.coordinator.coordinatorConcurrency > 1) {
+    timeout = Math.floor(
+      config.coordinator.minInterval * 1000 / config.coordinator.coordinatorConcurrency
+    );
+  }
+
+  async.timesSeries(
+    count,
+    function (index, asyncCallback) {
+      utilities.invoke(coordinatorArn, event, function (error) {
+        setTimeout(function () {
+          asyncCallback(error);
+        }, timeout)
+      });
+    },
+    callback
+  );
+}
+
 // ---------------------------------------------------------------------------
 // Exported functions.
 // ---------------------------------------------------------------------------
@@ -52,32 +109,45 @@ exports.arnMapFromOutputs = function (outputs, callback) {
  * @param {Function} callback Of the form function (error).
  */
 exports.startApplication = function (arnMap, config, callback) {
-  var coordinatorArn = utilities.getLambdaFunctionArn(
-    constants.coordinator.NAME,
-    arnMap
+  invokeCoordinators(
+    config.coordinator.coordinatorConcurrency,
+    arnMap,
+    config,
+    callback
   );
-  // The coordinator doesn't need any specific event data.
-  var event = {};
+};
 
-  // Fire up the number of coordinators specified in the configuration,
-  // but space them out across the span of coordinator.minInterval.
-  var timeout = 0;
-  if (config.coordinator.coordinatorConcurrency > 1) {
-    timeout = Math.floor(
-      config.coordinator.minInterval * 1000 / config.coordinator.coordinatorConcurrency
-    );
-  }
+/**
+ * Restart a deployed application that was shut down by invoking as many
+ * coordinator Lambda function instances as are needed to make up the
+ * configured coordinator concurrency.
+ *
+ * Coordinators in a shut down application may not all have noticed the fact
+ * yet, and any that have not will carry on running once the application is
+ * resumed. Hence the check on the count of those still running. With the SQS
+ * concurrency backend that count errs on the high side, but any shortfall is
+ * made up by the coordinators themselves after their first generation.
+ *
+ * @param {Object} arnMap The ARN map.
+ * @param {Object} config Lambda Complex configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.restartApplication = function (arnMap, config, callback) {
+  utilities.getConcurrencyCount(
+    constants.coordinator.COMPONENT,
+    arnMap,
+    function (error, count) {
+      if (error) {
+        return callback(error);
+      }
 
-  async.timesSeries(
-    config.coordinator.coordinatorConcurrency,
-    function (index, asyncCallback) {
-      utilities.invoke(coordinatorArn, event, function (error) {
-        setTimeout(function () {
-          asyncCallback(error);
-        }, timeout)
-      });
-    },
-    callback
+      invokeCoordinators(
+        Math.max(config.coordinator.coordinatorConcurrency - count, 0),
+        arnMap,
+        config,
+        callback
+      );
+    }
   );
 };
 
@@ -135,6 +205,305 @@ exports.awaitApplicationConfirmation = function (config, callback) {
   );
 };
 
+/**
+ * Obtain descriptions of the prior stacks for this application, which are the
+ * stacks that will be deleted once the new stack is in service.
+ *
+ * @param {Object} config Lambda Complex configuration.
+ * @param {String} stackId The ID of the newly created stack, to be excluded.
+ * @param {Function} callback Of the form function (error, stackDescriptions).
+ */
+exports.describePriorStacks = function (config, stackId, callback) {
+  var params = {
+    StackStatusFilter: ['CREATE_COMPLETE']
+  };
+  var stackSummaries = [];
+  var stackDescriptions = [];
+  var nextToken;
+
+  async.doWhilst(
+    // Page through the stack summaries, keeping those with matching names.
+    function (asyncCallback) {
+      params.NextToken = nextToken;
+
+      exports.cloudFormationClient.listStacks(params, function (error, result) {
+        if (error) {
+          return asyncCallback(error);
+        }
+
+        stackSummaries = stackSummaries.concat(_.filter(
+          result.StackSummaries,
+          function (stackSummary) {
+            return (
+              stackSummary.StackName.indexOf(config.name + '-') === 0 &&
+              stackSummary.StackId !== stackId
+            );
+          }
+        ));
+
+        nextToken = result.NextToken;
+        asyncCallback();
+      });
+    },
+    function () {
+      return !!nextToken;
+    },
+    function (error) {
+      if (error) {
+        return callback(error);
+      }
+
+      // Names can overlap between applications, so check the tags of each
+      // matching stack to make sure that it belongs to this application.
+      async.eachSeries(stackSummaries, function (stackSummary, asyncCallback) {
+        exports.cloudFormationClient.describeStacks({
+          StackName: stackSummary.StackId
+        }, function (describeError, result) {
+          if (describeError) {
+            return asyncCallback(describeError);
+          }
+
+          var stackDescription = result.Stacks[0];
+          var isPriorStack = stackDescription && _.some(
+            stackDescription.Tags,
+            {
+              Key: STACK_BASE_NAME_TAG,
+              Value: config.name
+            }
+          );
+
+          if (isPriorStack) {
+            stackDescriptions.push(stackDescription);
+          }
+
+          asyncCallback();
+        });
+      }, function (eachError) {
+        callback(eachError, stackDescriptions);
+      });
+    }
+  );
+};
+
+/**
+ * Obtain a configuration for the deployment that created a prior stack, given
+ * that stack names are of the form applicationName-deployId.
+ *
+ * @param {Object} priorStackDescription Description of the prior stack.
+ * @param {Object} config Lambda Complex configuration.
+ * @return {Object} The configuration for the prior deployment.
+ */
+exports.getPriorDeploymentConfig = function (priorStackDescription, config) {
+  return _.extend({}, config, {
+    deployId: priorStackDescription.StackName.slice(config.name.length + 1)
+  });
+};
+
+/**
+ * Obtain the total count of running invocations of coordinators, invokers, and
+ * components in prior deployments.
+ *
+ * @param {Object[]} priorArnMaps The ARN maps for the prior deployments.
+ * @param {Object} config Lambda Complex configuration.
+ * @param {Function} callback Of the form function (error, count).
+ */
+exports.getPriorConcurrencyCount = function (priorArnMaps, config, callback) {
+  var total = 0;
+
+  async.eachSeries(priorArnMaps, function (priorArnMap, asyncCallback) {
+    // With the SQS backend, a component that did not exist in the prior
+    // deployment has no concurrency queue there.
+    var components = _.filter(common.getAllComponents(config), function (component) {
+      return (
+        utilities.getConcurrencyTableArn(priorArnMap) ||
+        utilities.getConcurrencyQueueArn(component.name, priorArnMap)
+      );
+    });
+
+    async.eachSeries(components, function (component, innerAsyncCallback) {
+      utilities.getConcurrencyCount(component, priorArnMap, function (error, count) {
+        total += count || 0;
+        innerAsyncCallback(error);
+      });
+    }, asyncCallback);
+  }, function (error) {
+    callback(error, total);
+  });
+};
+
+/**
+ * Wait until any invocation in a shut down prior deployment that was already
+ * under way has finished, and so has sent on its data, by polling the
+ * concurrency counts until they reach zero.
+ *
+ * The counts can stay high for a while after an invocation fails without
+ * decrementing them, so this gives up waiting after the longest chain of
+ * invocations there can be: a coordinator that had already checked the control
+ * file, the invoker it invokes, and the slowest application component that
+ * invoker invokes.
+ *
+ * @param {Object[]} priorArnMaps The ARN maps for the prior deployments.
+ * @param {Object} config Lambda Complex configuration.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.awaitPriorInvocations = function (priorArnMaps, config, callback) {
+  var count;
+  var timedOut = false;
+  var timeout = (
+    constants.coordinator.COMPONENT.lambda.timeout +
+    constants.invoker.COMPONENT.lambda.timeout +
+    _.max(_.map(config.components, function (component) {
+      return component.lambda.timeout;
+    }))
+  ) * 1000;
+
+  var timeoutId = setTimeout(function () {
+    timedOut = true;
+  }, timeout);
+
+  async.until(
+    function () {
+      return count === 0 || timedOut;
+    },
+    function (asyncCallback) {
+      // Check at once, and then insert a pause between checks.
+      setTimeout(function () {
+        exports.getPriorConcurrencyCount(
+          priorArnMaps,
+          config,
+          function (error, priorCount) {
+            count = priorCount;
+            asyncCallback(error);
+          }
+        );
+      }, count === undefined ? 0 : 5000);
+    },
+    function (error) {
+      clearTimeout(timeoutId);
+      callback(error);
+    }
+  );
+};
+
+/**
+ * Move messages waiting in the queues of prior stacks for this application
+ * into the matching queues of the new stack, for components with the
+ * migrateQueuedMessages option set.
+ *
+ * If the prior stacks are to be deleted, then their deployments are first
+ * shut down, and their in-progress invocations allowed to finish, so that
+ * nothing in them adds messages to their queues after the move.
+ *
+ * The counts of moved messages are of the form:
+ *
+ * {
+ *   componentName: 10,
+ *   ...
+ * }
+ *
+ * @param {Object} arnMap The ARN map for the new stack.
+ * @param {Object} stackDescription Description of the new stack.
+ * @param {Object} config Lambda Complex configuration.
+ * @param {Function} callback Of the form function (error, counts).
+ */
+exports.migrateQueuedMessages = function (arnMap, stackDescription, config, callback) {
+  var components = _.filter(config.components, function (component) {
+    return (
+      component.type === constants.componentType.EVENT_FROM_MESSAGE &&
+      component.migrateQueuedMessages
+    );
+  });
+  var counts = {};
+
+  if (!components.length) {
+    return callback(null, counts);
+  }
+
+  _.each(components, function (component) {
+    counts[component.name] = 0;
+  });
+
+  exports.describePriorStacks(
+    config,
+    stackDescription.StackId,
+    function (error, priorStackDescriptions) {
+      if (error) {
+        return callback(error, counts);
+      }
+
+      // Prior stacks that are not deleted keep running and keep their
+      // messages.
+      var quiescePriorDeployments = (
+        priorStackDescriptions.length &&
+        !config.deployment.skipPriorCloudFormationStackDeletion
+      );
+
+      var priorArnMaps = [];
+
+      async.series({
+        loadPriorArnMaps: function (asyncCallback) {
+          async.eachSeries(priorStackDescriptions, function (priorStackDescription, eachCallback) {
+            exports.arnMapFromOutputs(
+              priorStackDescription.Outputs,
+              function (arnMapError, priorArnMap) {
+                priorArnMaps.push(priorArnMap);
+                eachCallback(arnMapError);
+              }
+            );
+          }, asyncCallback);
+        },
+
+        // Shut down rather than pause, so that the coordinators stop too and
+        // the concurrency counts can reach zero.
+        shutDownPriorDeployments: function (asyncCallback) {
+          if (!quiescePriorDeployments) {
+            return asyncCallback();
+          }
+
+          async.eachSeries(priorStackDescriptions, function (priorStackDescription, eachCallback) {
+            s3Utilities.uploadApplicationControl(
+              constants.applicationState.SHUTDOWN,
+              exports.getPriorDeploymentConfig(priorStackDescription, config),
+              eachCallback
+            );
+          }, asyncCallback);
+        },
+
+        awaitPriorInvocations: function (asyncCallback) {
+          if (!quiescePriorDeployments) {
+            return asyncCallback();
+          }
+
+          exports.awaitPriorInvocations(priorArnMaps, config, asyncCallback);
+        },
+
+        moveMessages: function (asyncCallback) {
+          async.eachSeries(priorArnMaps, function (priorArnMap, eachCallback) {
+            async.eachSeries(components, function (component, componentCallback) {
+              // The component may not have existed in the prior deployment.
+              if (!utilities.getQueueArn(component.name, priorArnMap)) {
+                return componentCallback();
+              }
+
+              sqsUtilities.moveMessages(
+                utilities.getQueueUrl(component.name, priorArnMap),
+                utilities.getQueueUrl(component.name, arnMap),
+                function (moveError, count) {
+                  // On error the count may be missing.
+                  counts[component.name] += count || 0;
+                  componentCallback(moveError);
+                }
+              );
+            }, eachCallback);
+          }, asyncCallback);
+        }
+      }, function (seriesError) {
+        callback(seriesError, counts);
+      });
+    }
+  );
+};
+
 /**
  * Create a switchover function that performs the extra tasks we need it to
  * carry out, such as:
@@ -142,11 +511,17 @@ exports.awaitApplicationConfirmation = function (config, callback) {
  * - Upload the ARN map file.
  * - Start the new Lambda Complex application by invoking the coordinator.
  * - Wait for the signal that the first coordinators worked.
+ * - Move queued messages from the prior stacks into the new stack.
+ *
+ * Results are added to the switchoverResults object, if provided.
  *
  * @param {Object} config Lambda Complex configuration.
+ * @param {Object} [switchoverResults] An object to hold results.
  * @return {Function} The hybrid switchover function.
  */
-exports.getSwitchoverFunction = function (config) {
+exports.getSwitchoverFunction = function (config, switchoverResults) {
+  switchoverResults = switchoverResults || {};
+
   return function (stackDescription, callback) {
     var arnMap;
 
@@ -187,8 +562,25 @@ exports.getSwitchoverFunction = function (config) {
         else {
           asyncCallback();
         }
+      },
+
+      // Once the provided switchover function has pointed everything at the
+      // new queues, move over any messages left behind in the old queues.
+      // Otherwise they would be lost when the prior stacks are deleted.
+      migrateQueuedMessages: function (asyncCallback) {
+        exports.migrateQueuedMessages(
+          arnMap,
+          stackDescription,
+          config,
+          function (error, counts) {
+            switchoverResults.migratedMessageCounts = counts;
+            asyncCallback(error);
+          }
+        );
       }
-    }, callback);
+    }, function (error) {
+      callback(error);
+    });
   };
 };
 
@@ -196,9 +588,10 @@ exports.getSwitchoverFunction = function (config) {
  * Create the configuration used by the cloudformation-deploy package.
  *
  * @param {Object} config Lambda Complex configuration.
+ * @param {Object} [switchoverResults] An object to hold switchover results.
  * @return {Object} CloudFormation Deploy configuration.
  */
-exports.generateCloudFormationDeployConfig = function (config) {
+exports.generateCloudFormationDeployConfig = function (config, switchoverResults) {
   var cfdConfig = {
     baseName: config.name,
     version: config.version,
@@ -221,7 +614,7 @@ exports.generateCloudFormationDeployConfig = function (config) {
     // An optional function invoked after the CloudFormation stack is
     // successfully created but before any prior stack is deleted. This allows
     // for a clean switchover of resources to use the new stack.
-    postCreationFn: exports.getSwitchoverFunction(config),
+    postCreationFn: exports.getSwitchoverFunction(config, switchoverResults),
 
     // Delete past stack instances for this application on successful
     // deployment.
@@ -250,7 +643,11 @@ exports.generateCloudFormationDeployConfig = function (config) {
  * @param {Function} callback Of the form function (error, results).
  */
 exports.deployStack = function (config, callback) {
-  var cfdConfig = exports.generateCloudFormationDeployConfig(config);
+  var switchoverResults = {};
+  var cfdConfig = exports.generateCloudFormationDeployConfig(
+    config,
+    switchoverResults
+  );
   var template;
   var results;
 
@@ -270,6 +667,12 @@ exports.deployStack = function (config, callback) {
     deploy: function (asyncCallback) {
       cloudFormationDeploy.deploy(cfdConfig, template, function (error, _results) {
         results = _results;
+
+        // Counts of messages moved from prior stack queues, by component.
+        if (results) {
+          results.migratedMessageCounts = switchoverResults.migratedMessageCounts;
+        }
+
         asyncCallback(error);
       });
     }
@@ -4,6 +4,7 @@
 
 // Core.
 var os = require('os');
+var util = require('util');
 
 // NPM.
 var AWS = require('aws-sdk');
@@ -12,6 +13,7 @@ var fs = require('fs-extra');
 var _ = require('lodash');
 
 // Local.
+var cacheUtilities = require('../build/cacheUtilities');
 var common = require('../build/common');
 var utilities = require('../shared/utilities');
 
@@ -27,6 +29,9 @@ exports.s3Client = new AWS.S3();
 
 var cpuCount = os.cpus().length;
 
+// The object metadata key for the content hash of a package.
+var contentHashMetadataKey = 'content-hash';
+
 // ---------------------------------------------------------------------------
 // Exported functions.
 // ---------------------------------------------------------------------------
@@ -54,6 +59,76 @@ exports.uploadArnMap = function (map, config, callback) {
   }, callback);
 };
 
+/**
+ * Upload the application control file as JSON, setting the state of the
+ * deployed application. Coordinators check this file on every invocation.
+ *
+ * @param {String} state One of the constants.applicationState values.
+ * @param {Object} config The application config.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.uploadApplicationControl = function (state, config, callback) {
+  var params = {
+    Body: JSON.stringify({
+      state: state
+    }),
+    Bucket: config.deployment.s3Bucket,
+    // Not strictly necessary, but helpful for human inspection.
+    ContentType: 'application/json',
+    Key: utilities.getApplicationControlS3Key(config)
+  };
+
+  // S3 uploads are flaky enough to always need a retry.
+  async.retry(3, function (asyncCallback) {
+    exports.s3Client.putObject(params, asyncCallback);
+  }, callback);
+};
+
+/**
+ * Check that the deployment given by the application config exists, by
+ * looking for the ARN map that deployment uploads. Calls back with an error
+ * if it does not exist.
+ *
+ * @param {Object} config The application config.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.confirmDeployment = function (config, callback) {
+  var params = {
+    Bucket: config.deployment.s3Bucket,
+    Key: utilities.getArnMapS3Key(config)
+  };
+  var missing = false;
+
+  // S3 operations are flaky enough to always need a retry, but a missing
+  // object will stay missing.
+  async.retry(3, function (asyncCallback) {
+    exports.s3Client.headObject(params, function (error) {
+      if (error && error.statusCode === 404) {
+        missing = true;
+        return asyncCallback();
+      }
+
+      asyncCallback(error);
+    });
+  }, function (error) {
+    if (error) {
+      return callback(error);
+    }
+
+    if (missing) {
+      return callback(new Error(util.format(
+        'No deployment of %s with deployId %s exists, as there is no ARN map at s3://%s/%s. Use the configuration of the deployed application.',
+        config.name,
+        config.deployId,
+        params.Bucket,
+        params.Key
+      )));
+    }
+
+    callback();
+  });
+};
+
 /**
  * Upload the configuration file to S3, alongside the other items relating to
  * this deployment.
@@ -85,39 +160,89 @@ exports.uploadConfig = function (config, callback) {
  *
  * The uploaded zip file will later be referenced in a CloudFormation template.
  *
+ * If an incremental build recorded a content hash for the package, the object
+ * key is derived from it and shared by all deployments, the hash is stored in
+ * the object metadata, and the upload is skipped if the object already exists
+ * with the same hash.
+ *
  * @param {Object} component Component definition.
  * @param {Object} config The application config.
  * @param {Function} callback Of the form function (error).
  */
 exports.uploadLambdaFunction = function (component, config, callback) {
+  var key;
+  var hash;
+  var unchanged = false;
   var params;
 
-  // S3 uploads are flaky enough to always need a retry.
-  async.retry(3, function (asyncCallback) {
-    // Since we're using a stream, recreate the params each time we retry.
-    //
-    // TODO: ACL options; what will be needed here for additional customization?
-    params = {
-      Body: fs.createReadStream(common.getComponentZipFilePath(
-        component,
-        config
-      )),
-      Bucket: config.deployment.s3Bucket,
-      Key: common.getComponentS3Key(component, config)
-    };
+  async.series({
+    loadHash: function (asyncCallback) {
+      cacheUtilities.getRecordedPackageHash(component, config, function (error, _hash) {
+        hash = _hash;
+        key = common.getComponentS3Key(component, config, hash);
+        asyncCallback(error);
+      });
+    },
+    checkExisting: function (asyncCallback) {
+      if (!hash) {
+        return asyncCallback();
+      }
 
-    exports.s3Client.putObject(params, asyncCallback);
-  }, callback);
-}
+      exports.s3Client.headObject({
+        Bucket: config.deployment.s3Bucket,
+        Key: key
+      }, function (error, result) {
+        // An error here most likely means that there is no such object, and
+        // otherwise the upload will report anything more serious.
+        if (!error && result.Metadata) {
+          unchanged = result.Metadata[contentHashMetadataKey] === hash;
+        }
+
+        asyncCallback();
+      });
+    },
+    upload: function (asyncCallback) {
+      if (unchanged) {
+        return asyncCallback();
+      }
+
+      // S3 uploads are flaky enough to always need a retry.
+      async.retry(3, function (innerAsyncCallback) {
+        // Since we're using a stream, recreate the params each time we retry.
+        //
+        // TODO: ACL options; what will be needed here for additional
+        // customization?
+        params = {
+          Body: fs.createReadStream(common.getComponentZipFilePath(
+            component,
+            config
+          )),
+          Bucket: config.deployment.s3Bucket,
+          Key: key
+        };
+
+        if (hash) {
+          params.Metadata = {};
+          params.Metadata[contentHashMetadataKey] = hash;
+        }
+
+        exports.s3Client.putObject(params, innerAsyncCallback);
+      }, asyncCallback);
+    }
+  }, function (error) {
+    callback(error);
+  });
+};
 
 /**
- * Upload the Lambda function zip files to S3.
+ * Upload the Lambda function zip files to S3, and the layer zip file if there
+ * is one.
  *
  * @param {Object} config The application config.
  * @param {Function} callback Of the form function (error).
  */
 exports.uploadLambdaFunctions = function (config, callback) {
-  var components = common.getAllComponents(config);
+  var components = common.getAllPackages(config);
 
   // Concurrently package modules.
   var queue = async.queue(function (component, asyncCallback) {
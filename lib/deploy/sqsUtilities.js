@@ -0,0 +1,116 @@
+/**
+ * @fileOverview SQS related utilities.
+ */
+
+// NPM.
+var AWS = require('aws-sdk');
+var async = require('async');
+
+// Local.
+var constants = require('../shared/constants');
+
+// ---------------------------------------------------------------------------
+// Variables.
+// ---------------------------------------------------------------------------
+
+// Assuming the setting of credentials via environment variable, credentials
+// file, role, etc.
+//
+// This is exported for test purposes.
+exports.sqsClient = new AWS.SQS();
+
+// How long moved messages are hidden in the source queue while they are being
+// copied, in seconds.
+var VISIBILITY_TIMEOUT = 30;
+
+// In seconds. Any non-zero wait time makes SQS query all of its servers for
+// messages, so an empty response means that the queue really is empty.
+var WAIT_TIME = 1;
+
+// ---------------------------------------------------------------------------
+// Exported functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Move a single message from one queue to another, sending it to the
+ * destination before deleting it from the source.
+ *
+ * @param {Object} message The message as returned by the SQS API.
+ * @param {String} fromQueueUrl The source queue URL.
+ * @param {String} toQueueUrl The destination queue URL.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.moveMessage = function (message, fromQueueUrl, toQueueUrl, callback) {
+  async.series({
+    send: function (asyncCallback) {
+      // SQS requests are flaky enough to always need a retry.
+      async.retry(3, function (retryCallback) {
+        exports.sqsClient.sendMessage({
+          QueueUrl: toQueueUrl,
+          MessageBody: message.Body
+        }, retryCallback);
+      }, asyncCallback);
+    },
+
+    delete: function (asyncCallback) {
+      async.retry(3, function (retryCallback) {
+        exports.sqsClient.deleteMessage({
+          QueueUrl: fromQueueUrl,
+          ReceiptHandle: message.ReceiptHandle
+        }, retryCallback);
+      }, asyncCallback);
+    }
+  }, function (error) {
+    callback(error);
+  });
+};
+
+/**
+ * Move all of the messages in one queue to another, continuing until the
+ * source queue is empty.
+ *
+ * Messages are sent to the destination before they are deleted from the
+ * source, so a failure part of the way through may result in a duplicate
+ * message, but never a lost one.
+ *
+ * @param {String} fromQueueUrl The source queue URL.
+ * @param {String} toQueueUrl The destination queue URL.
+ * @param {Function} callback Of the form function (error, count).
+ */
+exports.moveMessages = function (fromQueueUrl, toQueueUrl, callback) {
+  var count = 0;
+  var received;
+
+  async.doWhilst(
+    function (asyncCallback) {
+      exports.sqsClient.receiveMessage({
+        QueueUrl: fromQueueUrl,
+        MaxNumberOfMessages: constants.sqs.MAX_NUMBER_OF_MESSAGES,
+        VisibilityTimeout: VISIBILITY_TIMEOUT,
+        WaitTimeSeconds: WAIT_TIME
+      }, function (error, result) {
+        if (error) {
+          return asyncCallback(error);
+        }
+
+        received = (result && result.Messages) || [];
+
+        async.eachSeries(received, function (message, eachCallback) {
+          exports.moveMessage(message, fromQueueUrl, toQueueUrl, function (moveError) {
+            if (!moveError) {
+              count++;
+            }
+
+            eachCallback(moveError);
+          });
+        }, asyncCallback);
+      });
+    },
+    function () {
+      return received.length > 0;
+    },
+    function (error) {
+      callback(error, count);
+    }
+  );
+};
@@ -6,6 +6,13 @@
 var path = require('path');
 var util = require('util');
 
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var configValidator = require('../build/configValidator');
+var constants = require('../shared/constants');
+
 /**
  * Return the configuration object based on a path passed in via --config-path,
  * or fail the grunt task.
@@ -42,3 +49,95 @@ exports.getConfigurationFromOptionOrFail = function (grunt) {
 
   return config;
 };
+
+/**
+ * Write any warnings for the configuration, such as routing cycles. These don't
+ * stop a build or deployment.
+ *
+ * Nothing is written for an invalid configuration, as the errors will be
+ * reported when it fails to build.
+ *
+ * @param {Object} grunt A grunt instance.
+ * @param {Object} config A configuration object.
+ */
+exports.writeConfigurationWarnings = function (grunt, config) {
+  if (configValidator.validate(config).length) {
+    return;
+  }
+
+  _.each(configValidator.getWarnings(config), function (warning) {
+    grunt.log.warn('Warning: ' + warning.message);
+  });
+};
+
+/**
+ * Format an application status, as returned by the status function in
+ * index.js, for display.
+ *
+ * @param {Object} status The application status.
+ * @param {Object} config The application configuration.
+ * @return {String} The formatted status.
+ */
+exports.formatApplicationStatus = function (status, config) {
+  /**
+   * Format a count that may be null if it could not be obtained.
+   *
+   * @param {Number|null} count The count.
+   * @return {String} The formatted count.
+   */
+  function formatCount (count) {
+    return typeof count === 'number' ? '' + count : 'unknown';
+  }
+
+  var coordinator = _.find(status.components, {
+    name: constants.coordinator.NAME
+  });
+  var lines = [
+    util.format('Application: %s %s', config.name, config.deployId),
+    util.format('State: %s', status.applicationState),
+    util.format(
+      'Coordinators: %s of %s',
+      formatCount(coordinator && coordinator.concurrency),
+      config.coordinator.coordinatorConcurrency
+    ),
+    ''
+  ];
+
+  _.each(status.components, function (component) {
+    var details = [];
+
+    if (component.maxConcurrency !== undefined) {
+      details.push(util.format(
+        'concurrency %s of %s',
+        formatCount(component.concurrency),
+        component.maxConcurrency
+      ));
+      details.push(util.format(
+        'queued messages %s',
+        formatCount(component.queuedMessageCount)
+      ));
+    }
+    else {
+      details.push(util.format(
+        'concurrency %s',
+        formatCount(component.concurrency)
+      ));
+    }
+
+    if (component.deadLetterQueuedMessageCount !== undefined) {
+      details.push(util.format(
+        'dead letter messages %s',
+        formatCount(component.deadLetterQueuedMessageCount)
+      ));
+    }
+
+    lines.push(util.format(
+      '%s (%s): %s',
+      component.name,
+      component.type,
+      details.join(', ')
+    ));
+  });
+
+  return lines.join('\n');
+};
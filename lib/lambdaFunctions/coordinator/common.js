@@ -59,6 +59,16 @@ exports.getAllComponents = function () {
   ].concat(config.components);
 };
 
+/**
+ * Is the application configured to run coordinators on a schedule rather than
+ * having each coordinator invoke its successor?
+ *
+ * @return {Boolean} True if coordinators are scheduled.
+ */
+exports.isScheduledMode = function () {
+  return config.coordinator.mode === constants.coordinatorMode.SCHEDULED;
+};
+
 // ---------------------------------------------------------------------------
 // Flow control.
 // ---------------------------------------------------------------------------
@@ -109,7 +119,8 @@ exports.executeConcurrently = function (fns, concurrency, callback) {
  * ]
  *
  * The invocation counts are limited by the maxConcurrency specified in the
- * component definition.
+ * component definition, and each invocation accounts for as many queued
+ * messages as the component batchSize.
  *
  * Further when there are multiple coordinators each only does its share of the
  * work. For two coordinators, each does half, for example.
@@ -132,9 +143,13 @@ exports.getInvocationCounts = function (status) {
       (typeof component.concurrency === 'number')
     );
   }).map(function (component) {
+    var batchSize = (
+      _.findWhere(config.components, { name: component.name }) || {}
+    ).batchSize || constants.DEFAULT_BATCH_SIZE;
     var count = Math.min(
-      // How many messages to act on.
-      component.queuedMessageCount,
+      // How many invocations are needed to act on the messages, given that
+      // each invocation consumes up to the batch size.
+      Math.ceil(component.queuedMessageCount / batchSize),
       // How much space we have left for concurrent invocations.
       Math.max(0, component.maxConcurrency - component.concurrency)
     );
@@ -278,6 +293,98 @@ exports.splitInvocationCounts = function (invocationCounts) {
   return split;
 };
 
+// ---------------------------------------------------------------------------
+// Metrics.
+// ---------------------------------------------------------------------------
+
+/**
+ * Obtain the CloudWatch namespace for metrics published by the coordinator.
+ *
+ * @return {String} The namespace.
+ */
+exports.getMetricsNamespace = function () {
+  return config.coordinator.metricsNamespace || constants.metrics.DEFAULT_NAMESPACE;
+};
+
+/**
+ * Produce CloudWatch metric data from the application status and the
+ * invocation counts this coordinator acted on, in the form used by the
+ * PutMetricData API.
+ *
+ * For each component there is a concurrency metric, and for event from message
+ * components queued messages and invocations launched metrics as well. Counts
+ * that could not be obtained are omitted, as are components that opt out by
+ * setting metrics: false.
+ *
+ * @param {Object} status Application status.
+ * @param {Object[]} invocationCounts The invocation counts.
+ * @return {Object[]} The metric data.
+ */
+exports.getMetricData = function (status, invocationCounts) {
+  var componentsByName = _.indexBy(config.components, 'name');
+  var invocationCountsByName = _.chain(invocationCounts).groupBy('name').mapValues(
+    exports.sumOfInvocationCounts
+  ).value();
+
+  /**
+   * Create a single metric datum.
+   *
+   * @param {String} metricName The metric name.
+   * @param {String} componentName The component name.
+   * @param {Number} value The value.
+   * @return {Object} The datum.
+   */
+  function datum (metricName, componentName, value) {
+    return {
+      MetricName: metricName,
+      Dimensions: [
+        {
+          Name: 'Application',
+          Value: config.name
+        },
+        {
+          Name: 'Component',
+          Value: componentName
+        }
+      ],
+      Unit: 'Count',
+      Value: value
+    };
+  }
+
+  return _.chain(status.components).filter(function (component) {
+    return (componentsByName[component.name] || {}).metrics !== false;
+  }).map(function (component) {
+    var data = [];
+
+    if (typeof component.concurrency === 'number') {
+      data.push(datum(
+        constants.metrics.CONCURRENCY,
+        component.name,
+        component.concurrency
+      ));
+    }
+
+    if (component.type === constants.componentType.EVENT_FROM_MESSAGE) {
+      if (typeof component.queuedMessageCount === 'number') {
+        data.push(datum(
+          constants.metrics.QUEUED_MESSAGES,
+          component.name,
+          component.queuedMessageCount
+        ));
+      }
+
+      data.push(datum(
+        constants.metrics.INVOCATIONS_LAUNCHED,
+        component.name,
+        invocationCountsByName[component.name] || 0
+      ));
+    }
+
+    return data;
+  }).flatten().value();
+};
+
 // ---------------------------------------------------------------------------
 // Clarifying invocation wrappers.
 // ---------------------------------------------------------------------------
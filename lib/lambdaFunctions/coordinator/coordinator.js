@@ -31,102 +31,76 @@ exports.arnMap = undefined;
 // ---------------------------------------------------------------------------
 
 /**
- * Obtain data on the application status.
- *
- * The response is of the form:
- *
- * {
- *   components: [
- *     {
- *       name: 'functionX',
- *       type: 'eventFromMessage',
- *       // A roughly accurate count of how many Lambda functions are presently
- *       // running for this component.
- *       concurrency: 1,
- *       // For eventFromMessage type only.
- *       maxConcurrency: 10,
- *       queuedMessageCount: 0
- *     },
- *     ...
- *   ]
- * }
+ * Obtain data on the application status. See the determineApplicationStatus
+ * function in _utilities.js for the form of the status object.
  *
  * @param {Function} callback Of the form function (error, status).
  */
 exports.determineApplicationStatus = function (callback) {
-  var allComponents = common.getAllComponents();
-  var dataByName = {};
-  var status = {
-    components: []
-  };
-
-  _.each(allComponents, function (component) {
-    var data = {
-      name: component.name,
-      type: component.type,
-      concurrency: null
-    };
-
-    if (component.type === constants.componentType.EVENT_FROM_MESSAGE) {
-      data.maxConcurrency = component.maxConcurrency;
-      data.queuedMessageCount = null;
-    }
+  utilities.determineApplicationStatus(
+    common.getAllComponents(),
+    exports.arnMap,
+    config.coordinator.maxApiConcurrency,
+    callback
+  );
+};
 
-    dataByName[component.name] = data;
-    status.components.push(data);
-  });
+/**
+ * Publish the application status and invocation counts to CloudWatch as custom
+ * metrics.
+ *
+ * @param {Object} applicationStatus The application status.
+ * @param {Object[]} invocationCounts The invocation counts.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.publishMetrics = function (applicationStatus, invocationCounts, callback) {
+  utilities.putMetricData(
+    common.getMetricsNamespace(),
+    common.getMetricData(applicationStatus, invocationCounts),
+    constants.metrics.MAX_METRIC_DATA,
+    callback
+  );
+};
 
-  // For all components, look at the concurrency queue message count, which
-  // indicates how many Lambda functions are running.
-  var fns = _.map(allComponents, function (component) {
-    return function (mapCallback) {
-      utilities.getQueueMessageCount(
-        utilities.getConcurrencyQueueUrl(component.name, exports.arnMap),
-        function (error, count) {
-          // Just log the error for an individual failed request.
-          if (error) {
-            console.error(error);
-          }
-          else {
-            dataByName[component.name].concurrency = count;
-          }
-
-          mapCallback();
-        }
-      );
-    };
-  });
+/**
+ * Invoke event from aggregation components for any aggregations that have
+ * timed out before collecting the expected count of results.
+ *
+ * Every coordinator does this, so an aggregation may be invoked more than once.
+ * Only one invocation can claim the results.
+ *
+ * @param {Function} callback Of the form function (error).
+ */
+exports.invokeTimedOutAggregations = function (callback) {
+  var tableArn = utilities.getAggregationTableArn(exports.arnMap);
 
-  // For event from message type components, check the status of the queue that
-  // feeds the component.
-  fns = fns.concat(
-    _.chain(allComponents).filter(function (component) {
-      return component.type === constants.componentType.EVENT_FROM_MESSAGE;
-    }).map(function (component) {
-      return function (mapCallback) {
-        utilities.getQueueMessageCount(
-          utilities.getQueueUrl(component.name, exports.arnMap),
-          function (error, count) {
-            // Just log the error for an individual failed request.
-            if (error) {
-              console.error(error);
-            }
-            else {
-              dataByName[component.name].queuedMessageCount = count;
-            }
-
-            mapCallback();
-          }
-        );
-      };
-    }).value()
-  );
+  // Only applications with event from aggregation components have the table.
+  if (!tableArn) {
+    return callback();
+  }
 
-  common.executeConcurrently(
-    fns,
-    config.coordinator.maxApiConcurrency,
-    function (error) {
-      callback(error, status);
+  utilities.getTimedOutAggregations(
+    utilities.dynamoDbTableNameFromArn(tableArn),
+    Math.floor(Date.now() / 1000),
+    function (error, aggregations) {
+      if (error) {
+        return callback(error);
+      }
+
+      async.eachLimit(
+        aggregations,
+        config.coordinator.maxApiConcurrency,
+        function (aggregation, eachCallback) {
+          utilities.invoke(
+            utilities.getLambdaFunctionArn(aggregation.componentName, exports.arnMap),
+            {
+              correlationKey: aggregation.correlationKey
+            },
+            eachCallback
+          );
+        },
+        callback
+      );
     }
   );
 };
@@ -185,16 +159,23 @@ exports.ensureCoordinatorConcurrency = function (applicationStatus, event, callb
 /**
  * Acts as a coordinator to:
  *
+ * - Check the application control file to see whether the application is
+ *   paused or shut down.
  * - View queue message counts in the application status.
  * - Invoke invokers and other Lambda functions for queues with messages.
+ * - Invoke aggregation components for aggregations that have timed out.
+ * - Invoke the next coordinator, unless coordinators run on a schedule or the
+ *   application is shut down.
  *
  * @param {Object} event Event instance.
  * @param {Object} context Lambda context instance.
  */
 exports.handler = function (event, context) {
   var startTime = new Date().getTime();
+  var applicationState = constants.applicationState.RUNNING;
   var applicationStatus;
   var invocationCounts;
+  var concurrencyLease;
 
   // Ensure that we're tracking generation: the count in the chain of
   // coordinator Lambda function instances invoking themselves.
@@ -221,19 +202,45 @@ exports.handler = function (event, context) {
       });
     },
 
+    // Find out whether the application is paused or shut down. If the control
+    // file can't be loaded, then carry on as though the application is
+    // running: better that than a failure here halting everything.
+    function (asyncCallback) {
+      utilities.loadApplicationControl(config, function (error, control) {
+        if (error) {
+          console.error(
+            'Failed to load application control file, assuming the application is running.',
+            error
+          );
+        }
+        else if (control && control.state) {
+          applicationState = control.state;
+        }
+
+        console.info(util.format('Application state: %s', applicationState));
+        asyncCallback();
+      });
+    },
+
     // Increment the concurrency count.
     function (asyncCallback) {
       utilities.incrementConcurrencyCount(
         constants.coordinator.COMPONENT,
         exports.arnMap,
-        function (error) {
+        function (error, lease) {
+          concurrencyLease = lease;
           asyncCallback(error);
         }
       );
     },
 
-    // Obtain the application status and derived data.
+    // Obtain the application status and derived data. A paused or shut down
+    // application has no need of it, as nothing will be invoked.
     function (asyncCallback) {
+      if (applicationState !== constants.applicationState.RUNNING) {
+        return asyncCallback();
+      }
+
       exports.determineApplicationStatus(function (error, status) {
         if (error) {
           return asyncCallback(error);
@@ -256,7 +263,16 @@ exports.handler = function (event, context) {
     // Ensure that we have enough coordinators running concurrently. This helps
     // rescue the application from any unexpected issues that might prevent a
     // coordinator from invoking its successor.
+    //
+    // In the scheduled mode the schedule takes care of this.
     function (asyncCallback) {
+      if (
+        common.isScheduledMode() ||
+        applicationState !== constants.applicationState.RUNNING
+      ) {
+        return asyncCallback();
+      }
+
       exports.ensureCoordinatorConcurrency(
         applicationStatus,
         event,
@@ -267,6 +283,10 @@ exports.handler = function (event, context) {
     // Next take that data and make API requests to launch other functions as
     // needed.
     function (asyncCallback) {
+      if (applicationState !== constants.applicationState.RUNNING) {
+        return asyncCallback();
+      }
+
       common.invokeApplicationLambdaFunctions(
         invocationCounts,
         exports.arnMap,
@@ -274,9 +294,50 @@ exports.handler = function (event, context) {
       );
     },
 
+    // Handle aggregations that have waited too long for their results. As for
+    // metrics, a failure here is logged only, and the next coordinator will
+    // try again.
+    function (asyncCallback) {
+      if (applicationState !== constants.applicationState.RUNNING) {
+        return asyncCallback();
+      }
+
+      exports.invokeTimedOutAggregations(function (error) {
+        if (error) {
+          console.error('Failed to invoke timed out aggregations.', error);
+        }
+
+        asyncCallback();
+      });
+    },
+
+    // Publish the status as metrics so that it can be graphed and alarmed on.
+    // A failure here is no reason to stop, so errors are logged only.
+    function (asyncCallback) {
+      if (applicationState !== constants.applicationState.RUNNING) {
+        return asyncCallback();
+      }
+
+      exports.publishMetrics(applicationStatus, invocationCounts, function (error) {
+        if (error) {
+          console.error('Failed to publish metrics.', error);
+        }
+
+        asyncCallback();
+      });
+    },
+
     // If there is time left to wait before the next invocation of the
-    // coordinator, then wait.
+    // coordinator, then wait. In the scheduled mode the schedule sets the pace
+    // instead, and a shut down application has no next coordinator.
     function (asyncCallback) {
+      if (
+        common.isScheduledMode() ||
+        applicationState === constants.applicationState.SHUTDOWN
+      ) {
+        return asyncCallback();
+      }
+
       common.ensureInterval(
         startTime,
         // Seconds to milliseconds.
@@ -295,6 +356,7 @@ exports.handler = function (event, context) {
       utilities.decrementConcurrencyCount(
         constants.coordinator.COMPONENT,
         exports.arnMap,
+        concurrencyLease,
         asyncCallback
       );
     }
@@ -305,6 +367,55 @@ exports.handler = function (event, context) {
       console.error(error);
     }
 
+    /**
+     * Wrap up this invocation.
+     *
+     * @param {Error} invokeError Error resulting from invoking the next
+     *   coordinator, if any.
+     */
+    function complete (invokeError) {
+      // On the first generation upload the application confirmation file
+      // if there is no error. Scheduled invocations always count as the first
+      // generation, but only the coordinators started on deployment need to
+      // confirm it.
+      //
+      // Lack of an uploaded confirmation file will be considered a failure to
+      // deploy, which is as it should be.
+      if (error || invokeError || event.generation > 1 || event.scheduled) {
+        return context.done(
+          error || invokeError,
+          applicationStatus
+        );
+      }
+
+      utilities.uploadApplicationConfirmation(config, function (uploadError) {
+        if (uploadError) {
+          console.error(
+            'Critical: failed to upload application confirmation file.',
+            uploadError
+          );
+        }
+
+        context.done(
+          uploadError,
+          applicationStatus
+        );
+      });
+    }
+
+    // In the scheduled mode the next coordinator is invoked by the schedule.
+    if (common.isScheduledMode()) {
+      return complete();
+    }
+
+    // Ending the chain of coordinators is what shuts down the application.
+    // Functions already running will finish what they are doing, but nothing
+    // new will be invoked.
+    if (applicationState === constants.applicationState.SHUTDOWN) {
+      console.info('Application is shut down, not invoking the next coordinator.');
+      return complete();
+    }
+
     console.info('Invoking the next coordinator.');
 
     utilities.invoke(
@@ -323,32 +434,7 @@ exports.handler = function (event, context) {
           );
         }
 
-        // On the first generation upload the application confirmation file
-        // if there is no error.
-        //
-        // Lack of an uploaded confirmation file will be considered a failure to
-        // deploy, which is as it should be.
-        if (error || invokeError || event.generation > 1) {
-          context.done(
-            error || invokeError,
-            applicationStatus
-          );
-        }
-        else {
-          utilities.uploadApplicationConfirmation(config, function (uploadError) {
-            if (uploadError) {
-              console.error(
-                'Critical: failed to upload application confirmation file.',
-                uploadError
-              );
-            }
-
-            context.done(
-              uploadError,
-              applicationStatus
-            );
-          });
-        }
+        complete(invokeError);
       }
     );
   });
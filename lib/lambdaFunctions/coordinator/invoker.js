@@ -53,6 +53,7 @@ exports.handler = function (event, context) {
   event = event || {};
   var invocationCounts = event.components || [];
   var arnMap;
+  var concurrencyLease;
 
   console.info(util.format(
     'Invocation counts: %s',
@@ -73,7 +74,10 @@ exports.handler = function (event, context) {
       utilities.incrementConcurrencyCount(
         constants.invoker.COMPONENT,
         arnMap,
-        asyncCallback
+        function (error, lease) {
+          concurrencyLease = lease;
+          asyncCallback(error);
+        }
       );
     },
 
@@ -95,6 +99,7 @@ exports.handler = function (event, context) {
       utilities.decrementConcurrencyCount(
         constants.invoker.COMPONENT,
         arnMap,
+        concurrencyLease,
         asyncCallback
       );
     }
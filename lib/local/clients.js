@@ -0,0 +1,590 @@
+/**
+ * @fileOverview In-memory stand-ins for the AWS SDK clients.
+ *
+ * These implement only the small subset of the SQS, S3, Lambda, DynamoDB,
+ * CloudWatch, SSM, and KMS APIs that Lambda Complex code makes use of, and only
+ * as far as is needed to run an application locally. They follow the callback
+ * conventions of the AWS SDK so that they can be dropped into place as
+ * utilities.sqsClient and friends.
+ */
+
+// Core.
+var util = require('util');
+
+// NPM.
+var _ = require('lodash');
+
+// ---------------------------------------------------------------------------
+// Variables.
+// ---------------------------------------------------------------------------
+
+// The SQS default visibility timeout, in seconds, used when none is provided.
+var DEFAULT_VISIBILITY_TIMEOUT = 30;
+
+// Used to generate unique message IDs and receipt handles.
+var idCounter = 0;
+
+// ---------------------------------------------------------------------------
+// Functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Obtain a unique identifier string.
+ *
+ * @param {String} prefix A prefix for the identifier.
+ * @return {String} The identifier.
+ */
+function nextId (prefix) {
+  idCounter++;
+  return prefix + '-' + idCounter;
+}
+
+/**
+ * Call back asynchronously, as the AWS SDK would.
+ *
+ * @param {Function} callback The callback.
+ * @param {Error} error An error, if any.
+ * @param {Mixed} result The result, if any.
+ */
+function respond (callback, error, result) {
+  setImmediate(function () {
+    callback(error, result);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Exported functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an in-memory SQS client.
+ *
+ * Queues must be known up front; requests made to any other queue URL result
+ * in an error, which is what would happen with the real API.
+ *
+ * Redrive policies are optional, and of the form:
+ *
+ * {
+ *   queueUrl: {
+ *     deadLetterQueueUrl: 'https://...',
+ *     maxReceiveCount: 5
+ *   }
+ * }
+ *
+ * @param {String[]} queueUrls URLs of the queues that exist.
+ * @param {Object} [redrivePolicies] Redrive policies by queue URL.
+ * @return {Object} The client.
+ */
+exports.createSqsClient = function (queueUrls, redrivePolicies) {
+  var queues = {};
+
+  redrivePolicies = redrivePolicies || {};
+
+  _.each(queueUrls, function (queueUrl) {
+    queues[queueUrl] = [];
+  });
+
+  /**
+   * Obtain the messages in a queue that are currently visible.
+   *
+   * @param {Object[]} queue The queue.
+   * @return {Object[]} The visible messages.
+   */
+  function getVisibleMessages (queue) {
+    var now = Date.now();
+
+    return _.filter(queue, function (message) {
+      return message.visibleAt <= now;
+    });
+  }
+
+  /**
+   * Obtain a queue or an error if there is no such queue.
+   *
+   * @param {String} queueUrl The queue URL.
+   * @return {Object[]|Error} The queue.
+   */
+  function getQueue (queueUrl) {
+    if (!queues[queueUrl]) {
+      return new Error(util.format('No such queue: %s', queueUrl));
+    }
+
+    return queues[queueUrl];
+  }
+
+  return {
+    // Exposed for the testbed to inspect.
+    queues: queues,
+
+    sendMessage: function (params, callback) {
+      var queue = getQueue(params.QueueUrl);
+      var id = nextId('message');
+
+      if (queue instanceof Error) {
+        return respond(callback, queue);
+      }
+
+      queue.push({
+        id: id,
+        body: params.MessageBody,
+        receiptHandle: undefined,
+        receiveCount: 0,
+        visibleAt: 0
+      });
+
+      respond(callback, null, {
+        MessageId: id
+      });
+    },
+
+    receiveMessage: function (params, callback) {
+      var queue = getQueue(params.QueueUrl);
+      var visibilityTimeout = params.VisibilityTimeout;
+
+      if (queue instanceof Error) {
+        return respond(callback, queue);
+      }
+
+      if (typeof visibilityTimeout !== 'number') {
+        visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT;
+      }
+
+      // As in SQS, a message that has already been received as many times as
+      // the redrive policy allows is moved to the dead letter queue rather
+      // than received again.
+      var redrivePolicy = redrivePolicies[params.QueueUrl];
+
+      if (redrivePolicy) {
+        _.each(getVisibleMessages(queue), function (message) {
+          if (message.receiveCount < redrivePolicy.maxReceiveCount) {
+            return;
+          }
+
+          queue.splice(queue.indexOf(message), 1);
+          queues[redrivePolicy.deadLetterQueueUrl].push(_.extend(message, {
+            receiptHandle: undefined,
+            receiveCount: 0,
+            visibleAt: 0
+          }));
+        });
+      }
+
+      var messages = getVisibleMessages(queue).slice(
+        0,
+        params.MaxNumberOfMessages || 1
+      );
+
+      _.each(messages, function (message) {
+        message.receiptHandle = nextId('receipt');
+        message.receiveCount++;
+        message.visibleAt = Date.now() + visibilityTimeout * 1000;
+      });
+
+      respond(callback, null, {
+        Messages: _.map(messages, function (message) {
+          return {
+            MessageId: message.id,
+            Body: message.body,
+            ReceiptHandle: message.receiptHandle,
+            Attributes: {
+              ApproximateReceiveCount: '' + message.receiveCount
+            }
+          };
+        })
+      });
+    },
+
+    deleteMessage: function (params, callback) {
+      var queue = getQueue(params.QueueUrl);
+
+      if (queue instanceof Error) {
+        return respond(callback, queue);
+      }
+
+      var index = _.findIndex(queue, function (message) {
+        return message.receiptHandle === params.ReceiptHandle;
+      });
+
+      if (index === -1) {
+        return respond(callback, new Error(util.format(
+          'Invalid receipt handle: %s',
+          params.ReceiptHandle
+        )));
+      }
+
+      queue.splice(index, 1);
+      respond(callback, null, {});
+    },
+
+    changeMessageVisibility: function (params, callback) {
+      var queue = getQueue(params.QueueUrl);
+
+      if (queue instanceof Error) {
+        return respond(callback, queue);
+      }
+
+      var received = _.find(queue, function (message) {
+        return message.receiptHandle === params.ReceiptHandle;
+      });
+
+      if (!received) {
+        return respond(callback, new Error(util.format(
+          'Invalid receipt handle: %s',
+          params.ReceiptHandle
+        )));
+      }
+
+      received.visibleAt = Date.now() + params.VisibilityTimeout * 1000;
+      respond(callback, null, {});
+    },
+
+    getQueueAttributes: function (params, callback) {
+      var queue = getQueue(params.QueueUrl);
+
+      if (queue instanceof Error) {
+        return respond(callback, queue);
+      }
+
+      respond(callback, null, {
+        Attributes: {
+          // The real API returns string representations of integers.
+          ApproximateNumberOfMessages: '' + getVisibleMessages(queue).length
+        }
+      });
+    }
+  };
+};
+
+/**
+ * Create an in-memory S3 client.
+ *
+ * @return {Object} The client.
+ */
+exports.createS3Client = function () {
+  var objects = {};
+
+  /**
+   * Obtain the internal storage key for a bucket and key.
+   *
+   * @param {Object} params Request parameters with Bucket and Key properties.
+   * @return {String} The storage key.
+   */
+  function getStorageKey (params) {
+    return params.Bucket + '/' + params.Key;
+  }
+
+  return {
+    // Exposed for the testbed to inspect.
+    objects: objects,
+
+    getObject: function (params, callback) {
+      var storageKey = getStorageKey(params);
+      var error;
+
+      if (!objects[storageKey]) {
+        error = new Error(util.format('No such key: %s', storageKey));
+        error.code = 'NoSuchKey';
+        error.statusCode = 404;
+        return respond(callback, error);
+      }
+
+      respond(callback, null, {
+        Body: Buffer.from(objects[storageKey])
+      });
+    },
+
+    putObject: function (params, callback) {
+      objects[getStorageKey(params)] = params.Body;
+      respond(callback, null, {});
+    }
+  };
+};
+
+/**
+ * Create an in-memory DynamoDB client.
+ *
+ * This supports only the lease items used by the DynamoDB concurrency backend:
+ * replacing the leases, conditional on the version of the item, removing a
+ * lease, and reads of those items. Tables are created on first use.
+ *
+ * It also supports the aggregation items used by event from aggregation
+ * components, which are keyed by id rather than name: adding results, claiming
+ * them, and scanning for those that have timed out.
+ *
+ * @return {Object} The client.
+ */
+exports.createDynamoDbClient = function () {
+  var tables = {};
+
+  /**
+   * Obtain the table addressed by the request.
+   *
+   * @param {Object} params Request parameters with TableName.
+   * @return {Object} Items indexed by key.
+   */
+  function getTable (params) {
+    tables[params.TableName] = tables[params.TableName] || {};
+    return tables[params.TableName];
+  }
+
+  /**
+   * Create an error for a failed condition on an update.
+   *
+   * @return {Error} The error.
+   */
+  function createConditionalError () {
+    var error = new Error('The conditional request failed');
+    error.code = 'ConditionalCheckFailedException';
+    return error;
+  }
+
+  /**
+   * Update an aggregation item, either by adding a result or by claiming the
+   * results.
+   *
+   * @param {Object} params Request parameters.
+   * @param {Function} callback Of the form function (error, result).
+   */
+  function updateAggregation (params, callback) {
+    var table = getTable(params);
+    var id = params.Key.id.S;
+    var item = table[id];
+    var values = params.ExpressionAttributeValues;
+
+    if (values[':claimId']) {
+      if (!item || (item.claimedBy && item.claimedBy.S !== values[':claimId'].S)) {
+        return respond(callback, createConditionalError());
+      }
+
+      item.claimedBy = values[':claimId'];
+    }
+    else {
+      if (item && item.claimedBy) {
+        return respond(callback, createConditionalError());
+      }
+
+      item = table[id] = item || {
+        id: params.Key.id,
+        results: {
+          L: []
+        },
+        count: {
+          N: '0'
+        }
+      };
+
+      item.component = values[':component'];
+      item.correlationKey = values[':correlationKey'];
+      item.results.L = item.results.L.concat(values[':result'].L);
+      item.count.N = '' + (Number(item.count.N) + 1);
+      item.expectedCount = item.expectedCount || values[':expectedCount'];
+      item.expiresAt = item.expiresAt || values[':expiresAt'];
+      item.timeoutAt = item.timeoutAt || values[':timeoutAt'];
+    }
+
+    respond(callback, null, {
+      Attributes: _.cloneDeep(item)
+    });
+  }
+
+  /**
+   * Update a concurrency item, either by replacing the leases or by removing
+   * one of them.
+   *
+   * @param {Object} params Request parameters.
+   * @param {Function} callback Of the form function (error, result).
+   */
+  function updateConcurrency (params, callback) {
+    var table = getTable(params);
+    var name = params.Key.name.S;
+    var item = table[name];
+    var values = params.ExpressionAttributeValues;
+
+    if (values[':leases']) {
+      if (
+        (values[':priorVersion'] && (!item || item.version.N !== values[':priorVersion'].N)) ||
+        (!values[':priorVersion'] && item)
+      ) {
+        return respond(callback, createConditionalError());
+      }
+
+      table[name] = {
+        name: params.Key.name,
+        leases: _.cloneDeep(values[':leases']),
+        version: values[':version']
+      };
+    }
+    else {
+      if (!item) {
+        return respond(callback, createConditionalError());
+      }
+
+      delete item.leases.M[params.ExpressionAttributeNames['#lease']];
+      item.version = {
+        N: '' + (Number(item.version.N) + Number(values[':one'].N))
+      };
+    }
+
+    respond(callback, null, {});
+  }
+
+  return {
+    // Exposed for the testbed to inspect.
+    tables: tables,
+
+    updateItem: function (params, callback) {
+      if (params.Key.id) {
+        return updateAggregation(params, callback);
+      }
+
+      updateConcurrency(params, callback);
+    },
+
+    getItem: function (params, callback) {
+      var item = getTable(params)[params.Key.name.S];
+
+      if (!item) {
+        return respond(callback, null, {});
+      }
+
+      respond(callback, null, {
+        Item: _.cloneDeep(item)
+      });
+    },
+
+    // Only the scan for unclaimed aggregations that have timed out is
+    // supported, and all matching items are returned in one page.
+    scan: function (params, callback) {
+      var now = Number(params.ExpressionAttributeValues[':now'].N);
+      var items = _.filter(tables[params.TableName], function (item) {
+        return !item.claimedBy && item.timeoutAt && Number(item.timeoutAt.N) <= now;
+      });
+
+      respond(callback, null, {
+        Items: _.cloneDeep(items)
+      });
+    }
+  };
+};
+
+/**
+ * Create an in-memory CloudWatch client, which records published metric data.
+ *
+ * @return {Object} The client.
+ */
+exports.createCloudWatchClient = function () {
+  var metricData = [];
+
+  return {
+    // Exposed for the testbed to inspect.
+    metricData: metricData,
+
+    putMetricData: function (params, callback) {
+      _.each(params.MetricData, function (datum) {
+        metricData.push(_.extend({
+          Namespace: params.Namespace
+        }, datum));
+      });
+
+      respond(callback, null, {});
+    }
+  };
+};
+
+/**
+ * Create an in-memory Lambda client.
+ *
+ * Invocation requests are handed to the provided function, which is expected
+ * to arrange for the Lambda function to run, or call back with an error if
+ * there is no such function. Only the asynchronous 'Event' invocation type is
+ * supported, as that is all Lambda Complex uses.
+ *
+ * @param {Function} invokeFn Of the form function (arn, event, callback),
+ *   where the callback is of the form function (error).
+ * @return {Object} The client.
+ */
+exports.createLambdaClient = function (invokeFn) {
+  return {
+    invoke: function (params, callback) {
+      var event;
+
+      if (params.InvocationType !== 'Event') {
+        return respond(callback, new Error(util.format(
+          'Unsupported invocation type: %s',
+          params.InvocationType
+        )));
+      }
+
+      try {
+        event = JSON.parse(params.Payload);
+      }
+      catch (error) {
+        return respond(callback, error);
+      }
+
+      invokeFn(params.FunctionName, event, function (error) {
+        if (error) {
+          return respond(callback, error);
+        }
+
+        respond(callback, null, {
+          StatusCode: 202
+        });
+      });
+    }
+  };
+};
+
+/**
+ * Create an in-memory SSM client, serving parameters from the provided values.
+ *
+ * @param {Object} values Parameter values indexed by parameter name.
+ * @return {Object} The client.
+ */
+exports.createSsmClient = function (values) {
+  return {
+    getParameter: function (params, callback) {
+      var error;
+
+      if (!_.has(values, params.Name)) {
+        error = new Error(util.format('No such parameter: %s', params.Name));
+        error.code = 'ParameterNotFound';
+        return respond(callback, error);
+      }
+
+      respond(callback, null, {
+        Parameter: {
+          Name: params.Name,
+          Type: 'SecureString',
+          Value: values[params.Name]
+        }
+      });
+    }
+  };
+};
+
+/**
+ * Create an in-memory KMS client. Nothing is really encrypted, so decryption
+ * looks up plaintext from the provided values.
+ *
+ * @param {Object} values Plaintext indexed by base64 ciphertext.
+ * @return {Object} The client.
+ */
+exports.createKmsClient = function (values) {
+  return {
+    decrypt: function (params, callback) {
+      var ciphertext = params.CiphertextBlob.toString('base64');
+      var error;
+
+      if (!_.has(values, ciphertext)) {
+        error = new Error('Unknown ciphertext.');
+        error.code = 'InvalidCiphertextException';
+        return respond(callback, error);
+      }
+
+      respond(callback, null, {
+        Plaintext: Buffer.from(values[ciphertext], 'utf8')
+      });
+    }
+  };
+};
@@ -0,0 +1,167 @@
+/**
+ * @fileOverview A local container for a component Lambda function.
+ *
+ * The testbed runs this script in a child process for each component, with
+ * the environment that Lambda would provide: the deploy ID is set, and the
+ * layer, if the application uses one, is on NODE_PATH. The installed package
+ * for the component is loaded here, its AWS clients are replaced by proxies
+ * for the in-memory clients held by the testbed, and invocations are run as
+ * the testbed requests them.
+ *
+ * Messages from the testbed are of the form:
+ *
+ * { type: 'load', packageDir: '', component: {}, clientMethods: {} }
+ * { type: 'invoke', id: 1, event: {} }
+ * { type: 'response', id: 1, error: undefined, data: {} }
+ *
+ * Messages sent to the testbed are of the form:
+ *
+ * { type: 'loaded', error: undefined }
+ * { type: 'call', id: 1, client: 'sqsClient', method: 'sendMessage', params: {} }
+ * { type: 'complete', id: 1, error: undefined, result: {} }
+ */
+
+// Core.
+var path = require('path');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var testbed = require('./testbed');
+var utilities = require('../shared/utilities');
+
+// ---------------------------------------------------------------------------
+// Variables.
+// ---------------------------------------------------------------------------
+
+// The component definition and its loaded handler.
+var component;
+var handler;
+
+// Calls made through the client proxies, waiting on a response.
+var callCount = 0;
+var pendingCalls = {};
+
+// ---------------------------------------------------------------------------
+// Functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a proxy for one of the testbed's in-memory AWS clients.
+ *
+ * @param {String} clientName The name of the client in the utilities.
+ * @param {String[]} methods The names of the client methods.
+ * @return {Object} The proxy.
+ */
+function createClientProxy (clientName, methods) {
+  return _.zipObject(methods, _.map(methods, function (method) {
+    return function (params, callback) {
+      var id = ++callCount;
+
+      pendingCalls[id] = callback;
+      process.send({
+        type: 'call',
+        id: id,
+        client: clientName,
+        method: method,
+        params: testbed.serialize(params)
+      });
+    };
+  }));
+}
+
+/**
+ * Load the installed package for the component.
+ *
+ * @param {Object} message The load message.
+ */
+function load (message) {
+  var packageUtilities;
+
+  component = message.component;
+
+  try {
+    handler = require(path.join(
+      message.packageDir,
+      utilities.getFileBaseNameFromHandle(component.lambda.handler)
+    ))[utilities.getFunctionNameFromHandle(component.lambda.handler)];
+
+    // The wrapper uses the AWS clients in this module, which is the package's
+    // own copy of the utilities or the one in the layer.
+    packageUtilities = require(path.join(message.packageDir, '_utilities'));
+    _.extend(packageUtilities, _.mapValues(message.clientMethods, function (methods, clientName) {
+      return createClientProxy(clientName, methods);
+    }));
+  }
+  catch (error) {
+    return process.send({
+      type: 'loaded',
+      error: testbed.serialize(error)
+    });
+  }
+
+  process.send({
+    type: 'loaded'
+  });
+}
+
+/**
+ * Run an invocation of the component Lambda function.
+ *
+ * @param {Object} message The invoke message.
+ */
+function invoke (message) {
+  var context = testbed.createContext(component, function (error, result) {
+    process.send({
+      type: 'complete',
+      id: message.id,
+      error: testbed.serialize(error),
+      result: testbed.serialize(result)
+    });
+  });
+
+  // As in current Lambda runtimes, a callback is passed alongside the context.
+  try {
+    handler(message.event, context, context.done);
+  }
+  catch (error) {
+    context.fail(error);
+  }
+}
+
+/**
+ * Pass the response to a client call back to the caller.
+ *
+ * @param {Object} message The response message.
+ */
+function respond (message) {
+  var callback = pendingCalls[message.id];
+
+  delete pendingCalls[message.id];
+  callback(
+    testbed.deserialize(message.error),
+    testbed.deserialize(message.data)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Run.
+// ---------------------------------------------------------------------------
+
+process.on('message', function (message) {
+  if (message.type === 'load') {
+    load(message);
+  }
+  else if (message.type === 'invoke') {
+    invoke(message);
+  }
+  else if (message.type === 'response') {
+    respond(message);
+  }
+});
+
+// Don't outlive the testbed.
+process.on('disconnect', function () {
+  process.exit();
+});
@@ -0,0 +1,746 @@
+/**
+ * @fileOverview Run a built Lambda Complex application locally.
+ *
+ * Each installed and wrapped component package is loaded from the build
+ * directory into its own child process, a local container, and run there
+ * against in-memory stand-ins for SQS, S3, Lambda, DynamoDB, and CloudWatch
+ * held by this process. The coordinator is started as it would be on
+ * deployment, and from there the application runs itself: coordinators invoke
+ * their successors, component Lambda functions consume queue messages and
+ * route their results.
+ *
+ * Running the packages in child processes leaves this process as it was: the
+ * Lambda environment, the uncaught exception handlers of the wrapper, and the
+ * loaded modules all go away with the containers.
+ *
+ * The wrapper keeps per-invocation state at module level, which is fine in
+ * Lambda since a container only ever runs one invocation at a time. Here each
+ * wrapped component therefore has a single local container, and its
+ * invocations run one after another. Internal components have no such
+ * restriction.
+ */
+
+// Core.
+var childProcess = require('child_process');
+var path = require('path');
+var readline = require('readline');
+var util = require('util');
+
+// NPM.
+var async = require('async');
+var _ = require('lodash');
+
+// Local.
+var clients = require('./clients');
+var common = require('../build/common');
+var constants = require('../shared/constants');
+var utilities = require('../shared/utilities');
+
+// ---------------------------------------------------------------------------
+// Variables.
+// ---------------------------------------------------------------------------
+
+// A made up account ID for the ARNs of local resources.
+var ACCOUNT_ID = '000000000000';
+
+// Used to generate unique request IDs for invocations.
+var requestCount = 0;
+
+// ---------------------------------------------------------------------------
+// Functions exported for unit test purposes.
+// ---------------------------------------------------------------------------
+
+/**
+ * Produce the ARN map for an application run locally. This has the same
+ * properties as the one created from CloudFormation outputs on deployment.
+ *
+ * @param {Object} config The application configuration.
+ * @return {Object} The ARN map.
+ */
+exports.getArnMap = function (config) {
+  var arnMap = {};
+
+  _.each(common.getAllComponents(config), function (component) {
+    if (component.type === constants.componentType.EVENT_FROM_MESSAGE) {
+      arnMap[utilities.getQueueArnOutputName(component.name)] = util.format(
+        'arn:aws:sqs:%s:%s:%s',
+        config.deployment.region,
+        ACCOUNT_ID,
+        utilities.getFullQueueName(component.name, config)
+      );
+    }
+
+    if (component.type === constants.componentType.EVENT_FROM_S3) {
+      arnMap[utilities.getBucketArnOutputName(component.name)] = util.format(
+        'arn:aws:s3:::%s-%s',
+        config.name.toLowerCase(),
+        utilities.getBucketName(component.name).toLowerCase()
+      );
+    }
+
+    if (component.type === constants.componentType.EVENT_FROM_SNS) {
+      arnMap[utilities.getTopicArnOutputName(component.name)] = util.format(
+        'arn:aws:sns:%s:%s:%s-%s',
+        config.deployment.region,
+        ACCOUNT_ID,
+        config.name,
+        utilities.getTopicName(component.name)
+      );
+    }
+
+    if (component.deadLetter) {
+      arnMap[utilities.getDeadLetterQueueArnOutputName(component.name)] = util.format(
+        'arn:aws:sqs:%s:%s:%s',
+        config.deployment.region,
+        ACCOUNT_ID,
+        utilities.getFullDeadLetterQueueName(component.name, config)
+      );
+    }
+
+    if (!common.isDynamoDbConcurrencyBackend(config)) {
+      arnMap[utilities.getConcurrencyQueueArnOutputName(component.name)] = util.format(
+        'arn:aws:sqs:%s:%s:%s',
+        config.deployment.region,
+        ACCOUNT_ID,
+        utilities.getFullConcurrencyQueueName(component.name, config)
+      );
+    }
+
+    arnMap[utilities.getLambdaFunctionArnOutputName(component.name)] = util.format(
+      'arn:aws:lambda:%s:%s:function:%s-%s',
+      config.deployment.region,
+      ACCOUNT_ID,
+      config.name,
+      utilities.getLambdaFunctionName(component.name)
+    );
+  });
+
+  if (common.isDynamoDbConcurrencyBackend(config)) {
+    arnMap[utilities.getConcurrencyTableArnOutputName()] = util.format(
+      'arn:aws:dynamodb:%s:%s:table/%s',
+      config.deployment.region,
+      ACCOUNT_ID,
+      utilities.getFullConcurrencyTableName(config)
+    );
+  }
+
+  if (common.getEventFromAggregationComponents(config).length) {
+    arnMap[utilities.getAggregationTableArnOutputName()] = util.format(
+      'arn:aws:dynamodb:%s:%s:table/%s',
+      config.deployment.region,
+      ACCOUNT_ID,
+      utilities.getFullAggregationTableName(config)
+    );
+  }
+
+  return arnMap;
+};
+
+// ---------------------------------------------------------------------------
+// Exported functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a Lambda context object for a local invocation.
+ *
+ * @param {Object} component Component definition.
+ * @param {Function} callback Of the form function (error, result), called
+ *   once only, when the invocation completes.
+ * @return {Object} The context.
+ */
+exports.createContext = function (component, callback) {
+  var timeout = component.lambda.timeout * 1000;
+  var startTime = Date.now();
+  var timeoutId;
+
+  callback = _.once(callback);
+
+  function complete (error, result) {
+    clearTimeout(timeoutId);
+    callback(error, result);
+  }
+
+  // As in Lambda, an invocation that doesn't finish in time is ended.
+  timeoutId = setTimeout(function () {
+    complete(new Error(util.format(
+      'Task timed out after %s seconds',
+      component.lambda.timeout
+    )));
+  }, timeout);
+
+  return {
+    awsRequestId: util.format('local-%s-%s', component.name, ++requestCount),
+    getRemainingTimeInMillis: function () {
+      return Math.max(0, timeout - (Date.now() - startTime));
+    },
+    succeed: function (result) {
+      complete(undefined, result);
+    },
+    fail: function (error) {
+      complete(error || new Error('Failed.'));
+    },
+    done: function (error, result) {
+      complete(error, result);
+    }
+  };
+};
+
+/**
+ * Convert a value into a form that survives the JSON encoding of messages
+ * between the testbed and its local containers. Errors keep their message,
+ * stack and other properties, and Buffers and Dates their contents.
+ *
+ * @param {Mixed} value The value.
+ * @return {Mixed} The value in a form that can be sent.
+ */
+exports.serialize = function (value) {
+  if (Buffer.isBuffer(value)) {
+    return {
+      __buffer: value.toString('base64')
+    };
+  }
+
+  if (value instanceof Date) {
+    return {
+      __date: value.toISOString()
+    };
+  }
+
+  if (value instanceof Error) {
+    return {
+      __error: _.mapValues(_.extend({
+        message: value.message,
+        name: value.name,
+        stack: value.stack
+      }, value), exports.serialize)
+    };
+  }
+
+  if (_.isArray(value)) {
+    return _.map(value, exports.serialize);
+  }
+
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, exports.serialize);
+  }
+
+  return value;
+};
+
+/**
+ * Restore a value sent between the testbed and its local containers.
+ *
+ * @param {Mixed} value The value as sent.
+ * @return {Mixed} The value.
+ */
+exports.deserialize = function (value) {
+  if (_.isArray(value)) {
+    return _.map(value, exports.deserialize);
+  }
+
+  if (!_.isPlainObject(value)) {
+    return value;
+  }
+
+  if (_.has(value, '__buffer')) {
+    return Buffer.from(value.__buffer, 'base64');
+  }
+
+  if (_.has(value, '__date')) {
+    return new Date(value.__date);
+  }
+
+  if (_.has(value, '__error')) {
+    return _.extend(
+      new Error(value.__error.message),
+      _.mapValues(value.__error, exports.deserialize)
+    );
+  }
+
+  return _.mapValues(value, exports.deserialize);
+};
+
+/**
+ * Start a local container for a component, a child process in which its
+ * installed package is loaded and its invocations run. AWS client calls made
+ * by the package are passed back to the provided clients.
+ *
+ * Output of the container is logged by this process a line at a time.
+ *
+ * The container is of the form:
+ *
+ * {
+ *   // Callback of the form function (error, result), called once the
+ *   // invocation completes.
+ *   invoke: function (event, callback) {},
+ *   // Stop the child process.
+ *   stop: function () {}
+ * }
+ *
+ * @param {Object} component Component definition.
+ * @param {Object} config The application configuration.
+ * @param {Object} awsClients The clients for the package utilities, indexed
+ *   by name, such as sqsClient.
+ * @param {Function} callback Of the form function (error, container), called
+ *   once the package is loaded.
+ */
+exports.startContainer = function (component, config, awsClients, callback) {
+  var env = _.extend({}, process.env);
+  var invocationCount = 0;
+  var pendingInvocations = {};
+  var stopped = false;
+  var child;
+  var lines;
+
+  callback = _.once(callback);
+
+  env[constants.environment.DEPLOY_ID] = '' + config.deployId;
+
+  // In Lambda the runtime adds the layer directory to NODE_PATH.
+  if (config.layer) {
+    env.NODE_PATH = _.compact([
+      common.getLayerNodeModulesDirectory(config),
+      process.env.NODE_PATH
+    ]).join(path.delimiter);
+  }
+
+  child = childProcess.fork(path.join(__dirname, 'container.js'), [], {
+    env: env,
+    silent: true
+  });
+
+  lines = [
+    readline.createInterface({
+      input: child.stdout
+    }).on('line', function (line) {
+      console.info(line);
+    }),
+    readline.createInterface({
+      input: child.stderr
+    }).on('line', function (line) {
+      console.error(line);
+    })
+  ];
+
+  /**
+   * Stop the child process, and with it any further output.
+   */
+  function stop () {
+    if (stopped) {
+      return;
+    }
+
+    stopped = true;
+    _.invoke(lines, 'close');
+    child.kill();
+  }
+
+  child.on('message', function (message) {
+    var invocationCallback;
+
+    if (message.type === 'loaded') {
+      if (message.error) {
+        stop();
+        return callback(exports.deserialize(message.error));
+      }
+
+      return callback(null, {
+        invoke: function (event, invokeCallback) {
+          var id = ++invocationCount;
+
+          if (stopped) {
+            return invokeCallback(new Error(util.format(
+              'Local container for %s is stopped.',
+              component.name
+            )));
+          }
+
+          pendingInvocations[id] = invokeCallback;
+          child.send({
+            type: 'invoke',
+            id: id,
+            event: event
+          });
+        },
+        stop: stop
+      });
+    }
+
+    if (message.type === 'call') {
+      return awsClients[message.client][message.method](
+        exports.deserialize(message.params),
+        function (error, data) {
+          if (stopped) {
+            return;
+          }
+
+          child.send({
+            type: 'response',
+            id: message.id,
+            error: exports.serialize(error),
+            data: exports.serialize(data)
+          });
+        }
+      );
+    }
+
+    if (message.type === 'complete') {
+      invocationCallback = pendingInvocations[message.id];
+      delete pendingInvocations[message.id];
+      invocationCallback(
+        exports.deserialize(message.error),
+        exports.deserialize(message.result)
+      );
+    }
+  });
+
+  // A container that exits on its own fails whatever it was running.
+  child.on('exit', function (code, signal) {
+    var error;
+
+    if (stopped) {
+      return;
+    }
+
+    stopped = true;
+    error = new Error(util.format(
+      'Local container for %s exited with code %s, signal %s.',
+      component.name,
+      code,
+      signal
+    ));
+
+    callback(error);
+    _.each(pendingInvocations, function (invocationCallback) {
+      invocationCallback(error);
+    });
+    pendingInvocations = {};
+  });
+
+  child.send({
+    type: 'load',
+    packageDir: path.join(
+      common.getApplicationBuildDirectory(config),
+      component.name
+    ),
+    component: {
+      name: component.name,
+      lambda: {
+        handler: component.lambda.handler,
+        timeout: component.lambda.timeout
+      }
+    },
+    clientMethods: _.mapValues(awsClients, function (client) {
+      return _.functions(client);
+    })
+  });
+};
+
+/**
+ * Run a built application locally until the coordinators stop.
+ *
+ * The options are:
+ *
+ * {
+ *   // How many generations each chain of coordinators runs before it stops.
+ *   // In the scheduled coordinator mode, how many times the schedule fires,
+ *   // counting the initial start of the application.
+ *   generations: 3,
+ *   // Data to place into component queues before starting the application.
+ *   messages: {
+ *     componentName: [data, ...]
+ *   },
+ *   // Values for the secrets declared by components, indexed by SSM
+ *   // parameter name or by base64 KMS ciphertext.
+ *   secrets: {
+ *     '/path/to/parameter': 'value'
+ *   }
+ * }
+ *
+ * The results are of the form:
+ *
+ * {
+ *   arnMap: {},
+ *   // Every completed invocation, in order of completion. Events sent by
+ *   // other components are taken out of their envelopes, and the envelope
+ *   // metadata included.
+ *   invocations: [
+ *     {
+ *       name: 'componentName',
+ *       event: {},
+ *       envelope: undefined,
+ *       error: undefined,
+ *       result: {}
+ *     },
+ *     ...
+ *   ],
+ *   // Metric data published by the coordinators, each item including its
+ *   // namespace.
+ *   metricData: [
+ *     { Namespace: 'LambdaComplex', MetricName: 'Concurrency', ... },
+ *     ...
+ *   ],
+ *   // Messages left in component queues when the application stopped.
+ *   queuedMessageCounts: {
+ *     componentName: 0
+ *   },
+ *   // Messages moved to dead letter queues, for components that have them.
+ *   deadLetterQueuedMessageCounts: {
+ *     componentName: 0
+ *   }
+ * }
+ *
+ * @param {Object} config The application configuration.
+ * @param {Object} options Options for the run.
+ * @param {Function} callback Of the form function (error, results).
+ */
+exports.run = function (config, options, callback) {
+  options = _.defaults({}, options, {
+    generations: 3,
+    messages: {},
+    secrets: {}
+  });
+
+  var arnMap = exports.getArnMap(config);
+  var components = common.getAllComponents(config);
+  var componentsByArn = {};
+  var containers = {};
+  var queues = {};
+  var pendingCount = 0;
+  var scheduleCount = 0;
+  var results = {
+    arnMap: arnMap,
+    invocations: [],
+    metricData: [],
+    queuedMessageCounts: {},
+    deadLetterQueuedMessageCounts: {}
+  };
+
+  var queueUrls = _.chain(arnMap).filter(function (arn) {
+    return arn.indexOf('arn:aws:sqs:') === 0;
+  }).map(utilities.sqsUrlFromArn).value();
+
+  var redrivePolicies = {};
+
+  _.each(common.getEventFromMessageComponents(config), function (component) {
+    if (!component.deadLetter) {
+      return;
+    }
+
+    redrivePolicies[utilities.getQueueUrl(component.name, arnMap)] = {
+      deadLetterQueueUrl: utilities.getDeadLetterQueueUrl(component.name, arnMap),
+      maxReceiveCount: component.maxReceiveCount || constants.DEFAULT_MAX_RECEIVE_COUNT
+    };
+  });
+
+  var sqsClient = clients.createSqsClient(queueUrls, redrivePolicies);
+  var s3Client = clients.createS3Client();
+  var cloudWatchClient = clients.createCloudWatchClient();
+  var awsClients = {
+    cloudWatchClient: cloudWatchClient,
+    dynamoDbClient: clients.createDynamoDbClient(),
+    kmsClient: clients.createKmsClient(options.secrets),
+    lambdaClient: clients.createLambdaClient(invoke),
+    s3Client: s3Client,
+    sqsClient: sqsClient,
+    ssmClient: clients.createSsmClient(options.secrets)
+  };
+
+  callback = _.once(callback);
+
+  /**
+   * Stop the local containers and call back with an error.
+   *
+   * @param {Error} error The error.
+   */
+  function fail (error) {
+    _.invoke(containers, 'stop');
+    callback(error);
+  }
+
+  /**
+   * Wrap up when nothing remains to be run.
+   */
+  function finish () {
+    _.invoke(containers, 'stop');
+
+    results.metricData = cloudWatchClient.metricData;
+
+    _.each(common.getEventFromMessageComponents(config), function (component) {
+      var queue = sqsClient.queues[utilities.getQueueUrl(component.name, arnMap)];
+      results.queuedMessageCounts[component.name] = queue.length;
+
+      if (component.deadLetter) {
+        queue = sqsClient.queues[utilities.getDeadLetterQueueUrl(component.name, arnMap)];
+        results.deadLetterQueuedMessageCounts[component.name] = queue.length;
+      }
+    });
+
+    callback(null, results);
+  }
+
+  /**
+   * Invoke the coordinators, as deployment does to start the application, or
+   * as the schedule does in the scheduled coordinator mode.
+   *
+   * @param {Object} event The event.
+   * @param {Function} invokeCallback Of the form function (error).
+   */
+  function invokeCoordinators (event, invokeCallback) {
+    scheduleCount++;
+
+    async.times(config.coordinator.coordinatorConcurrency, function (index, asyncCallback) {
+      invoke(
+        utilities.getLambdaFunctionArn(constants.coordinator.NAME, arnMap),
+        _.clone(event),
+        asyncCallback
+      );
+    }, function (error) {
+      invokeCallback(error);
+    });
+  }
+
+  /**
+   * Queue an invocation of a component Lambda function to run in its
+   * container.
+   *
+   * @param {String} arn The Lambda function ARN.
+   * @param {Object} event The event.
+   * @param {Function} invokeCallback Of the form function (error), called once
+   *   the invocation is queued rather than when it completes.
+   */
+  function invoke (arn, event, invokeCallback) {
+    var component = componentsByArn[arn];
+
+    if (!component) {
+      return invokeCallback(new Error(util.format(
+        'No local Lambda function for ARN: %s',
+        arn
+      )));
+    }
+
+    // Stop the coordinators once they reach the generation limit. The
+    // coordinator increments the generation when it starts, so this is the
+    // count it has already reached.
+    if (
+      component.name === constants.coordinator.NAME &&
+      event.generation >= options.generations
+    ) {
+      return invokeCallback();
+    }
+
+    pendingCount++;
+
+    queues[component.name].push(event, function (error, result) {
+      var opened = utilities.openEnvelope(event);
+
+      results.invocations.push({
+        name: component.name,
+        event: opened.data,
+        envelope: opened.metadata,
+        error: error,
+        result: result
+      });
+
+      pendingCount--;
+
+      if (pendingCount) {
+        return;
+      }
+
+      // Scheduled coordinators don't invoke their successors, so stand in for
+      // the schedule once everything else is done.
+      if (
+        config.coordinator.mode === constants.coordinatorMode.SCHEDULED &&
+        scheduleCount < options.generations
+      ) {
+        return invokeCoordinators({
+          scheduled: true
+        }, function (invokeError) {
+          if (invokeError) {
+            fail(invokeError);
+          }
+        });
+      }
+
+      finish();
+    });
+
+    invokeCallback();
+  }
+
+  async.series({
+    // Start a container for each component, and a queue for the invocations
+    // that run in it.
+    startContainers: function (asyncCallback) {
+      async.eachSeries(components, function (component, innerAsyncCallback) {
+        var concurrency = 1;
+
+        if (component.type === constants.componentType.INTERNAL) {
+          concurrency = Infinity;
+        }
+
+        componentsByArn[
+          utilities.getLambdaFunctionArn(component.name, arnMap)
+        ] = component;
+
+        exports.startContainer(component, config, awsClients, function (error, container) {
+          if (error) {
+            return innerAsyncCallback(error);
+          }
+
+          containers[component.name] = container;
+          queues[component.name] = async.queue(container.invoke, concurrency);
+          innerAsyncCallback();
+        });
+      }, asyncCallback);
+    },
+
+    // The application loads this on every invocation.
+    uploadArnMap: function (asyncCallback) {
+      s3Client.putObject({
+        Body: JSON.stringify(arnMap),
+        Bucket: config.deployment.s3Bucket,
+        Key: utilities.getArnMapS3Key(config)
+      }, asyncCallback);
+    },
+
+    // Add the provided data to component queues.
+    sendMessages: function (asyncCallback) {
+      var sends = [];
+
+      _.each(options.messages, function (dataArray, name) {
+        var queueUrl = utilities.getQueueUrl(name, arnMap);
+
+        if (!queueUrl) {
+          sends.push(function (innerAsyncCallback) {
+            innerAsyncCallback(new Error(util.format(
+              'No queue for component: %s',
+              name
+            )));
+          });
+        }
+
+        _.each(dataArray, function (data) {
+          sends.push(function (innerAsyncCallback) {
+            sqsClient.sendMessage({
+              QueueUrl: queueUrl,
+              MessageBody: JSON.stringify(data)
+            }, innerAsyncCallback);
+          });
+        });
+      });
+
+      async.series(sends, asyncCallback);
+    },
+
+    // Start the application as deployment would.
+    startCoordinators: function (asyncCallback) {
+      invokeCoordinators({}, asyncCallback);
+    }
+  }, function (error) {
+    if (error) {
+      fail(error);
+    }
+  });
+};
@@ -11,13 +11,127 @@ exports.lambda = {
   MAX_MEMORY_SIZE: 1536,
   // In seconds.
   MIN_TIMEOUT: 3,
-  MAX_TIMEOUT: 300
+  MAX_TIMEOUT: 300,
+  // The Node.js runtimes that the wrapper and internal components support.
+  RUNTIMES: [
+    'nodejs18.x',
+    'nodejs20.x',
+    'nodejs22.x'
+  ],
+  DEFAULT_RUNTIME: 'nodejs22.x'
 };
 
+// Variables set in the environment of every Lambda function.
+exports.environment = {
+  // The deploy ID, which is kept out of the packages so that later deployments
+  // can reuse them unchanged.
+  DEPLOY_ID: 'LAMBDA_COMPLEX_DEPLOY_ID'
+};
+
+// Relating to SQS limits.
+exports.sqs = {
+  // The most messages that can be received in one request.
+  MAX_NUMBER_OF_MESSAGES: 10,
+  MIN_MAX_RECEIVE_COUNT: 1,
+  MAX_MAX_RECEIVE_COUNT: 1000,
+  // In seconds, how often the visibility of a message being processed is
+  // extended while its handler is running.
+  VISIBILITY_HEARTBEAT_INTERVAL: 30,
+  // In seconds, fourteen days.
+  MAX_MESSAGE_RETENTION_PERIOD: 1209600
+};
+
+// Used when a component has a dead letter queue but doesn't specify how many
+// times a message can be received before it is moved there.
+exports.DEFAULT_MAX_RECEIVE_COUNT = 5;
+
+// Used when an event from message component doesn't specify how many messages
+// each invocation of its Lambda function should receive.
+exports.DEFAULT_BATCH_SIZE = 1;
+
 exports.componentType = {
   INTERNAL: 'internal',
   EVENT_FROM_MESSAGE: 'eventFromMessage',
-  EVENT_FROM_INVOCATION: 'eventFromInvocation'
+  EVENT_FROM_INVOCATION: 'eventFromInvocation',
+  EVENT_FROM_S3: 'eventFromS3',
+  EVENT_FROM_SNS: 'eventFromSns',
+  EVENT_FROM_AGGREGATION: 'eventFromAggregation'
+};
+
+// Relating to event from aggregation components.
+exports.aggregation = {
+  // In seconds, how long the state of an aggregation is kept after it is
+  // started, or after it times out if there is a timeout. DynamoDB removes
+  // expired items.
+  RETENTION: 86400
+};
+
+// How coordinator instances are kept running.
+exports.concurrencyBackend = {
+  // A concurrency queue for each component, holding a message for each
+  // running invocation.
+  SQS: 'sqs',
+  // A DynamoDB table holding an item for each component, with an expiring
+  // lease for each running invocation.
+  DYNAMODB: 'dynamodb'
+};
+
+exports.coordinatorMode = {
+  // Each coordinator invokes its successor.
+  SELF_INVOKING: 'selfInvoking',
+  // A CloudWatch Events rule invokes coordinators at a fixed rate.
+  SCHEDULED: 'scheduled'
+};
+
+// The states an application can be placed in via the control file stored in
+// S3 alongside the ARN map.
+exports.applicationState = {
+  // The default, also assumed when there is no control file.
+  RUNNING: 'running',
+  // Coordinators continue to run, but invoke no application Lambda functions.
+  PAUSED: 'paused',
+  // Coordinators stop invoking their successors, and so the application halts.
+  SHUTDOWN: 'shutdown'
+};
+
+// The formats in which the graph of an application can be rendered.
+exports.graphFormat = {
+  DOT: 'dot',
+  JSON: 'json',
+  MERMAID: 'mermaid'
+};
+
+// CloudWatch custom metrics published by the coordinator for each component.
+exports.metrics = {
+  DEFAULT_NAMESPACE: 'LambdaComplex',
+  // The most metric data items that can be published in one request.
+  MAX_METRIC_DATA: 20,
+  // Metric names.
+  CONCURRENCY: 'Concurrency',
+  INVOCATIONS_LAUNCHED: 'InvocationsLaunched',
+  QUEUED_MESSAGES: 'QueuedMessages'
+};
+
+// CloudWatch alarms created from the monitoring configuration.
+exports.monitoring = {
+  // In seconds. CloudWatch alarm periods must be a multiple of 60.
+  MIN_PERIOD: 60,
+  DEFAULT_PERIOD: 300,
+  // In seconds, the age of the oldest message in a component queue above
+  // which the queue is considered stuck.
+  DEFAULT_MAX_MESSAGE_AGE: 300,
+  // The number of Lambda function errors in a period that raises an alarm.
+  DEFAULT_LAMBDA_ERROR_THRESHOLD: 1
+};
+
+// Relating to the optional Lambda layer holding the Lambda Complex runtime
+// files and shared NPM dependencies for all components.
+exports.layer = {
+  // Used for the build directory and zip file, alongside those of components.
+  NAME: 'lambdaComplexLayer',
+  // The runtime files are placed in this module, in the layer directory that
+  // Node.js runtimes search for modules: /opt/nodejs/node_modules.
+  MODULE_NAME: 'lambda-complex-runtime'
 };
 
 exports.coordinator = {
@@ -26,6 +140,8 @@ exports.coordinator = {
   MEMORY_SIZE: exports.lambda.MIN_MEMORY_SIZE,
   TIMEOUT: exports.lambda.MAX_TIMEOUT,
   ROLE: 'internalLambdaComplex',
+  // In minutes, for the scheduled mode.
+  DEFAULT_SCHEDULE_RATE: 1
 };
 // Useful to have a base component definition. Note that anything using this
 // on the deployment side of the house will have to do something useful with
@@ -6,10 +6,12 @@
  */
 
 // Core.
+var crypto = require('crypto');
 var path = require('path');
 var util = require('util');
 
-// AWS SDK is provided to all Lambda functions.
+// The build bundles the AWS SDK into every Lambda function package, or the
+// layer, as the Lambda runtimes no longer provide version 2.
 var AWS = require('aws-sdk');
 
 // ---------------------------------------------------------------------------
@@ -20,8 +22,12 @@ var AWS = require('aws-sdk');
 // obtained from the standard credentials file, environment variables, or
 // instance metadata.
 exports.lambdaClient = new AWS.Lambda();
+exports.cloudWatchClient = new AWS.CloudWatch();
+exports.dynamoDbClient = new AWS.DynamoDB();
+exports.kmsClient = new AWS.KMS();
 exports.s3Client = new AWS.S3();
 exports.sqsClient = new AWS.SQS();
+exports.ssmClient = new AWS.SSM();
 
 exports.retryLimit = 3;
 
@@ -129,6 +135,56 @@ exports.each = function (dataArray, fn, callback) {
   }
 };
 
+/**
+ * Run an asynchronous function on each item in an array, but with no more than
+ * the limit running at any one time.
+ *
+ * @param {Array} dataArray Array of items to pass to the function.
+ * @param {Number} limit The maximum number of concurrent runs.
+ * @param {Function} fn Of the form fn (data, callback).
+ * @param {Function} callback Of the form function (error).
+ */
+exports.eachLimit = function (dataArray, limit, fn, callback) {
+  var started = 0;
+  var completed = 0;
+  var calledBack = false;
+  var length = dataArray.length;
+
+  if (!length) {
+    return callback();
+  }
+
+  function innerCallback (error) {
+    if (calledBack) {
+      return;
+    }
+
+    completed++;
+
+    if (error) {
+      calledBack = true;
+      callback(error);
+    }
+    else if (completed === length) {
+      calledBack = true;
+      callback();
+    }
+    else if (started < length) {
+      startNext();
+    }
+  }
+
+  function startNext () {
+    var data = dataArray[started];
+    started++;
+    fn(data, innerCallback);
+  }
+
+  while (started < Math.min(limit, length)) {
+    startNext();
+  }
+};
+
 /**
  * Run a set of asyncronous functions in series. Each function must have the
  * form function (seriesCallback).
@@ -212,6 +268,33 @@ exports.getFullQueueName = function (name, config) {
   return config.name + '-' + config.deployId + '-' + exports.getQueueName(name);
 };
 
+/**
+ * Dead letter queues are deployed with names derived from the component name
+ * provided in the configuration.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The name.
+ */
+exports.getDeadLetterQueueName = function (name) {
+  return exports.capitalize(name) + 'DeadLetterQueue';
+};
+
+/**
+ * Dead letter queues are deployed with names derived from the component name
+ * provided in the configuration.
+ *
+ * As for other queues, the full name must include the uniqueness prefixes.
+ *
+ * @param {String} name Name of a component.
+ * @param {Object} config The application configuration.
+ * @return {String} The full name.
+ */
+exports.getFullDeadLetterQueueName = function (name, config) {
+  return config.name + '-' +
+    config.deployId + '-' +
+    exports.getDeadLetterQueueName(name);
+};
+
 /**
  * Queues are deployed with names derived from the component name provided in
  * the configuration.
@@ -242,6 +325,137 @@ exports.getFullConcurrencyQueueName = function (name, config) {
     exports.getConcurrencyQueueName(name);
 };
 
+/**
+ * The DynamoDB concurrency table is shared by all components, and is only
+ * deployed for applications that use the DynamoDB concurrency backend.
+ *
+ * This is the logical ID in the CloudFormation template.
+ *
+ * @return {String} The name.
+ */
+exports.getConcurrencyTableName = function () {
+  return 'ConcurrencyTable';
+};
+
+/**
+ * As for queues, the full table name must include the uniqueness prefixes.
+ *
+ * @param {Object} config The application configuration.
+ * @return {String} The full name.
+ */
+exports.getFullConcurrencyTableName = function (config) {
+  return config.name + '-' +
+    config.deployId + '-' +
+    exports.getConcurrencyTableName();
+};
+
+/**
+ * The DynamoDB aggregation table holds the results collected by all event from
+ * aggregation components, and is only deployed for applications that have
+ * them.
+ *
+ * This is the logical ID in the CloudFormation template.
+ *
+ * @return {String} The name.
+ */
+exports.getAggregationTableName = function () {
+  return 'AggregationTable';
+};
+
+/**
+ * As for queues, the full table name must include the uniqueness prefixes.
+ *
+ * @param {Object} config The application configuration.
+ * @return {String} The full name.
+ */
+exports.getFullAggregationTableName = function (config) {
+  return config.name + '-' +
+    config.deployId + '-' +
+    exports.getAggregationTableName();
+};
+
+/**
+ * Buckets for event from S3 components are deployed with names derived from
+ * the component name provided in the configuration.
+ *
+ * This is the logical ID in the CloudFormation template. The bucket name is
+ * generated by CloudFormation.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The name.
+ */
+exports.getBucketName = function (name) {
+  return exports.capitalize(name) + 'Bucket';
+};
+
+/**
+ * Topics for event from SNS components are deployed with names derived from
+ * the component name provided in the configuration.
+ *
+ * This is the logical ID in the CloudFormation template. The topic name is
+ * generated by CloudFormation.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The name.
+ */
+exports.getTopicName = function (name) {
+  return exports.capitalize(name) + 'Topic';
+};
+
+/**
+ * The permissions allowing S3 or SNS to invoke a component Lambda function are
+ * deployed with names derived from the component name.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The name.
+ */
+exports.getLambdaPermissionName = function (name) {
+  return exports.capitalize(name) + 'Permission';
+};
+
+/**
+ * The Lambda layer holding the Lambda Complex runtime, if the application uses
+ * one.
+ *
+ * This is the logical ID in the CloudFormation template.
+ *
+ * @return {String} The name.
+ */
+exports.getLayerName = function () {
+  return 'LambdaComplexLayer';
+};
+
+/**
+ * The SNS topic notified by CloudWatch alarms, if there is one.
+ *
+ * @return {String} The name.
+ */
+exports.getAlarmTopicName = function () {
+  return 'AlarmTopic';
+};
+
+/**
+ * The CloudWatch alarm for a backed up component queue is deployed with a
+ * name derived from the component name.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The name.
+ */
+exports.getQueueAlarmName = function (name) {
+  return exports.getQueueName(name) + 'Alarm';
+};
+
+/**
+ * The CloudWatch alarm for errors in a Lambda function is deployed with a name
+ * derived from the component name.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The name.
+ */
+exports.getLambdaErrorsAlarmName = function (name) {
+  return exports.getLambdaFunctionName(name) + 'ErrorsAlarm';
+};
+
 /**
  * Lambda functions are deployed with names derived from those provided in the
  * configuration.
@@ -280,6 +494,16 @@ exports.getQueueArnOutputName = function (name) {
   return exports.getQueueName(name) + 'Arn';
 };
 
+/**
+ * Obtain the name for the dead letter queue ARN output.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The full name.
+ */
+exports.getDeadLetterQueueArnOutputName = function (name) {
+  return exports.getDeadLetterQueueName(name) + 'Arn';
+};
+
 /**
  * Obtain the name for the concurrency queue ARN output.
  *
@@ -291,6 +515,24 @@ exports.getConcurrencyQueueArnOutputName = function (name) {
   return exports.getConcurrencyQueueName(name) + 'Arn';
 };
 
+/**
+ * Obtain the name for the concurrency table ARN output.
+ *
+ * @return {String} The full name.
+ */
+exports.getConcurrencyTableArnOutputName = function () {
+  return exports.getConcurrencyTableName() + 'Arn';
+};
+
+/**
+ * Obtain the name for the aggregation table ARN output.
+ *
+ * @return {String} The full name.
+ */
+exports.getAggregationTableArnOutputName = function () {
+  return exports.getAggregationTableName() + 'Arn';
+};
+
 /**
  * Obtain the name for the Lambda function ARN output.
  *
@@ -302,6 +544,35 @@ exports.getLambdaFunctionArnOutputName = function (name) {
   return exports.getLambdaFunctionName(name) + 'Arn';
 };
 
+/**
+ * Obtain the name for the bucket ARN output.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The full name.
+ */
+exports.getBucketArnOutputName = function (name) {
+  return exports.getBucketName(name) + 'Arn';
+};
+
+/**
+ * Obtain the name for the topic ARN output.
+ *
+ * @param {String} name Name of a component.
+ * @return {String} The full name.
+ */
+exports.getTopicArnOutputName = function (name) {
+  return exports.getTopicName(name) + 'Arn';
+};
+
+/**
+ * Obtain the name for the alarm topic ARN output.
+ *
+ * @return {String} The name.
+ */
+exports.getAlarmTopicArnOutputName = function () {
+  return exports.getAlarmTopicName() + 'Arn';
+};
+
 /**
  * Obtain the ARN for a queue.
  *
@@ -313,6 +584,17 @@ exports.getQueueArn = function (name, arnMap) {
   return arnMap[exports.getQueueArnOutputName(name)];
 };
 
+/**
+ * Obtain the ARN for a dead letter queue.
+ *
+ * @param {String} name Name of a component.
+ * @param {Object} arnMap The ARN map for a deployed application.
+ * @return {String} The queue ARN.
+ */
+exports.getDeadLetterQueueArn = function (name, arnMap) {
+  return arnMap[exports.getDeadLetterQueueArnOutputName(name)];
+};
+
 /**
  * Obtain the ARN for a queue.
  *
@@ -324,6 +606,50 @@ exports.getConcurrencyQueueArn = function (name, arnMap) {
   return arnMap[exports.getConcurrencyQueueArnOutputName(name)];
 };
 
+/**
+ * Obtain the ARN for the concurrency table, which is only present in the ARN
+ * map for applications that use the DynamoDB concurrency backend.
+ *
+ * @param {Object} arnMap The ARN map for a deployed application.
+ * @return {String} The table ARN.
+ */
+exports.getConcurrencyTableArn = function (arnMap) {
+  return arnMap[exports.getConcurrencyTableArnOutputName()];
+};
+
+/**
+ * Obtain the ARN for the aggregation table, which is only present in the ARN
+ * map for applications with event from aggregation components.
+ *
+ * @param {Object} arnMap The ARN map for a deployed application.
+ * @return {String} The table ARN.
+ */
+exports.getAggregationTableArn = function (arnMap) {
+  return arnMap[exports.getAggregationTableArnOutputName()];
+};
+
+/**
+ * Obtain the ARN for the bucket of an event from S3 component.
+ *
+ * @param {String} name Name of a component.
+ * @param {Object} arnMap The ARN map for a deployed application.
+ * @return {String} The bucket ARN.
+ */
+exports.getBucketArn = function (name, arnMap) {
+  return arnMap[exports.getBucketArnOutputName(name)];
+};
+
+/**
+ * Obtain the ARN for the topic of an event from SNS component.
+ *
+ * @param {String} name Name of a component.
+ * @param {Object} arnMap The ARN map for a deployed application.
+ * @return {String} The topic ARN.
+ */
+exports.getTopicArn = function (name, arnMap) {
+  return arnMap[exports.getTopicArnOutputName(name)];
+};
+
 /**
  * Given an SQS ARN, convert it to an SQS URL.
  *
@@ -364,6 +690,20 @@ exports.getQueueUrl = function (name, arnMap) {
   );
 };
 
+/**
+ * Given the name for a message from queue type component with a dead letter
+ * queue, get the full dead letter queue URL.
+ *
+ * @param {String} name Name of a component.
+ * @param {Object} arnMap The ARN map for a deployed application.
+ * @return {String} The full queue URL, suitable for use with the API.
+ */
+exports.getDeadLetterQueueUrl = function (name, arnMap) {
+  return exports.sqsUrlFromArn(
+    exports.getDeadLetterQueueArn(name, arnMap)
+  );
+};
+
 /**
  * Given a component name from configuration, get the full concurrency queue
  * URL.
@@ -378,6 +718,21 @@ exports.getConcurrencyQueueUrl = function (name, arnMap) {
   );
 };
 
+/**
+ * Given a DynamoDB table ARN, obtain the table name.
+ *
+ * @param {String} arn The ARN.
+ * @return {String} The table name.
+ */
+exports.dynamoDbTableNameFromArn = function (arn) {
+  if (!arn) {
+    return undefined;
+  }
+
+  // Should be: 'arn:aws:dynamodb:us-east-1:444555666777:table/tablename'.
+  return arn.split(':table/')[1];
+};
+
 /**
  * Obtain the ARN for a Lambda function.
  *
@@ -419,21 +774,147 @@ exports.getFunctionNameFromHandle = function (handle) {
   return handle.split(/\./).pop();
 };
 
+// --------------------------------------------------------------------------
+// Environment.
+// --------------------------------------------------------------------------
+
+/**
+ * Obtain the environment variables for a component: those of the application
+ * overridden by those of the component.
+ *
+ * @param {Object} component The component definition.
+ * @param {Object} config The application configuration.
+ * @return {Object} The environment variables, possibly empty.
+ */
+exports.getComponentEnvironment = function (component, config) {
+  var environment = {};
+
+  [config.environment, component.environment].forEach(function (source) {
+    Object.keys(source || {}).forEach(function (key) {
+      environment[key] = source[key];
+    });
+  });
+
+  return environment;
+};
+
 // ---------------------------------------------------------------------------
-// AWS API Lambda functions.
+// Envelopes.
 // ---------------------------------------------------------------------------
 
+// Data sent from one component to another, whether by queue message or direct
+// invocation, is wrapped in a versioned envelope that carries metadata along
+// with it without altering the data:
+//
+// {
+//   lambdaComplexEnvelope: 1,
+//   // The name of the component that sent the data.
+//   source: 'componentName',
+//   // When the data was sent, in milliseconds since the epoch.
+//   timestamp: 1445000000000,
+//   // Which attempt at sending this was. Anything greater than 1 means that an
+//   // earlier attempt may also have been delivered.
+//   attempt: 1,
+//   // Identifies the item of data as it passes from component to component.
+//   traceId: 'traceId',
+//   // The deployment of the application that sent the data.
+//   deployId: 'deployId',
+//   data: data
+// }
+//
+// The version is only incremented for changes that older code can't ignore.
+
+// The property holding the envelope version, which also marks it as an
+// envelope.
+var ENVELOPE_PROPERTY = 'lambdaComplexEnvelope';
+var ENVELOPE_VERSION = 1;
+
 /**
- * Invoke a Lambda function instance.
+ * Generate a new trace ID.
  *
- * @param {String} arn A Lambda function ARN.
- * @param {Mixed} payload Data to be passed to the invoked lambda function.
- * @param {Function} callback Of the form function (error).
+ * @return {String} The trace ID.
  */
-exports.invoke = function (arn, payload, callback) {
-  var params = {
-    FunctionName: arn,
-    // 'Event' means asynchronous execution, so the API request will return
+exports.generateTraceId = function () {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+/**
+ * Wrap data to be sent to another component in an envelope.
+ *
+ * @param {Mixed} data The data.
+ * @param {Object} metadata Of the form {source: 'componentName', traceId:
+ *   'traceId', deployId: 'deployId'}.
+ * @param {Number} attempt Which attempt at sending this is, starting at 1.
+ * @return {Object} The envelope.
+ */
+exports.createEnvelope = function (data, metadata, attempt) {
+  var envelope = {};
+
+  envelope[ENVELOPE_PROPERTY] = ENVELOPE_VERSION;
+  envelope.source = metadata.source;
+  envelope.timestamp = Date.now();
+  envelope.attempt = attempt;
+  envelope.traceId = metadata.traceId;
+  envelope.deployId = metadata.deployId;
+  envelope.data = data;
+
+  return envelope;
+};
+
+/**
+ * Open an envelope, if the value is one. Anything else, such as events sent
+ * by the coordinator or data from producers outside the application, is
+ * passed through as it is, with no metadata.
+ *
+ * @param {Mixed} value A parsed message body or invocation event.
+ * @return {Object} Of the form {data: data, metadata: {...}}, where the
+ *   metadata is the envelope without the data, or undefined.
+ */
+exports.openEnvelope = function (value) {
+  var metadata;
+
+  if (
+    !value ||
+    typeof value !== 'object' ||
+    typeof value[ENVELOPE_PROPERTY] !== 'number' ||
+    !value.hasOwnProperty('data')
+  ) {
+    return {
+      data: value,
+      metadata: undefined
+    };
+  }
+
+  metadata = {
+    version: value[ENVELOPE_PROPERTY],
+    source: value.source,
+    timestamp: value.timestamp,
+    attempt: value.attempt,
+    traceId: value.traceId,
+    deployId: value.deployId
+  };
+
+  return {
+    data: value.data,
+    metadata: metadata
+  };
+};
+
+// ---------------------------------------------------------------------------
+// AWS API Lambda functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Invoke a Lambda function instance.
+ *
+ * @param {String} arn A Lambda function ARN.
+ * @param {Mixed} payload Data to be passed to the invoked lambda function.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.invoke = function (arn, payload, callback) {
+  var params = {
+    FunctionName: arn,
+    // 'Event' means asynchronous execution, so the API request will return
     // immediately.
     InvocationType: 'Event',
     // LogType must be "None" for asynchronous execution.
@@ -457,21 +938,29 @@ exports.invoke = function (arn, payload, callback) {
 /**
  * Send a message to a queue.
  *
+ * If metadata is provided, the payload is sent in an envelope.
+ *
  * @param {String} queueUrl The queue URL.
  * @param {Mixed} payload Data to be passed to the invoked lambda function.
+ * @param {Object|undefined} metadata Envelope metadata, of the form {source:
+ *   'componentName', traceId: 'traceId', deployId: 'deployId'}.
  * @param {Function} callback Of the form function (error).
  */
-exports.sendMessage = function (queueUrl, payload, callback) {
-  var params = {
-    QueueUrl: queueUrl,
-    MessageBody: JSON.stringify(payload)
-  };
+exports.sendMessage = function (queueUrl, payload, metadata, callback) {
+  var attempt = 0;
 
   exports.retry(
     function (retryCallback) {
-      exports.sqsClient.sendMessage(params, retryCallback);
+      attempt++;
+
+      exports.sqsClient.sendMessage({
+        QueueUrl: queueUrl,
+        MessageBody: JSON.stringify(
+          metadata ? exports.createEnvelope(payload, metadata, attempt) : payload
+        )
+      }, retryCallback);
     },
-    util.format('Error sending to queue %s, retrying.', params.queueUrl),
+    util.format('Error sending to queue %s, retrying.', queueUrl),
     callback
   );
 };
@@ -495,6 +984,94 @@ exports.deleteMessage = function (queueUrl, receiptHandle, callback) {
   exports.sqsClient.deleteMessage(params, callback);
 };
 
+/**
+ * Change the visibility timeout of a received message, hiding it from other
+ * consumers for the specified time from now.
+ *
+ * @param {String} queueUrl The queue URL.
+ * @param {String} receiptHandle The unique receipt handle provided when the
+ *   message was received.
+ * @param {Number} visibilityTimeout In seconds.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.changeMessageVisibility = function (queueUrl, receiptHandle, visibilityTimeout, callback) {
+  var params = {
+    QueueUrl: queueUrl,
+    ReceiptHandle: receiptHandle,
+    VisibilityTimeout: visibilityTimeout
+  };
+
+  // Don't retry this. It will be tried again on the next heartbeat.
+  exports.sqsClient.changeMessageVisibility(params, callback);
+};
+
+/**
+ * Obtain the number of times that a received message has been received,
+ * including this time.
+ *
+ * @param {Object} message The message as returned by the SQS API.
+ * @return {Number|undefined} The count, if known.
+ */
+function getReceiveCount (message) {
+  if (!message.Attributes || !message.Attributes.ApproximateReceiveCount) {
+    return undefined;
+  }
+
+  return parseInt(message.Attributes.ApproximateReceiveCount, 10);
+}
+
+/**
+ * Receive up to the specified number of messages from the queue.
+ *
+ * The response is an array of the form:
+ *
+ * [
+ *   {
+ *     message: 'json string',
+ *     receiptHandle: receiptHandleObj,
+ *     receiveCount: 1
+ *   },
+ *   ...
+ * ]
+ *
+ * If there are no messages, the array is empty.
+ *
+ * @param {String} queueUrl The queue URL.
+ * @param {Number} maxNumberOfMessages The most messages to receive, from 1 to
+ *   10.
+ * @param {String} visibilityTimeout How long to wait before making the messages
+ *   visible again. This should be the same as the Lambda function timeout for
+ *   the associated component.
+ * @param {Number} waitTime How long to wait for a message, in seconds.
+ * @param {Function} callback Of the form function (error, messages).
+ */
+exports.receiveMessages = function (queueUrl, maxNumberOfMessages, visibilityTimeout, waitTime, callback) {
+  var params = {
+    QueueUrl: queueUrl,
+    MaxNumberOfMessages: maxNumberOfMessages,
+    AttributeNames: ['ApproximateReceiveCount'],
+    // The same as the maximum life span of the related component Lambda
+    // function; release a message back to another processor after this timeout.
+    VisibilityTimeout: visibilityTimeout,
+    // How long to wait for a message to turn up.
+    WaitTimeSeconds: waitTime
+  };
+
+  exports.sqsClient.receiveMessage(params, function (error, result) {
+    if (error) {
+      return callback(error);
+    }
+
+    callback(undefined, ((result && result.Messages) || []).map(function (message) {
+      return {
+        message: message.Body,
+        receiptHandle: message.ReceiptHandle,
+        receiveCount: getReceiveCount(message)
+      };
+    }));
+  });
+};
+
 /**
  * Receive a single message from the queue.
  *
@@ -502,7 +1079,8 @@ exports.deleteMessage = function (queueUrl, receiptHandle, callback) {
  *
  * {
  *   message: 'json string',
- *   receiptHandle: receiptHandleObj
+ *   receiptHandle: receiptHandleObj,
+ *   receiveCount: 1
  * }
  *
  * If there is no message, the message object is undefined.
@@ -519,6 +1097,7 @@ exports.receiveMessage = function (queueUrl, visibilityTimeout, waitTime, callba
     QueueUrl: queueUrl,
     // Only retrieve one message.
     MaxNumberOfMessages: 1,
+    AttributeNames: ['ApproximateReceiveCount'],
     // The same as the maximum life span of the related component Lambda
     // function; release a message back to another processor after this timeout.
     VisibilityTimeout: visibilityTimeout,
@@ -538,7 +1117,8 @@ exports.receiveMessage = function (queueUrl, visibilityTimeout, waitTime, callba
 
     callback(undefined, {
       message: result.Messages[0].Body,
-      receiptHandle: result.Messages[0].ReceiptHandle
+      receiptHandle: result.Messages[0].ReceiptHandle,
+      receiveCount: getReceiveCount(result.Messages[0])
     });
   });
 };
@@ -595,50 +1175,421 @@ exports.getQueueMessageCount = function (queueUrl, callback) {
 };
 
 // ---------------------------------------------------------------------------
-// Concurrency Tracking, currently SQS-based.
+// Concurrency Tracking.
 // ---------------------------------------------------------------------------
 
 // The standard issue metrics available for Lambda functions via CloudWatch
-// don't do concurrency, just invocation counts per unit time. An acceptable
-// stand-in is the use of SQS queues: add a message when starting a function,
-// then delete one when finishing. There is still a limitation here in that
-// the minimum expiration time on messages is 60 seconds, so in the case where
-// decrementing fails you have an incorrectly high number of messages.
+// don't do concurrency, just invocation counts per unit time, so concurrency
+// is tracked by the application. There are two backends for this.
 //
-// This is borderline acceptable, given that most errors can be intercepted
-// and the necessary clean up activities undertaken, including decrementing
-// the concurrency count.
+// The default uses SQS queues: add a message when starting a function, then
+// delete one when finishing. There is a limitation here in that the minimum
+// expiration time on messages is 60 seconds, so in the case where decrementing
+// fails you have an incorrectly high number of messages. Polling a concurrency
+// queue in the SQS console also makes messages unavailable for decrement.
 //
-// There are numerous other ways to run a concurrency count within AWS, such as
-// by using ElastiCache Redis, or S3 files, but SQS queues seems to be the most
-// cost-effective and easiest to hook into monitoring.
+// The alternative uses a DynamoDB table with an item per component, holding a
+// lease for each running invocation. Leases are added by an update that is
+// conditional on the version of the item as read, and only while there are
+// fewer than maxConcurrency of them, so that limit is enforced strictly rather
+// than approximately. A lease expires once its invocation must have ended, so
+// that one never released, by an invocation that timed out or crashed, is
+// only counted for as long as it would have been in the SQS backend.
+//
+// Which backend is in use is determined by the ARN map: the concurrency table
+// only exists for applications that use DynamoDB.
+
+// The DynamoDB error code for a failed condition on an update.
+var CONDITIONAL_CHECK_FAILED = 'ConditionalCheckFailedException';
+
+// In milliseconds, how long a lease outlasts the Lambda function timeout, to
+// allow for differences between clocks.
+var CONCURRENCY_LEASE_MARGIN = 10000;
+
+// How many times to read and try to add a lease when losing races with other
+// invocations for the same component.
+var MAX_CONCURRENCY_LEASE_ATTEMPTS = 10;
+
+/**
+ * Obtain the key of the DynamoDB concurrency item for a component.
+ *
+ * @param {Object} component Component definition.
+ * @return {Object} The key.
+ */
+function getConcurrencyItemKey (component) {
+  return {
+    name: {
+      S: component.name
+    }
+  };
+}
+
+/**
+ * Obtain the leases of a DynamoDB concurrency item that have yet to expire.
+ *
+ * @param {Object} [item] The item, if there is one.
+ * @param {Number} now The current timestamp.
+ * @return {Object} Lease expiry timestamp attributes indexed by lease ID.
+ */
+function getLiveConcurrencyLeases (item, now) {
+  var leases = (item && item.leases && item.leases.M) || {};
+  var live = {};
+
+  Object.keys(leases).forEach(function (leaseId) {
+    if (Number(leases[leaseId].N) > now) {
+      live[leaseId] = leases[leaseId];
+    }
+  });
+
+  return live;
+}
+
+/**
+ * Backends share an interface of the form:
+ *
+ * {
+ *   increment: function (component, arnMap, callback) {},
+ *   decrement: function (component, arnMap, lease, callback) {},
+ *   getCount: function (component, arnMap, callback) {}
+ * }
+ *
+ * Where increment calls back with an error and a lease, which is passed to
+ * decrement and may be undefined, decrement calls back with an error, and
+ * getCount with an error and a count.
+ */
+exports.concurrencyBackends = {};
+
+exports.concurrencyBackends.sqs = {
+  increment: function (component, arnMap, callback) {
+    // The actual contents of the message sent don't matter.
+    var payload = {};
+
+    // Important enough to wrap in a retry. Failure is annoying.
+    exports.retry(
+      function (retryCallback) {
+        exports.sendMessage(
+          exports.getConcurrencyQueueUrl(component.name, arnMap),
+          payload,
+          undefined,
+          retryCallback
+        );
+      },
+      util.format(
+        'Increment concurrency failed for %s. Retrying.',
+        component.name
+      ),
+      function (error) {
+        // There is no lease; any message will do for the decrement.
+        callback(error);
+      }
+    );
+  },
+
+  decrement: function (component, arnMap, lease, callback) {
+    var queueUrl = exports.getConcurrencyQueueUrl(component.name, arnMap);
+    // This has to be some number large enough to cover the length of time
+    // taken to receive and then delete the message. If it were too low (e.g. 0)
+    // then deleteMessage would fail intermittently, but still return success
+    // codes.
+    var visibilityTimeout = component.lambda.timeout;
+    var failureMessage = util.format(
+      'Decrement concurrency failed for %s. Retrying.',
+      component.name
+    );
+
+    // Important enough to wrap the pieces in retry flows. Failure is annoying.
+    exports.retry(
+      function (retryCallback) {
+        exports.receiveMessage(
+          queueUrl,
+          visibilityTimeout,
+          component.queueWaitTime,
+          retryCallback
+        );
+      },
+      failureMessage,
+      function (error, result) {
+        if (error) {
+          return callback(error);
+        }
+
+        // No message? This is probably some sort of error, but if you are
+        // poking around in the SQS interface and polling queues for messages
+        // that will tend to make messages unavailable for decrement.
+        if (!result) {
+          return callback(new Error(
+            'No visible concurrency queue message to delete.'
+          ));
+        }
+
+        exports.retry(
+          function (retryCallback) {
+            exports.deleteMessage(queueUrl, result.receiptHandle, retryCallback);
+          },
+          failureMessage,
+          callback
+        );
+      }
+    );
+  },
+
+  getCount: function (component, arnMap, callback) {
+    exports.getQueueMessageCount(
+      exports.getConcurrencyQueueUrl(component.name, arnMap),
+      callback
+    );
+  }
+};
+
+exports.concurrencyBackends.dynamodb = {
+  increment: function (component, arnMap, callback) {
+    var tableName = exports.dynamoDbTableNameFromArn(
+      exports.getConcurrencyTableArn(arnMap)
+    );
+    var leaseId = crypto.randomBytes(16).toString('hex');
+    var failureMessage = util.format(
+      'Increment concurrency failed for %s. Retrying.',
+      component.name
+    );
+    var attempts = 0;
+    var atMaxConcurrency = false;
+    var leased = false;
+
+    // Read the leases, then write them back with the new lease added,
+    // conditional on the version read. Losing a race to another invocation
+    // means starting over with a fresh read.
+    function attemptLease (attemptCallback) {
+      attempts++;
+
+      exports.retry(
+        function (retryCallback) {
+          exports.dynamoDbClient.getItem({
+            TableName: tableName,
+            Key: getConcurrencyItemKey(component),
+            ConsistentRead: true
+          }, retryCallback);
+        },
+        failureMessage,
+        function (error, result) {
+          if (error) {
+            return attemptCallback(error);
+          }
+
+          var item = result && result.Item;
+          var now = Date.now();
+          var leases = getLiveConcurrencyLeases(item, now);
+          var params;
+
+          // An earlier write of this lease succeeded but reported failure.
+          if (leases[leaseId]) {
+            leased = true;
+            return attemptCallback();
+          }
+
+          if (
+            typeof component.maxConcurrency === 'number' &&
+            Object.keys(leases).length >= component.maxConcurrency
+          ) {
+            atMaxConcurrency = true;
+            return attemptCallback();
+          }
+
+          // An invocation can't outlast the Lambda function timeout.
+          leases[leaseId] = {
+            N: '' + (
+              now + component.lambda.timeout * 1000 + CONCURRENCY_LEASE_MARGIN
+            )
+          };
+
+          params = {
+            TableName: tableName,
+            Key: getConcurrencyItemKey(component),
+            UpdateExpression: 'SET #leases = :leases, #version = :version',
+            ExpressionAttributeNames: {
+              '#leases': 'leases',
+              '#version': 'version'
+            },
+            ExpressionAttributeValues: {
+              ':leases': {
+                M: leases
+              },
+              ':version': {
+                N: '' + ((item && item.version ? Number(item.version.N) : 0) + 1)
+              }
+            }
+          };
+
+          if (item && item.version) {
+            params.ConditionExpression = '#version = :priorVersion';
+            params.ExpressionAttributeValues[':priorVersion'] = item.version;
+          }
+          else {
+            params.ConditionExpression = 'attribute_not_exists(#version)';
+          }
+
+          exports.retry(
+            function (retryCallback) {
+              exports.dynamoDbClient.updateItem(params, function (updateError) {
+                // Not a failure of the request, so there is no point in
+                // retrying.
+                if (updateError && updateError.code === CONDITIONAL_CHECK_FAILED) {
+                  return retryCallback(undefined, false);
+                }
+
+                retryCallback(updateError, !updateError);
+              });
+            },
+            failureMessage,
+            function (updateError, updated) {
+              leased = !!updated;
+              attemptCallback(updateError);
+            }
+          );
+        }
+      );
+    }
+
+    function onAttempt (error) {
+      if (error) {
+        return callback(error);
+      }
+
+      if (atMaxConcurrency) {
+        error = new Error(util.format(
+          'Component %s is already at its maxConcurrency of %s.',
+          component.name,
+          component.maxConcurrency
+        ));
+        error.maxConcurrencyReached = true;
+        return callback(error);
+      }
+
+      if (leased) {
+        return callback(undefined, leaseId);
+      }
+
+      if (attempts < MAX_CONCURRENCY_LEASE_ATTEMPTS) {
+        return attemptLease(onAttempt);
+      }
+
+      callback(new Error(util.format(
+        'Failed to obtain a concurrency lease for %s after %s attempts.',
+        component.name,
+        attempts
+      )));
+    }
+
+    attemptLease(onAttempt);
+  },
+
+  decrement: function (component, arnMap, lease, callback) {
+    if (!lease) {
+      return callback(new Error(util.format(
+        'No concurrency lease to release for %s.',
+        component.name
+      )));
+    }
+
+    var params = {
+      TableName: exports.dynamoDbTableNameFromArn(
+        exports.getConcurrencyTableArn(arnMap)
+      ),
+      Key: getConcurrencyItemKey(component),
+      // Changing the version makes any increment that read the lease start
+      // over rather than write it back.
+      UpdateExpression: 'REMOVE #leases.#lease ADD #version :one',
+      ConditionExpression: 'attribute_exists(#leases)',
+      ExpressionAttributeNames: {
+        '#leases': 'leases',
+        '#lease': lease,
+        '#version': 'version'
+      },
+      ExpressionAttributeValues: {
+        ':one': {
+          N: '1'
+        }
+      }
+    };
+
+    exports.retry(
+      function (retryCallback) {
+        exports.dynamoDbClient.updateItem(params, function (error) {
+          if (error && error.code === CONDITIONAL_CHECK_FAILED) {
+            return retryCallback(undefined, true);
+          }
+
+          retryCallback(error);
+        });
+      },
+      util.format(
+        'Decrement concurrency failed for %s. Retrying.',
+        component.name
+      ),
+      function (error, missing) {
+        if (error) {
+          return callback(error);
+        }
+
+        if (missing) {
+          return callback(new Error(util.format(
+            'No concurrency leases to release for %s.',
+            component.name
+          )));
+        }
+
+        callback();
+      }
+    );
+  },
+
+  getCount: function (component, arnMap, callback) {
+    exports.dynamoDbClient.getItem({
+      TableName: exports.dynamoDbTableNameFromArn(
+        exports.getConcurrencyTableArn(arnMap)
+      ),
+      Key: getConcurrencyItemKey(component),
+      ConsistentRead: true
+    }, function (error, result) {
+      if (error) {
+        return callback(error);
+      }
+
+      // No item means that the component has never been invoked.
+      callback(undefined, Object.keys(getLiveConcurrencyLeases(
+        result && result.Item,
+        Date.now()
+      )).length);
+    });
+  }
+};
+
+/**
+ * Obtain the concurrency backend used by the application.
+ *
+ * @param {Object} arnMap The ARN map.
+ * @return {Object} The backend.
+ */
+exports.getConcurrencyBackend = function (arnMap) {
+  if (exports.getConcurrencyTableArn(arnMap)) {
+    return exports.concurrencyBackends.dynamodb;
+  }
+
+  return exports.concurrencyBackends.sqs;
+};
 
 /**
  * Increment the concurrency tracking for this component.
  *
+ * With the DynamoDB backend, this fails with an error that has the property
+ * maxConcurrencyReached set if the component is already at its maxConcurrency.
+ *
  * @param {String} component Component definition.
  * @param {String} arnMap The ARN map.
- * @param {Function} callback Of the form function (error).
+ * @param {Function} callback Of the form function (error, lease), where the
+ *   lease is to be passed to decrementConcurrencyCount, and may be undefined.
  */
 exports.incrementConcurrencyCount = function (component, arnMap, callback) {
-  // The actual contents of the message sent don't matter.
-  var payload = {};
-
-  // Important enough to wrap in a retry. Failure is annoying.
-  exports.retry(
-    function (retryCallback) {
-      exports.sendMessage(
-        exports.getConcurrencyQueueUrl(component.name, arnMap),
-        payload,
-        retryCallback
-      );
-    },
-    util.format(
-      'Increment concurrency failed for %s. Retrying.',
-      component.name
-    ),
-    callback
-  );
+  exports.getConcurrencyBackend(arnMap).increment(component, arnMap, callback);
 };
 
 /**
@@ -646,55 +1597,551 @@ exports.incrementConcurrencyCount = function (component, arnMap, callback) {
  *
  * @param {String} component Component definition.
  * @param {String} arnMap The ARN map.
+ * @param {String} [lease] The lease obtained from incrementConcurrencyCount.
  * @param {Function} callback Of the form function (error).
  */
-exports.decrementConcurrencyCount = function (component, arnMap, callback) {
-  var queueUrl = exports.getConcurrencyQueueUrl(component.name, arnMap);
-  // This has to be some number large enough to cover the length of time taken
-  // to receive and then delete the message. If it were too low (e.g. 0) then
-  // deleteMessage would fail intermittently, but still return success codes.
-  var visibilityTimeout = component.lambda.timeout;
-  var failureMessage = util.format(
-    'Decrement concurrency failed for %s. Retrying.',
-    component.name
+exports.decrementConcurrencyCount = function (component, arnMap, lease, callback) {
+  exports.getConcurrencyBackend(arnMap).decrement(
+    component,
+    arnMap,
+    lease,
+    callback
   );
+};
+
+/**
+ * Obtain the count of running invocations for this component.
+ *
+ * @param {String} component Component definition.
+ * @param {String} arnMap The ARN map.
+ * @param {Function} callback Of the form function (error, count).
+ */
+exports.getConcurrencyCount = function (component, arnMap, callback) {
+  exports.getConcurrencyBackend(arnMap).getCount(component, arnMap, callback);
+};
+
+// ---------------------------------------------------------------------------
+// Aggregation.
+// ---------------------------------------------------------------------------
+
+// Event from aggregation components collect results routed to them in the
+// aggregation table, one item per component and correlation key. The item
+// holds the results as a list of JSON strings alongside a count, and once
+// claimed by an invocation of the component no further results are accepted.
+//
+// An item is of the form:
+//
+// {
+//   id: 'componentName/correlationKey',
+//   component: 'componentName',
+//   correlationKey: 'correlationKey',
+//   results: ['{"x":1}', ...],
+//   count: 1,
+//   expectedCount: 3,
+//   // Only for components with an aggregation timeout.
+//   timeoutAt: 1445000000,
+//   // DynamoDB removes the item after this time.
+//   expiresAt: 1445086400,
+//   // Set when an invocation of the component claims the results.
+//   claimedBy: 'awsRequestId'
+// }
+//
+// Times are in seconds since the epoch.
+
+/**
+ * Obtain the key for the aggregation table item of a component and correlation
+ * key.
+ *
+ * @param {String} componentName The component name.
+ * @param {String} correlationKey The correlation key.
+ * @return {Object} The key.
+ */
+function getAggregationKey (componentName, correlationKey) {
+  return {
+    id: {
+      S: componentName + '/' + correlationKey
+    }
+  };
+}
+
+/**
+ * Convert an aggregation table item to a more convenient form, of:
+ *
+ * {
+ *   componentName: 'componentName',
+ *   correlationKey: 'correlationKey',
+ *   results: [{ x: 1 }, ...],
+ *   count: 1,
+ *   expectedCount: 3
+ * }
+ *
+ * @param {Object} item The item returned by DynamoDB.
+ * @return {Object} The aggregation.
+ */
+function getAggregationFromItem (item) {
+  return {
+    componentName: item.component.S,
+    correlationKey: item.correlationKey.S,
+    results: (item.results.L || []).map(function (value) {
+      return JSON.parse(value.S);
+    }),
+    count: parseInt(item.count.N, 10),
+    expectedCount: parseInt(item.expectedCount.N, 10)
+  };
+}
+
+/**
+ * Add a result to an aggregation, starting it if this is the first result.
+ *
+ * The aggregation definition is of the form:
+ *
+ * {
+ *   componentName: 'componentName',
+ *   correlationKey: 'correlationKey',
+ *   expectedCount: 3,
+ *   // Optional.
+ *   timeoutAt: 1445000000,
+ *   expiresAt: 1445086400
+ * }
+ *
+ * The count, expected count, and times are set by the first result and left
+ * unchanged by the rest. If the aggregation has already been claimed, the
+ * callback error has the aggregationClaimed property set.
+ *
+ * @param {String} tableName The aggregation table name.
+ * @param {Object} aggregation The aggregation definition.
+ * @param {Mixed} data The result to add.
+ * @param {Function} callback Of the form function (error, aggregation).
+ */
+exports.addAggregationResult = function (tableName, aggregation, data, callback) {
+  var setExpressions = [
+    '#component = :component',
+    '#correlationKey = :correlationKey',
+    '#results = list_append(if_not_exists(#results, :empty), :result)',
+    '#expectedCount = if_not_exists(#expectedCount, :expectedCount)',
+    '#expiresAt = if_not_exists(#expiresAt, :expiresAt)'
+  ];
+  var params = {
+    TableName: tableName,
+    Key: getAggregationKey(aggregation.componentName, aggregation.correlationKey),
+    ConditionExpression: 'attribute_not_exists(#claimedBy)',
+    ExpressionAttributeNames: {
+      '#claimedBy': 'claimedBy',
+      '#component': 'component',
+      '#correlationKey': 'correlationKey',
+      '#count': 'count',
+      '#expectedCount': 'expectedCount',
+      '#expiresAt': 'expiresAt',
+      '#results': 'results'
+    },
+    ExpressionAttributeValues: {
+      ':component': {
+        S: aggregation.componentName
+      },
+      ':correlationKey': {
+        S: aggregation.correlationKey
+      },
+      ':empty': {
+        L: []
+      },
+      ':result': {
+        L: [
+          {
+            S: JSON.stringify(data)
+          }
+        ]
+      },
+      ':expectedCount': {
+        N: '' + aggregation.expectedCount
+      },
+      ':expiresAt': {
+        N: '' + aggregation.expiresAt
+      },
+      ':one': {
+        N: '1'
+      }
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  if (typeof aggregation.timeoutAt === 'number') {
+    setExpressions.push('#timeoutAt = if_not_exists(#timeoutAt, :timeoutAt)');
+    params.ExpressionAttributeNames['#timeoutAt'] = 'timeoutAt';
+    params.ExpressionAttributeValues[':timeoutAt'] = {
+      N: '' + aggregation.timeoutAt
+    };
+  }
+
+  params.UpdateExpression = 'SET ' + setExpressions.join(', ') + ' ADD #count :one';
+
+  // No retries: adding a result is not idempotent.
+  exports.dynamoDbClient.updateItem(params, function (error, result) {
+    if (error && error.code === CONDITIONAL_CHECK_FAILED) {
+      error = new Error(util.format(
+        'The aggregation for component %s with correlation key %s has already been claimed.',
+        aggregation.componentName,
+        aggregation.correlationKey
+      ));
+      error.aggregationClaimed = true;
+    }
+
+    if (error) {
+      return callback(error);
+    }
+
+    callback(undefined, getAggregationFromItem(result.Attributes));
+  });
+};
+
+/**
+ * Claim the results of an aggregation for an invocation of its component, so
+ * that no further results are accepted and no other invocation can claim it.
+ *
+ * The claim ID should be the AWS request ID of the invocation, which is the
+ * same for retries of a failed invocation, and so they can claim it again.
+ *
+ * If the aggregation does not exist or was claimed by a different invocation,
+ * the callback error has the aggregationClaimed property set.
+ *
+ * @param {String} tableName The aggregation table name.
+ * @param {String} componentName The component name.
+ * @param {String} correlationKey The correlation key.
+ * @param {String} claimId A unique ID for the invocation.
+ * @param {Function} callback Of the form function (error, aggregation).
+ */
+exports.claimAggregation = function (tableName, componentName, correlationKey, claimId, callback) {
+  var params = {
+    TableName: tableName,
+    Key: getAggregationKey(componentName, correlationKey),
+    UpdateExpression: 'SET #claimedBy = :claimId',
+    ConditionExpression: 'attribute_exists(#count) AND ' +
+      '(attribute_not_exists(#claimedBy) OR #claimedBy = :claimId)',
+    ExpressionAttributeNames: {
+      '#claimedBy': 'claimedBy',
+      '#count': 'count'
+    },
+    ExpressionAttributeValues: {
+      ':claimId': {
+        S: claimId
+      }
+    },
+    ReturnValues: 'ALL_NEW'
+  };
 
-  // Important enough to wrap the pieces in retry flows. Failure is annoying.
   exports.retry(
     function (retryCallback) {
-      exports.receiveMessage(
-        queueUrl,
-        visibilityTimeout,
-        component.queueWaitTime,
-        retryCallback
-      );
+      exports.dynamoDbClient.updateItem(params, function (error, result) {
+        // Not a failure of the request, so there is no point in retrying.
+        if (error && error.code === CONDITIONAL_CHECK_FAILED) {
+          return retryCallback(undefined, false);
+        }
+
+        retryCallback(error, result);
+      });
     },
-    failureMessage,
+    util.format(
+      'Claim aggregation failed for %s with correlation key %s. Retrying.',
+      componentName,
+      correlationKey
+    ),
     function (error, result) {
       if (error) {
         return callback(error);
       }
 
-      // No message? This is probably some sort of error, but if you are poking
-      // around in the SQS interface and polling queues for messages that will
-      // tend to make messages unavailable for decrement.
       if (!result) {
-        return callback(new Error(
-          'No visible concurrency queue message to delete.'
+        error = new Error(util.format(
+          'The aggregation for component %s with correlation key %s does not exist or has already been claimed.',
+          componentName,
+          correlationKey
         ));
+        error.aggregationClaimed = true;
+        return callback(error);
       }
 
-      exports.retry(
-        function (retryCallback) {
-          exports.deleteMessage(queueUrl, result.receiptHandle, retryCallback);
-        },
-        failureMessage,
-        callback
-      );
+      callback(undefined, getAggregationFromItem(result.Attributes));
+    }
+  );
+};
+
+/**
+ * Find the unclaimed aggregations that have passed their timeout.
+ *
+ * The aggregations are of the form:
+ *
+ * [
+ *   { componentName: 'componentName', correlationKey: 'correlationKey' },
+ *   ...
+ * ]
+ *
+ * @param {String} tableName The aggregation table name.
+ * @param {Number} now The current time in seconds since the epoch.
+ * @param {Function} callback Of the form function (error, aggregations).
+ */
+exports.getTimedOutAggregations = function (tableName, now, callback) {
+  var aggregations = [];
+  var params = {
+    TableName: tableName,
+    FilterExpression: 'attribute_not_exists(#claimedBy) AND #timeoutAt <= :now',
+    ProjectionExpression: '#component, #correlationKey',
+    ExpressionAttributeNames: {
+      '#claimedBy': 'claimedBy',
+      '#component': 'component',
+      '#correlationKey': 'correlationKey',
+      '#timeoutAt': 'timeoutAt'
+    },
+    ExpressionAttributeValues: {
+      ':now': {
+        N: '' + now
+      }
+    }
+  };
+
+  /**
+   * Scan one page of the table, and then the next if there is one.
+   */
+  function scan () {
+    exports.dynamoDbClient.scan(params, function (error, result) {
+      if (error) {
+        return callback(error);
+      }
+
+      (result.Items || []).forEach(function (item) {
+        aggregations.push({
+          componentName: item.component.S,
+          correlationKey: item.correlationKey.S
+        });
+      });
+
+      if (!result.LastEvaluatedKey) {
+        return callback(undefined, aggregations);
+      }
+
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+      scan();
+    });
+  }
+
+  scan();
+};
+
+// ---------------------------------------------------------------------------
+// Application status.
+// ---------------------------------------------------------------------------
+
+/**
+ * Obtain data on the application status from the component queues and
+ * concurrency counts.
+ *
+ * The response is of the form:
+ *
+ * {
+ *   components: [
+ *     {
+ *       name: 'functionX',
+ *       type: 'eventFromMessage',
+ *       // A roughly accurate count of how many Lambda functions are presently
+ *       // running for this component.
+ *       concurrency: 1,
+ *       // For components with a queue, the eventFromMessage type, only.
+ *       maxConcurrency: 10,
+ *       queuedMessageCount: 0,
+ *       // For components with a dead letter queue only.
+ *       deadLetterQueuedMessageCount: 0
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * Counts that could not be obtained are null, and the errors are logged.
+ *
+ * @param {Object[]} components All components, including internal ones.
+ * @param {Object} arnMap The ARN map.
+ * @param {Number} limit The maximum number of concurrent API requests.
+ * @param {Function} callback Of the form function (error, status).
+ */
+exports.determineApplicationStatus = function (components, arnMap, limit, callback) {
+  var status = {
+    components: []
+  };
+  var requests = [];
+
+  components.forEach(function (component) {
+    var data = {
+      name: component.name,
+      type: component.type,
+      concurrency: null
+    };
+
+    // For all components, look at the concurrency count, which indicates how
+    // many Lambda functions are running.
+    requests.push({
+      data: data,
+      property: 'concurrency',
+      fn: function (requestCallback) {
+        exports.getConcurrencyCount(component, arnMap, requestCallback);
+      }
+    });
+
+    // For components with a queue, check the status of the queue that feeds
+    // the component.
+    if (exports.getQueueArn(component.name, arnMap)) {
+      data.maxConcurrency = component.maxConcurrency;
+      data.queuedMessageCount = null;
+
+      requests.push({
+        data: data,
+        property: 'queuedMessageCount',
+        fn: function (requestCallback) {
+          exports.getQueueMessageCount(
+            exports.getQueueUrl(component.name, arnMap),
+            requestCallback
+          );
+        }
+      });
+    }
+
+    // Messages in dead letter queues are failures that need attention, so
+    // report on those as well.
+    if (exports.getDeadLetterQueueArn(component.name, arnMap)) {
+      data.deadLetterQueuedMessageCount = null;
+
+      requests.push({
+        data: data,
+        property: 'deadLetterQueuedMessageCount',
+        fn: function (requestCallback) {
+          exports.getQueueMessageCount(
+            exports.getDeadLetterQueueUrl(component.name, arnMap),
+            requestCallback
+          );
+        }
+      });
+    }
+
+    status.components.push(data);
+  });
+
+  exports.eachLimit(requests, limit, function (request, eachCallback) {
+    request.fn(function (error, count) {
+      // Just log the error for an individual failed request.
+      if (error) {
+        console.error(error);
+      }
+      else {
+        request.data[request.property] = count;
+      }
+
+      eachCallback();
+    });
+  }, function (error) {
+    callback(error, status);
+  });
+};
+
+// ---------------------------------------------------------------------------
+// AWS SSM and KMS Functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Obtain the value of a secret declared by a component.
+ *
+ * A string is the name of an SSM parameter, which is decrypted if it is a
+ * SecureString. An object of the form {kms: 'base64'} holds ciphertext
+ * encrypted with a KMS key.
+ *
+ * @param {String|Object} secret The secret declaration.
+ * @param {Function} callback Of the form function (error, value).
+ */
+exports.getSecret = function (secret, callback) {
+  if (typeof secret === 'string') {
+    return exports.retry(
+      function (retryCallback) {
+        exports.ssmClient.getParameter({
+          Name: secret,
+          WithDecryption: true
+        }, retryCallback);
+      },
+      util.format('Error obtaining SSM parameter %s, retrying.', secret),
+      function (error, result) {
+        callback(error, result && result.Parameter.Value);
+      }
+    );
+  }
+
+  exports.retry(
+    function (retryCallback) {
+      exports.kmsClient.decrypt({
+        CiphertextBlob: Buffer.from(secret.kms, 'base64')
+      }, retryCallback);
+    },
+    'Error decrypting KMS ciphertext, retrying.',
+    function (error, result) {
+      callback(error, result && result.Plaintext.toString('utf8'));
     }
   );
 };
 
+/**
+ * Obtain the values of all of the secrets declared by a component.
+ *
+ * @param {Object} secrets The secret declarations, indexed by name.
+ * @param {Function} callback Of the form function (error, values), where the
+ *   values are indexed by the same names.
+ */
+exports.getSecrets = function (secrets, callback) {
+  var names = Object.keys(secrets || {});
+  var values = {};
+
+  if (!names.length) {
+    return callback(undefined, values);
+  }
+
+  exports.each(names, function (name, innerCallback) {
+    exports.getSecret(secrets[name], function (error, value) {
+      values[name] = value;
+      innerCallback(error);
+    });
+  }, function (error) {
+    callback(error, error ? undefined : values);
+  });
+};
+
+// ---------------------------------------------------------------------------
+// AWS CloudWatch Functions.
+// ---------------------------------------------------------------------------
+
+/**
+ * Publish custom metric data to CloudWatch.
+ *
+ * The data is split into as many requests as needed to stay within the limit
+ * on the number of items per request.
+ *
+ * @param {String} namespace The metric namespace.
+ * @param {Object[]} metricData Metric data in the form used by the API.
+ * @param {Number} maxMetricData The most items to publish per request.
+ * @param {Function} callback Of the form function (error).
+ */
+exports.putMetricData = function (namespace, metricData, maxMetricData, callback) {
+  var chunks = [];
+
+  for (var index = 0; index < metricData.length; index += maxMetricData) {
+    chunks.push(metricData.slice(index, index + maxMetricData));
+  }
+
+  if (!chunks.length) {
+    return callback();
+  }
+
+  exports.each(chunks, function (chunk, eachCallback) {
+    exports.cloudWatchClient.putMetricData({
+      Namespace: namespace,
+      MetricData: chunk
+    }, function (error) {
+      eachCallback(error);
+    });
+  }, callback);
+};
+
 // ---------------------------------------------------------------------------
 // AWS S3 Functions.
 // ---------------------------------------------------------------------------
@@ -757,6 +2204,20 @@ exports.getApplicationConfirmationS3Key = function (config) {
   );
 };
 
+/**
+ * Return the key for the control file used to pause or shut down a deployed
+ * application.
+ *
+ * @param {Object} config Configuration object.
+ * @return {String} The key.
+ */
+exports.getApplicationControlS3Key = function (config) {
+  return path.join(
+    exports.getFullS3KeyPrefix(config),
+    'control.json'
+  );
+};
+
 /**
  * Upload the application confirmation file, which should be created by the
  * first run of the coordinators as a way to confirm that things are working.
@@ -871,3 +2332,64 @@ exports.loadArnMap = function (config, callback) {
     }
   );
 };
+
+/**
+ * Load the application control object, which is of the form:
+ *
+ * {
+ *   state: 'paused'
+ * }
+ *
+ * Deployment writes a control file for the running state. If there is
+ * nonetheless no control file the callback receives null rather than an
+ * object. Note that S3 only reports a missing object as a 404 to roles that
+ * can list the bucket, which application roles cannot.
+ *
+ * @param {Object} config Configuration object.
+ * @return {Function} callback Of the form function (error, control).
+ */
+exports.loadApplicationControl = function (config, callback) {
+  var params = {
+    Bucket: config.deployment.s3Bucket,
+    Key: exports.getApplicationControlS3Key(config)
+  };
+
+  // S3 operations are flaky enough to always need a retry.
+  exports.retry(
+    function (retryCallback) {
+      exports.s3Client.getObject(params, function (error, result) {
+        // If this is a 404 error, then skip the retries; there is no control
+        // file.
+        if (error && error.statusCode === 404) {
+          return callback(null, null);
+        }
+
+        retryCallback(error, result);
+      });
+    },
+    util.format(
+      'Error loading application control file at %s, retrying.',
+      params.Key
+    ),
+    function (error, result) {
+      if (error) {
+        return callback(error);
+      }
+
+      var control;
+
+      try {
+        // Should be a string, might be a Buffer.
+        control = JSON.parse(result.Body.toString('utf8'));
+      }
+      catch (e) {
+        return callback(new Error(util.format(
+          'Failed to parse application control JSON. %s',
+          e.stack || e.message
+        )));
+      }
+
+      callback(null, control);
+    }
+  );
+};
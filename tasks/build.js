@@ -16,6 +16,7 @@ module.exports = function (grunt) {
       var done = this.async();
       var config = common.getConfigurationFromOptionOrFail(grunt);
 
+      common.writeConfigurationWarnings(grunt, config);
       index.build(config, done);
     }
   );
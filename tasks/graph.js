@@ -0,0 +1,38 @@
+/**
+ * @fileOverview Grunt task lambda-complex-graph.
+ *
+ * Render the graph of a Lambda Complex application from its configuration. Set
+ * the --format option to one of dot, mermaid, or json; the default is dot. Set
+ * the --output option to write to a file rather than displaying the graph.
+ */
+
+// Local.
+var common = require('../lib/grunt/common');
+var index = require('../index');
+
+module.exports = function (grunt) {
+  grunt.registerTask(
+    'lambda-complex-graph',
+    'Render the graph of a Lambda Complex application.',
+    function () {
+      var config = common.getConfigurationFromOptionOrFail(grunt);
+      var output = grunt.option('output');
+      var graph;
+
+      try {
+        graph = index.graph(config, grunt.option('format'));
+      }
+      catch (error) {
+        return grunt.fail.fatal(error);
+      }
+
+      if (output) {
+        grunt.file.write(output, graph);
+        grunt.log.writeln('Graph written to: ' + output);
+      }
+      else {
+        grunt.log.write(graph);
+      }
+    }
+  );
+};
@@ -0,0 +1,23 @@
+/**
+ * @fileOverview Grunt task lambda-complex-pause.
+ *
+ * Pause a deployed Lambda Complex application, leaving coordinators running but
+ * invoking no application Lambda functions.
+ */
+
+// Local.
+var common = require('../lib/grunt/common');
+var index = require('../index');
+
+module.exports = function (grunt) {
+  grunt.registerTask(
+    'lambda-complex-pause',
+    'Pause a deployed Lambda Complex application.',
+    function () {
+      var done = this.async();
+      var config = common.getConfigurationFromOptionOrFail(grunt);
+
+      index.pause(config, done);
+    }
+  );
+};
@@ -0,0 +1,22 @@
+/**
+ * @fileOverview Grunt task lambda-complex-resume.
+ *
+ * Resume a paused or shut down Lambda Complex application.
+ */
+
+// Local.
+var common = require('../lib/grunt/common');
+var index = require('../index');
+
+module.exports = function (grunt) {
+  grunt.registerTask(
+    'lambda-complex-resume',
+    'Resume a paused or shut down Lambda Complex application.',
+    function () {
+      var done = this.async();
+      var config = common.getConfigurationFromOptionOrFail(grunt);
+
+      index.resume(config, done);
+    }
+  );
+};
@@ -0,0 +1,22 @@
+/**
+ * @fileOverview Grunt task lambda-complex-shutdown.
+ *
+ * Shut down a deployed Lambda Complex application, stopping its coordinators.
+ */
+
+// Local.
+var common = require('../lib/grunt/common');
+var index = require('../index');
+
+module.exports = function (grunt) {
+  grunt.registerTask(
+    'lambda-complex-shutdown',
+    'Shut down a deployed Lambda Complex application.',
+    function () {
+      var done = this.async();
+      var config = common.getConfigurationFromOptionOrFail(grunt);
+
+      index.shutdown(config, done);
+    }
+  );
+};
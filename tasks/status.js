@@ -0,0 +1,36 @@
+/**
+ * @fileOverview Grunt task lambda-complex-status.
+ *
+ * Display the status of a deployed Lambda Complex application, as read from its
+ * queues. Set the --json option for JSON output.
+ */
+
+// Local.
+var common = require('../lib/grunt/common');
+var index = require('../index');
+
+module.exports = function (grunt) {
+  grunt.registerTask(
+    'lambda-complex-status',
+    'Display the status of a deployed Lambda Complex application.',
+    function () {
+      var done = this.async();
+      var config = common.getConfigurationFromOptionOrFail(grunt);
+
+      index.status(config, function (error, status) {
+        if (error) {
+          return done(error);
+        }
+
+        if (grunt.option('json')) {
+          grunt.log.writeln(JSON.stringify(status, null, '  '));
+        }
+        else {
+          grunt.log.writeln(common.formatApplicationStatus(status, config));
+        }
+
+        done();
+      });
+    }
+  );
+};
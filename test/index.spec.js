@@ -5,15 +5,20 @@
 // NPM.
 var fs = require('fs-extra');
 var Janitor = require('cloudwatch-logs-janitor');
+var _ = require('lodash');
 
 // Local.
 var applicationConfigValidator = require('../lib/build/configValidator');
+var cacheUtilities = require('../lib/build/cacheUtilities');
 var common = require('../lib/build/common');
 var cloudFormationTemplateUtilities = require('../lib/build/cloudFormationTemplateUtilities');
 var cloudFormationUtilities = require('../lib/deploy/cloudFormationUtilities');
 var installUtilities = require('../lib/build/installUtilities');
 var packageUtilities = require('../lib/build/packageUtilities');
 var s3Utilities = require('../lib/deploy/s3Utilities');
+var testbed = require('../lib/local/testbed');
+var constants = require('../lib/shared/constants');
+var utilities = require('../lib/shared/utilities');
 
 var index = require('../index');
 
@@ -34,6 +39,34 @@ describe('index', function () {
     delete require.cache[require.resolve('./resources/mockApplication/applicationConfig')];
   });
 
+  describe('validate', function () {
+    it('returns errors and warnings separately', function () {
+      var errors = [];
+      var warnings = [new Error()];
+
+      sandbox.stub(applicationConfigValidator, 'getWarnings').returns(warnings);
+
+      expect(index.validate(applicationConfig)).to.eql({
+        errors: errors,
+        warnings: warnings
+      });
+      sinon.assert.calledWith(applicationConfigValidator.getWarnings, applicationConfig);
+    });
+
+    it('returns no warnings for an invalid configuration', function () {
+      var errors = [new Error()];
+
+      applicationConfigValidator.validate.returns(errors);
+      sandbox.stub(applicationConfigValidator, 'getWarnings');
+
+      expect(index.validate(applicationConfig)).to.eql({
+        errors: errors,
+        warnings: []
+      });
+      sinon.assert.notCalled(applicationConfigValidator.getWarnings);
+    });
+  });
+
   describe('build', function () {
 
     beforeEach(function () {
@@ -81,6 +114,49 @@ describe('index', function () {
         done(error);
       });
     });
+
+    it('uses the build cache for an incremental build', function (done) {
+      var config = _.cloneDeep(applicationConfig);
+      config.deployment.incrementalBuild = true;
+      sandbox.stub(cacheUtilities, 'restorePackages').yields(null, []);
+      sandbox.stub(cacheUtilities, 'cachePackages').yields();
+
+      index.build(config, function (error) {
+        sinon.assert.callOrder(
+          fs.remove,
+          cacheUtilities.restorePackages,
+          installUtilities.installLambdaFunctions,
+          packageUtilities.packageLambdaFunctions,
+          cacheUtilities.cachePackages,
+          cloudFormationTemplateUtilities.generateTemplate
+        );
+
+        sinon.assert.calledWith(
+          cacheUtilities.restorePackages,
+          config,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          cacheUtilities.cachePackages,
+          config,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('does not use the build cache otherwise', function (done) {
+      sandbox.stub(cacheUtilities, 'restorePackages').yields(null, []);
+      sandbox.stub(cacheUtilities, 'cachePackages').yields();
+
+      index.build(applicationConfig, function (error) {
+        sinon.assert.notCalled(cacheUtilities.restorePackages);
+        sinon.assert.notCalled(cacheUtilities.cachePackages);
+
+        done(error);
+      });
+    });
   });
 
   describe('deploy', function () {
@@ -92,6 +168,7 @@ describe('index', function () {
       sandbox.stub(index, 'build').yields();
       sandbox.stub(s3Utilities, 'uploadLambdaFunctions').yields();
       sandbox.stub(s3Utilities, 'uploadConfig').yields();
+      sandbox.stub(s3Utilities, 'uploadApplicationControl').yields();
       sandbox.stub(cloudFormationUtilities, 'deployStack').yields(null, results);
     });
 
@@ -102,6 +179,7 @@ describe('index', function () {
         sinon.assert.callOrder(
           index.build,
           s3Utilities.uploadLambdaFunctions,
+          s3Utilities.uploadApplicationControl,
           cloudFormationUtilities.deployStack
         );
 
@@ -120,6 +198,12 @@ describe('index', function () {
           applicationConfig,
           sinon.match.func
         );
+        sinon.assert.calledWith(
+          s3Utilities.uploadApplicationControl,
+          constants.applicationState.RUNNING,
+          applicationConfig,
+          sinon.match.func
+        );
         sinon.assert.calledWith(
           cloudFormationUtilities.deployStack,
           applicationConfig,
@@ -150,4 +234,323 @@ describe('index', function () {
       });
     });
   });
+
+  describe('pause', function () {
+
+    beforeEach(function () {
+      sandbox.stub(s3Utilities, 'confirmDeployment').yields();
+      sandbox.stub(s3Utilities, 'uploadApplicationControl').yields();
+    });
+
+    it('uploads the paused state', function (done) {
+      index.pause(applicationConfig, function (error) {
+        sinon.assert.calledWith(
+          s3Utilities.uploadApplicationControl,
+          constants.applicationState.PAUSED,
+          applicationConfig,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('calls back with error if the deployment does not exist', function (done) {
+      s3Utilities.confirmDeployment.yields(new Error());
+
+      index.pause(applicationConfig, function (error) {
+        sinon.assert.calledWith(
+          s3Utilities.confirmDeployment,
+          applicationConfig,
+          sinon.match.func
+        );
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3Utilities.uploadApplicationControl);
+
+        done();
+      });
+    });
+  });
+
+  describe('shutdown', function () {
+
+    beforeEach(function () {
+      sandbox.stub(s3Utilities, 'confirmDeployment').yields();
+      sandbox.stub(s3Utilities, 'uploadApplicationControl').yields();
+    });
+
+    it('uploads the shutdown state', function (done) {
+      index.shutdown(applicationConfig, function (error) {
+        sinon.assert.calledWith(
+          s3Utilities.uploadApplicationControl,
+          constants.applicationState.SHUTDOWN,
+          applicationConfig,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('calls back with error if the deployment does not exist', function (done) {
+      s3Utilities.confirmDeployment.yields(new Error());
+
+      index.shutdown(applicationConfig, function (error) {
+        sinon.assert.calledWith(
+          s3Utilities.confirmDeployment,
+          applicationConfig,
+          sinon.match.func
+        );
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3Utilities.uploadApplicationControl);
+
+        done();
+      });
+    });
+  });
+
+  describe('resume', function () {
+    var arnMap;
+
+    beforeEach(function () {
+      arnMap = {};
+
+      sandbox.stub(s3Utilities, 'confirmDeployment').yields();
+      sandbox.stub(utilities, 'loadApplicationControl').yields(null, {
+        state: constants.applicationState.SHUTDOWN
+      });
+      sandbox.stub(s3Utilities, 'uploadApplicationControl').yields();
+      sandbox.stub(utilities, 'loadArnMap').yields(null, arnMap);
+      sandbox.stub(cloudFormationUtilities, 'restartApplication').yields();
+    });
+
+    it('restarts a shut down application', function (done) {
+      index.resume(applicationConfig, function (error) {
+        sinon.assert.calledWith(
+          s3Utilities.uploadApplicationControl,
+          constants.applicationState.RUNNING,
+          applicationConfig,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          cloudFormationUtilities.restartApplication,
+          arnMap,
+          applicationConfig,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('does not restart a paused application', function (done) {
+      utilities.loadApplicationControl.yields(null, {
+        state: constants.applicationState.PAUSED
+      });
+
+      index.resume(applicationConfig, function (error) {
+        sinon.assert.calledOnce(s3Utilities.uploadApplicationControl);
+        sinon.assert.notCalled(cloudFormationUtilities.restartApplication);
+
+        done(error);
+      });
+    });
+
+    it('does not restart an application with no control file', function (done) {
+      utilities.loadApplicationControl.yields(null, null);
+
+      index.resume(applicationConfig, function (error) {
+        sinon.assert.calledOnce(s3Utilities.uploadApplicationControl);
+        sinon.assert.notCalled(cloudFormationUtilities.restartApplication);
+
+        done(error);
+      });
+    });
+
+    it('does not restart scheduled coordinators', function (done) {
+      var config = _.cloneDeep(applicationConfig);
+      config.coordinator.mode = constants.coordinatorMode.SCHEDULED;
+
+      index.resume(config, function (error) {
+        sinon.assert.calledOnce(s3Utilities.uploadApplicationControl);
+        sinon.assert.notCalled(cloudFormationUtilities.restartApplication);
+
+        done(error);
+      });
+    });
+
+    it('calls back with error if the deployment does not exist', function (done) {
+      s3Utilities.confirmDeployment.yields(new Error());
+
+      index.resume(applicationConfig, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3Utilities.uploadApplicationControl);
+
+        done();
+      });
+    });
+
+    it('calls back with error on loadApplicationControl failure', function (done) {
+      utilities.loadApplicationControl.yields(new Error());
+
+      index.resume(applicationConfig, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(s3Utilities.uploadApplicationControl);
+
+        done();
+      });
+    });
+  });
+
+  describe('status', function () {
+    var arnMap;
+    var applicationStatus;
+
+    beforeEach(function () {
+      arnMap = {};
+      applicationStatus = {
+        components: []
+      };
+
+      sandbox.stub(utilities, 'loadArnMap').yields(null, arnMap);
+      sandbox.stub(utilities, 'determineApplicationStatus').yields(
+        null,
+        applicationStatus
+      );
+      sandbox.stub(utilities, 'loadApplicationControl').yields(null, null);
+    });
+
+    it('functions as expected', function (done) {
+      index.status(applicationConfig, function (error, status) {
+        expect(status).to.eql({
+          applicationState: constants.applicationState.RUNNING,
+          components: []
+        });
+
+        sinon.assert.calledWith(
+          utilities.loadArnMap,
+          applicationConfig,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          utilities.determineApplicationStatus,
+          common.getAllComponents(applicationConfig),
+          arnMap,
+          applicationConfig.coordinator.maxApiConcurrency,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('includes the application state from the control file', function (done) {
+      utilities.loadApplicationControl.yields(null, {
+        state: constants.applicationState.PAUSED
+      });
+
+      index.status(applicationConfig, function (error, status) {
+        expect(status.applicationState).to.equal(
+          constants.applicationState.PAUSED
+        );
+        done(error);
+      });
+    });
+
+    it('calls back with error on loadArnMap failure', function (done) {
+      utilities.loadArnMap.yields(new Error());
+
+      index.status(applicationConfig, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(utilities.determineApplicationStatus);
+        done();
+      });
+    });
+  });
+
+  describe('runLocal', function () {
+    var options;
+    var results;
+
+    beforeEach(function () {
+      options = {
+        generations: 2
+      };
+      results = {};
+
+      sandbox.stub(index, 'build').yields();
+      sandbox.stub(testbed, 'run').yields(null, results);
+    });
+
+    it('calls underlying functions', function (done) {
+      index.runLocal(applicationConfig, options, function (error, obtainedResults) {
+        sinon.assert.callOrder(
+          index.build,
+          testbed.run
+        );
+
+        sinon.assert.calledWith(
+          index.build,
+          applicationConfig,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          testbed.run,
+          applicationConfig,
+          options,
+          sinon.match.func
+        );
+
+        expect(obtainedResults).to.equal(results);
+        done(error);
+      });
+    });
+
+    it('skips the build if so configured', function (done) {
+      options.skipBuild = true;
+
+      index.runLocal(applicationConfig, options, function (error, obtainedResults) {
+        sinon.assert.notCalled(index.build);
+        sinon.assert.calledOnce(testbed.run);
+        expect(obtainedResults).to.equal(results);
+        done(error);
+      });
+    });
+
+    it('calls back with error on failure of the run', function (done) {
+      testbed.run.yields(new Error());
+
+      index.runLocal(applicationConfig, options, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('graph', function () {
+    beforeEach(function () {
+      applicationConfig.components[0].routing = 'invocation';
+    });
+
+    it('renders the graph as DOT by default', function () {
+      var graph = index.graph(applicationConfig);
+
+      sinon.assert.calledWith(applicationConfigValidator.validate, applicationConfig);
+      expect(graph).to.match(/^digraph "mock" \{/);
+      expect(graph).to.contain('"message" -> "invocation";');
+    });
+
+    it('renders the graph in other formats', function () {
+      expect(index.graph(applicationConfig, 'mermaid')).to.contain('c0 --> c1');
+      expect(JSON.parse(index.graph(applicationConfig, 'json')).edges.length).to.equal(1);
+    });
+
+    it('throws on invalid configuration', function () {
+      applicationConfigValidator.validate.returns([new Error()]);
+
+      expect(function () {
+        index.graph(applicationConfig);
+      }).to.throw(/Invalid configuration/);
+    });
+  });
 });
@@ -0,0 +1,385 @@
+/**
+ * @fileOverview Tests for lib/build/cacheUtilities.
+ */
+
+// Core.
+var crypto = require('crypto');
+var path = require('path');
+
+// NPM.
+var fs = require('fs-extra');
+var _ = require('lodash');
+
+// Local.
+var cacheUtilities = require('../../../lib/build/cacheUtilities');
+var common = require('../../../lib/build/common');
+var resources = require('../../resources');
+var applicationConfig = require('../../resources/mockApplication/applicationConfig');
+
+var scratchDir = resources.getScratchDirectory();
+
+describe('lib/build/cacheUtilities', function () {
+  var sandbox;
+  var config;
+  var component;
+
+  before(function (done) {
+    // Needs time to set up the mock application as there are npm install
+    // commands in there.
+    this.timeout(30000);
+    // Set up the mock application, which provides zip files to work with.
+    resources.setUpMockApplication(applicationConfig, done);
+  });
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+    config = _.cloneDeep(applicationConfig);
+    component = config.components[0];
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('updateHashWithDirectory', function () {
+    var dir;
+
+    function getDirectoryHash (callback) {
+      var hash = crypto.createHash('sha256');
+
+      cacheUtilities.updateHashWithDirectory(hash, dir, function (error) {
+        callback(error, error ? undefined : hash.digest('hex'));
+      });
+    }
+
+    beforeEach(function () {
+      dir = path.join(scratchDir, 'hashDirectory');
+      fs.removeSync(dir);
+      fs.outputFileSync(path.join(dir, 'a.js'), 'a');
+      fs.outputFileSync(path.join(dir, 'lib/b.js'), 'b');
+    });
+
+    afterEach(function () {
+      fs.removeSync(dir);
+    });
+
+    it('is consistent for the same contents', function (done) {
+      getDirectoryHash(function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        getDirectoryHash(function (secondError, secondHash) {
+          expect(secondHash).to.equal(firstHash);
+          done(secondError);
+        });
+      });
+    });
+
+    it('changes with file contents and names', function (done) {
+      getDirectoryHash(function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        fs.outputFileSync(path.join(dir, 'lib/b.js'), 'c');
+
+        getDirectoryHash(function (secondError, secondHash) {
+          if (secondError) {
+            return done(secondError);
+          }
+
+          expect(secondHash).to.not.equal(firstHash);
+
+          fs.moveSync(path.join(dir, 'lib/b.js'), path.join(dir, 'lib/c.js'));
+
+          getDirectoryHash(function (thirdError, thirdHash) {
+            expect(thirdHash).to.not.equal(secondHash);
+            done(thirdError);
+          });
+        });
+      });
+    });
+
+    it('ignores version control directories', function (done) {
+      getDirectoryHash(function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        fs.outputFileSync(path.join(dir, '.git/HEAD'), 'x');
+
+        getDirectoryHash(function (secondError, secondHash) {
+          expect(secondHash).to.equal(firstHash);
+          done(secondError);
+        });
+      });
+    });
+  });
+
+  describe('getPackageHash', function () {
+    it('is consistent for the same inputs', function (done) {
+      cacheUtilities.getPackageHash(component, config, function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        expect(firstHash).to.match(/^[0-9a-f]{64}$/);
+
+        cacheUtilities.getPackageHash(component, config, function (secondError, secondHash) {
+          expect(secondHash).to.equal(firstHash);
+          done(secondError);
+        });
+      });
+    });
+
+    it('changes with the component definition', function (done) {
+      cacheUtilities.getPackageHash(component, config, function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        component.lambda.memorySize = component.lambda.memorySize * 2;
+
+        cacheUtilities.getPackageHash(component, config, function (secondError, secondHash) {
+          expect(secondHash).to.not.equal(firstHash);
+          done(secondError);
+        });
+      });
+    });
+
+    it('ignores the deployId', function (done) {
+      cacheUtilities.getPackageHash(component, config, function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        config.deployId = config.deployId + 1;
+
+        cacheUtilities.getPackageHash(component, config, function (secondError, secondHash) {
+          expect(secondHash).to.equal(firstHash);
+          done(secondError);
+        });
+      });
+    });
+
+    it('ignores the deployId for components when there is a layer', function (done) {
+      config.layer = {};
+
+      cacheUtilities.getPackageHash(component, config, function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        config.deployId = config.deployId + 1;
+
+        cacheUtilities.getPackageHash(component, config, function (secondError, secondHash) {
+          expect(secondHash).to.equal(firstHash);
+          done(secondError);
+        });
+      });
+    });
+
+    it('changes with the layer dependencies for the layer', function (done) {
+      var layer = common.getLayerDefinition();
+
+      config.layer = {};
+
+      cacheUtilities.getPackageHash(layer, config, function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        config.layer.dependencies = {
+          'aws-sdk': '2.1692.0'
+        };
+
+        cacheUtilities.getPackageHash(layer, config, function (secondError, secondHash) {
+          expect(secondHash).to.not.equal(firstHash);
+          done(secondError);
+        });
+      });
+    });
+
+    it('uses the package specifier when the package is not local', function (done) {
+      component.lambda.npmPackage = 'example-package@1.0.0';
+
+      cacheUtilities.getPackageHash(component, config, function (error, firstHash) {
+        if (error) {
+          return done(error);
+        }
+
+        component.lambda.npmPackage = 'example-package@1.0.1';
+
+        cacheUtilities.getPackageHash(component, config, function (secondError, secondHash) {
+          expect(secondHash).to.not.equal(firstHash);
+          done(secondError);
+        });
+      });
+    });
+  });
+
+  describe('getRecordedPackageHash', function () {
+    var buildDir;
+
+    beforeEach(function () {
+      buildDir = path.join(scratchDir, 'recordedHash');
+      fs.removeSync(buildDir);
+      sandbox.stub(common, 'getApplicationBuildDirectory').returns(buildDir);
+    });
+
+    afterEach(function () {
+      fs.removeSync(buildDir);
+    });
+
+    it('returns undefined if no hash was recorded', function (done) {
+      cacheUtilities.getRecordedPackageHash(component, config, function (error, hash) {
+        expect(hash).to.equal(undefined);
+        done(error);
+      });
+    });
+
+    it('returns the recorded hash', function (done) {
+      fs.outputFileSync(common.getComponentHashFilePath(component, config), 'abc');
+
+      cacheUtilities.getRecordedPackageHash(component, config, function (error, hash) {
+        expect(hash).to.equal('abc');
+        done(error);
+      });
+    });
+  });
+
+  describe('getRecordedPackageHashes', function () {
+    var buildDir;
+
+    beforeEach(function () {
+      buildDir = path.join(scratchDir, 'recordedHashes');
+      fs.removeSync(buildDir);
+      sandbox.stub(common, 'getApplicationBuildDirectory').returns(buildDir);
+      sandbox.stub(common, 'getAllPackages').returns(config.components);
+    });
+
+    afterEach(function () {
+      fs.removeSync(buildDir);
+    });
+
+    it('returns the recorded hashes by package name', function (done) {
+      fs.outputFileSync(common.getComponentHashFilePath(component, config), 'abc');
+
+      cacheUtilities.getRecordedPackageHashes(config, function (error, hashes) {
+        expect(hashes).to.eql(_.zipObject(
+          _.pluck(config.components, 'name'),
+          _.map(config.components, function (otherComponent) {
+            return otherComponent === component ? 'abc' : undefined;
+          })
+        ));
+        done(error);
+      });
+    });
+  });
+
+  describe('restorePackages and cachePackages', function () {
+    var applicationDir;
+    var buildDir;
+    var mockZipFilePath;
+
+    beforeEach(function () {
+      applicationDir = path.join(scratchDir, 'incrementalBuild');
+      buildDir = path.join(applicationDir, '' + config.deployId);
+      mockZipFilePath = path.join(
+        scratchDir,
+        applicationConfig.name,
+        component.name + '.zip'
+      );
+
+      fs.removeSync(applicationDir);
+      sandbox.stub(common, 'getApplicationBuildDirectory').returns(buildDir);
+      sandbox.stub(common, 'getAllPackages').returns([component]);
+    });
+
+    afterEach(function () {
+      fs.removeSync(applicationDir);
+    });
+
+    it('caches and later restores a package', function (done) {
+      var zipFilePath = common.getComponentZipFilePath(component, config);
+      var hash;
+
+      // Extracting a package that bundles the AWS SDK takes a while.
+      this.timeout(10000);
+
+      cacheUtilities.restorePackages(config, function (error, restoredNames) {
+        if (error) {
+          return done(error);
+        }
+
+        expect(restoredNames).to.eql([]);
+
+        hash = fs.readFileSync(
+          common.getComponentHashFilePath(component, config),
+          'utf8'
+        );
+        expect(hash).to.match(/^[0-9a-f]{64}$/);
+
+        // Stand in for the install and package steps.
+        fs.copySync(mockZipFilePath, zipFilePath);
+
+        cacheUtilities.cachePackages(config, function (cacheError) {
+          if (cacheError) {
+            return done(cacheError);
+          }
+
+          expect(fs.existsSync(
+            cacheUtilities.getCachedZipFilePath(component, hash, config)
+          )).to.equal(true);
+
+          // Start again with a clean build directory.
+          fs.removeSync(buildDir);
+
+          cacheUtilities.restorePackages(config, function (restoreError, names) {
+            expect(names).to.eql([component.name]);
+            expect(fs.existsSync(zipFilePath)).to.equal(true);
+            expect(fs.existsSync(
+              path.join(buildDir, component.name, 'index.js')
+            )).to.equal(true);
+            expect(fs.existsSync(
+              path.join(buildDir, component.name, '_config.js')
+            )).to.equal(true);
+
+            done(restoreError);
+          });
+        });
+      });
+    });
+
+    it('removes older cached zip files for the package only', function (done) {
+      var cacheDir = common.getApplicationBuildCacheDirectory(config);
+      var olderPath = path.join(
+        cacheDir,
+        component.name + '-' + _.repeat('0', 64) + '.zip'
+      );
+      var otherPath = path.join(
+        cacheDir,
+        component.name + 'Other-' + _.repeat('0', 64) + '.zip'
+      );
+      var hash = _.repeat('1', 64);
+
+      fs.outputFileSync(olderPath, '');
+      fs.outputFileSync(otherPath, '');
+      fs.copySync(
+        mockZipFilePath,
+        common.getComponentZipFilePath(component, config)
+      );
+
+      cacheUtilities.cachePackage(component, hash, config, function (error) {
+        expect(fs.existsSync(olderPath)).to.equal(false);
+        expect(fs.existsSync(otherPath)).to.equal(true);
+        expect(fs.existsSync(
+          cacheUtilities.getCachedZipFilePath(component, hash, config)
+        )).to.equal(true);
+
+        done(error);
+      });
+    });
+  });
+});
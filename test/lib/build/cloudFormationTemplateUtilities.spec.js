@@ -5,9 +5,16 @@
 // Core.
 var path = require('path');
 
+// NPM.
+var fs = require('fs-extra');
+var _ = require('lodash');
+
 // Local.
+var cacheUtilities = require('../../../lib/build/cacheUtilities');
 var cloudFormationTemplateUtilities = require('../../../lib/build/cloudFormationTemplateUtilities');
+var common = require('../../../lib/build/common');
 var constants = require('../../../lib/shared/constants');
+var utilities = require('../../../lib/shared/utilities');
 var resources = require('../../resources');
 var applicationConfig = require('../../resources/mockApplication/applicationConfig');
 
@@ -35,7 +42,17 @@ describe('lib/build/cloudFormationTemplateUtilities', function () {
       expect(cloudFormationTemplateUtilities.getAllRoles(applicationConfig)).to.eql([
         {
           name: constants.coordinator.ROLE,
-          statements: []
+          statements: [
+            {
+              effect: 'Allow',
+              action: [
+                'cloudwatch:PutMetricData'
+              ],
+              resource: [
+                '*'
+              ]
+            }
+          ]
         }
       ].concat(applicationConfig.roles));
     })
@@ -55,7 +72,874 @@ describe('lib/build/cloudFormationTemplateUtilities', function () {
       var expected = resources.getExpectedCloudFormationTemplate();
 
       expect(actual).to.eql(expected);
-    })
+    });
+
+    describe('for event from S3 and event from SNS components', function () {
+      var config;
+      var template;
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.components.push({
+          name: 'upload',
+          type: constants.componentType.EVENT_FROM_S3,
+          s3Events: ['s3:ObjectCreated:*'],
+          s3KeyPrefix: 'incoming/',
+          lambda: config.components[1].lambda
+        });
+        config.components.push({
+          name: 'notification',
+          type: constants.componentType.EVENT_FROM_SNS,
+          lambda: config.components[1].lambda
+        });
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('adds a bucket with notification configuration', function () {
+        var bucketName = utilities.getBucketName('upload');
+        var permissionName = utilities.getLambdaPermissionName('upload');
+        var functionArn = {
+          'Fn::GetAtt': [
+            utilities.getLambdaFunctionName('upload'),
+            'Arn'
+          ]
+        };
+
+        expect(template.Resources[bucketName]).to.eql({
+          Type: 'AWS::S3::Bucket',
+          DependsOn: permissionName,
+          Properties: {
+            NotificationConfiguration: {
+              LambdaConfigurations: [
+                {
+                  Event: 's3:ObjectCreated:*',
+                  Filter: {
+                    S3Key: {
+                      Rules: [
+                        {
+                          Name: 'prefix',
+                          Value: 'incoming/'
+                        }
+                      ]
+                    }
+                  },
+                  Function: functionArn
+                }
+              ]
+            }
+          }
+        });
+        expect(template.Resources[permissionName]).to.eql({
+          Type: 'AWS::Lambda::Permission',
+          Properties: {
+            Action: 'lambda:InvokeFunction',
+            FunctionName: functionArn,
+            Principal: 's3.amazonaws.com',
+            SourceAccount: {
+              Ref: 'AWS::AccountId'
+            }
+          }
+        });
+        expect(
+          template.Outputs[utilities.getBucketArnOutputName('upload')].Value
+        ).to.eql({
+          'Fn::GetAtt': [
+            bucketName,
+            'Arn'
+          ]
+        });
+      });
+
+      it('adds a topic with a subscription', function () {
+        var topicName = utilities.getTopicName('notification');
+        var permissionName = utilities.getLambdaPermissionName('notification');
+        var functionArn = {
+          'Fn::GetAtt': [
+            utilities.getLambdaFunctionName('notification'),
+            'Arn'
+          ]
+        };
+
+        expect(template.Resources[topicName]).to.eql({
+          Type: 'AWS::SNS::Topic',
+          Properties: {
+            Subscription: [
+              {
+                Endpoint: functionArn,
+                Protocol: 'lambda'
+              }
+            ]
+          }
+        });
+        expect(template.Resources[permissionName]).to.eql({
+          Type: 'AWS::Lambda::Permission',
+          Properties: {
+            Action: 'lambda:InvokeFunction',
+            FunctionName: functionArn,
+            Principal: 'sns.amazonaws.com',
+            SourceArn: {
+              Ref: topicName
+            }
+          }
+        });
+        expect(
+          template.Outputs[utilities.getTopicArnOutputName('notification')].Value
+        ).to.eql({
+          Ref: topicName
+        });
+      });
+
+      it('adds no queue for event from S3 and event from SNS components', function () {
+        expect(template.Resources[utilities.getQueueName('upload')]).to.equal(undefined);
+        expect(template.Resources[utilities.getQueueName('notification')]).to.equal(undefined);
+      });
+    });
+
+    describe('for message components with dead letter queues', function () {
+      var config;
+      var template;
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.components[0].deadLetter = true;
+        config.components[0].maxReceiveCount = 3;
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('adds a dead letter queue and redrive policy', function () {
+        var deadLetterQueueName = utilities.getDeadLetterQueueName('message');
+        var deadLetterQueueArn = {
+          'Fn::GetAtt': [
+            deadLetterQueueName,
+            'Arn'
+          ]
+        };
+
+        expect(template.Resources[deadLetterQueueName]).to.eql({
+          Type: 'AWS::SQS::Queue',
+          Properties: {
+            QueueName: utilities.getFullDeadLetterQueueName('message', config),
+            MessageRetentionPeriod: constants.sqs.MAX_MESSAGE_RETENTION_PERIOD
+          }
+        });
+        expect(
+          template.Resources[utilities.getQueueName('message')].Properties.RedrivePolicy
+        ).to.eql({
+          deadLetterTargetArn: deadLetterQueueArn,
+          maxReceiveCount: 3
+        });
+        expect(
+          template.Outputs[utilities.getDeadLetterQueueArnOutputName('message')].Value
+        ).to.eql(deadLetterQueueArn);
+      });
+
+      it('grants access to the dead letter queue', function () {
+        var statements = template.Resources[
+          utilities.getRoleName('s3ReadA')
+        ].Properties.Policies[0].PolicyDocument.Statement;
+
+        expect(statements[1].Resource).to.eql([
+          {
+            'Fn::GetAtt': [
+              utilities.getQueueName('message'),
+              'Arn'
+            ]
+          },
+          {
+            'Fn::GetAtt': [
+              utilities.getDeadLetterQueueName('message'),
+              'Arn'
+            ]
+          }
+        ]);
+      });
+
+      it('uses the default maxReceiveCount if none is specified', function (done) {
+        delete config.components[0].maxReceiveCount;
+
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          expect(
+            template.Resources[utilities.getQueueName('message')].Properties.RedrivePolicy.maxReceiveCount
+          ).to.equal(constants.DEFAULT_MAX_RECEIVE_COUNT);
+          done(error);
+        });
+      });
+    });
+
+    describe('for the DynamoDB concurrency backend', function () {
+      var config;
+      var template;
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.concurrencyBackend = constants.concurrencyBackend.DYNAMODB;
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('adds a concurrency table in place of concurrency queues', function () {
+        var tableName = utilities.getConcurrencyTableName();
+
+        expect(template.Resources[tableName]).to.eql({
+          Type: 'AWS::DynamoDB::Table',
+          Properties: {
+            TableName: utilities.getFullConcurrencyTableName(config),
+            AttributeDefinitions: [
+              {
+                AttributeName: 'name',
+                AttributeType: 'S'
+              }
+            ],
+            KeySchema: [
+              {
+                AttributeName: 'name',
+                KeyType: 'HASH'
+              }
+            ],
+            BillingMode: 'PAY_PER_REQUEST'
+          }
+        });
+        expect(
+          template.Outputs[utilities.getConcurrencyTableArnOutputName()].Value
+        ).to.eql({
+          'Fn::GetAtt': [
+            tableName,
+            'Arn'
+          ]
+        });
+        expect(
+          template.Resources[utilities.getConcurrencyQueueName('message')]
+        ).to.equal(undefined);
+      });
+
+      it('grants access to the concurrency table', function () {
+        var statements = template.Resources[
+          utilities.getRoleName('s3ReadA')
+        ].Properties.Policies[0].PolicyDocument.Statement;
+
+        expect(statements[2]).to.eql({
+          Effect: 'Allow',
+          Action: [
+            'dynamodb:GetItem',
+            'dynamodb:UpdateItem'
+          ],
+          Resource: [
+            {
+              'Fn::GetAtt': [
+                utilities.getConcurrencyTableName(),
+                'Arn'
+              ]
+            }
+          ]
+        });
+      });
+    });
+
+    describe('for the scheduled coordinator mode', function () {
+      var config;
+      var template;
+
+      beforeEach(function () {
+        config = _.cloneDeep(applicationConfig);
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+      });
+
+      it('adds no rules for the default mode', function (done) {
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          expect(template.Resources.CoordinatorScheduleRule1).to.equal(undefined);
+          done(error);
+        });
+      });
+
+      it('adds a rule and permission for each coordinator', function (done) {
+        var functionArn = {
+          'Fn::GetAtt': [
+            utilities.getLambdaFunctionName(constants.coordinator.NAME),
+            'Arn'
+          ]
+        };
+
+        config.coordinator.mode = constants.coordinatorMode.SCHEDULED;
+        config.coordinator.scheduleRate = 5;
+
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          expect(template.Resources.CoordinatorScheduleRule1).to.eql({
+            Type: 'AWS::Events::Rule',
+            Properties: {
+              Description: config.name + ': invoke coordinator 1 of 2.',
+              ScheduleExpression: 'rate(5 minutes)',
+              State: 'ENABLED',
+              Targets: [
+                {
+                  Arn: functionArn,
+                  Id: utilities.getLambdaFunctionName(constants.coordinator.NAME),
+                  Input: JSON.stringify({
+                    scheduled: true
+                  })
+                }
+              ]
+            }
+          });
+          expect(template.Resources.CoordinatorScheduleRule1Permission).to.eql({
+            Type: 'AWS::Lambda::Permission',
+            Properties: {
+              Action: 'lambda:InvokeFunction',
+              FunctionName: functionArn,
+              Principal: 'events.amazonaws.com',
+              SourceArn: {
+                'Fn::GetAtt': [
+                  'CoordinatorScheduleRule1',
+                  'Arn'
+                ]
+              }
+            }
+          });
+          expect(template.Resources.CoordinatorScheduleRule2).to.be.an('object');
+          expect(template.Resources.CoordinatorScheduleRule3).to.equal(undefined);
+          done(error);
+        });
+      });
+
+      it('defaults to a rate of one minute', function (done) {
+        config.coordinator.mode = constants.coordinatorMode.SCHEDULED;
+
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          expect(
+            template.Resources.CoordinatorScheduleRule1.Properties.ScheduleExpression
+          ).to.equal('rate(1 minute)');
+          done(error);
+        });
+      });
+    });
+
+    describe('for event from aggregation components', function () {
+      var config;
+      var template;
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.components[1] = {
+          name: 'join',
+          type: constants.componentType.EVENT_FROM_AGGREGATION,
+          correlationKey: 'id',
+          expectedCount: 2,
+          lambda: config.components[1].lambda
+        };
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('adds an aggregation table', function () {
+        var tableName = utilities.getAggregationTableName();
+
+        expect(template.Resources[tableName]).to.eql({
+          Type: 'AWS::DynamoDB::Table',
+          Properties: {
+            TableName: utilities.getFullAggregationTableName(config),
+            AttributeDefinitions: [
+              {
+                AttributeName: 'id',
+                AttributeType: 'S'
+              }
+            ],
+            KeySchema: [
+              {
+                AttributeName: 'id',
+                KeyType: 'HASH'
+              }
+            ],
+            BillingMode: 'PAY_PER_REQUEST',
+            TimeToLiveSpecification: {
+              AttributeName: 'expiresAt',
+              Enabled: true
+            }
+          }
+        });
+        expect(
+          template.Outputs[utilities.getAggregationTableArnOutputName()].Value
+        ).to.eql({
+          'Fn::GetAtt': [
+            tableName,
+            'Arn'
+          ]
+        });
+      });
+
+      it('grants access to the aggregation table', function () {
+        _.each([constants.coordinator.ROLE, 's3ReadA'], function (roleName) {
+          var statements = template.Resources[
+            utilities.getRoleName(roleName)
+          ].Properties.Policies[0].PolicyDocument.Statement;
+
+          expect(_.last(statements)).to.eql({
+            Effect: 'Allow',
+            Action: [
+              'dynamodb:Scan',
+              'dynamodb:UpdateItem'
+            ],
+            Resource: [
+              {
+                'Fn::GetAtt': [
+                  utilities.getAggregationTableName(),
+                  'Arn'
+                ]
+              }
+            ]
+          });
+        });
+      });
+
+      it('adds no aggregation table without such components', function (done) {
+        cloudFormationTemplateUtilities.generateTemplate(applicationConfig, function (error) {
+          expect(
+            template.Resources[utilities.getAggregationTableName()]
+          ).to.equal(undefined);
+          done(error);
+        });
+      });
+    });
+
+    describe('for environment variables', function () {
+      var config;
+      var template;
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.environment = {
+          STAGE: 'production',
+          BUCKET: 'bucket'
+        };
+        config.components[0].environment = {
+          BUCKET: 'other-bucket'
+        };
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('sets the merged environment of each component', function () {
+        expect(template.Resources[
+          utilities.getLambdaFunctionName('message')
+        ].Properties.Environment).to.eql({
+          Variables: {
+            STAGE: 'production',
+            BUCKET: 'other-bucket',
+            LAMBDA_COMPLEX_DEPLOY_ID: '' + config.deployId
+          }
+        });
+        expect(template.Resources[
+          utilities.getLambdaFunctionName('invocation')
+        ].Properties.Environment).to.eql({
+          Variables: {
+            STAGE: 'production',
+            BUCKET: 'bucket',
+            LAMBDA_COMPLEX_DEPLOY_ID: '' + config.deployId
+          }
+        });
+      });
+
+      it('sets only the deploy ID for internal components', function () {
+        expect(template.Resources[
+          utilities.getLambdaFunctionName(constants.coordinator.NAME)
+        ].Properties.Environment).to.eql({
+          Variables: {
+            LAMBDA_COMPLEX_DEPLOY_ID: '' + config.deployId
+          }
+        });
+      });
+    });
+
+    describe('for a layer', function () {
+      var config;
+      var template;
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.layer = {};
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('adds the layer', function () {
+        var layer = template.Resources[utilities.getLayerName()];
+
+        expect(layer.Type).to.equal('AWS::Lambda::LayerVersion');
+        expect(layer.Properties.CompatibleRuntimes).to.eql(constants.lambda.RUNTIMES);
+        expect(layer.Properties.Content).to.eql({
+          S3Bucket: config.deployment.s3Bucket,
+          S3Key: common.getComponentS3Key(common.getLayerDefinition(), config)
+        });
+      });
+
+      it('references the layer from every Lambda function', function () {
+        _.each(common.getAllComponents(config), function (component) {
+          expect(template.Resources[
+            utilities.getLambdaFunctionName(component.name)
+          ].Properties.Layers).to.eql([
+            {
+              Ref: utilities.getLayerName()
+            }
+          ]);
+        });
+      });
+    });
+
+    describe('for recorded content hashes', function () {
+      var config;
+      var template;
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.layer = {};
+
+        sandbox.stub(cacheUtilities, 'getRecordedPackageHashes').yields(null, {
+          message: 'abcdef'
+        });
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('references packages by content hash where recorded', function () {
+        expect(template.Resources[
+          utilities.getLambdaFunctionName('message')
+        ].Properties.Code.S3Key).to.equal(
+          common.getComponentS3Key(config.components[0], config, 'abcdef')
+        );
+        expect(template.Resources[
+          utilities.getLambdaFunctionName('invocation')
+        ].Properties.Code.S3Key).to.equal(
+          common.getComponentS3Key(config.components[1], config)
+        );
+        expect(
+          template.Resources[utilities.getLayerName()].Properties.Content.S3Key
+        ).to.equal(
+          common.getComponentS3Key(common.getLayerDefinition(), config)
+        );
+      });
+    });
+
+    describe('for runtimes', function () {
+      var config;
+      var template;
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.components[0].lambda.runtime = 'nodejs20.x';
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('sets the runtime of each component, or the default', function () {
+        expect(template.Resources[
+          utilities.getLambdaFunctionName('message')
+        ].Properties.Runtime).to.equal('nodejs20.x');
+        expect(template.Resources[
+          utilities.getLambdaFunctionName('invocation')
+        ].Properties.Runtime).to.equal(constants.lambda.DEFAULT_RUNTIME);
+        expect(template.Resources[
+          utilities.getLambdaFunctionName(constants.coordinator.NAME)
+        ].Properties.Runtime).to.equal(constants.lambda.DEFAULT_RUNTIME);
+      });
+    });
+
+    describe('for secrets', function () {
+      var config;
+      var template;
+
+      function getStatements (roleName) {
+        return template.Resources[
+          utilities.getRoleName(roleName)
+        ].Properties.Policies[0].PolicyDocument.Statement;
+      }
+
+      beforeEach(function (done) {
+        config = _.cloneDeep(applicationConfig);
+        config.components[0].secrets = {
+          apiKey: '/path/to/apiKey',
+          otherApiKey: '/path/to/apiKey',
+          password: {
+            kms: 'Y2lwaGVydGV4dA=='
+          }
+        };
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+
+        cloudFormationTemplateUtilities.generateTemplate(config, done);
+      });
+
+      it('permits the roles of components with secrets to obtain them', function () {
+        expect(_.takeRight(getStatements('s3ReadA'), 2)).to.eql([
+          {
+            Effect: 'Allow',
+            Action: [
+              'ssm:GetParameter'
+            ],
+            Resource: [
+              'arn:aws:ssm:' + config.deployment.region + ':*:parameter/path/to/apiKey'
+            ]
+          },
+          {
+            Effect: 'Allow',
+            Action: [
+              'kms:Decrypt'
+            ],
+            Resource: [
+              '*'
+            ]
+          }
+        ]);
+      });
+
+      it('adds no statements for roles of components without secrets', function () {
+        var actions = _.chain(getStatements('s3ReadB')).pluck('Action').flatten().value();
+
+        expect(actions).to.not.include('ssm:GetParameter');
+        expect(actions).to.not.include('kms:Decrypt');
+      });
+    });
+
+    describe('for monitoring', function () {
+      var config;
+      var template;
+
+      beforeEach(function () {
+        config = _.cloneDeep(applicationConfig);
+        config.monitoring = {};
+
+        sandbox.stub(fs, 'writeJSON', function (path, obtainedTemplate, options, callback) {
+          template = obtainedTemplate;
+          callback();
+        });
+      });
+
+      it('adds no alarms without monitoring configuration', function (done) {
+        delete config.monitoring;
+
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          expect(template.Resources.CoordinatorAlarm).to.equal(undefined);
+          expect(
+            template.Resources[utilities.getAlarmTopicName()]
+          ).to.equal(undefined);
+          done(error);
+        });
+      });
+
+      it('adds alarms with default settings', function (done) {
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          expect(template.Resources.CoordinatorAlarm).to.eql({
+            Type: 'AWS::CloudWatch::Alarm',
+            Properties: {
+              AlarmDescription: config.name + ': the coordinator concurrency queue is empty.',
+              Namespace: 'AWS/SQS',
+              MetricName: 'ApproximateNumberOfMessagesVisible',
+              Dimensions: [
+                {
+                  Name: 'QueueName',
+                  Value: {
+                    'Fn::GetAtt': [
+                      utilities.getConcurrencyQueueName(constants.coordinator.NAME),
+                      'QueueName'
+                    ]
+                  }
+                }
+              ],
+              EvaluationPeriods: 1,
+              Period: constants.monitoring.DEFAULT_PERIOD,
+              Statistic: 'Minimum',
+              ComparisonOperator: 'LessThanThreshold',
+              Threshold: 1,
+              TreatMissingData: 'breaching'
+            }
+          });
+          expect(
+            template.Resources[utilities.getQueueAlarmName('message')]
+          ).to.eql({
+            Type: 'AWS::CloudWatch::Alarm',
+            Properties: {
+              AlarmDescription: config.name + ': messages are waiting too long in the message queue.',
+              Namespace: 'AWS/SQS',
+              MetricName: 'ApproximateAgeOfOldestMessage',
+              Dimensions: [
+                {
+                  Name: 'QueueName',
+                  Value: {
+                    'Fn::GetAtt': [
+                      utilities.getQueueName('message'),
+                      'QueueName'
+                    ]
+                  }
+                }
+              ],
+              EvaluationPeriods: 1,
+              Period: constants.monitoring.DEFAULT_PERIOD,
+              Statistic: 'Maximum',
+              ComparisonOperator: 'GreaterThanThreshold',
+              Threshold: constants.monitoring.DEFAULT_MAX_MESSAGE_AGE,
+              TreatMissingData: 'notBreaching'
+            }
+          });
+          expect(
+            template.Resources[utilities.getQueueAlarmName('invocation')]
+          ).to.equal(undefined);
+
+          // An errors alarm for every Lambda function, including the internal
+          // ones.
+          _.each([
+            'message',
+            'invocation',
+            constants.coordinator.NAME,
+            constants.invoker.NAME
+          ], function (name) {
+            var alarm = template.Resources[utilities.getLambdaErrorsAlarmName(name)];
+
+            expect(alarm.Properties.MetricName).to.equal('Errors');
+            expect(alarm.Properties.Dimensions[0].Value).to.eql({
+              Ref: utilities.getLambdaFunctionName(name)
+            });
+            expect(alarm.Properties.Threshold).to.equal(
+              constants.monitoring.DEFAULT_LAMBDA_ERROR_THRESHOLD
+            );
+            expect(alarm.Properties.AlarmActions).to.equal(undefined);
+          });
+
+          done(error);
+        });
+      });
+
+      it('uses the configured settings', function (done) {
+        config.monitoring = {
+          lambdaErrorThreshold: 5,
+          maxMessageAge: 60,
+          period: 120
+        };
+
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          var queueAlarm = template.Resources[utilities.getQueueAlarmName('message')];
+          var errorsAlarm = template.Resources[utilities.getLambdaErrorsAlarmName('message')];
+
+          expect(queueAlarm.Properties.Threshold).to.equal(60);
+          expect(queueAlarm.Properties.Period).to.equal(120);
+          expect(errorsAlarm.Properties.Threshold).to.equal(5);
+          expect(errorsAlarm.Properties.Period).to.equal(120);
+          done(error);
+        });
+      });
+
+      it('alarms on coordinator invocations for the DynamoDB backend', function (done) {
+        config.concurrencyBackend = constants.concurrencyBackend.DYNAMODB;
+
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          var properties = template.Resources.CoordinatorAlarm.Properties;
+
+          expect(properties.Namespace).to.equal('AWS/Lambda');
+          expect(properties.MetricName).to.equal('Invocations');
+          expect(properties.Dimensions[0].Value).to.eql({
+            Ref: utilities.getLambdaFunctionName(constants.coordinator.NAME)
+          });
+          expect(properties.TreatMissingData).to.equal('breaching');
+          done(error);
+        });
+      });
+
+      it('alarms on coordinator invocations in the scheduled mode', function (done) {
+        config.coordinator.mode = constants.coordinatorMode.SCHEDULED;
+        config.coordinator.scheduleRate = 10;
+
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          var properties = template.Resources.CoordinatorAlarm.Properties;
+
+          expect(properties.Namespace).to.equal('AWS/Lambda');
+          expect(properties.MetricName).to.equal('Invocations');
+          expect(properties.Dimensions[0].Value).to.eql({
+            Ref: utilities.getLambdaFunctionName(constants.coordinator.NAME)
+          });
+          expect(properties.Statistic).to.equal('Sum');
+          expect(properties.Threshold).to.equal(1);
+          // Long enough to include a scheduled invocation.
+          expect(properties.Period).to.equal(600);
+          done(error);
+        });
+      });
+
+      it('adds an alarm topic notified by all alarms', function (done) {
+        var topicName = utilities.getAlarmTopicName();
+
+        config.monitoring.alarmTopic = true;
+
+        cloudFormationTemplateUtilities.generateTemplate(config, function (error) {
+          expect(template.Resources[topicName]).to.eql({
+            Type: 'AWS::SNS::Topic',
+            Properties: {
+              DisplayName: config.name + ' alarms'
+            }
+          });
+          expect(
+            template.Outputs[utilities.getAlarmTopicArnOutputName()].Value
+          ).to.eql({
+            Ref: topicName
+          });
+
+          _.each(template.Resources, function (resource) {
+            if (resource.Type === 'AWS::CloudWatch::Alarm') {
+              expect(resource.Properties.AlarmActions).to.eql([
+                {
+                  Ref: topicName
+                }
+              ]);
+            }
+          });
+
+          done(error);
+        });
+      });
+    });
   });
 
 });
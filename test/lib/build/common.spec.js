@@ -61,6 +61,51 @@ describe('lib/build/common', function () {
     });
   });
 
+  describe('getLayerNodeModulesDirectory', function () {
+    it('functions correctly', function () {
+      expect(
+        buildCommon.getLayerNodeModulesDirectory(applicationConfig)
+      ).to.equal(
+        path.join(
+          buildCommon.getApplicationBuildDirectory(applicationConfig),
+          constants.layer.NAME,
+          'nodejs',
+          'node_modules'
+        )
+      );
+    });
+  });
+
+  describe('getApplicationBuildCacheDirectory', function () {
+    it('functions correctly', function () {
+      expect(
+        buildCommon.getApplicationBuildCacheDirectory(applicationConfig)
+      ).to.equal(
+        path.resolve(
+          __dirname,
+          '../../../build',
+          applicationConfig.name,
+          '.cache'
+        )
+      );
+    });
+  });
+
+  describe('getComponentHashFilePath', function () {
+    it('functions correctly', function () {
+      var component = applicationConfig.components[0];
+
+      expect(
+        buildCommon.getComponentHashFilePath(component, applicationConfig)
+      ).to.equal(
+        path.join(
+          buildCommon.getApplicationBuildDirectory(applicationConfig),
+          component.name + '.hash'
+        )
+      );
+    });
+  });
+
   describe('getApplicationPackageDirectories', function () {
     var fakePackageDirs;
     var fakeApplicationDir;
@@ -115,6 +160,23 @@ describe('lib/build/common', function () {
         )
       );
     });
+
+    it('uses a key shared by all deployments for a content hash', function () {
+      expect(
+        buildCommon.getComponentS3Key(
+          applicationConfig.components[0],
+          applicationConfig,
+          'abcdef'
+        )
+      ).to.equal(
+        path.join(
+          applicationConfig.deployment.s3KeyPrefix,
+          applicationConfig.name,
+          'packages',
+          applicationConfig.components[0].name + '-abcdef.zip'
+        )
+      );
+    });
   });
 
   describe('getComponentZipFilePath', function () {
@@ -181,6 +243,33 @@ describe('lib/build/common', function () {
     });
   });
 
+  describe('getLayerDefinition', function () {
+    it('functions correctly', function () {
+      expect(buildCommon.getLayerDefinition()).to.eql({
+        name: constants.layer.NAME
+      });
+    });
+  });
+
+  describe('getAllPackages', function () {
+    it('returns all components without a layer', function () {
+      expect(buildCommon.getAllPackages(applicationConfig)).to.eql(
+        buildCommon.getAllComponents(applicationConfig)
+      );
+    });
+
+    it('includes the layer if there is one', function () {
+      var config = _.cloneDeep(applicationConfig);
+      config.layer = {};
+
+      expect(buildCommon.getAllPackages(config)).to.eql(
+        buildCommon.getAllComponents(config).concat([
+          buildCommon.getLayerDefinition()
+        ])
+      );
+    });
+  });
+
   describe('getEventFromMessageComponents', function () {
     it('functions correctly', function () {
       expect(buildCommon.getEventFromMessageComponents(applicationConfig)).to.eql([
@@ -189,6 +278,75 @@ describe('lib/build/common', function () {
     });
   });
 
+  describe('getEventFromS3Components', function () {
+    it('functions correctly', function () {
+      var config = _.cloneDeep(applicationConfig);
+      config.components[1].type = constants.componentType.EVENT_FROM_S3;
+
+      expect(buildCommon.getEventFromS3Components(applicationConfig)).to.eql([]);
+      expect(buildCommon.getEventFromS3Components(config)).to.eql([
+        config.components[1]
+      ]);
+    });
+  });
+
+  describe('getEventFromSnsComponents', function () {
+    it('functions correctly', function () {
+      var config = _.cloneDeep(applicationConfig);
+      config.components[1].type = constants.componentType.EVENT_FROM_SNS;
+
+      expect(buildCommon.getEventFromSnsComponents(applicationConfig)).to.eql([]);
+      expect(buildCommon.getEventFromSnsComponents(config)).to.eql([
+        config.components[1]
+      ]);
+    });
+  });
+
+  describe('getEventFromAggregationComponents', function () {
+    it('functions correctly', function () {
+      var config = _.cloneDeep(applicationConfig);
+      config.components[1].type = constants.componentType.EVENT_FROM_AGGREGATION;
+
+      expect(buildCommon.getEventFromAggregationComponents(applicationConfig)).to.eql([]);
+      expect(buildCommon.getEventFromAggregationComponents(config)).to.eql([
+        config.components[1]
+      ]);
+    });
+  });
+
+  describe('isDynamoDbConcurrencyBackend', function () {
+    it('functions correctly', function () {
+      var config = _.cloneDeep(applicationConfig);
+
+      expect(buildCommon.isDynamoDbConcurrencyBackend(config)).to.equal(false);
+      config.concurrencyBackend = constants.concurrencyBackend.SQS;
+      expect(buildCommon.isDynamoDbConcurrencyBackend(config)).to.equal(false);
+      config.concurrencyBackend = constants.concurrencyBackend.DYNAMODB;
+      expect(buildCommon.isDynamoDbConcurrencyBackend(config)).to.equal(true);
+    });
+  });
+
+  describe('getRoutingDestinationNames', function () {
+    it('returns the names in strings and routing rules', function () {
+      expect(buildCommon.getRoutingDestinationNames('a')).to.eql(['a']);
+      expect(buildCommon.getRoutingDestinationNames([
+        'a',
+        {
+          to: 'b'
+        },
+        {
+          onError: true,
+          to: ['a', 'c']
+        }
+      ])).to.eql(['a', 'b', 'c']);
+    });
+
+    it('returns no names for routing functions or no routing', function () {
+      expect(buildCommon.getRoutingDestinationNames(function () {})).to.eql([]);
+      expect(buildCommon.getRoutingDestinationNames(undefined)).to.eql([]);
+    });
+  });
+
   describe('generateConfigContents', function () {
     it('produces suitable duplicate config Javascript', function () {
       var jsPath = path.join(scratchDir, 'configContent.js');
@@ -205,6 +363,38 @@ describe('lib/build/common', function () {
 
       expect(matcher.test(config)).to.equal(true);
     });
+
+    it('includes the functions of event from aggregation components', function () {
+      var jsPath = path.join(scratchDir, 'configContentAggregation.js');
+      var config = _.cloneDeep(applicationConfig);
+      var component = config.components[1];
+
+      component.type = constants.componentType.EVENT_FROM_AGGREGATION;
+      component.correlationKey = function (data) {
+        return data.key;
+      };
+      component.expectedCount = function (data) {
+        return data.count;
+      };
+
+      fs.writeFileSync(jsPath, buildCommon.generateConfigContents(config));
+
+      component = require(jsPath).components[1];
+      expect(component.correlationKey({ key: 'key' })).to.equal('key');
+      expect(component.expectedCount({ count: 2 })).to.equal(2);
+    });
+
+    it('reads the deploy ID from the environment', function () {
+      var contents = buildCommon.generateConfigContents(applicationConfig);
+      var otherConfig = _.cloneDeep(applicationConfig);
+
+      otherConfig.deployId = otherConfig.deployId + 1;
+
+      expect(contents).to.contain(
+        'process.env.' + constants.environment.DEPLOY_ID
+      );
+      expect(buildCommon.generateConfigContents(otherConfig)).to.equal(contents);
+    });
   });
 
 });
@@ -2,6 +2,9 @@
  * @fileOverview Tests for lib/build/configValidator.
  */
 
+// NPM.
+var _ = require('lodash');
+
 // Local.
 var constants = require('../../../lib/shared/constants');
 var validator = require('../../../lib/build/configValidator');
@@ -57,6 +60,18 @@ describe('lib/build/configValidator', function () {
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
     });
 
+    it('permits valid concurrencyBackend values', function () {
+      mockApplicationConfig.concurrencyBackend = constants.concurrencyBackend.SQS;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.concurrencyBackend = constants.concurrencyBackend.DYNAMODB;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid concurrencyBackend', function () {
+      mockApplicationConfig.concurrencyBackend = 'redis';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
     it('errors on missing, invalid, or empty deployment.region', function () {
       mockApplicationConfig.deployment.region = '';
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
@@ -146,6 +161,18 @@ describe('lib/build/configValidator', function () {
       expect(validator.validate(mockApplicationConfig).length).to.equal(0);
     });
 
+    it('errors on invalid deployment.incrementalBuild', function () {
+      mockApplicationConfig.deployment.incrementalBuild = '';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.deployment.incrementalBuild = {};
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits deployment.incrementalBuild', function () {
+      mockApplicationConfig.deployment.incrementalBuild = true;
+      expect(validator.validate(mockApplicationConfig).length).to.equal(0);
+    });
+
     it('errors on invalid coordinator.coordinatorConcurrency', function () {
       mockApplicationConfig.coordinator.coordinatorConcurrency = 0;
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
@@ -184,6 +211,29 @@ describe('lib/build/configValidator', function () {
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
     });
 
+    it('errors on invalid coordinator.mode', function () {
+      mockApplicationConfig.coordinator.mode = 'invalid';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.coordinator.mode = {};
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits valid coordinator.mode', function () {
+      mockApplicationConfig.coordinator.mode = constants.coordinatorMode.SCHEDULED;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.coordinator.mode = constants.coordinatorMode.SELF_INVOKING;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid coordinator.scheduleRate', function () {
+      mockApplicationConfig.coordinator.scheduleRate = 0;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.coordinator.scheduleRate = 1.5;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.coordinator.scheduleRate = '';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
     it('errors on invalid, missing, or empty roles', function () {
       mockApplicationConfig.roles = {};
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
@@ -310,6 +360,165 @@ describe('lib/build/configValidator', function () {
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
     });
 
+    it('permits component metrics and coordinator metricsNamespace', function () {
+      mockApplicationConfig.components[0].metrics = false;
+      mockApplicationConfig.components[1].metrics = true;
+      mockApplicationConfig.coordinator.metricsNamespace = 'Custom';
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid component metrics or coordinator metricsNamespace', function () {
+      mockApplicationConfig.components[0].metrics = 'false';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.components[0].metrics;
+      mockApplicationConfig.coordinator.metricsNamespace = '';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits monitoring', function () {
+      mockApplicationConfig.monitoring = {};
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.monitoring = {
+        alarmTopic: true,
+        lambdaErrorThreshold: 2,
+        maxMessageAge: 600,
+        period: 120
+      };
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid monitoring', function () {
+      mockApplicationConfig.monitoring = {
+        period: 90
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.monitoring = {
+        period: 0
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.monitoring = {
+        maxMessageAge: 0
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.monitoring = {
+        alarmTopic: 'true'
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.monitoring = {
+        invalid: true
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits event from aggregation components', function () {
+      mockApplicationConfig.components[1] = {
+        name: 'join',
+        type: constants.componentType.EVENT_FROM_AGGREGATION,
+        correlationKey: 'id',
+        expectedCount: 2,
+        lambda: mockApplicationConfig.components[1].lambda
+      };
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+
+      mockApplicationConfig.components[1].correlationKey = function (data) {
+        return data.id;
+      };
+      mockApplicationConfig.components[1].expectedCount = function (data) {
+        return data.total;
+      };
+      mockApplicationConfig.components[1].aggregationTimeout = 60;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid event from aggregation components', function () {
+      mockApplicationConfig.components[1] = {
+        name: 'join',
+        type: constants.componentType.EVENT_FROM_AGGREGATION,
+        correlationKey: 'id',
+        expectedCount: 0,
+        lambda: mockApplicationConfig.components[1].lambda
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[1].expectedCount = 2;
+      mockApplicationConfig.components[1].correlationKey = '';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.components[1].correlationKey;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[1].correlationKey = 'id';
+      mockApplicationConfig.components[1].aggregationTimeout = 0;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.components[1].aggregationTimeout;
+      mockApplicationConfig.components[1].maxConcurrency = 10;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits component batchSize', function () {
+      mockApplicationConfig.components[0].batchSize = 1;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.components[0].batchSize = constants.sqs.MAX_NUMBER_OF_MESSAGES;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid component batchSize', function () {
+      mockApplicationConfig.components[0].batchSize = 0;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].batchSize = constants.sqs.MAX_NUMBER_OF_MESSAGES + 1;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].batchSize = 2.5;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.components[0].batchSize;
+      mockApplicationConfig.components[1].batchSize = 2;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits component deadLetter and maxReceiveCount', function () {
+      mockApplicationConfig.components[0].deadLetter = true;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.components[0].maxReceiveCount = 3;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.components[0].deadLetter = false;
+      delete mockApplicationConfig.components[0].maxReceiveCount;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid component deadLetter', function () {
+      mockApplicationConfig.components[0].deadLetter = 'true';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.components[0].deadLetter;
+      mockApplicationConfig.components[1].deadLetter = true;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('errors on invalid component maxReceiveCount', function () {
+      mockApplicationConfig.components[0].deadLetter = true;
+      mockApplicationConfig.components[0].maxReceiveCount = 0;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].maxReceiveCount = constants.sqs.MAX_MAX_RECEIVE_COUNT + 1;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].maxReceiveCount = 1.5;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].maxReceiveCount = '';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('errors on component maxReceiveCount without deadLetter', function () {
+      mockApplicationConfig.components[0].maxReceiveCount = 3;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits component migrateQueuedMessages', function () {
+      mockApplicationConfig.components[0].migrateQueuedMessages = true;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid component migrateQueuedMessages', function () {
+      mockApplicationConfig.components[0].migrateQueuedMessages = 'true';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.components[0].migrateQueuedMessages;
+      mockApplicationConfig.components[1].migrateQueuedMessages = true;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
     it('errors on specifying routing component name that is valid but not defined', function () {
       mockApplicationConfig.components[1].routing = 'wouldbevalid';
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
@@ -317,6 +526,283 @@ describe('lib/build/configValidator', function () {
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
     });
 
+    it('errors on specifying an internal component name in routing', function () {
+      var errors;
+
+      mockApplicationConfig.components[0].routing = [
+        constants.coordinator.NAME,
+        {
+          to: constants.invoker.NAME
+        }
+      ];
+      errors = validator.validate(mockApplicationConfig);
+      expect(errors.length).to.equal(1);
+      expect(errors[0].message).to.equal(
+        'One or more internal components specified in routing: ' +
+        constants.coordinator.NAME + ', ' + constants.invoker.NAME
+      );
+    });
+
+    it('reports each undefined routing component name once', function () {
+      var errors;
+
+      mockApplicationConfig.components[0].routing = ['wouldbevalid'];
+      mockApplicationConfig.components[1].routing = 'wouldbevalid';
+      errors = validator.validate(mockApplicationConfig);
+      expect(errors.length).to.equal(1);
+      expect(errors[0].message).to.equal(
+        'One or more invalid component names specified in routing: wouldbevalid'
+      );
+    });
+
+    it('permits application and component environment', function () {
+      mockApplicationConfig.environment = {
+        STAGE: 'production'
+      };
+      mockApplicationConfig.components[0].environment = {
+        BUCKET_NAME: 'bucket',
+        api2: ''
+      };
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid environment', function () {
+      mockApplicationConfig.environment = {
+        STAGE: 1
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.environment = {
+        '1STAGE': 'production'
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.environment;
+      mockApplicationConfig.components[0].environment = {
+        AWS_REGION: 'us-east-1'
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].environment = {
+        LAMBDA_TASK_ROOT: '/'
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].environment = 'STAGE=production';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits a layer', function () {
+      mockApplicationConfig.layer = {};
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.layer = {
+        dependencies: {
+          'aws-sdk': '^2.1692.0',
+          '@scope/package': '>=1.0.0 <2.0.0'
+        }
+      };
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on an invalid layer', function () {
+      mockApplicationConfig.layer = {
+        dependencies: {
+          'Invalid Name': '1.0.0'
+        }
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.layer = {
+        dependencies: {
+          'aws-sdk': '1.0.0" && echo "'
+        }
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.layer = {
+        files: []
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('errors on a component named for the layer', function () {
+      mockApplicationConfig.components[0].name = constants.layer.NAME;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits a supported runtime', function () {
+      mockApplicationConfig.components[0].lambda.runtime = constants.lambda.RUNTIMES[0];
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on an unsupported runtime', function () {
+      mockApplicationConfig.components[0].lambda.runtime = 'nodejs';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].lambda.runtime = 'python3.12';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits component secrets', function () {
+      mockApplicationConfig.components[0].secrets = {
+        apiKey: '/path/to/apiKey',
+        password: {
+          kms: 'Y2lwaGVydGV4dA=='
+        }
+      };
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid secrets', function () {
+      mockApplicationConfig.components[0].secrets = {
+        apiKey: 'path to apiKey'
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].secrets = {
+        password: {
+          kms: 'not base64!'
+        }
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].secrets = {
+        password: {
+          kms: 'Y2lwaGVydGV4dA==',
+          context: {}
+        }
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].secrets = {
+        'api-key': '/path/to/apiKey'
+      };
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits routing rules', function () {
+      mockApplicationConfig.components[0].routing = [
+        'invocation',
+        {
+          when: {
+            path: 'detail.type',
+            equals: 'image'
+          },
+          to: 'invocation'
+        },
+        {
+          when: {
+            path: 'type',
+            in: ['text', 1, null]
+          },
+          to: ['invocation']
+        },
+        {
+          onError: true,
+          when: {
+            path: 'retryable',
+            exists: false
+          },
+          to: 'invocation'
+        },
+        {
+          when: {
+            path: 'flag'
+          },
+          to: 'invocation'
+        }
+      ];
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on invalid routing rules', function () {
+      mockApplicationConfig.components[0].routing = [{}];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].routing = [{
+        to: []
+      }];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].routing = [{
+        to: 'invocation',
+        onError: 'true'
+      }];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].routing = [{
+        to: 'invocation',
+        unless: {}
+      }];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].routing = [{
+        to: 'invocation',
+        when: {
+          equals: 'image'
+        }
+      }];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].routing = [{
+        to: 'invocation',
+        when: {
+          path: 'type',
+          equals: {}
+        }
+      }];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('errors on routing rules with destinations that are not defined', function () {
+      var errors;
+
+      mockApplicationConfig.components[0].routing = [{
+        onError: true,
+        to: ['invocation', 'wouldbevalid']
+      }];
+      errors = validator.validate(mockApplicationConfig);
+      expect(errors.length).to.equal(1);
+      expect(errors[0].message).to.contain('wouldbevalid');
+    });
+
+    it('permits eventFromS3 components', function () {
+      mockApplicationConfig.components[1].type = constants.componentType.EVENT_FROM_S3;
+      mockApplicationConfig.components[1].s3Events = ['s3:ObjectCreated:*'];
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.components[1].s3KeyPrefix = 'prefix/';
+      mockApplicationConfig.components[1].s3KeySuffix = '.json';
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+    });
+
+    it('errors on missing, invalid, or empty component s3Events', function () {
+      mockApplicationConfig.components[1].type = constants.componentType.EVENT_FROM_S3;
+      mockApplicationConfig.components[1].s3Events = [];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[1].s3Events = ['ObjectCreated'];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[1].s3Events = 's3:ObjectCreated:*';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.components[1].s3Events;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('errors on invalid or empty component s3KeyPrefix and s3KeySuffix', function () {
+      mockApplicationConfig.components[1].type = constants.componentType.EVENT_FROM_S3;
+      mockApplicationConfig.components[1].s3Events = ['s3:ObjectCreated:*'];
+      mockApplicationConfig.components[1].s3KeyPrefix = '';
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      delete mockApplicationConfig.components[1].s3KeyPrefix;
+      mockApplicationConfig.components[1].s3KeySuffix = {};
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('permits eventFromSns components', function () {
+      mockApplicationConfig.components[1].type = constants.componentType.EVENT_FROM_SNS;
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      mockApplicationConfig.components[1].s3Events = ['s3:ObjectCreated:*'];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
+    it('errors on routing to eventFromS3 or eventFromSns components', function () {
+      mockApplicationConfig.components[0].routing = 'invocation';
+      mockApplicationConfig.components[1].type = constants.componentType.EVENT_FROM_SNS;
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].routing = ['invocation'];
+      mockApplicationConfig.components[1].type = constants.componentType.EVENT_FROM_S3;
+      mockApplicationConfig.components[1].s3Events = ['s3:ObjectCreated:*'];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].routing = [{
+        to: 'invocation'
+      }];
+      expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+    });
+
     it('errors on missing, invalid, or empty lambda.npmPackage', function () {
       mockApplicationConfig.components[1].lambda.npmPackage = '';
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
@@ -378,6 +864,10 @@ describe('lib/build/configValidator', function () {
     it('errors on specifying lambda.role that is valid but not defined', function () {
       mockApplicationConfig.components[1].lambda.role = 'wouldbevalid';
       expect(validator.validate(mockApplicationConfig).length).to.be.above(0);
+      mockApplicationConfig.components[0].lambda.role = 'wouldbevalid';
+      expect(_.pluck(validator.validate(mockApplicationConfig), 'message')).to.eql([
+        'One or more invalid role names specified in components: wouldbevalid'
+      ]);
     });
   });
 
@@ -418,6 +908,86 @@ describe('lib/build/configValidator', function () {
     });
   });
 
+  describe('getWarnings', function () {
+    /**
+     * Add an eventFromInvocation component to the mock application.
+     *
+     * @param {String} name The component name.
+     * @param {Mixed} routing The component routing.
+     */
+    function addInvocationComponent (name, routing) {
+      var component = _.cloneDeep(mockApplicationConfig.components[1]);
+
+      component.name = name;
+      component.routing = routing;
+      mockApplicationConfig.components.push(component);
+    }
+
+    /**
+     * Obtain the messages of the warnings for the mock application, checking
+     * that it is still valid.
+     *
+     * @return {String[]} The warning messages.
+     */
+    function getWarningMessages () {
+      expect(validator.validate(mockApplicationConfig)).to.eql([]);
+      return _.pluck(validator.getWarnings(mockApplicationConfig), 'message');
+    }
+
+    it('returns no warnings for a fully routed application', function () {
+      mockApplicationConfig.components[0].routing = 'invocation';
+      expect(getWarningMessages()).to.eql([]);
+    });
+
+    it('warns about eventFromInvocation components with no inbound routing', function () {
+      expect(getWarningMessages()).to.eql([
+        'One or more eventFromInvocation components have no inbound routing, so are only invoked by routing functions or from outside the application: invocation'
+      ]);
+
+      // Dynamic routing doesn't count.
+      mockApplicationConfig.components[0].routing = function () {};
+      expect(getWarningMessages().length).to.equal(1);
+    });
+
+    it('warns about unreachable components with no input queue', function () {
+      addInvocationComponent('other', 'invocation');
+      mockApplicationConfig.components[0].routing = 'invocation';
+      mockApplicationConfig.components[1].type = constants.componentType.EVENT_FROM_AGGREGATION;
+      mockApplicationConfig.components[1].correlationKey = 'id';
+      mockApplicationConfig.components[1].expectedCount = 2;
+      expect(getWarningMessages()).to.eql([
+        'One or more eventFromInvocation components have no inbound routing, so are only invoked by routing functions or from outside the application: other'
+      ]);
+
+      mockApplicationConfig.components[0].routing = undefined;
+      mockApplicationConfig.components.pop();
+      expect(getWarningMessages()).to.eql([
+        'One or more components have no input queue and are not routed to, so are unreachable unless a routing function sends to them: invocation'
+      ]);
+    });
+
+    it('warns about routing cycles among eventFromInvocation components', function () {
+      mockApplicationConfig.components[0].routing = ['invocation', 'a'];
+      mockApplicationConfig.components[1].routing = 'invocation';
+      addInvocationComponent('a', 'b');
+      addInvocationComponent('b', [{
+        onError: true,
+        to: 'c'
+      }]);
+      addInvocationComponent('c', ['a', 'message']);
+      expect(getWarningMessages()).to.eql([
+        'Routing cycle among eventFromInvocation components, which could recurse without bound: invocation',
+        'Routing cycle among eventFromInvocation components, which could recurse without bound: a, b, c'
+      ]);
+    });
+
+    it('does not warn about cycles through eventFromMessage components', function () {
+      mockApplicationConfig.components[0].routing = 'invocation';
+      mockApplicationConfig.components[1].routing = 'message';
+      expect(getWarningMessages()).to.eql([]);
+    });
+  });
+
   // Run the checks on whether validation works for valid files after all the
   // tests that alter configuration. This ensures that nothing was messed up in
   // the course of testing.
@@ -0,0 +1,135 @@
+/**
+ * @fileOverview Tests for lib/build/graphUtilities.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var graphUtilities = require('../../../lib/build/graphUtilities');
+var applicationConfig = require('../../resources/mockApplication/applicationConfig');
+
+describe('lib/build/graphUtilities', function () {
+  var config;
+  var graph;
+
+  beforeEach(function () {
+    config = _.cloneDeep(applicationConfig);
+    config.components[0].deadLetter = true;
+    config.components[0].routing = [
+      'invocation',
+      {
+        onError: true,
+        when: {
+          path: 'type',
+          equals: 'image'
+        },
+        to: ['invocation']
+      },
+      function () {}
+    ];
+
+    graph = {
+      name: 'mock',
+      components: [
+        {
+          name: 'message',
+          type: 'eventFromMessage',
+          queue: 'MessageQueue',
+          deadLetterQueue: 'MessageDeadLetterQueue'
+        },
+        {
+          name: 'invocation',
+          type: 'eventFromInvocation'
+        }
+      ],
+      edges: [
+        {
+          from: 'message',
+          to: 'invocation',
+          dynamic: false,
+          onError: false
+        },
+        {
+          from: 'message',
+          to: 'invocation',
+          dynamic: false,
+          onError: true,
+          when: {
+            path: 'type',
+            equals: 'image'
+          }
+        },
+        {
+          from: 'message',
+          to: undefined,
+          dynamic: true,
+          onError: false
+        }
+      ]
+    };
+  });
+
+  describe('getGraph', function () {
+    it('functions correctly', function () {
+      expect(graphUtilities.getGraph(config)).to.eql(graph);
+    });
+
+    it('has no edges for components without routing', function () {
+      expect(graphUtilities.getGraph(applicationConfig).edges).to.eql([]);
+    });
+  });
+
+  describe('toDot', function () {
+    it('functions correctly', function () {
+      expect(graphUtilities.toDot(graph)).to.equal([
+        'digraph "mock" {',
+        '  rankdir=LR;',
+        '  node [shape=box];',
+        '  "message" [label="message\\neventFromMessage\\nqueue: MessageQueue\\ndead letter queue: MessageDeadLetterQueue"];',
+        '  "invocation" [label="invocation\\neventFromInvocation"];',
+        '  "message" -> "invocation";',
+        '  "message" -> "invocation" [label="on error: type == \\"image\\"", color=red];',
+        '  "message (dynamic)" [label="?", shape=circle, style=dashed];',
+        '  "message" -> "message (dynamic)" [style=dashed, label="routing function"];',
+        '}',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('toMermaid', function () {
+    it('functions correctly', function () {
+      expect(graphUtilities.toMermaid(graph)).to.equal([
+        'flowchart LR',
+        '  c0["message<br/>eventFromMessage<br/>queue: MessageQueue<br/>dead letter queue: MessageDeadLetterQueue"]',
+        '  c1["invocation<br/>eventFromInvocation"]',
+        '  c0 --> c1',
+        '  c0 -->|"on error: type == #quot;image#quot;"| c1',
+        '  d2(("?"))',
+        '  c0 -.->|"routing function"| d2',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('renderGraph', function () {
+    it('renders each format', function () {
+      expect(graphUtilities.renderGraph(config, 'dot')).to.equal(
+        graphUtilities.toDot(graph)
+      );
+      expect(graphUtilities.renderGraph(config, 'mermaid')).to.equal(
+        graphUtilities.toMermaid(graph)
+      );
+      expect(JSON.parse(graphUtilities.renderGraph(config, 'json'))).to.eql(
+        JSON.parse(JSON.stringify(graph))
+      );
+    });
+
+    it('throws on an invalid format', function () {
+      expect(function () {
+        graphUtilities.renderGraph(config, 'svg');
+      }).to.throw(/Invalid graph format: svg/);
+    });
+  });
+});
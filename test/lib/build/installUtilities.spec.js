@@ -0,0 +1,274 @@
+/**
+ * @fileOverview Tests for lib/build/installUtilities.
+ */
+
+// Core.
+var childProcess = require('child_process');
+var path = require('path');
+
+// NPM.
+var fs = require('fs-extra');
+var _ = require('lodash');
+
+// Local.
+var common = require('../../../lib/build/common');
+var constants = require('../../../lib/shared/constants');
+var installUtilities = require('../../../lib/build/installUtilities');
+var resources = require('../../resources');
+var applicationConfig = require('../../resources/mockApplication/applicationConfig');
+
+var scratchDir = resources.getScratchDirectory();
+
+describe('lib/build/installUtilities', function () {
+  var sandbox;
+  var config;
+  var buildDir;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+    config = _.cloneDeep(applicationConfig);
+    config.layer = {};
+    buildDir = path.join(scratchDir, 'installUtilities');
+
+    fs.removeSync(buildDir);
+    sandbox.stub(common, 'getApplicationBuildDirectory').returns(buildDir);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+    fs.removeSync(buildDir);
+  });
+
+  describe('generateLayerShimContents', function () {
+    it('loads the runtime file from the layer module', function () {
+      expect(installUtilities.generateLayerShimContents('utilities')).to.equal(
+        '// Provided by the Lambda Complex layer.\n' +
+        'module.exports = require(\'' + constants.layer.MODULE_NAME + '/utilities\');\n'
+      );
+    });
+  });
+
+  describe('writeLayerShim', function () {
+    it('writes a file that exports the runtime file in the layer', function (done) {
+      var packageDir = path.join(buildDir, 'layerShim');
+
+      // Stand in for the layer, which is found in the same way.
+      fs.outputFileSync(
+        path.join(packageDir, 'node_modules', constants.layer.MODULE_NAME, 'utilities.js'),
+        'module.exports = \'utilities\';'
+      );
+
+      installUtilities.writeLayerShim(packageDir, 'utilities', function (error) {
+        if (error) {
+          return done(error);
+        }
+
+        expect(require(path.join(packageDir, '_utilities.js'))).to.equal('utilities');
+        done();
+      });
+    });
+  });
+
+  describe('npmInstallLayerDependencies', function () {
+    var installDir;
+
+    beforeEach(function () {
+      installDir = path.dirname(common.getLayerNodeModulesDirectory(config));
+      sandbox.stub(childProcess, 'execFile').yields();
+    });
+
+    it('passes each dependency to NPM as a separate argument', function (done) {
+      config.layer.dependencies = {
+        'aws-sdk': '2.1693.0',
+        example: '^1.0.0 || "$(exit 1)"'
+      };
+
+      installUtilities.npmInstallLayerDependencies(config, function (error) {
+        sinon.assert.calledWith(
+          childProcess.execFile,
+          'npm',
+          [
+            '--no-package-lock',
+            '--no-save',
+            '--prefix',
+            installDir,
+            'install',
+            'aws-sdk@2.1693.0',
+            'example@^1.0.0 || "$(exit 1)"'
+          ],
+          sinon.match({
+            cwd: installDir
+          }),
+          sinon.match.func
+        );
+        done(error);
+      });
+    });
+
+    it('does nothing without dependencies', function (done) {
+      installUtilities.npmInstallLayerDependencies(config, function (error) {
+        sinon.assert.notCalled(childProcess.execFile);
+        done(error);
+      });
+    });
+
+    it('calls back with an error if NPM fails', function (done) {
+      config.layer.dependencies = {
+        example: '1.0.0'
+      };
+      childProcess.execFile.yields(new Error());
+
+      installUtilities.npmInstallLayerDependencies(config, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('installLayer', function () {
+    var nodeModulesDir;
+    var moduleDir;
+
+    beforeEach(function () {
+      nodeModulesDir = common.getLayerNodeModulesDirectory(config);
+      moduleDir = path.join(nodeModulesDir, constants.layer.MODULE_NAME);
+      sandbox.stub(installUtilities, 'npmInstallLayerDependencies').yields();
+      sandbox.stub(installUtilities, 'bundleAwsSdk').yields();
+    });
+
+    it('places the runtime files where Node.js runtimes find them', function (done) {
+      installUtilities.installLayer(config, function (error) {
+        if (error) {
+          return done(error);
+        }
+
+        expect(nodeModulesDir).to.equal(path.join(
+          buildDir,
+          constants.layer.NAME,
+          'nodejs',
+          'node_modules'
+        ));
+        expect(fs.readFileSync(path.join(moduleDir, 'config.js'), 'utf8')).to.equal(
+          common.generateConfigContents(config)
+        );
+        expect(fs.readFileSync(path.join(moduleDir, 'constants.js'), 'utf8')).to.equal(
+          fs.readFileSync(require.resolve('../../../lib/shared/constants'), 'utf8')
+        );
+        expect(fs.readFileSync(path.join(moduleDir, 'utilities.js'), 'utf8')).to.equal(
+          fs.readFileSync(require.resolve('../../../lib/shared/utilities'), 'utf8')
+        );
+        done();
+      });
+    });
+
+    it('installs dependencies before bundling the AWS SDK', function (done) {
+      installUtilities.installLayer(config, function (error) {
+        sinon.assert.calledWith(
+          installUtilities.npmInstallLayerDependencies,
+          config,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          installUtilities.bundleAwsSdk,
+          nodeModulesDir,
+          sinon.match.func
+        );
+        sinon.assert.callOrder(
+          installUtilities.npmInstallLayerDependencies,
+          installUtilities.bundleAwsSdk
+        );
+        done(error);
+      });
+    });
+  });
+
+  describe('getAwsSdkModuleDirectories', function () {
+    it('includes the aws-sdk package and the dependencies beside it', function () {
+      var sdkDir = path.dirname(require.resolve('aws-sdk/package.json'));
+      var entries = installUtilities.getAwsSdkModuleDirectories();
+
+      expect(entries['aws-sdk']).to.equal(sdkDir);
+
+      _.each(_.keys(require('aws-sdk/package.json').dependencies), function (name) {
+        expect(
+          fs.existsSync(path.join(sdkDir, 'node_modules', name)) ||
+          entries[name] === path.join(path.dirname(sdkDir), name)
+        ).to.equal(true);
+      });
+    });
+  });
+
+  describe('bundleAwsSdk', function () {
+    var sourceDir;
+    var nodeModulesDir;
+
+    beforeEach(function () {
+      sourceDir = path.join(buildDir, 'source');
+      nodeModulesDir = path.join(buildDir, 'node_modules');
+
+      fs.outputFileSync(path.join(sourceDir, 'aws-sdk/lib/aws.js'), 'sdk');
+      fs.outputFileSync(path.join(sourceDir, 'aws-sdk/clients/s3.d.ts'), '');
+      fs.outputFileSync(path.join(sourceDir, 'aws-sdk/dist/aws-sdk.js'), '');
+      fs.outputFileSync(path.join(sourceDir, 'sax/lib/sax.js'), 'sax');
+
+      sandbox.stub(installUtilities, 'getAwsSdkModuleDirectories').returns({
+        'aws-sdk': path.join(sourceDir, 'aws-sdk'),
+        sax: path.join(sourceDir, 'sax')
+      });
+    });
+
+    it('copies the SDK and its dependencies', function (done) {
+      installUtilities.bundleAwsSdk(nodeModulesDir, function (error) {
+        expect(fs.readFileSync(
+          path.join(nodeModulesDir, 'aws-sdk/lib/aws.js'),
+          'utf8'
+        )).to.equal('sdk');
+        expect(fs.readFileSync(
+          path.join(nodeModulesDir, 'sax/lib/sax.js'),
+          'utf8'
+        )).to.equal('sax');
+        done(error);
+      });
+    });
+
+    it('leaves out type definitions and browser builds', function (done) {
+      installUtilities.bundleAwsSdk(nodeModulesDir, function (error) {
+        expect(fs.existsSync(
+          path.join(nodeModulesDir, 'aws-sdk/clients/s3.d.ts')
+        )).to.equal(false);
+        expect(fs.existsSync(
+          path.join(nodeModulesDir, 'aws-sdk/dist')
+        )).to.equal(false);
+        done(error);
+      });
+    });
+
+    it('does nothing if the package provides the SDK', function (done) {
+      fs.outputFileSync(path.join(nodeModulesDir, 'aws-sdk/lib/aws.js'), 'own');
+
+      installUtilities.bundleAwsSdk(nodeModulesDir, function (error) {
+        expect(fs.readFileSync(
+          path.join(nodeModulesDir, 'aws-sdk/lib/aws.js'),
+          'utf8'
+        )).to.equal('own');
+        expect(fs.existsSync(path.join(nodeModulesDir, 'sax'))).to.equal(false);
+        done(error);
+      });
+    });
+
+    it('keeps dependencies that the package provides', function (done) {
+      fs.outputFileSync(path.join(nodeModulesDir, 'sax/lib/sax.js'), 'own');
+
+      installUtilities.bundleAwsSdk(nodeModulesDir, function (error) {
+        expect(fs.readFileSync(
+          path.join(nodeModulesDir, 'sax/lib/sax.js'),
+          'utf8'
+        )).to.equal('own');
+        expect(fs.existsSync(
+          path.join(nodeModulesDir, 'aws-sdk/lib/aws.js')
+        )).to.equal(true);
+        done(error);
+      });
+    });
+  });
+});
@@ -7,6 +7,7 @@ var childProcess = require('child_process');
 var path = require('path');
 
 // Local.
+var constants = require('../../../../lib/shared/constants');
 var resources = require('../../../resources');
 var applicationConfig = require('../../../resources/mockApplication/applicationConfig');
 var scratchDir = resources.getScratchDirectory();
@@ -104,10 +105,17 @@ describe('lib/build/template/index.js.hbs', function () {
 
     // And a receiptHandle.
     wrapperMessage.lc.receiptHandle = 'receipt-handle';
+    wrapperMessage.lc.messagesProcessedIndividually = false;
+    wrapperMessage.lc.queueEmpty = false;
+    wrapperMessage.lc.traceId = 'trace';
+    wrapperInvocation.lc.traceId = 'trace';
+    wrapperInvocation.lc.aggregationAlreadyClaimed = false;
 
-    // And incremented flags.
+    // And incremented flags and leases.
     wrapperMessage.lc.incremented = true;
     wrapperInvocation.lc.incremented = true;
+    wrapperMessage.lc.concurrencyLease = 'lease';
+    wrapperInvocation.lc.concurrencyLease = 'lease';
 
     // Make sure we stub the AWS client functions used here.
     sandbox.stub(wrapperMessage.lc.utilities, 'invoke').yields();
@@ -117,6 +125,9 @@ describe('lib/build/template/index.js.hbs', function () {
     sandbox.stub(wrapperInvocation.lc.utilities, 'deleteMessage').yields();
     sandbox.stub(wrapperMessage.lc.utilities, 'receiveMessage').yields();
     sandbox.stub(wrapperInvocation.lc.utilities, 'receiveMessage').yields();
+    sandbox.stub(wrapperMessage.lc.utilities, 'receiveMessages').yields(null, []);
+    sandbox.stub(wrapperMessage.lc.utilities, 'changeMessageVisibility').yields();
+    sandbox.stub(wrapperInvocation.lc.utilities, 'receiveMessages').yields(null, []);
     sandbox.stub(wrapperMessage.lc.utilities, 'sendMessage').yields();
     sandbox.stub(wrapperInvocation.lc.utilities, 'sendMessage').yields();
     sandbox.stub(wrapperMessage.lc.utilities, 'getQueueAttributes').yields();
@@ -142,9 +153,68 @@ describe('lib/build/template/index.js.hbs', function () {
   });
 
   afterEach(function () {
+    wrapperMessage.lc.stopVisibilityHeartbeat();
     sandbox.restore();
   });
 
+  describe('lc.log', function () {
+    it('includes the trace ID', function () {
+      var error = new Error();
+      sandbox.stub(console, 'error');
+
+      wrapperMessage.lc.log('error', 'message', error);
+
+      sinon.assert.calledWith(console.error, '[trace: trace]', 'message', error);
+    });
+  });
+
+  describe('lc.openEnvelope', function () {
+    var context;
+    var data;
+
+    beforeEach(function () {
+      context = {};
+      data = { value: 1 };
+      sandbox.stub(console, 'info');
+    });
+
+    it('opens an envelope and follows its trace', function () {
+      var envelope = wrapperMessage.lc.utilities.createEnvelope(data, {
+        source: 'invocation',
+        traceId: 'sent-trace',
+        deployId: wrapperMessage.lc.config.deployId
+      }, 1);
+
+      expect(wrapperMessage.lc.openEnvelope(envelope, context)).to.equal(data);
+      expect(context.envelope).to.eql(
+        wrapperMessage.lc.utilities.openEnvelope(envelope).metadata
+      );
+      expect(wrapperMessage.lc.traceId).to.equal('sent-trace');
+      sinon.assert.notCalled(console.info);
+    });
+
+    it('logs data sent by a different deployment', function () {
+      var envelope = wrapperMessage.lc.utilities.createEnvelope(data, {
+        source: 'invocation',
+        traceId: 'sent-trace',
+        deployId: 'other'
+      }, 1);
+
+      expect(wrapperMessage.lc.openEnvelope(envelope, context)).to.equal(data);
+      sinon.assert.calledWith(
+        console.info,
+        '[trace: sent-trace]',
+        sinon.match(/deployment other/)
+      );
+    });
+
+    it('passes through data without an envelope', function () {
+      expect(wrapperMessage.lc.openEnvelope(data, context)).to.equal(data);
+      expect(context.envelope).to.equal(undefined);
+      expect(wrapperMessage.lc.traceId).to.equal('trace');
+    });
+  });
+
   describe('lc.deleteMessageFromInputQueue', function () {
     var receiptHandle;
 
@@ -191,6 +261,11 @@ describe('lib/build/template/index.js.hbs', function () {
             wrapperMessage.lc.arnMap
           ),
           data,
+          {
+            source: 'message',
+            traceId: 'trace',
+            deployId: wrapperMessage.lc.config.deployId
+          },
           sinon.match.func
         );
         done();
@@ -208,7 +283,14 @@ describe('lib/build/template/index.js.hbs', function () {
             name,
             wrapperMessage.lc.arnMap
           ),
-          data,
+          sinon.match({
+            lambdaComplexEnvelope: 1,
+            source: 'message',
+            attempt: 1,
+            traceId: 'trace',
+            deployId: wrapperMessage.lc.config.deployId,
+            data: data
+          }),
           sinon.match.func
         );
         done();
@@ -238,6 +320,171 @@ describe('lib/build/template/index.js.hbs', function () {
       });
     });
 
+    it('invokes function for aggregation destination', function (done) {
+      var component = wrapperMessage.lc.componentsByName.invocation;
+      var stashedType = component.type;
+      component.type = constants.componentType.EVENT_FROM_AGGREGATION;
+      sandbox.stub(wrapperMessage.lc, 'sendDataToAggregation').yields();
+
+      wrapperMessage.lc.sendDataToDestination(data, 'invocation', function (error) {
+        component.type = stashedType;
+
+        sinon.assert.calledWith(
+          wrapperMessage.lc.sendDataToAggregation,
+          data,
+          component,
+          sinon.match.func
+        );
+        sinon.assert.notCalled(wrapperMessage.lc.utilities.sendMessage);
+        sinon.assert.notCalled(wrapperMessage.lc.utilities.invoke);
+        done(error);
+      });
+    });
+  });
+
+  describe('lc.sendDataToAggregation', function () {
+    var component;
+    var data;
+    var tableName;
+
+    beforeEach(function () {
+      // Ten seconds after the epoch.
+      sandbox.useFakeTimers(10000);
+      component = {
+        name: 'invocation',
+        type: constants.componentType.EVENT_FROM_AGGREGATION,
+        correlationKey: 'id',
+        expectedCount: 2
+      };
+      data = {
+        id: 'key',
+        total: 3
+      };
+      tableName = 'name-1-AggregationTable';
+      arnMap[wrapperMessage.lc.utilities.getAggregationTableArnOutputName()] =
+        'arn:aws:dynamodb:us-east-1:444555666777:table/' + tableName;
+
+      sandbox.stub(wrapperMessage.lc.utilities, 'addAggregationResult').yields(
+        undefined,
+        {
+          count: 1,
+          expectedCount: 2
+        }
+      );
+    });
+
+    it('adds the result without invoking below the expected count', function (done) {
+      wrapperMessage.lc.sendDataToAggregation(data, component, function (error) {
+        sinon.assert.calledWith(
+          wrapperMessage.lc.utilities.addAggregationResult,
+          tableName,
+          {
+            componentName: component.name,
+            correlationKey: 'key',
+            expectedCount: 2,
+            timeoutAt: undefined,
+            expiresAt: 10 + constants.aggregation.RETENTION
+          },
+          data,
+          sinon.match.func
+        );
+        sinon.assert.notCalled(wrapperMessage.lc.utilities.invoke);
+        done(error);
+      });
+    });
+
+    it('invokes the component at the expected count', function (done) {
+      wrapperMessage.lc.utilities.addAggregationResult.yields(undefined, {
+        count: 2,
+        expectedCount: 2
+      });
+
+      wrapperMessage.lc.sendDataToAggregation(data, component, function (error) {
+        sinon.assert.calledWith(
+          wrapperMessage.lc.utilities.invoke,
+          wrapperMessage.lc.utilities.getLambdaFunctionArn(component.name, arnMap),
+          sinon.match({
+            source: 'message',
+            traceId: 'trace',
+            data: {
+              correlationKey: 'key'
+            }
+          }),
+          sinon.match.func
+        );
+        done(error);
+      });
+    });
+
+    it('uses functions for correlation key and expected count', function (done) {
+      component.correlationKey = function (data) {
+        return data.total;
+      };
+      component.expectedCount = function (data) {
+        return data.total;
+      };
+      component.aggregationTimeout = 60;
+
+      wrapperMessage.lc.sendDataToAggregation(data, component, function (error) {
+        sinon.assert.calledWith(
+          wrapperMessage.lc.utilities.addAggregationResult,
+          tableName,
+          {
+            componentName: component.name,
+            correlationKey: '3',
+            expectedCount: 3,
+            timeoutAt: 70,
+            expiresAt: 70 + constants.aggregation.RETENTION
+          }
+        );
+        done(error);
+      });
+    });
+
+    it('calls back with error if there is no correlation key', function (done) {
+      delete data.id;
+
+      wrapperMessage.lc.sendDataToAggregation(data, component, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(wrapperMessage.lc.utilities.addAggregationResult);
+        done();
+      });
+    });
+
+    it('calls back with error if a function throws', function (done) {
+      component.expectedCount = function () {
+        throw new Error();
+      };
+
+      wrapperMessage.lc.sendDataToAggregation(data, component, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(wrapperMessage.lc.utilities.addAggregationResult);
+        done();
+      });
+    });
+
+    it('discards the result if the aggregation was already claimed', function (done) {
+      var claimedError = new Error();
+      claimedError.aggregationClaimed = true;
+      wrapperMessage.lc.utilities.addAggregationResult.yields(claimedError);
+      sandbox.stub(console, 'error');
+
+      wrapperMessage.lc.sendDataToAggregation(data, component, function (error) {
+        expect(error).to.equal(undefined);
+        sinon.assert.calledOnce(console.error);
+        sinon.assert.notCalled(wrapperMessage.lc.utilities.invoke);
+        done();
+      });
+    });
+
+    it('calls back with error on other failures', function (done) {
+      wrapperMessage.lc.utilities.addAggregationResult.yields(new Error());
+
+      wrapperMessage.lc.sendDataToAggregation(data, component, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
   });
 
   describe('lc.sendData', function () {
@@ -472,6 +719,332 @@ describe('lib/build/template/index.js.hbs', function () {
         done();
       });
     });
+
+    it('passes the event and metadata to a function destination', function (done) {
+      var envelope = {
+        source: 'invocation'
+      };
+      var event = {};
+
+      wrapperMessage.lc.component.routing = sandbox.stub().returns([]);
+      wrapperMessage.lc.event = event;
+      wrapperMessage.lc.envelope = envelope;
+      wrapperMessage.lc.receiveCount = 2;
+      wrapperMessage.lc.wrappedContext.getRemainingTimeInMillis.returns(1000);
+
+      wrapperMessage.lc.sendData(error, results, function (sendError) {
+        sinon.assert.calledWith(
+          wrapperMessage.lc.component.routing,
+          error,
+          results,
+          event,
+          {
+            componentName: 'message',
+            receiveCount: 2,
+            remainingTime: 1000,
+            envelope: envelope
+          }
+        );
+
+        done(sendError);
+      });
+    });
+
+    it('sends the result to destinations of matching routing rules', function (done) {
+      results = {
+        type: 'image',
+        size: {
+          bytes: 10
+        }
+      };
+      wrapperMessage.lc.component.routing = [
+        {
+          when: {
+            path: 'type',
+            equals: 'image'
+          },
+          to: ['component-a', 'component-b']
+        },
+        {
+          when: {
+            path: 'type',
+            in: ['text', 'html']
+          },
+          to: 'component-c'
+        },
+        {
+          when: {
+            path: 'size.bytes'
+          },
+          to: 'component-d'
+        },
+        {
+          to: 'component-e'
+        },
+        {
+          onError: true,
+          to: 'component-f'
+        }
+      ];
+
+      wrapperMessage.lc.sendData(error, results, function (sendError) {
+        expect(wrapperMessage.lc.sendDataToDestination.args.map(function (args) {
+          return args[1];
+        })).to.eql([
+          'component-a',
+          'component-b',
+          'component-d',
+          'component-e'
+        ]);
+        sinon.assert.alwaysCalledWith(
+          wrapperMessage.lc.sendDataToDestination,
+          results
+        );
+
+        done(sendError);
+      });
+    });
+
+    it('sends the event to destinations of matching error rules on error', function (done) {
+      var event = {
+        retryable: false
+      };
+
+      error = new Error();
+      wrapperMessage.lc.event = event;
+      wrapperMessage.lc.component.routing = [
+        'component-a',
+        {
+          to: 'component-b'
+        },
+        {
+          onError: true,
+          when: {
+            path: 'retryable',
+            exists: true
+          },
+          to: 'component-c'
+        },
+        {
+          onError: true,
+          when: {
+            path: 'reason',
+            exists: true
+          },
+          to: 'component-d'
+        }
+      ];
+
+      wrapperMessage.lc.sendData(error, results, function (sendError) {
+        sinon.assert.calledOnce(wrapperMessage.lc.sendDataToDestination);
+        sinon.assert.calledWith(
+          wrapperMessage.lc.sendDataToDestination,
+          event,
+          'component-c'
+        );
+
+        done(sendError);
+      });
+    });
+  });
+
+  describe('lc.getValueAtPath', function () {
+    it('returns the value at a dot-separated path', function () {
+      var value = {
+        a: {
+          b: [1, 2]
+        }
+      };
+
+      expect(wrapperMessage.lc.getValueAtPath(value, 'a.b.1')).to.equal(2);
+      expect(wrapperMessage.lc.getValueAtPath(value, 'a.c')).to.equal(undefined);
+      expect(wrapperMessage.lc.getValueAtPath(value, 'a.b.1.c')).to.equal(undefined);
+      expect(wrapperMessage.lc.getValueAtPath(null, 'a')).to.equal(undefined);
+    });
+  });
+
+  describe('lc.matchesRoutingCondition', function () {
+    var value;
+
+    beforeEach(function () {
+      value = {
+        type: 'image',
+        count: 0
+      };
+    });
+
+    it('tests equality', function () {
+      expect(wrapperMessage.lc.matchesRoutingCondition({
+        path: 'type',
+        equals: 'image'
+      }, value)).to.equal(true);
+      expect(wrapperMessage.lc.matchesRoutingCondition({
+        path: 'count',
+        equals: '0'
+      }, value)).to.equal(false);
+    });
+
+    it('tests membership', function () {
+      expect(wrapperMessage.lc.matchesRoutingCondition({
+        path: 'type',
+        in: ['text', 'image']
+      }, value)).to.equal(true);
+      expect(wrapperMessage.lc.matchesRoutingCondition({
+        path: 'type',
+        in: ['text']
+      }, value)).to.equal(false);
+    });
+
+    it('tests existence', function () {
+      expect(wrapperMessage.lc.matchesRoutingCondition({
+        path: 'count',
+        exists: true
+      }, value)).to.equal(true);
+      expect(wrapperMessage.lc.matchesRoutingCondition({
+        path: 'other',
+        exists: false
+      }, value)).to.equal(true);
+    });
+
+    it('tests truthiness when no test is given', function () {
+      expect(wrapperMessage.lc.matchesRoutingCondition({
+        path: 'type'
+      }, value)).to.equal(true);
+      expect(wrapperMessage.lc.matchesRoutingCondition({
+        path: 'count'
+      }, value)).to.equal(false);
+    });
+  });
+
+  describe('lc.loadSecrets', function () {
+    var secrets;
+
+    beforeEach(function () {
+      secrets = {
+        apiKey: 'value'
+      };
+      wrapperMessage.lc.component.secrets = {
+        apiKey: '/path/to/apiKey'
+      };
+      sandbox.stub(wrapperMessage.lc.utilities, 'getSecrets').yields(null, secrets);
+    });
+
+    afterEach(function () {
+      delete wrapperMessage.lc.component.secrets;
+      wrapperMessage.lc.secrets = undefined;
+    });
+
+    it('obtains secrets once and provides them on the context', function (done) {
+      wrapperMessage.lc.loadSecrets(function (error) {
+        if (error) {
+          return done(error);
+        }
+
+        expect(wrapperMessage.lc.wrappedContext.secrets).to.equal(secrets);
+        wrapperMessage.lc.wrappedContext.secrets = undefined;
+
+        wrapperMessage.lc.loadSecrets(function (secondError) {
+          sinon.assert.calledOnce(wrapperMessage.lc.utilities.getSecrets);
+          sinon.assert.calledWith(
+            wrapperMessage.lc.utilities.getSecrets,
+            wrapperMessage.lc.component.secrets
+          );
+          expect(wrapperMessage.lc.wrappedContext.secrets).to.equal(secrets);
+          done(secondError);
+        });
+      });
+    });
+
+    it('tries again on the next invocation after an error', function (done) {
+      var error = new Error();
+
+      wrapperMessage.lc.utilities.getSecrets.onCall(0).yields(error);
+
+      wrapperMessage.lc.loadSecrets(function (firstError) {
+        expect(firstError).to.equal(error);
+        expect(wrapperMessage.lc.secrets).to.equal(undefined);
+
+        wrapperMessage.lc.loadSecrets(function (secondError) {
+          sinon.assert.calledTwice(wrapperMessage.lc.utilities.getSecrets);
+          expect(wrapperMessage.lc.secrets).to.equal(secrets);
+          done(secondError);
+        });
+      });
+    });
+  });
+
+  describe('lc.runHandler', function () {
+    it('keeps the event for routing functions', function () {
+      var event = {};
+
+      wrapperMessage.lc.runHandler(event, wrapperMessage.lc.wrappedContext);
+
+      expect(wrapperMessage.lc.event).to.equal(event);
+      sinon.assert.calledWith(
+        originalMessage[wrapperMessageHandleFunction],
+        event,
+        wrapperMessage.lc.wrappedContext
+      );
+    });
+
+    describe('for the ways in which handlers complete', function () {
+      var context;
+      var error;
+      var result;
+
+      beforeEach(function () {
+        context = {
+          done: sandbox.stub(),
+          fail: sandbox.stub(),
+          succeed: sandbox.stub()
+        };
+        error = new Error();
+        result = {};
+      });
+
+      it('passes a callback that calls context.done', function () {
+        originalMessage[wrapperMessageHandleFunction].callsArgWith(2, error, result);
+
+        wrapperMessage.lc.runHandler({}, context);
+
+        sinon.assert.calledWith(context.done, error, result);
+      });
+
+      it('calls context.succeed when a returned Promise resolves', function (done) {
+        originalMessage[wrapperMessageHandleFunction].returns(Promise.resolve(result));
+
+        wrapperMessage.lc.runHandler({}, context);
+
+        setImmediate(function () {
+          sinon.assert.calledWith(context.succeed, result);
+          sinon.assert.notCalled(context.fail);
+          done();
+        });
+      });
+
+      it('calls context.fail when a returned Promise rejects', function (done) {
+        originalMessage[wrapperMessageHandleFunction].returns(Promise.reject(error));
+
+        wrapperMessage.lc.runHandler({}, context);
+
+        setImmediate(function () {
+          sinon.assert.calledWith(context.fail, error);
+          sinon.assert.notCalled(context.succeed);
+          done();
+        });
+      });
+
+      it('calls context.fail with an error for a rejection without a reason', function (done) {
+        originalMessage[wrapperMessageHandleFunction].returns(Promise.reject());
+
+        wrapperMessage.lc.runHandler({}, context);
+
+        setImmediate(function () {
+          sinon.assert.calledWith(context.fail, sinon.match.instanceOf(Error));
+          done();
+        });
+      });
+    });
   });
 
   describe('lc.finalizeInvocation', function () {
@@ -524,6 +1097,7 @@ describe('lib/build/template/index.js.hbs', function () {
           wrapperMessage.lc.utilities.decrementConcurrencyCount,
           wrapperMessage.lc.component,
           wrapperMessage.lc.arnMap,
+          wrapperMessage.lc.concurrencyLease,
           sinon.match.func
         );
         sinon.assert.calledWith(context.done, null, result);
@@ -545,6 +1119,7 @@ describe('lib/build/template/index.js.hbs', function () {
           wrapperMessage.lc.utilities.decrementConcurrencyCount,
           wrapperMessage.lc.component,
           wrapperMessage.lc.arnMap,
+          wrapperMessage.lc.concurrencyLease,
           sinon.match.func
         );
         sinon.assert.calledWith(context.done, error, result);
@@ -566,6 +1141,7 @@ describe('lib/build/template/index.js.hbs', function () {
           wrapperMessage.lc.utilities.decrementConcurrencyCount,
           wrapperMessage.lc.component,
           wrapperMessage.lc.arnMap,
+          wrapperMessage.lc.concurrencyLease,
           sinon.match.func
         );
         sinon.assert.calledWith(context.fail, error);
@@ -591,6 +1167,7 @@ describe('lib/build/template/index.js.hbs', function () {
           wrapperMessage.lc.utilities.decrementConcurrencyCount,
           wrapperMessage.lc.component,
           wrapperMessage.lc.arnMap,
+          wrapperMessage.lc.concurrencyLease,
           sinon.match.func
         );
         sinon.assert.calledWith(context.succeed, result);
@@ -619,15 +1196,91 @@ describe('lib/build/template/index.js.hbs', function () {
 
         sinon.assert.calledWith(context.fail, error);
       });
+
+      it('does not send data if messages were processed individually', function () {
+        wrapperMessage.lc.messagesProcessedIndividually = true;
+        wrapperMessage.lc.receiptHandle = undefined;
+        wrapperMessage.lc.finalizeInvocation('succeed', []);
+        clock.tick(100);
+
+        sinon.assert.notCalled(wrapperMessage.lc.sendData);
+        sinon.assert.notCalled(wrapperMessage.lc.deleteMessageFromInputQueue);
+        sinon.assert.calledOnce(wrapperMessage.lc.utilities.decrementConcurrencyCount);
+        sinon.assert.calledWith(context.succeed);
+      });
+
+      it('does not send data if the queue was empty', function () {
+        wrapperMessage.lc.queueEmpty = true;
+        wrapperMessage.lc.receiptHandle = undefined;
+        wrapperMessage.lc.finalizeInvocation('succeed', []);
+        clock.tick(100);
+
+        sinon.assert.notCalled(wrapperMessage.lc.sendData);
+        sinon.assert.notCalled(wrapperMessage.lc.deleteMessageFromInputQueue);
+        sinon.assert.calledOnce(wrapperMessage.lc.utilities.decrementConcurrencyCount);
+        sinon.assert.calledWith(context.succeed);
+      });
     });
 
-    describe('for eventFromInvocation component type', function () {
-      it('calls expected functions for done (success)', function () {
-        wrapperInvocation.lc.finalizeInvocation('done', [null, result]);
+    describe('for eventFromAggregation component type', function () {
+      it('does not send data if the aggregation was already claimed', function () {
+        wrapperInvocation.lc.aggregationAlreadyClaimed = true;
+        wrapperInvocation.lc.finalizeInvocation('succeed', []);
         clock.tick(100);
 
-        sinon.assert.notCalled(console.error);
-        sinon.assert.calledWith(
+        sinon.assert.notCalled(wrapperInvocation.lc.sendData);
+        sinon.assert.calledOnce(wrapperInvocation.lc.utilities.decrementConcurrencyCount);
+        sinon.assert.calledWith(context.succeed);
+      });
+
+      it('sends data for a later invocation in the same container', function () {
+        var stashedType = wrapperInvocation.lc.component.type;
+        var claimedError = new Error();
+        var event = {
+          correlationKey: 'key'
+        };
+
+        wrapperInvocation.lc.component.type = constants.componentType.EVENT_FROM_AGGREGATION;
+        context.awsRequestId = 'request-id';
+        claimedError.aggregationClaimed = true;
+        arnMap[wrapperInvocation.lc.utilities.getAggregationTableArnOutputName()] =
+          'arn:aws:dynamodb:us-east-1:444555666777:table/name-1-AggregationTable';
+        sandbox.stub(console, 'info');
+        sandbox.stub(wrapperInvocation.lc.utilities, 'claimAggregation');
+        wrapperInvocation.lc.utilities.claimAggregation.onCall(0).yields(claimedError);
+        wrapperInvocation.lc.utilities.claimAggregation.onCall(1).yields(undefined, {
+          componentName: 'invocation',
+          correlationKey: 'key',
+          results: [],
+          count: 2,
+          expectedCount: 2
+        });
+        originalInvocation[wrapperInvocationHandleFunction].yieldsTo('succeed', result);
+
+        // The first finds the aggregation claimed by another invocation.
+        wrapperInvocation[wrapperInvocationHandleFunction](event, context);
+        clock.tick(100);
+        // The second claims it.
+        wrapperInvocation[wrapperInvocationHandleFunction](event, context);
+        clock.tick(100);
+
+        // Restore the right type.
+        wrapperInvocation.lc.component.type = stashedType;
+
+        sinon.assert.calledOnce(originalInvocation[wrapperInvocationHandleFunction]);
+        sinon.assert.calledOnce(wrapperInvocation.lc.sendData);
+        sinon.assert.calledWith(wrapperInvocation.lc.sendData, undefined, result);
+        sinon.assert.calledTwice(context.succeed);
+      });
+    });
+
+    describe('for eventFromInvocation component type', function () {
+      it('calls expected functions for done (success)', function () {
+        wrapperInvocation.lc.finalizeInvocation('done', [null, result]);
+        clock.tick(100);
+
+        sinon.assert.notCalled(console.error);
+        sinon.assert.calledWith(
           wrapperInvocation.lc.sendData,
           null,
           result,
@@ -638,6 +1291,7 @@ describe('lib/build/template/index.js.hbs', function () {
           wrapperInvocation.lc.utilities.decrementConcurrencyCount,
           wrapperInvocation.lc.component,
           wrapperInvocation.lc.arnMap,
+          wrapperInvocation.lc.concurrencyLease,
           sinon.match.func
         );
         sinon.assert.calledWith(context.done, null, result);
@@ -659,6 +1313,7 @@ describe('lib/build/template/index.js.hbs', function () {
           wrapperInvocation.lc.utilities.decrementConcurrencyCount,
           wrapperInvocation.lc.component,
           wrapperInvocation.lc.arnMap,
+          wrapperInvocation.lc.concurrencyLease,
           sinon.match.func
         );
         sinon.assert.calledWith(context.done, error, result);
@@ -679,6 +1334,7 @@ describe('lib/build/template/index.js.hbs', function () {
           wrapperInvocation.lc.utilities.decrementConcurrencyCount,
           wrapperInvocation.lc.component,
           wrapperInvocation.lc.arnMap,
+          wrapperInvocation.lc.concurrencyLease,
           sinon.match.func
         );
         sinon.assert.calledWith(context.fail, error);
@@ -699,12 +1355,82 @@ describe('lib/build/template/index.js.hbs', function () {
           wrapperInvocation.lc.utilities.decrementConcurrencyCount,
           wrapperInvocation.lc.component,
           wrapperInvocation.lc.arnMap,
+          wrapperInvocation.lc.concurrencyLease,
           sinon.match.func
         );
         sinon.assert.calledWith(context.succeed, result);
       });
     });
 
+    describe('with a callback provided by the runtime', function () {
+      var callback;
+
+      beforeEach(function () {
+        callback = sandbox.stub();
+        wrapperInvocation.lc.wrapContext(context, callback);
+      });
+
+      it('calls the callback for succeed', function () {
+        wrapperInvocation.lc.finalizeInvocation('succeed', [result]);
+        clock.tick(100);
+
+        sinon.assert.calledWith(callback, null, result);
+        sinon.assert.notCalled(context.succeed);
+      });
+
+      it('calls the callback for done', function () {
+        wrapperInvocation.lc.finalizeInvocation('done', [error, result]);
+        clock.tick(100);
+
+        sinon.assert.calledWith(callback, error);
+        sinon.assert.notCalled(context.done);
+      });
+
+      it('calls the callback with an error for fail without one', function () {
+        wrapperInvocation.lc.finalizeInvocation('fail', []);
+        clock.tick(100);
+
+        sinon.assert.calledWith(callback, sinon.match.instanceOf(Error));
+        sinon.assert.notCalled(context.fail);
+      });
+
+      it('calls the callback with an error if clean up fails', function () {
+        wrapperInvocation.lc.utilities.decrementConcurrencyCount.yields(error);
+        wrapperInvocation.lc.finalizeInvocation('succeed', [result]);
+        clock.tick(100);
+
+        sinon.assert.calledWith(callback, error);
+      });
+    });
+
+  });
+
+  describe('lc.resetInvocationState', function () {
+    it('clears the state set by an earlier invocation', function () {
+      wrapperMessage.lc.receiptHandle = 'receiptHandle';
+      wrapperMessage.lc.messagesProcessedIndividually = true;
+      wrapperMessage.lc.aggregationAlreadyClaimed = true;
+      wrapperMessage.lc.queueEmpty = true;
+      wrapperMessage.lc.event = {};
+      wrapperMessage.lc.envelope = {};
+      wrapperMessage.lc.receiveCount = 2;
+      wrapperMessage.lc.startVisibilityHeartbeat(['receiptHandle']);
+
+      wrapperMessage.lc.resetInvocationState();
+
+      expect(wrapperMessage.lc.incremented).to.equal(false);
+      expect(wrapperMessage.lc.concurrencyLease).to.equal(undefined);
+      expect(wrapperMessage.lc.receiptHandle).to.equal(undefined);
+      expect(wrapperMessage.lc.messagesProcessedIndividually).to.equal(false);
+      expect(wrapperMessage.lc.aggregationAlreadyClaimed).to.equal(false);
+      expect(wrapperMessage.lc.queueEmpty).to.equal(false);
+      expect(wrapperMessage.lc.heldReceiptHandles).to.eql([]);
+      expect(wrapperMessage.lc.visibilityHeartbeat).to.equal(undefined);
+      expect(wrapperMessage.lc.traceId).to.equal(undefined);
+      expect(wrapperMessage.lc.event).to.equal(undefined);
+      expect(wrapperMessage.lc.envelope).to.equal(undefined);
+      expect(wrapperMessage.lc.receiveCount).to.equal(undefined);
+    });
   });
 
   describe('lc.wrapContext', function () {
@@ -733,6 +1459,19 @@ describe('lib/build/template/index.js.hbs', function () {
       sinon.assert.calledWith(context.getRemainingTimeInMillis);
     });
 
+    it('provides the component environment', function () {
+      expect(wrappedContext.environment).to.equal(wrapperMessage.lc.environment);
+    });
+
+    it('keeps the callback provided by the runtime', function () {
+      var callback = sandbox.stub();
+
+      wrappedContext = wrapperMessage.lc.wrapContext(context, callback);
+
+      expect(wrappedContext.originalCallback).to.equal(callback);
+      expect(wrappedContext.originalContext).to.equal(context);
+    });
+
     it('invokes finalizeInvocation for done', function () {
       wrappedContext.done(error, result);
       sinon.assert.calledWith(
@@ -808,7 +1547,7 @@ describe('lib/build/template/index.js.hbs', function () {
       };
     });
 
-    it('calls context.fail rather than handle if no message', function () {
+    it('calls context.succeed rather than handle if no message', function () {
       wrapperMessage.lc.utilities.receiveMessage.yields();
 
       wrapperMessage.lc.handleAsEventFromMessageType(
@@ -818,10 +1557,9 @@ describe('lib/build/template/index.js.hbs', function () {
       clock.tick(100);
 
       sinon.assert.notCalled(originalMessage[wrapperMessageHandleFunction]);
-      sinon.assert.calledWith(
-        wrapperMessage.lc.wrappedContext.fail,
-        sinon.match.instanceOf(Error)
-      );
+      sinon.assert.calledWith(wrapperMessage.lc.wrappedContext.succeed);
+      sinon.assert.notCalled(wrapperMessage.lc.wrappedContext.fail);
+      expect(wrapperMessage.lc.queueEmpty).to.equal(true);
     });
 
     it('calls context.fail on SQS client error', function () {
@@ -858,6 +1596,98 @@ describe('lib/build/template/index.js.hbs', function () {
     });
 
 
+    it('uses the Lambda function timeout as the visibility timeout', function () {
+      wrapperMessage.lc.handleAsEventFromMessageType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      sinon.assert.calledWith(
+        wrapperMessage.lc.utilities.receiveMessage,
+        wrapperMessage.lc.utilities.getQueueUrl('message', arnMap),
+        wrapperMessage.lc.component.lambda.timeout,
+        wrapperMessage.lc.component.queueWaitTime,
+        sinon.match.func
+      );
+    });
+
+    it('extends message visibility until finalized', function () {
+      var remainingTime = 100000;
+
+      wrapperMessage.lc.wrappedContext.getRemainingTimeInMillis.returns(remainingTime);
+      wrapperMessage.lc.utilities.receiveMessage.yields(
+        undefined,
+        message
+      );
+      sandbox.stub(wrapperMessage.lc, 'sendData').yields();
+      sandbox.stub(wrapperMessage.lc, 'deleteMessageFromInputQueue').yields();
+
+      wrapperMessage.lc.handleAsEventFromMessageType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(constants.sqs.VISIBILITY_HEARTBEAT_INTERVAL * 1000 * 2);
+
+      sinon.assert.calledTwice(wrapperMessage.lc.utilities.changeMessageVisibility);
+      sinon.assert.alwaysCalledWith(
+        wrapperMessage.lc.utilities.changeMessageVisibility,
+        wrapperMessage.lc.utilities.getQueueUrl('message', arnMap),
+        message.receiptHandle,
+        remainingTime / 1000,
+        sinon.match.func
+      );
+
+      wrapperMessage.lc.finalizeInvocation('succeed', []);
+      clock.tick(constants.sqs.VISIBILITY_HEARTBEAT_INTERVAL * 1000 * 2);
+
+      sinon.assert.calledTwice(wrapperMessage.lc.utilities.changeMessageVisibility);
+    });
+
+    it('opens the envelope of the message', function () {
+      message.message = JSON.stringify(wrapperMessage.lc.utilities.createEnvelope(
+        eventFromMessage,
+        {
+          source: 'invocation',
+          traceId: 'message-trace',
+          deployId: wrapperMessage.lc.config.deployId
+        },
+        1
+      ));
+      wrapperMessage.lc.utilities.receiveMessage.yields(
+        undefined,
+        message
+      );
+
+      wrapperMessage.lc.handleAsEventFromMessageType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      expect(wrapperMessage.lc.traceId).to.equal('message-trace');
+      expect(wrapperMessage.lc.wrappedContext.envelope.source).to.equal('invocation');
+      sinon.assert.calledWith(
+        originalMessage[wrapperMessageHandleFunction],
+        eventFromMessage,
+        wrapperMessage.lc.wrappedContext
+      );
+    });
+
+    it('keeps the trace ID for a message without one', function () {
+      wrapperMessage.lc.utilities.receiveMessage.yields(
+        undefined,
+        message
+      );
+
+      wrapperMessage.lc.handleAsEventFromMessageType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+      expect(wrapperMessage.lc.traceId).to.equal('trace');
+    });
+
     it('receives from SQS and stashes message receipt handle', function () {
       wrapperMessage.lc.utilities.receiveMessage.yields(
         undefined,
@@ -871,6 +1701,505 @@ describe('lib/build/template/index.js.hbs', function () {
       clock.tick(100);
       expect(wrapperMessage.lc.receiptHandle).to.equal(message.receiptHandle);
     });
+
+    it('keeps the receive count for routing functions', function () {
+      message.receiveCount = 3;
+      wrapperMessage.lc.utilities.receiveMessage.yields(
+        undefined,
+        message
+      );
+
+      wrapperMessage.lc.handleAsEventFromMessageType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+      expect(wrapperMessage.lc.receiveCount).to.equal(3);
+    });
+
+    it('handles a batch for a batchSize greater than one', function () {
+      sandbox.stub(wrapperMessage.lc, 'handleAsEventFromMessageBatchType');
+      wrapperMessage.lc.component.batchSize = 5;
+
+      wrapperMessage.lc.handleAsEventFromMessageType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      delete wrapperMessage.lc.component.batchSize;
+
+      sinon.assert.notCalled(wrapperMessage.lc.utilities.receiveMessage);
+      sinon.assert.calledWith(
+        wrapperMessage.lc.handleAsEventFromMessageBatchType,
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+    });
+  });
+
+  describe('lc.handleAsEventFromMessageBatchType', function () {
+    var clock;
+    var messages;
+
+    beforeEach(function () {
+      clock = sandbox.useFakeTimers();
+      messages = [
+        {
+          message: JSON.stringify({ value: 1 }),
+          receiptHandle: 'test-receipt-handle-1'
+        },
+        {
+          message: JSON.stringify({ value: 2 }),
+          receiptHandle: 'test-receipt-handle-2'
+        }
+      ];
+
+      wrapperMessage.lc.component.batchSize = 5;
+      wrapperMessage.lc.utilities.receiveMessages.yields(undefined, messages);
+      sandbox.stub(wrapperMessage.lc, 'sendData').yields();
+      sandbox.stub(wrapperMessage.lc, 'deleteMessageFromInputQueue').yields();
+      sandbox.stub(console, 'error');
+    });
+
+    afterEach(function () {
+      delete wrapperMessage.lc.component.batchSize;
+    });
+
+    it('receives up to batchSize messages', function () {
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      sinon.assert.calledWith(
+        wrapperMessage.lc.utilities.receiveMessages,
+        wrapperMessage.lc.utilities.getQueueUrl('message', arnMap),
+        5,
+        wrapperMessage.lc.component.lambda.timeout,
+        wrapperMessage.lc.component.queueWaitTime,
+        sinon.match.func
+      );
+    });
+
+    it('calls context.succeed rather than handle if no messages', function () {
+      wrapperMessage.lc.utilities.receiveMessages.yields(undefined, []);
+
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      sinon.assert.notCalled(originalMessage[wrapperMessageHandleFunction]);
+      sinon.assert.calledWith(wrapperMessage.lc.wrappedContext.succeed);
+      sinon.assert.notCalled(wrapperMessage.lc.wrappedContext.fail);
+      expect(wrapperMessage.lc.queueEmpty).to.equal(true);
+    });
+
+    it('calls context.fail on SQS client error', function () {
+      var error = new Error();
+      wrapperMessage.lc.utilities.receiveMessages.yields(error);
+
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      sinon.assert.notCalled(originalMessage[wrapperMessageHandleFunction]);
+      sinon.assert.calledWith(wrapperMessage.lc.wrappedContext.fail, error);
+    });
+
+    it('runs the handle once per message, sending and deleting each', function () {
+      originalMessage[wrapperMessageHandleFunction].restore();
+      sandbox.stub(originalMessage, wrapperMessageHandleFunction, function (event, context) {
+        context.succeed({ value: event.value + 1 });
+      });
+
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      expect(wrapperMessage.lc.messagesProcessedIndividually).to.equal(true);
+      sinon.assert.calledTwice(originalMessage[wrapperMessageHandleFunction]);
+      sinon.assert.calledWith(
+        wrapperMessage.lc.sendData,
+        undefined,
+        { value: 2 },
+        sinon.match.func
+      );
+      sinon.assert.calledWith(
+        wrapperMessage.lc.sendData,
+        undefined,
+        { value: 3 },
+        sinon.match.func
+      );
+      sinon.assert.calledWith(
+        wrapperMessage.lc.deleteMessageFromInputQueue,
+        messages[0].receiptHandle,
+        sinon.match.func
+      );
+      sinon.assert.calledWith(
+        wrapperMessage.lc.deleteMessageFromInputQueue,
+        messages[1].receiptHandle,
+        sinon.match.func
+      );
+      sinon.assert.calledWith(wrapperMessage.lc.wrappedContext.succeed);
+    });
+
+    it('provides the component environment to the handle for each message', function () {
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      sinon.assert.calledWith(
+        originalMessage[wrapperMessageHandleFunction],
+        { value: 1 },
+        sinon.match.has('environment', wrapperMessage.lc.environment)
+      );
+    });
+
+    it('sends on the result of each message under its own trace ID', function () {
+      var traceIds = [];
+
+      messages[0].message = JSON.stringify(wrapperMessage.lc.utilities.createEnvelope(
+        { value: 1 },
+        {
+          source: 'invocation',
+          traceId: 'message-trace',
+          deployId: wrapperMessage.lc.config.deployId
+        },
+        1
+      ));
+      wrapperMessage.lc.sendData.restore();
+      sandbox.stub(wrapperMessage.lc, 'sendData', function (error, data, callback) {
+        traceIds.push(wrapperMessage.lc.traceId);
+        callback();
+      });
+      originalMessage[wrapperMessageHandleFunction].restore();
+      sandbox.stub(originalMessage, wrapperMessageHandleFunction, function (event, context) {
+        context.succeed();
+      });
+
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      expect(traceIds[0]).to.equal('message-trace');
+      // A message without a trace ID starts a new trace.
+      expect(traceIds[1]).to.be.a('string');
+      expect(traceIds[1]).to.not.equal('trace');
+      expect(traceIds[1]).to.not.equal('message-trace');
+      // The invocation ends with its own trace ID.
+      expect(wrapperMessage.lc.traceId).to.equal('trace');
+    });
+
+    it('only deletes messages that succeed', function () {
+      var error = new Error();
+
+      originalMessage[wrapperMessageHandleFunction].restore();
+      sandbox.stub(originalMessage, wrapperMessageHandleFunction, function (event, context) {
+        if (event.value === 1) {
+          context.fail(error);
+        }
+        else {
+          context.done(null, event);
+        }
+      });
+
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      sinon.assert.calledTwice(wrapperMessage.lc.sendData);
+      sinon.assert.calledOnce(wrapperMessage.lc.deleteMessageFromInputQueue);
+      sinon.assert.calledWith(
+        wrapperMessage.lc.deleteMessageFromInputQueue,
+        messages[1].receiptHandle,
+        sinon.match.func
+      );
+      sinon.assert.notCalled(wrapperMessage.lc.wrappedContext.succeed);
+      sinon.assert.calledWith(
+        wrapperMessage.lc.wrappedContext.fail,
+        sinon.match.instanceOf(Error)
+      );
+    });
+
+    it('extends visibility only for messages still being processed', function () {
+      var contexts = [];
+
+      wrapperMessage.lc.wrappedContext.getRemainingTimeInMillis.returns(100000);
+      originalMessage[wrapperMessageHandleFunction].restore();
+      sandbox.stub(originalMessage, wrapperMessageHandleFunction, function (event, context) {
+        contexts.push(context);
+      });
+
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(constants.sqs.VISIBILITY_HEARTBEAT_INTERVAL * 1000);
+
+      sinon.assert.calledTwice(wrapperMessage.lc.utilities.changeMessageVisibility);
+
+      // The handler is run for the second message only after the first is
+      // complete.
+      contexts[0].succeed();
+      wrapperMessage.lc.utilities.changeMessageVisibility.reset();
+      clock.tick(constants.sqs.VISIBILITY_HEARTBEAT_INTERVAL * 1000);
+
+      sinon.assert.calledOnce(wrapperMessage.lc.utilities.changeMessageVisibility);
+      sinon.assert.calledWith(
+        wrapperMessage.lc.utilities.changeMessageVisibility,
+        sinon.match.string,
+        messages[1].receiptHandle
+      );
+    });
+
+    it('treats a message with invalid JSON as a failure', function () {
+      messages[0].message = '{';
+
+      originalMessage[wrapperMessageHandleFunction].restore();
+      sandbox.stub(originalMessage, wrapperMessageHandleFunction, function (event, context) {
+        context.succeed();
+      });
+
+      wrapperMessage.lc.handleAsEventFromMessageBatchType(
+        {},
+        wrapperMessage.lc.wrappedContext
+      );
+      clock.tick(100);
+
+      sinon.assert.calledOnce(originalMessage[wrapperMessageHandleFunction]);
+      sinon.assert.calledOnce(wrapperMessage.lc.deleteMessageFromInputQueue);
+      sinon.assert.calledWith(
+        wrapperMessage.lc.wrappedContext.fail,
+        sinon.match.instanceOf(Error)
+      );
+    });
+  });
+
+  describe('lc.handleAsEventFromS3Type', function () {
+    var event;
+
+    beforeEach(function () {
+      event = {
+        Records: [
+          {
+            eventName: 'ObjectCreated:Put',
+            eventTime: '1970-01-01T00:00:00.000Z',
+            s3: {
+              bucket: {
+                name: 'bucket'
+              },
+              object: {
+                key: 'a+path/to%2Bobject',
+                size: 1024,
+                eTag: 'etag'
+              }
+            }
+          }
+        ]
+      };
+    });
+
+    it('unwraps the notification and passes through to underlying handle', function () {
+      wrapperInvocation.lc.handleAsEventFromS3Type(
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      sinon.assert.calledWith(
+        originalInvocation[wrapperInvocationHandleFunction],
+        {
+          eventName: 'ObjectCreated:Put',
+          eventTime: '1970-01-01T00:00:00.000Z',
+          bucket: 'bucket',
+          key: 'a path/to+object',
+          size: 1024,
+          eTag: 'etag',
+          versionId: undefined
+        },
+        wrapperInvocation.lc.wrappedContext
+      );
+    });
+
+    it('calls context.fail rather than handle for an invalid event', function () {
+      wrapperInvocation.lc.handleAsEventFromS3Type(
+        {},
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      sinon.assert.notCalled(originalInvocation[wrapperInvocationHandleFunction]);
+      sinon.assert.calledWith(
+        wrapperInvocation.lc.wrappedContext.fail,
+        sinon.match.instanceOf(Error)
+      );
+    });
+  });
+
+  describe('lc.handleAsEventFromSnsType', function () {
+    var event;
+
+    beforeEach(function () {
+      event = {
+        Records: [
+          {
+            Sns: {
+              Message: JSON.stringify({ a: 1 })
+            }
+          }
+        ]
+      };
+    });
+
+    it('unwraps and parses a JSON message', function () {
+      wrapperInvocation.lc.handleAsEventFromSnsType(
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      sinon.assert.calledWith(
+        originalInvocation[wrapperInvocationHandleFunction],
+        { a: 1 },
+        wrapperInvocation.lc.wrappedContext
+      );
+    });
+
+    it('passes through a message that is not JSON as a string', function () {
+      event.Records[0].Sns.Message = 'not json';
+
+      wrapperInvocation.lc.handleAsEventFromSnsType(
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      sinon.assert.calledWith(
+        originalInvocation[wrapperInvocationHandleFunction],
+        'not json',
+        wrapperInvocation.lc.wrappedContext
+      );
+    });
+
+    it('calls context.fail rather than handle for an invalid event', function () {
+      wrapperInvocation.lc.handleAsEventFromSnsType(
+        { Records: [] },
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      sinon.assert.notCalled(originalInvocation[wrapperInvocationHandleFunction]);
+      sinon.assert.calledWith(
+        wrapperInvocation.lc.wrappedContext.fail,
+        sinon.match.instanceOf(Error)
+      );
+    });
+  });
+
+  describe('lc.handleAsEventFromAggregationType', function () {
+    var aggregation;
+    var event;
+    var tableName;
+
+    beforeEach(function () {
+      aggregation = {
+        componentName: 'invocation',
+        correlationKey: 'key',
+        results: [
+          { a: 1 }
+        ],
+        count: 1,
+        expectedCount: 2
+      };
+      event = {
+        correlationKey: 'key'
+      };
+      tableName = 'name-1-AggregationTable';
+      arnMap[wrapperInvocation.lc.utilities.getAggregationTableArnOutputName()] =
+        'arn:aws:dynamodb:us-east-1:444555666777:table/' + tableName;
+      wrapperInvocation.lc.wrappedContext.originalContext.awsRequestId = 'request-id';
+
+      sandbox.stub(wrapperInvocation.lc.utilities, 'claimAggregation').yields(
+        undefined,
+        aggregation
+      );
+    });
+
+    it('claims the results and passes them to the underlying handle', function () {
+      wrapperInvocation.lc.handleAsEventFromAggregationType(
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      sinon.assert.calledWith(
+        wrapperInvocation.lc.utilities.claimAggregation,
+        tableName,
+        wrapperInvocation.lc.component.name,
+        'key',
+        'request-id',
+        sinon.match.func
+      );
+      sinon.assert.calledWith(
+        originalInvocation[wrapperInvocationHandleFunction],
+        {
+          correlationKey: 'key',
+          results: [
+            { a: 1 }
+          ],
+          complete: false
+        },
+        wrapperInvocation.lc.wrappedContext
+      );
+    });
+
+    it('succeeds without running the handle if claimed elsewhere', function () {
+      var claimedError = new Error();
+      claimedError.aggregationClaimed = true;
+      wrapperInvocation.lc.utilities.claimAggregation.yields(claimedError);
+      sandbox.stub(console, 'info');
+
+      wrapperInvocation.lc.handleAsEventFromAggregationType(
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      expect(wrapperInvocation.lc.aggregationAlreadyClaimed).to.equal(true);
+      sinon.assert.notCalled(originalInvocation[wrapperInvocationHandleFunction]);
+      sinon.assert.calledOnce(wrapperInvocation.lc.wrappedContext.succeed);
+    });
+
+    it('calls context.fail on other failures', function () {
+      var error = new Error();
+      wrapperInvocation.lc.utilities.claimAggregation.yields(error);
+
+      wrapperInvocation.lc.handleAsEventFromAggregationType(
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      sinon.assert.notCalled(originalInvocation[wrapperInvocationHandleFunction]);
+      sinon.assert.calledWith(wrapperInvocation.lc.wrappedContext.fail, error);
+    });
+
+    it('calls context.fail rather than handle for an invalid event', function () {
+      wrapperInvocation.lc.handleAsEventFromAggregationType(
+        {},
+        wrapperInvocation.lc.wrappedContext
+      );
+
+      sinon.assert.notCalled(wrapperInvocation.lc.utilities.claimAggregation);
+      sinon.assert.calledWith(
+        wrapperInvocation.lc.wrappedContext.fail,
+        sinon.match.instanceOf(Error)
+      );
+    });
   });
 
   describe('uncaught exception handling', function () {
@@ -935,6 +2264,37 @@ describe('lib/build/template/index.js.hbs', function () {
       expect(wrapperInvocation.lc.arnMap).to.equal(arnMap);
     });
 
+    it('starts a new trace for an event without one', function () {
+      wrapperInvocation[wrapperInvocationHandleFunction](event, context);
+
+      expect(wrapperInvocation.lc.traceId).to.be.a('string');
+      expect(wrapperInvocation.lc.traceId).to.not.equal('trace');
+      sinon.assert.calledWith(
+        console.info,
+        '[trace: ' + wrapperInvocation.lc.traceId + ']'
+      );
+    });
+
+    it('opens the envelope of an event sent by another component', function () {
+      var data = { value: 1 };
+
+      wrapperInvocation[wrapperInvocationHandleFunction](
+        wrapperInvocation.lc.utilities.createEnvelope(data, {
+          source: 'message',
+          traceId: 'sent-trace',
+          deployId: wrapperInvocation.lc.config.deployId
+        }, 1),
+        context
+      );
+
+      expect(wrapperInvocation.lc.traceId).to.equal('sent-trace');
+      sinon.assert.calledWith(
+        wrapperInvocation.lc.handleAsEventFromInvocationType,
+        data,
+        wrapperInvocation.lc.wrappedContext
+      );
+    });
+
     it('calls correct function for invocation type', function () {
       wrapperInvocation[wrapperInvocationHandleFunction](event, context);
 
@@ -961,6 +2321,105 @@ describe('lib/build/template/index.js.hbs', function () {
       );
     });
 
+    it('calls wrappedContext.fail if secrets cannot be obtained', function () {
+      sandbox.stub(wrapperMessage.lc, 'loadSecrets').yields(new Error());
+
+      wrapperMessage[wrapperMessageHandleFunction](event, context);
+
+      sinon.assert.calledWith(
+        wrapperMessage.lc.wrappedContext.fail,
+        sinon.match.instanceOf(Error)
+      );
+      sinon.assert.notCalled(wrapperMessage.lc.utilities.incrementConcurrencyCount);
+      sinon.assert.notCalled(wrapperMessage.lc.handleAsEventFromMessageType);
+    });
+
+    it('calls wrappedContext.fail at maxConcurrency', function () {
+      var error = new Error();
+      error.maxConcurrencyReached = true;
+      wrapperMessage.lc.utilities.incrementConcurrencyCount.yields(error);
+      // As though left over from an earlier invocation in the same container.
+      wrapperMessage.lc.incremented = true;
+
+      wrapperMessage[wrapperMessageHandleFunction](event, context);
+
+      expect(wrapperMessage.lc.incremented).to.equal(false);
+      sinon.assert.calledWith(wrapperMessage.lc.wrappedContext.fail, error);
+      sinon.assert.notCalled(wrapperMessage.lc.handleAsEventFromMessageType);
+    });
+
+    it('keeps the concurrency lease for the decrement', function () {
+      wrapperMessage.lc.utilities.incrementConcurrencyCount.yields(
+        undefined,
+        'newLease'
+      );
+
+      wrapperMessage[wrapperMessageHandleFunction](event, context);
+
+      expect(wrapperMessage.lc.incremented).to.equal(true);
+      expect(wrapperMessage.lc.concurrencyLease).to.equal('newLease');
+    });
+
+    it('calls correct function for S3 type', function () {
+      var stashedType = wrapperInvocation.lc.component.type;
+      wrapperInvocation.lc.component.type = constants.componentType.EVENT_FROM_S3;
+      sandbox.stub(wrapperInvocation.lc, 'handleAsEventFromS3Type');
+
+      wrapperInvocation[wrapperInvocationHandleFunction](event, context);
+
+      // Restore the right type.
+      wrapperInvocation.lc.component.type = stashedType;
+
+      sinon.assert.calledWith(
+        wrapperInvocation.lc.handleAsEventFromS3Type,
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+      sinon.assert.notCalled(
+        wrapperInvocation.lc.handleAsEventFromInvocationType
+      );
+    });
+
+    it('calls correct function for SNS type', function () {
+      var stashedType = wrapperInvocation.lc.component.type;
+      wrapperInvocation.lc.component.type = constants.componentType.EVENT_FROM_SNS;
+      sandbox.stub(wrapperInvocation.lc, 'handleAsEventFromSnsType');
+
+      wrapperInvocation[wrapperInvocationHandleFunction](event, context);
+
+      // Restore the right type.
+      wrapperInvocation.lc.component.type = stashedType;
+
+      sinon.assert.calledWith(
+        wrapperInvocation.lc.handleAsEventFromSnsType,
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+      sinon.assert.notCalled(
+        wrapperInvocation.lc.handleAsEventFromInvocationType
+      );
+    });
+
+    it('calls correct function for aggregation type', function () {
+      var stashedType = wrapperInvocation.lc.component.type;
+      wrapperInvocation.lc.component.type = constants.componentType.EVENT_FROM_AGGREGATION;
+      sandbox.stub(wrapperInvocation.lc, 'handleAsEventFromAggregationType');
+
+      wrapperInvocation[wrapperInvocationHandleFunction](event, context);
+
+      // Restore the right type.
+      wrapperInvocation.lc.component.type = stashedType;
+
+      sinon.assert.calledWith(
+        wrapperInvocation.lc.handleAsEventFromAggregationType,
+        event,
+        wrapperInvocation.lc.wrappedContext
+      );
+      sinon.assert.notCalled(
+        wrapperInvocation.lc.handleAsEventFromInvocationType
+      );
+    });
+
     it('calls wrappedContext.fail for invalid type', function () {
       var stashedType = wrapperMessage.lc.component.type;
       wrapperMessage.lc.component.type = 'not-a-type';
@@ -5,11 +5,13 @@
 // NPM.
 var cloudFormationDeploy = require('cloudformation-deploy');
 var fs = require('fs-extra');
+var _ = require('lodash');
 
 // Local.
 var common = require('../../../lib/build/common');
 var constants = require('../../../lib/shared/constants');
 var s3Utilities = require('../../../lib/deploy/s3Utilities');
+var sqsUtilities = require('../../../lib/deploy/sqsUtilities');
 var utilities = require('../../../lib/shared/utilities');
 
 var resources = require('../../resources');
@@ -140,6 +142,67 @@ describe('lib/deploy/cloudFormationUtilities', function () {
     });
   });
 
+  describe('restartApplication', function () {
+    var arnMap;
+
+    beforeEach(function () {
+      arnMap = resources.getMockArnMap(applicationConfig);
+
+      sandbox.stub(utilities, 'getConcurrencyCount').yields(null, 1);
+      sandbox.stub(utilities, 'invoke').yields();
+    });
+
+    it('invokes only the coordinators needed', function (done) {
+      cloudFormationUtilities.restartApplication(arnMap, applicationConfig, function (error) {
+        sinon.assert.calledWith(
+          utilities.getConcurrencyCount,
+          constants.coordinator.COMPONENT,
+          arnMap,
+          sinon.match.func
+        );
+        sinon.assert.callCount(
+          utilities.invoke,
+          applicationConfig.coordinator.coordinatorConcurrency - 1
+        );
+        sinon.assert.calledWith(
+          utilities.invoke,
+          utilities.getLambdaFunctionArn(
+            constants.coordinator.NAME,
+            arnMap
+          ),
+          {},
+          sinon.match.func
+        );
+
+        done(error);
+      });
+
+      clock.tick(applicationConfig.coordinator.minInterval * 1000);
+    });
+
+    it('invokes no coordinators if enough are running', function (done) {
+      utilities.getConcurrencyCount.yields(
+        null,
+        applicationConfig.coordinator.coordinatorConcurrency + 1
+      );
+
+      cloudFormationUtilities.restartApplication(arnMap, applicationConfig, function (error) {
+        sinon.assert.notCalled(utilities.invoke);
+        done(error);
+      });
+    });
+
+    it('calls back with error on getConcurrencyCount failure', function (done) {
+      utilities.getConcurrencyCount.yields(new Error());
+
+      cloudFormationUtilities.restartApplication(arnMap, applicationConfig, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(utilities.invoke);
+        done();
+      });
+    });
+  });
+
   describe('awaitApplicationConfirmation', function () {
 
     it('functions correctly', function (done) {
@@ -194,10 +257,500 @@ describe('lib/deploy/cloudFormationUtilities', function () {
     });
   });
 
+  describe('describePriorStacks', function () {
+    var priorStackDescription;
+    var stackId;
+
+    beforeEach(function () {
+      stackId = 'stackId';
+      priorStackDescription = {
+        StackId: 'priorStackId',
+        Tags: [
+          {
+            Key: 'cloudformation-deploy:stackBaseName',
+            Value: applicationConfig.name
+          }
+        ]
+      };
+
+      sandbox.stub(cloudFormationUtilities.cloudFormationClient, 'listStacks');
+      cloudFormationUtilities.cloudFormationClient.listStacks.onCall(0).yields(null, {
+        StackSummaries: [
+          {
+            StackId: stackId,
+            StackName: applicationConfig.name + '-2'
+          },
+          {
+            StackId: 'otherStackId',
+            StackName: 'other-1'
+          }
+        ],
+        NextToken: 'token'
+      });
+      cloudFormationUtilities.cloudFormationClient.listStacks.onCall(1).yields(null, {
+        StackSummaries: [
+          {
+            StackId: 'priorStackId',
+            StackName: applicationConfig.name + '-1'
+          },
+          {
+            StackId: 'similarStackId',
+            StackName: applicationConfig.name + '-similar-1'
+          }
+        ]
+      });
+
+      sandbox.stub(cloudFormationUtilities.cloudFormationClient, 'describeStacks');
+      cloudFormationUtilities.cloudFormationClient.describeStacks.withArgs({
+        StackName: 'priorStackId'
+      }).yields(null, {
+        Stacks: [priorStackDescription]
+      });
+      cloudFormationUtilities.cloudFormationClient.describeStacks.withArgs({
+        StackName: 'similarStackId'
+      }).yields(null, {
+        Stacks: [
+          {
+            StackId: 'similarStackId',
+            Tags: [
+              {
+                Key: 'cloudformation-deploy:stackBaseName',
+                Value: applicationConfig.name + '-similar'
+              }
+            ]
+          }
+        ]
+      });
+    });
+
+    it('functions correctly', function (done) {
+      cloudFormationUtilities.describePriorStacks(
+        applicationConfig,
+        stackId,
+        function (error, stackDescriptions) {
+          expect(stackDescriptions).to.eql([priorStackDescription]);
+
+          sinon.assert.calledTwice(cloudFormationUtilities.cloudFormationClient.listStacks);
+          sinon.assert.calledTwice(cloudFormationUtilities.cloudFormationClient.describeStacks);
+
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with error on listStacks error', function (done) {
+      cloudFormationUtilities.cloudFormationClient.listStacks.onCall(1).yields(
+        new Error()
+      );
+
+      cloudFormationUtilities.describePriorStacks(
+        applicationConfig,
+        stackId,
+        function (error) {
+          expect(error).to.be.instanceOf(Error);
+          sinon.assert.notCalled(cloudFormationUtilities.cloudFormationClient.describeStacks);
+          done();
+        }
+      );
+    });
+
+    it('calls back with error on describeStacks error', function (done) {
+      cloudFormationUtilities.cloudFormationClient.describeStacks.withArgs({
+        StackName: 'priorStackId'
+      }).yields(new Error());
+
+      cloudFormationUtilities.describePriorStacks(
+        applicationConfig,
+        stackId,
+        function (error) {
+          expect(error).to.be.instanceOf(Error);
+          done();
+        }
+      );
+    });
+  });
+
+  describe('migrateQueuedMessages', function () {
+    var arnMap;
+    var config;
+    var priorArnMap;
+    var stackDescription;
+
+    beforeEach(function () {
+      config = _.cloneDeep(applicationConfig);
+      config.components[0].migrateQueuedMessages = true;
+
+      arnMap = resources.getMockArnMap(config);
+      priorArnMap = _.mapValues(arnMap, function (arn) {
+        return arn.replace(':444555666777:', ':444555666777:Prior');
+      });
+      stackDescription = {
+        StackId: 'stackId'
+      };
+
+      sandbox.stub(cloudFormationUtilities, 'describePriorStacks').yields(null, [
+        {
+          StackName: config.name + '-priorDeployId',
+          Outputs: _.map(priorArnMap, function (value, key) {
+            return {
+              OutputKey: key,
+              OutputValue: value
+            };
+          })
+        }
+      ]);
+      sandbox.stub(sqsUtilities, 'moveMessages').yields(null, 2);
+      sandbox.stub(s3Utilities, 'uploadApplicationControl').yields();
+      sandbox.stub(cloudFormationUtilities, 'awaitPriorInvocations').yields();
+    });
+
+    it('moves messages for opted in components', function (done) {
+      cloudFormationUtilities.migrateQueuedMessages(
+        arnMap,
+        stackDescription,
+        config,
+        function (error, counts) {
+          expect(counts).to.eql({
+            message: 2
+          });
+
+          sinon.assert.calledWith(
+            cloudFormationUtilities.describePriorStacks,
+            config,
+            stackDescription.StackId,
+            sinon.match.func
+          );
+          sinon.assert.calledOnce(sqsUtilities.moveMessages);
+          sinon.assert.calledWith(
+            sqsUtilities.moveMessages,
+            utilities.getQueueUrl('message', priorArnMap),
+            utilities.getQueueUrl('message', arnMap),
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('shuts down prior deployments and awaits their invocations first', function (done) {
+      cloudFormationUtilities.migrateQueuedMessages(
+        arnMap,
+        stackDescription,
+        config,
+        function (error) {
+          sinon.assert.callOrder(
+            s3Utilities.uploadApplicationControl,
+            cloudFormationUtilities.awaitPriorInvocations,
+            sqsUtilities.moveMessages
+          );
+          sinon.assert.calledWith(
+            s3Utilities.uploadApplicationControl,
+            constants.applicationState.SHUTDOWN,
+            sinon.match({
+              deployId: 'priorDeployId'
+            }),
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            cloudFormationUtilities.awaitPriorInvocations,
+            [priorArnMap],
+            config,
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('leaves prior deployments running if they are not deleted', function (done) {
+      config.deployment.skipPriorCloudFormationStackDeletion = true;
+
+      cloudFormationUtilities.migrateQueuedMessages(
+        arnMap,
+        stackDescription,
+        config,
+        function (error) {
+          sinon.assert.notCalled(s3Utilities.uploadApplicationControl);
+          sinon.assert.notCalled(cloudFormationUtilities.awaitPriorInvocations);
+          sinon.assert.calledOnce(sqsUtilities.moveMessages);
+
+          done(error);
+        }
+      );
+    });
+
+    it('counts zero for a failed move with no count', function (done) {
+      sqsUtilities.moveMessages.yields(new Error());
+
+      cloudFormationUtilities.migrateQueuedMessages(
+        arnMap,
+        stackDescription,
+        config,
+        function (error, counts) {
+          expect(error).to.be.instanceOf(Error);
+          expect(counts).to.eql({
+            message: 0
+          });
+
+          done();
+        }
+      );
+    });
+
+    it('skips components missing from the prior stack', function (done) {
+      cloudFormationUtilities.describePriorStacks.yields(null, [
+        {
+          StackName: config.name + '-priorDeployId',
+          Outputs: [
+            {
+              OutputKey: 'a',
+              OutputValue: 'b'
+            }
+          ]
+        }
+      ]);
+
+      cloudFormationUtilities.migrateQueuedMessages(
+        arnMap,
+        stackDescription,
+        config,
+        function (error, counts) {
+          expect(counts).to.eql({
+            message: 0
+          });
+          sinon.assert.notCalled(sqsUtilities.moveMessages);
+
+          done(error);
+        }
+      );
+    });
+
+    it('does nothing if no components are opted in', function (done) {
+      cloudFormationUtilities.migrateQueuedMessages(
+        arnMap,
+        stackDescription,
+        applicationConfig,
+        function (error, counts) {
+          expect(counts).to.eql({});
+          sinon.assert.notCalled(cloudFormationUtilities.describePriorStacks);
+          sinon.assert.notCalled(sqsUtilities.moveMessages);
+
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with error on describePriorStacks error', function (done) {
+      cloudFormationUtilities.describePriorStacks.yields(new Error());
+
+      cloudFormationUtilities.migrateQueuedMessages(
+        arnMap,
+        stackDescription,
+        config,
+        function (error) {
+          expect(error).to.be.instanceOf(Error);
+          sinon.assert.notCalled(sqsUtilities.moveMessages);
+
+          done();
+        }
+      );
+    });
+
+    it('calls back with error on moveMessages error', function (done) {
+      sqsUtilities.moveMessages.yields(new Error(), 1);
+
+      cloudFormationUtilities.migrateQueuedMessages(
+        arnMap,
+        stackDescription,
+        config,
+        function (error, counts) {
+          expect(error).to.be.instanceOf(Error);
+          expect(counts).to.eql({
+            message: 1
+          });
+
+          done();
+        }
+      );
+    });
+  });
+
+  describe('getPriorDeploymentConfig', function () {
+    it('functions correctly', function () {
+      var priorConfig = cloudFormationUtilities.getPriorDeploymentConfig({
+        StackName: applicationConfig.name + '-12345'
+      }, applicationConfig);
+
+      expect(priorConfig.deployId).to.equal('12345');
+      expect(priorConfig.name).to.equal(applicationConfig.name);
+      expect(applicationConfig.deployId).to.not.equal('12345');
+    });
+  });
+
+  describe('getPriorConcurrencyCount', function () {
+    var priorArnMap;
+
+    beforeEach(function () {
+      priorArnMap = resources.getMockArnMap(applicationConfig);
+      sandbox.stub(utilities, 'getConcurrencyCount').yields(null, 2);
+    });
+
+    it('sums the counts for all components', function (done) {
+      cloudFormationUtilities.getPriorConcurrencyCount(
+        [priorArnMap, priorArnMap],
+        applicationConfig,
+        function (error, count) {
+          var components = common.getAllComponents(applicationConfig);
+
+          expect(count).to.equal(components.length * 2 * 2);
+          _.each(components, function (component) {
+            sinon.assert.calledWith(
+              utilities.getConcurrencyCount,
+              component,
+              priorArnMap,
+              sinon.match.func
+            );
+          });
+
+          done(error);
+        }
+      );
+    });
+
+    it('skips components missing from the prior deployment', function (done) {
+      delete priorArnMap[utilities.getConcurrencyQueueArnOutputName(
+        applicationConfig.components[0].name
+      )];
+
+      cloudFormationUtilities.getPriorConcurrencyCount(
+        [priorArnMap],
+        applicationConfig,
+        function (error, count) {
+          expect(count).to.equal(
+            (common.getAllComponents(applicationConfig).length - 1) * 2
+          );
+          sinon.assert.neverCalledWith(
+            utilities.getConcurrencyCount,
+            applicationConfig.components[0]
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('calls back with an error', function (done) {
+      utilities.getConcurrencyCount.yields(new Error());
+
+      cloudFormationUtilities.getPriorConcurrencyCount(
+        [priorArnMap],
+        applicationConfig,
+        function (error) {
+          expect(error).to.be.instanceOf(Error);
+          done();
+        }
+      );
+    });
+  });
+
+  describe('awaitPriorInvocations', function () {
+    var priorArnMaps;
+    var timeout;
+
+    beforeEach(function () {
+      priorArnMaps = [resources.getMockArnMap(applicationConfig)];
+      timeout = (
+        constants.coordinator.COMPONENT.lambda.timeout +
+        constants.invoker.COMPONENT.lambda.timeout +
+        _.max(_.map(applicationConfig.components, function (component) {
+          return component.lambda.timeout;
+        }))
+      );
+
+      sandbox.stub(cloudFormationUtilities, 'getPriorConcurrencyCount').yields(null, 0);
+    });
+
+    it('finishes at once if nothing is running', function () {
+      var callback = sandbox.stub();
+
+      cloudFormationUtilities.awaitPriorInvocations(
+        priorArnMaps,
+        applicationConfig,
+        callback
+      );
+
+      clock.tick(0);
+      sinon.assert.calledOnce(callback);
+      sinon.assert.calledWith(
+        cloudFormationUtilities.getPriorConcurrencyCount,
+        priorArnMaps,
+        applicationConfig,
+        sinon.match.func
+      );
+    });
+
+    it('waits until the counts reach zero', function () {
+      var callback = sandbox.stub();
+
+      cloudFormationUtilities.getPriorConcurrencyCount.onCall(0).yields(null, 2);
+      cloudFormationUtilities.getPriorConcurrencyCount.onCall(1).yields(null, 1);
+
+      cloudFormationUtilities.awaitPriorInvocations(
+        priorArnMaps,
+        applicationConfig,
+        callback
+      );
+
+      clock.tick(5000);
+      sinon.assert.notCalled(callback);
+      clock.tick(5000);
+      sinon.assert.calledOnce(callback);
+      sinon.assert.calledThrice(cloudFormationUtilities.getPriorConcurrencyCount);
+    });
+
+    it('waits no longer than the longest chain of invocations', function () {
+      var callback = sandbox.stub();
+
+      cloudFormationUtilities.getPriorConcurrencyCount.yields(null, 1);
+
+      cloudFormationUtilities.awaitPriorInvocations(
+        priorArnMaps,
+        applicationConfig,
+        callback
+      );
+
+      clock.tick(timeout * 1000 - 1);
+      sinon.assert.notCalled(callback);
+      // The check in progress when the time runs out completes first.
+      clock.tick(5000);
+      sinon.assert.calledOnce(callback);
+      sinon.assert.calledWith(callback, null);
+    });
+
+    it('calls back with an error', function () {
+      var callback = sandbox.stub();
+
+      cloudFormationUtilities.getPriorConcurrencyCount.yields(new Error());
+
+      cloudFormationUtilities.awaitPriorInvocations(
+        priorArnMaps,
+        applicationConfig,
+        callback
+      );
+
+      clock.tick(0);
+      sinon.assert.calledWith(callback, sinon.match.instanceOf(Error));
+    });
+  });
+
   describe('getSwitchoverFunction', function () {
     var arnMap;
+    var migratedMessageCounts;
     var stackDescription;
     var switchoverFn;
+    var switchoverResults;
 
     beforeEach(function () {
       stackDescription = {
@@ -212,15 +765,23 @@ describe('lib/deploy/cloudFormationUtilities', function () {
       arnMap = {
         a: 'b'
       };
+      migratedMessageCounts = {
+        message: 2
+      };
 
       sandbox.stub(s3Utilities, 'uploadArnMap').yields();
       sandbox.stub(cloudFormationUtilities, 'startApplication').yields();
       sandbox.stub(cloudFormationUtilities, 'awaitApplicationConfirmation').yields();
       sandbox.stub(applicationConfig.deployment, 'switchoverFunction').yields();
+      sandbox.stub(cloudFormationUtilities, 'migrateQueuedMessages').yields(
+        null,
+        migratedMessageCounts
+      );
 
+      switchoverResults = {};
       switchoverFn = cloudFormationUtilities.getSwitchoverFunction(
         applicationConfig,
-        applicationConfig.deploymentswitchoverFunction
+        switchoverResults
       );
     });
 
@@ -248,17 +809,28 @@ describe('lib/deploy/cloudFormationUtilities', function () {
         resources.getConfigMatcher(applicationConfig),
         sinon.match.func
       );
+      sinon.assert.calledWith(
+        cloudFormationUtilities.migrateQueuedMessages,
+        arnMap,
+        stackDescription,
+        resources.getConfigMatcher(applicationConfig),
+        sinon.match.func
+      );
       sinon.assert.callOrder(
         s3Utilities.uploadArnMap,
         cloudFormationUtilities.startApplication,
         cloudFormationUtilities.awaitApplicationConfirmation,
-        applicationConfig.deployment.switchoverFunction
+        applicationConfig.deployment.switchoverFunction,
+        cloudFormationUtilities.migrateQueuedMessages
       );
     }
 
     it('creates function that behaves correctly', function (done) {
       switchoverFn(stackDescription, function (error) {
         checkCalls();
+        expect(switchoverResults.migratedMessageCounts).to.equal(
+          migratedMessageCounts
+        );
         done(error);
       });
 
@@ -350,6 +922,26 @@ describe('lib/deploy/cloudFormationUtilities', function () {
       });
     });
 
+    it('skips queued message migration on user switchover function error', function (done) {
+      applicationConfig.deployment.switchoverFunction.yields(new Error());
+
+      switchoverFn(stackDescription, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(cloudFormationUtilities.migrateQueuedMessages);
+
+        done();
+      });
+    });
+
+    it('calls back with error on migrateQueuedMessages error', function (done) {
+      cloudFormationUtilities.migrateQueuedMessages.yields(new Error(), {});
+
+      switchoverFn(stackDescription, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
   });
 
   describe('generateCloudFormationDeployConfig', function () {
@@ -466,6 +1058,29 @@ describe('lib/deploy/cloudFormationUtilities', function () {
       });
     });
 
+    it('adds migrated message counts to the results', function (done) {
+      var migratedMessageCounts = {
+        message: 2
+      };
+
+      cloudFormationUtilities.generateCloudFormationDeployConfig.restore();
+      sandbox.stub(
+        cloudFormationUtilities,
+        'generateCloudFormationDeployConfig',
+        function (config, switchoverResults) {
+          switchoverResults.migratedMessageCounts = migratedMessageCounts;
+          return cloudFormationDeployConfig;
+        }
+      );
+
+      cloudFormationUtilities.deployStack(applicationConfig, function (error, obtainedResults) {
+        expect(obtainedResults.migratedMessageCounts).to.equal(
+          migratedMessageCounts
+        );
+        done(error);
+      });
+    });
+
     it('calls back with error on read file error', function (done) {
       fs.readFile.yields(new Error());
 
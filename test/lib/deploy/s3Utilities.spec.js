@@ -2,7 +2,13 @@
  * @fileOverview Tests for lib/deploy/s3Utilities.
  */
 
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var cacheUtilities = require('../../../lib/build/cacheUtilities');
 var common = require('../../../lib/build/common');
+var constants = require('../../../lib/shared/constants');
 var s3Utilities = require('../../../lib/deploy/s3Utilities');
 var utilities = require('../../../lib/shared/utilities');
 
@@ -70,6 +76,101 @@ describe('lib/deploy/s3Utilities', function () {
     });
   });
 
+  describe('confirmDeployment', function () {
+    var notFoundError;
+
+    beforeEach(function () {
+      notFoundError = new Error();
+      notFoundError.statusCode = 404;
+
+      sandbox.stub(s3Utilities.s3Client, 'headObject').yields();
+    });
+
+    it('looks for the ARN map', function (done) {
+      s3Utilities.confirmDeployment(applicationConfig, function (error) {
+        sinon.assert.calledWith(
+          s3Utilities.s3Client.headObject,
+          {
+            Bucket: applicationConfig.deployment.s3Bucket,
+            Key: utilities.getArnMapS3Key(applicationConfig)
+          },
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('calls back with error without retrying if there is no ARN map', function (done) {
+      s3Utilities.s3Client.headObject.yields(notFoundError);
+
+      s3Utilities.confirmDeployment(applicationConfig, function (error) {
+        sinon.assert.calledOnce(s3Utilities.s3Client.headObject);
+        expect(error).to.be.instanceOf(Error);
+        expect(error.message).to.contain(
+          utilities.getArnMapS3Key(applicationConfig)
+        );
+
+        done();
+      });
+    });
+
+    it('retries on other failures', function (done) {
+      s3Utilities.s3Client.headObject.onCall(0).yields(new Error());
+
+      s3Utilities.confirmDeployment(applicationConfig, function (error) {
+        sinon.assert.calledTwice(s3Utilities.s3Client.headObject);
+
+        done(error);
+      });
+    });
+  });
+
+  describe('uploadApplicationControl', function () {
+    var params;
+
+    beforeEach(function () {
+      params = {
+        Body: JSON.stringify({
+          state: constants.applicationState.PAUSED
+        }),
+        Bucket: applicationConfig.deployment.s3Bucket,
+        ContentType: 'application/json',
+        Key: utilities.getApplicationControlS3Key(applicationConfig)
+      };
+    });
+
+    it('correctly invokes the client function', function (done) {
+      s3Utilities.uploadApplicationControl(
+        constants.applicationState.PAUSED,
+        applicationConfig,
+        function (error) {
+          sinon.assert.calledOnce(s3Utilities.s3Client.putObject);
+          sinon.assert.calledWith(
+            s3Utilities.s3Client.putObject,
+            params,
+            sinon.match.func
+          );
+
+          done(error);
+        }
+      );
+    });
+
+    it('retries on failure', function (done) {
+      s3Utilities.s3Client.putObject.onCall(0).yields(new Error());
+
+      s3Utilities.uploadApplicationControl(
+        constants.applicationState.PAUSED,
+        applicationConfig,
+        function (error) {
+          sinon.assert.calledTwice(s3Utilities.s3Client.putObject);
+          done(error);
+        }
+      );
+    });
+  });
+
   describe('uploadConfig', function () {
 
     it('correctly invokes the client function', function (done) {
@@ -155,6 +256,69 @@ describe('lib/deploy/s3Utilities', function () {
         done(error);
       });
     });
+
+    describe('with a recorded content hash', function () {
+      var hash;
+
+      beforeEach(function () {
+        hash = 'abcdef';
+        sandbox.stub(cacheUtilities, 'getRecordedPackageHash').yields(null, hash);
+        sandbox.stub(s3Utilities.s3Client, 'headObject').yields(null, {
+          Metadata: {}
+        });
+      });
+
+      it('uploads with the hash in the metadata', function (done) {
+        s3Utilities.uploadLambdaFunction(component, applicationConfig, function (error) {
+          sinon.assert.calledWith(
+            s3Utilities.s3Client.headObject,
+            {
+              Bucket: applicationConfig.deployment.s3Bucket,
+              Key: common.getComponentS3Key(component, applicationConfig, hash)
+            },
+            sinon.match.func
+          );
+          sinon.assert.calledOnce(s3Utilities.s3Client.putObject);
+          sinon.assert.calledWith(
+            s3Utilities.s3Client.putObject,
+            {
+              // Should be a read stream.
+              Body: sinon.match.object,
+              Bucket: applicationConfig.deployment.s3Bucket,
+              Key: common.getComponentS3Key(component, applicationConfig, hash),
+              Metadata: {
+                'content-hash': hash
+              }
+            },
+            sinon.match.func
+          );
+
+          done(error);
+        });
+      });
+
+      it('uploads if there is no existing object', function (done) {
+        s3Utilities.s3Client.headObject.yields(new Error());
+
+        s3Utilities.uploadLambdaFunction(component, applicationConfig, function (error) {
+          sinon.assert.calledOnce(s3Utilities.s3Client.putObject);
+          done(error);
+        });
+      });
+
+      it('skips the upload if the existing object has the same hash', function (done) {
+        s3Utilities.s3Client.headObject.yields(null, {
+          Metadata: {
+            'content-hash': hash
+          }
+        });
+
+        s3Utilities.uploadLambdaFunction(component, applicationConfig, function (error) {
+          sinon.assert.notCalled(s3Utilities.s3Client.putObject);
+          done(error);
+        });
+      });
+    });
   });
 
   describe('uploadLambdaFunctions', function () {
@@ -175,5 +339,23 @@ describe('lib/deploy/s3Utilities', function () {
         done(error);
       });
     });
+
+    it('uploads the layer if there is one', function (done) {
+      var config = _.cloneDeep(applicationConfig);
+      config.layer = {};
+      sandbox.stub(s3Utilities, 'uploadLambdaFunction').yields();
+
+      s3Utilities.uploadLambdaFunctions(config, function (error) {
+        sinon.assert.callCount(s3Utilities.uploadLambdaFunction, 5);
+        sinon.assert.calledWith(
+          s3Utilities.uploadLambdaFunction,
+          common.getLayerDefinition(),
+          config,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
   });
 });
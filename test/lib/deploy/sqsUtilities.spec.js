@@ -0,0 +1,141 @@
+/**
+ * @fileOverview Tests for lib/deploy/sqsUtilities.
+ */
+
+var sqsUtilities = require('../../../lib/deploy/sqsUtilities');
+
+describe('lib/deploy/sqsUtilities', function () {
+
+  var fromQueueUrl;
+  var message;
+  var sandbox;
+  var toQueueUrl;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    fromQueueUrl = 'https://sqs.us-east-1.amazonaws.com/444555666777/from';
+    toQueueUrl = 'https://sqs.us-east-1.amazonaws.com/444555666777/to';
+    message = {
+      Body: '{}',
+      ReceiptHandle: 'receiptHandle'
+    };
+
+    // Make sure the relevant methods on the SQS client are stubbed.
+    sandbox.stub(sqsUtilities.sqsClient, 'receiveMessage').yields(null, {});
+    sandbox.stub(sqsUtilities.sqsClient, 'sendMessage').yields();
+    sandbox.stub(sqsUtilities.sqsClient, 'deleteMessage').yields();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('moveMessage', function () {
+
+    it('sends the message before deleting it', function (done) {
+      sqsUtilities.moveMessage(message, fromQueueUrl, toQueueUrl, function (error) {
+        sinon.assert.calledWith(
+          sqsUtilities.sqsClient.sendMessage,
+          {
+            QueueUrl: toQueueUrl,
+            MessageBody: message.Body
+          },
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          sqsUtilities.sqsClient.deleteMessage,
+          {
+            QueueUrl: fromQueueUrl,
+            ReceiptHandle: message.ReceiptHandle
+          },
+          sinon.match.func
+        );
+        sinon.assert.callOrder(
+          sqsUtilities.sqsClient.sendMessage,
+          sqsUtilities.sqsClient.deleteMessage
+        );
+
+        done(error);
+      });
+    });
+
+    it('retries on failure', function (done) {
+      sqsUtilities.sqsClient.sendMessage.onCall(0).yields(new Error());
+
+      sqsUtilities.moveMessage(message, fromQueueUrl, toQueueUrl, function (error) {
+        sinon.assert.calledTwice(sqsUtilities.sqsClient.sendMessage);
+        sinon.assert.calledOnce(sqsUtilities.sqsClient.deleteMessage);
+
+        done(error);
+      });
+    });
+
+    it('does not delete the message on persistent send failure', function (done) {
+      sqsUtilities.sqsClient.sendMessage.yields(new Error());
+
+      sqsUtilities.moveMessage(message, fromQueueUrl, toQueueUrl, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(sqsUtilities.sqsClient.deleteMessage);
+
+        done();
+      });
+    });
+  });
+
+  describe('moveMessages', function () {
+
+    it('moves messages until the queue is empty', function (done) {
+      sqsUtilities.sqsClient.receiveMessage.onCall(0).yields(null, {
+        Messages: [message, message]
+      });
+      sqsUtilities.sqsClient.receiveMessage.onCall(1).yields(null, {
+        Messages: [message]
+      });
+
+      sqsUtilities.moveMessages(fromQueueUrl, toQueueUrl, function (error, count) {
+        expect(count).to.equal(3);
+
+        sinon.assert.calledThrice(sqsUtilities.sqsClient.receiveMessage);
+        sinon.assert.alwaysCalledWith(
+          sqsUtilities.sqsClient.receiveMessage,
+          {
+            QueueUrl: fromQueueUrl,
+            MaxNumberOfMessages: 10,
+            VisibilityTimeout: 30,
+            WaitTimeSeconds: 1
+          },
+          sinon.match.func
+        );
+        sinon.assert.calledThrice(sqsUtilities.sqsClient.sendMessage);
+        sinon.assert.calledThrice(sqsUtilities.sqsClient.deleteMessage);
+
+        done(error);
+      });
+    });
+
+    it('calls back with a zero count for an empty queue', function (done) {
+      sqsUtilities.moveMessages(fromQueueUrl, toQueueUrl, function (error, count) {
+        expect(count).to.equal(0);
+        sinon.assert.calledOnce(sqsUtilities.sqsClient.receiveMessage);
+        sinon.assert.notCalled(sqsUtilities.sqsClient.sendMessage);
+
+        done(error);
+      });
+    });
+
+    it('calls back with error and partial count on failure', function (done) {
+      sqsUtilities.sqsClient.receiveMessage.onCall(0).yields(null, {
+        Messages: [message]
+      });
+      sqsUtilities.sqsClient.receiveMessage.onCall(1).yields(new Error());
+
+      sqsUtilities.moveMessages(fromQueueUrl, toQueueUrl, function (error, count) {
+        expect(error).to.be.instanceOf(Error);
+        expect(count).to.equal(1);
+
+        done();
+      });
+    });
+  });
+});
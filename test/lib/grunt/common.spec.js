@@ -7,6 +7,8 @@ var path = require('path');
 
 // Local.
 var applicationConfig = require('../../resources/mockApplication/applicationConfig');
+var configValidator = require('../../../lib/build/configValidator');
+var constants = require('../../../lib/shared/constants');
 var gruntCommon = require('../../../lib/grunt/common');
 var resources = require('../../resources');
 
@@ -85,4 +87,66 @@ describe('lib/grunt/common', function () {
     });
   })
 
+
+  describe('formatApplicationStatus', function () {
+    it('functions as expected', function () {
+      var status = {
+        applicationState: constants.applicationState.PAUSED,
+        components: [
+          {
+            name: constants.coordinator.NAME,
+            type: constants.componentType.INTERNAL,
+            concurrency: 2
+          },
+          {
+            name: 'message',
+            type: constants.componentType.EVENT_FROM_MESSAGE,
+            concurrency: null,
+            maxConcurrency: 10,
+            queuedMessageCount: 5,
+            deadLetterQueuedMessageCount: 1
+          }
+        ]
+      };
+
+      expect(gruntCommon.formatApplicationStatus(status, applicationConfig)).to.equal([
+        'Application: ' + applicationConfig.name + ' ' + applicationConfig.deployId,
+        'State: paused',
+        'Coordinators: 2 of ' + applicationConfig.coordinator.coordinatorConcurrency,
+        '',
+        constants.coordinator.NAME + ' (internal): concurrency 2',
+        'message (eventFromMessage): concurrency unknown of 10, queued messages 5, dead letter messages 1'
+      ].join('\n'));
+    });
+  });
+
+  describe('writeConfigurationWarnings', function () {
+    beforeEach(function () {
+      grunt.log = {
+        warn: sandbox.stub()
+      };
+      sandbox.stub(configValidator, 'validate').returns([]);
+      sandbox.stub(configValidator, 'getWarnings').returns([
+        new Error('a'),
+        new Error('b')
+      ]);
+    });
+
+    it('writes each warning', function () {
+      gruntCommon.writeConfigurationWarnings(grunt, applicationConfig);
+
+      sinon.assert.calledWith(configValidator.getWarnings, applicationConfig);
+      sinon.assert.calledTwice(grunt.log.warn);
+      sinon.assert.calledWith(grunt.log.warn, 'Warning: a');
+      sinon.assert.calledWith(grunt.log.warn, 'Warning: b');
+    });
+
+    it('writes nothing for an invalid configuration', function () {
+      configValidator.validate.returns([new Error()]);
+      gruntCommon.writeConfigurationWarnings(grunt, applicationConfig);
+
+      sinon.assert.notCalled(configValidator.getWarnings);
+      sinon.assert.notCalled(grunt.log.warn);
+    });
+  });
 });
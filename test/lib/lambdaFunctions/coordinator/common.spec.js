@@ -128,6 +128,30 @@ describe('lib/lambdaFunctions/coordinator/common', function () {
     });
   });
 
+  describe('isScheduledMode', function () {
+    var coordinatorConfig;
+
+    beforeEach(function () {
+      coordinatorConfig = require(path.join(
+        mockApplicationDir,
+        'lambdaComplexCoordinator',
+        '_config'
+      )).coordinator;
+    });
+
+    afterEach(function () {
+      delete coordinatorConfig.mode;
+    });
+
+    it('functions correctly', function () {
+      expect(common.isScheduledMode()).to.equal(false);
+      coordinatorConfig.mode = constants.coordinatorMode.SELF_INVOKING;
+      expect(common.isScheduledMode()).to.equal(false);
+      coordinatorConfig.mode = constants.coordinatorMode.SCHEDULED;
+      expect(common.isScheduledMode()).to.equal(true);
+    });
+  });
+
   describe('executeConcurrently', function () {
     var fns;
     var calledBack;
@@ -248,6 +272,37 @@ describe('lib/lambdaFunctions/coordinator/common', function () {
       expect(common.getInvocationCounts(applicationStatus)).to.eql(invocationCounts);
     });
 
+    it('divides queuedMessageCount by the component batchSize', function () {
+      var messageComponent = _.findWhere(require(path.join(
+        mockApplicationDir,
+        'lambdaComplexCoordinator',
+        '_config'
+      )).components, {
+        name: 'message'
+      });
+
+      applicationStatus.components[0].name = 'message';
+      applicationStatus.components[0].maxConcurrency = 100;
+      applicationStatus.components[0].queuedMessageCount = 25;
+      messageComponent.batchSize = 10;
+
+      var invocationCounts = [
+        {
+          name: 'message',
+          // 3 invocations for 25 messages in batches of 10. Then 2 because
+          // there are 2 coordinators, rounding up.
+          count: 2
+        }
+      ];
+
+      try {
+        expect(common.getInvocationCounts(applicationStatus)).to.eql(invocationCounts);
+      }
+      finally {
+        delete messageComponent.batchSize;
+      }
+    });
+
     it('skips null queuedMessageCount', function () {
       var invocationCounts = [];
 
@@ -263,6 +318,109 @@ describe('lib/lambdaFunctions/coordinator/common', function () {
     });
   });
 
+  describe('getMetricsNamespace', function () {
+    var coordinatorConfig;
+
+    beforeEach(function () {
+      coordinatorConfig = require(path.join(
+        mockApplicationDir,
+        'lambdaComplexCoordinator',
+        '_config'
+      )).coordinator;
+    });
+
+    afterEach(function () {
+      delete coordinatorConfig.metricsNamespace;
+    });
+
+    it('functions correctly', function () {
+      expect(common.getMetricsNamespace()).to.equal(
+        constants.metrics.DEFAULT_NAMESPACE
+      );
+      coordinatorConfig.metricsNamespace = 'Custom';
+      expect(common.getMetricsNamespace()).to.equal('Custom');
+    });
+  });
+
+  describe('getMetricData', function () {
+    var applicationStatus;
+    var componentsConfig;
+
+    /**
+     * Obtain the expected metric datum.
+     */
+    function datum (metricName, componentName, value) {
+      return {
+        MetricName: metricName,
+        Dimensions: [
+          {
+            Name: 'Application',
+            Value: applicationConfig.name
+          },
+          {
+            Name: 'Component',
+            Value: componentName
+          }
+        ],
+        Unit: 'Count',
+        Value: value
+      };
+    }
+
+    beforeEach(function () {
+      componentsConfig = require(path.join(
+        mockApplicationDir,
+        'lambdaComplexCoordinator',
+        '_config'
+      )).components;
+      applicationStatus = {
+        components: [
+          {
+            name: constants.coordinator.NAME,
+            type: constants.componentType.INTERNAL,
+            concurrency: 2
+          },
+          {
+            name: 'message',
+            type: constants.componentType.EVENT_FROM_MESSAGE,
+            concurrency: 1,
+            maxConcurrency: 10,
+            queuedMessageCount: 5
+          },
+          {
+            name: 'invocation',
+            type: constants.componentType.EVENT_FROM_INVOCATION,
+            concurrency: null
+          }
+        ]
+      };
+    });
+
+    afterEach(function () {
+      delete componentsConfig[0].metrics;
+    });
+
+    it('produces metric data for each component', function () {
+      expect(common.getMetricData(applicationStatus, [
+        { name: 'message', count: 2 },
+        { name: 'message', count: 1 }
+      ])).to.eql([
+        datum(constants.metrics.CONCURRENCY, constants.coordinator.NAME, 2),
+        datum(constants.metrics.CONCURRENCY, 'message', 1),
+        datum(constants.metrics.QUEUED_MESSAGES, 'message', 5),
+        datum(constants.metrics.INVOCATIONS_LAUNCHED, 'message', 3)
+      ]);
+    });
+
+    it('omits components that opt out', function () {
+      componentsConfig[0].metrics = false;
+
+      expect(common.getMetricData(applicationStatus, [])).to.eql([
+        datum(constants.metrics.CONCURRENCY, constants.coordinator.NAME, 2)
+      ]);
+    });
+  });
+
   describe('sumOfInvocationCounts', function () {
     it('sums correctly', function () {
       var invocationCounts = [];
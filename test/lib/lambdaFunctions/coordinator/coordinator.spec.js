@@ -5,6 +5,9 @@
 // Core.
 var path = require('path');
 
+// NPM.
+var _ = require('lodash');
+
 // Local.
 var resources = require('../../../resources');
 var applicationConfig = require('../../../resources/mockApplication/applicationConfig');
@@ -116,6 +119,38 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
       });
     });
 
+    it('includes dead letter queue message counts', function (done) {
+      var messageComponent = _.find(common.getAllComponents(), {
+        name: 'message'
+      });
+      messageComponent.deadLetter = true;
+      arnMap[utilities.getDeadLetterQueueArnOutputName('message')] =
+        'arn:aws:sqs:us-east-1:444555666777:deadLetterQueue';
+
+      coordinator.determineApplicationStatus(function (error, status) {
+        delete messageComponent.deadLetter;
+
+        sinon.assert.callCount(utilities.getQueueMessageCount, 6);
+        sinon.assert.calledWith(
+          utilities.getQueueMessageCount,
+          utilities.getDeadLetterQueueUrl('message', arnMap),
+          sinon.match.func
+        );
+        expect(_.find(status.components, {
+          name: 'message'
+        })).to.eql({
+          name: 'message',
+          type: constants.componentType.EVENT_FROM_MESSAGE,
+          concurrency: messageCount,
+          maxConcurrency: 10,
+          queuedMessageCount: messageCount,
+          deadLetterQueuedMessageCount: messageCount
+        });
+
+        done(error);
+      });
+    });
+
     it('getQueueAttributes error is logged and message counts are null', function (done) {
       utilities.getQueueMessageCount.yields(new Error());
 
@@ -153,6 +188,98 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
     });
   });
 
+  describe('publishMetrics', function () {
+    it('puts the metric data', function (done) {
+      var applicationStatus = {
+        components: []
+      };
+      var invocationCounts = [];
+      var metricData = [{}];
+
+      sandbox.stub(common, 'getMetricData').returns(metricData);
+      sandbox.stub(utilities, 'putMetricData').yields();
+
+      coordinator.publishMetrics(applicationStatus, invocationCounts, function (error) {
+        sinon.assert.calledWith(
+          common.getMetricData,
+          applicationStatus,
+          invocationCounts
+        );
+        sinon.assert.calledWith(
+          utilities.putMetricData,
+          constants.metrics.DEFAULT_NAMESPACE,
+          metricData,
+          constants.metrics.MAX_METRIC_DATA,
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+  });
+
+  describe('invokeTimedOutAggregations', function () {
+    var tableName;
+
+    beforeEach(function () {
+      tableName = 'name-1-AggregationTable';
+      arnMap[utilities.getAggregationTableArnOutputName()] =
+        'arn:aws:dynamodb:us-east-1:444555666777:table/' + tableName;
+
+      sandbox.stub(utilities, 'getTimedOutAggregations').yields(undefined, [
+        {
+          componentName: 'invocation',
+          correlationKey: 'key'
+        }
+      ]);
+      sandbox.stub(utilities, 'invoke').yields();
+    });
+
+    it('invokes the components of timed out aggregations', function (done) {
+      coordinator.invokeTimedOutAggregations(function (error) {
+        sinon.assert.calledWith(
+          utilities.getTimedOutAggregations,
+          tableName,
+          sinon.match.typeOf('number'),
+          sinon.match.func
+        );
+        sinon.assert.calledOnce(utilities.invoke);
+        sinon.assert.calledWith(
+          utilities.invoke,
+          utilities.getLambdaFunctionArn('invocation', arnMap),
+          {
+            correlationKey: 'key'
+          },
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('skips over this step without an aggregation table', function (done) {
+      delete arnMap[utilities.getAggregationTableArnOutputName()];
+
+      coordinator.invokeTimedOutAggregations(function (error) {
+        sinon.assert.notCalled(utilities.getTimedOutAggregations);
+        sinon.assert.notCalled(utilities.invoke);
+
+        done(error);
+      });
+    });
+
+    it('calls back with error on getTimedOutAggregations failure', function (done) {
+      utilities.getTimedOutAggregations.yields(new Error());
+
+      coordinator.invokeTimedOutAggregations(function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(utilities.invoke);
+
+        done();
+      });
+    });
+  });
+
   describe('ensureCoordinatorConcurrency', function () {
     var applicationStatus;
 
@@ -239,7 +366,8 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
       coordinator.arnMap = undefined;
 
       sandbox.stub(utilities, 'loadArnMap').yields(null, arnMap);
-      sandbox.stub(utilities, 'incrementConcurrencyCount').yields();
+      sandbox.stub(utilities, 'loadApplicationControl').yields(null, null);
+      sandbox.stub(utilities, 'incrementConcurrencyCount').yields(undefined, 'lease');
       sandbox.stub(common, 'ensureInterval').yields();
       sandbox.stub(common, 'getInvocationCounts').returns(invocationCounts);
       sandbox.stub(common, 'invokeApplicationLambdaFunctions').yields();
@@ -248,6 +376,8 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
         applicationStatus
       );
       sandbox.stub(coordinator, 'ensureCoordinatorConcurrency').yields();
+      sandbox.stub(coordinator, 'publishMetrics').yields();
+      sandbox.stub(coordinator, 'invokeTimedOutAggregations').yields();
       sandbox.stub(utilities, 'decrementConcurrencyCount').yields();
       sandbox.stub(utilities, 'invoke').yields();
       sandbox.stub(utilities, 'uploadApplicationConfirmation').yields();
@@ -262,6 +392,11 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
           resources.getConfigMatcher(applicationConfig),
           sinon.match.func
         );
+        sinon.assert.calledWith(
+          utilities.loadApplicationControl,
+          resources.getConfigMatcher(applicationConfig),
+          sinon.match.func
+        );
         sinon.assert.calledWith(
           utilities.incrementConcurrencyCount,
           constants.coordinator.COMPONENT,
@@ -288,6 +423,16 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
           arnMap,
           sinon.match.func
         );
+        sinon.assert.calledWith(
+          coordinator.invokeTimedOutAggregations,
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          coordinator.publishMetrics,
+          applicationStatus,
+          invocationCounts,
+          sinon.match.func
+        );
         sinon.assert.calledWith(
           common.ensureInterval,
           sinon.match.typeOf('number'),
@@ -299,6 +444,7 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
           utilities.decrementConcurrencyCount,
           constants.coordinator.COMPONENT,
           arnMap,
+          'lease',
           sinon.match.func
         );
         sinon.assert.calledWith(
@@ -343,6 +489,98 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
       }, 20);
     });
 
+    it('assumes a running application on loadApplicationControl failure', function (done) {
+      sandbox.stub(console, 'error');
+      utilities.loadApplicationControl.yields(new Error());
+      coordinator.handler(event, context);
+
+      setTimeout(function () {
+        sinon.assert.calledOnce(console.error);
+        sinon.assert.calledOnce(common.invokeApplicationLambdaFunctions);
+        sinon.assert.calledOnce(utilities.invoke);
+        expect(context.done.getCall(0).args[0]).to.equal(undefined);
+
+        done();
+      }, 20);
+    });
+
+    it('continues on publishMetrics failure', function (done) {
+      sandbox.stub(console, 'error');
+      coordinator.publishMetrics.yields(new Error());
+      coordinator.handler(event, context);
+
+      setTimeout(function () {
+        sinon.assert.calledOnce(console.error);
+        sinon.assert.calledOnce(utilities.decrementConcurrencyCount);
+        sinon.assert.calledOnce(utilities.invoke);
+        expect(context.done.getCall(0).args[0]).to.equal(undefined);
+
+        done();
+      }, 20);
+    });
+
+    it('continues on invokeTimedOutAggregations failure', function (done) {
+      sandbox.stub(console, 'error');
+      coordinator.invokeTimedOutAggregations.yields(new Error());
+      coordinator.handler(event, context);
+
+      setTimeout(function () {
+        sinon.assert.calledOnce(console.error);
+        sinon.assert.calledOnce(coordinator.publishMetrics);
+        sinon.assert.calledOnce(utilities.invoke);
+        expect(context.done.getCall(0).args[0]).to.equal(undefined);
+
+        done();
+      }, 20);
+    });
+
+    it('invokes no application functions when paused', function (done) {
+      utilities.loadApplicationControl.yields(null, {
+        state: constants.applicationState.PAUSED
+      });
+      coordinator.handler(event, context);
+
+      setTimeout(function () {
+        sinon.assert.notCalled(coordinator.determineApplicationStatus);
+        sinon.assert.notCalled(coordinator.ensureCoordinatorConcurrency);
+        sinon.assert.notCalled(common.invokeApplicationLambdaFunctions);
+        sinon.assert.notCalled(coordinator.invokeTimedOutAggregations);
+        sinon.assert.calledOnce(common.ensureInterval);
+        sinon.assert.calledOnce(utilities.decrementConcurrencyCount);
+        sinon.assert.calledWith(
+          utilities.invoke,
+          utilities.getLambdaFunctionArn(
+            constants.coordinator.NAME,
+            arnMap
+          ),
+          incrementedEvent,
+          sinon.match.func
+        );
+        expect(context.done.getCall(0).args[0]).to.equal(undefined);
+
+        done();
+      }, 20);
+    });
+
+    it('does not invoke the next coordinator when shut down', function (done) {
+      utilities.loadApplicationControl.yields(null, {
+        state: constants.applicationState.SHUTDOWN
+      });
+      coordinator.handler(event, context);
+
+      setTimeout(function () {
+        sinon.assert.notCalled(coordinator.determineApplicationStatus);
+        sinon.assert.notCalled(coordinator.ensureCoordinatorConcurrency);
+        sinon.assert.notCalled(common.invokeApplicationLambdaFunctions);
+        sinon.assert.notCalled(common.ensureInterval);
+        sinon.assert.calledOnce(utilities.decrementConcurrencyCount);
+        sinon.assert.notCalled(utilities.invoke);
+        sinon.assert.calledOnce(context.done);
+
+        done();
+      }, 20);
+    });
+
     it('still calls invoke on incrementConcurrencyCount failure', function (done) {
       sandbox.stub(console, 'error');
       utilities.incrementConcurrencyCount.yields(new Error());
@@ -569,6 +807,56 @@ describe('lib/lambdaFunctions/coordinator/coordinator', function () {
       }, 20);
     });
 
+
+    describe('in the scheduled mode', function () {
+      beforeEach(function () {
+        sandbox.stub(common, 'isScheduledMode').returns(true);
+      });
+
+      it('skips concurrency, interval, and invocation of the next coordinator', function (done) {
+        coordinator.handler(event, context);
+
+        setTimeout(function () {
+          sinon.assert.calledOnce(common.invokeApplicationLambdaFunctions);
+          sinon.assert.calledOnce(utilities.decrementConcurrencyCount);
+          sinon.assert.notCalled(coordinator.ensureCoordinatorConcurrency);
+          sinon.assert.notCalled(common.ensureInterval);
+          sinon.assert.notCalled(utilities.invoke);
+          sinon.assert.calledWith(
+            utilities.uploadApplicationConfirmation,
+            resources.getConfigMatcher(applicationConfig),
+            sinon.match.func
+          );
+          sinon.assert.calledWith(
+            context.done,
+            undefined,
+            applicationStatus
+          );
+
+          done();
+        }, 20);
+      });
+
+      it('does not call uploadApplicationConfirmation for a scheduled event', function (done) {
+        event = {
+          scheduled: true
+        };
+        coordinator.handler(event, context);
+
+        setTimeout(function () {
+          sinon.assert.notCalled(utilities.invoke);
+          sinon.assert.notCalled(utilities.uploadApplicationConfirmation);
+          sinon.assert.calledWith(
+            context.done,
+            undefined,
+            applicationStatus
+          );
+
+          done();
+        }, 20);
+      });
+    });
+
   });
 
 });
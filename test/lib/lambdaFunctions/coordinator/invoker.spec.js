@@ -84,7 +84,7 @@ describe('lib/lambdaFunctions/coordinator/invoker', function () {
       invoker.arnMap = undefined;
 
       sandbox.stub(utilities, 'loadArnMap').yields(null, arnMap);
-      sandbox.stub(utilities, 'incrementConcurrencyCount').yields();
+      sandbox.stub(utilities, 'incrementConcurrencyCount').yields(undefined, 'lease');
       sandbox.stub(utilities, 'decrementConcurrencyCount').yields();
       sandbox.stub(common, 'invokeApplicationLambdaFunctions').yields();
     });
@@ -114,6 +114,7 @@ describe('lib/lambdaFunctions/coordinator/invoker', function () {
           utilities.decrementConcurrencyCount,
           constants.invoker.COMPONENT,
           arnMap,
+          'lease',
           sinon.match.func
         );
         sinon.assert.calledWith(
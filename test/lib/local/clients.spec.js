@@ -0,0 +1,605 @@
+/**
+ * @fileOverview Tests for lib/local/clients.
+ */
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var clients = require('../../../lib/local/clients');
+var utilities = require('../../../lib/shared/utilities');
+
+describe('lib/local/clients', function () {
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('createSqsClient', function () {
+    var queueUrl;
+    var sqsClient;
+
+    beforeEach(function () {
+      queueUrl = 'https://sqs.us-east-1.amazonaws.com/000000000000/queue';
+      sqsClient = clients.createSqsClient([queueUrl]);
+    });
+
+    it('sends, receives, and deletes messages', function (done) {
+      sqsClient.sendMessage({
+        QueueUrl: queueUrl,
+        MessageBody: '{}'
+      }, function (error, result) {
+        if (error) {
+          return done(error);
+        }
+
+        expect(result.MessageId).to.be.a('string');
+
+        sqsClient.receiveMessage({
+          QueueUrl: queueUrl,
+          MaxNumberOfMessages: 1,
+          VisibilityTimeout: 10
+        }, function (receiveError, received) {
+          if (receiveError) {
+            return done(receiveError);
+          }
+
+          expect(received.Messages.length).to.equal(1);
+          expect(received.Messages[0].Body).to.equal('{}');
+
+          sqsClient.deleteMessage({
+            QueueUrl: queueUrl,
+            ReceiptHandle: received.Messages[0].ReceiptHandle
+          }, function (deleteError) {
+            expect(sqsClient.queues[queueUrl].length).to.equal(0);
+            done(deleteError);
+          });
+        });
+      });
+    });
+
+    it('hides received messages until the visibility timeout expires', function (done) {
+      sqsClient.queues[queueUrl].push({
+        id: 'id',
+        body: '{}',
+        receiveCount: 0,
+        visibleAt: 0
+      });
+
+      sqsClient.receiveMessage({
+        QueueUrl: queueUrl,
+        VisibilityTimeout: 10
+      }, function (receiveError) {
+        if (receiveError) {
+          return done(receiveError);
+        }
+
+        sqsClient.getQueueAttributes({
+          QueueUrl: queueUrl
+        }, function (error, result) {
+          expect(result.Attributes.ApproximateNumberOfMessages).to.equal('0');
+
+          // Expire the visibility timeout.
+          sqsClient.queues[queueUrl][0].visibleAt = 0;
+
+          sqsClient.getQueueAttributes({
+            QueueUrl: queueUrl
+          }, function (secondError, secondResult) {
+            expect(secondResult.Attributes.ApproximateNumberOfMessages).to.equal('1');
+            done(error || secondError);
+          });
+        });
+      });
+    });
+
+    it('changes the visibility of a received message', function (done) {
+      sqsClient.queues[queueUrl].push({
+        id: 'id',
+        body: '{}',
+        receiptHandle: 'receipt',
+        receiveCount: 1,
+        visibleAt: 0
+      });
+
+      sqsClient.changeMessageVisibility({
+        QueueUrl: queueUrl,
+        ReceiptHandle: 'receipt',
+        VisibilityTimeout: 10
+      }, function (error) {
+        expect(sqsClient.queues[queueUrl][0].visibleAt).to.be.above(Date.now());
+
+        sqsClient.changeMessageVisibility({
+          QueueUrl: queueUrl,
+          ReceiptHandle: 'invalid',
+          VisibilityTimeout: 10
+        }, function (invalidError) {
+          expect(invalidError).to.be.instanceOf(Error);
+          done(error);
+        });
+      });
+    });
+
+    it('moves messages to the dead letter queue per the redrive policy', function (done) {
+      var deadLetterQueueUrl = queueUrl + '-dead-letter';
+      var redrivePolicies = {};
+
+      redrivePolicies[queueUrl] = {
+        deadLetterQueueUrl: deadLetterQueueUrl,
+        maxReceiveCount: 2
+      };
+      sqsClient = clients.createSqsClient(
+        [queueUrl, deadLetterQueueUrl],
+        redrivePolicies
+      );
+      sqsClient.queues[queueUrl].push({
+        id: 'id',
+        body: '{}',
+        receiveCount: 2,
+        visibleAt: 0
+      });
+
+      sqsClient.receiveMessage({
+        QueueUrl: queueUrl
+      }, function (error, result) {
+        expect(result.Messages).to.eql([]);
+        expect(sqsClient.queues[queueUrl].length).to.equal(0);
+        expect(sqsClient.queues[deadLetterQueueUrl].length).to.equal(1);
+        expect(sqsClient.queues[deadLetterQueueUrl][0].receiveCount).to.equal(0);
+        done(error);
+      });
+    });
+
+    it('counts receives of a message', function (done) {
+      sqsClient.queues[queueUrl].push({
+        id: 'id',
+        body: '{}',
+        receiveCount: 0,
+        visibleAt: 0
+      });
+
+      sqsClient.receiveMessage({
+        QueueUrl: queueUrl
+      }, function (error, result) {
+        expect(sqsClient.queues[queueUrl][0].receiveCount).to.equal(1);
+        expect(result.Messages[0].Attributes.ApproximateReceiveCount).to.equal('1');
+        done(error);
+      });
+    });
+
+    it('returns no messages for an empty queue', function (done) {
+      sqsClient.receiveMessage({
+        QueueUrl: queueUrl
+      }, function (error, result) {
+        expect(result.Messages).to.eql([]);
+        done(error);
+      });
+    });
+
+    it('calls back with error for an unknown queue', function (done) {
+      sqsClient.sendMessage({
+        QueueUrl: 'unknown',
+        MessageBody: '{}'
+      }, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('calls back with error for an invalid receipt handle', function (done) {
+      sqsClient.deleteMessage({
+        QueueUrl: queueUrl,
+        ReceiptHandle: 'invalid'
+      }, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('createS3Client', function () {
+    var params;
+    var s3Client;
+
+    beforeEach(function () {
+      params = {
+        Bucket: 'bucket',
+        Key: 'key'
+      };
+      s3Client = clients.createS3Client();
+    });
+
+    it('stores and retrieves objects', function (done) {
+      s3Client.putObject({
+        Body: 'body',
+        Bucket: params.Bucket,
+        Key: params.Key
+      }, function (error) {
+        if (error) {
+          return done(error);
+        }
+
+        s3Client.getObject(params, function (getError, result) {
+          expect(result.Body.toString('utf8')).to.equal('body');
+          done(getError);
+        });
+      });
+    });
+
+    it('calls back with a 404 error for a missing object', function (done) {
+      s3Client.getObject(params, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        expect(error.statusCode).to.equal(404);
+        done();
+      });
+    });
+  });
+
+  describe('createDynamoDbClient', function () {
+    var dynamoDbClient;
+    var key;
+
+    /**
+     * Create the parameters for replacing the leases of an item.
+     *
+     * @param {String[]} leaseIds The lease IDs.
+     * @param {Number} version The new version.
+     * @return {Object} The parameters.
+     */
+    function createSetParams (leaseIds, version) {
+      var params = {
+        TableName: 'table',
+        Key: key,
+        UpdateExpression: 'SET #leases = :leases, #version = :version',
+        ConditionExpression: 'attribute_not_exists(#version)',
+        ExpressionAttributeNames: {
+          '#leases': 'leases',
+          '#version': 'version'
+        },
+        ExpressionAttributeValues: {
+          ':leases': {
+            M: _.zipObject(leaseIds, _.map(leaseIds, function () {
+              return {
+                N: '1000'
+              };
+            }))
+          },
+          ':version': {
+            N: '' + version
+          }
+        }
+      };
+
+      if (version > 1) {
+        params.ConditionExpression = '#version = :priorVersion';
+        params.ExpressionAttributeValues[':priorVersion'] = {
+          N: '' + (version - 1)
+        };
+      }
+
+      return params;
+    }
+
+    /**
+     * Create the parameters for removing a lease.
+     *
+     * @param {String} leaseId The lease ID.
+     * @return {Object} The parameters.
+     */
+    function createRemoveParams (leaseId) {
+      return {
+        TableName: 'table',
+        Key: key,
+        UpdateExpression: 'REMOVE #leases.#lease ADD #version :one',
+        ConditionExpression: 'attribute_exists(#leases)',
+        ExpressionAttributeNames: {
+          '#leases': 'leases',
+          '#lease': leaseId,
+          '#version': 'version'
+        },
+        ExpressionAttributeValues: {
+          ':one': {
+            N: '1'
+          }
+        }
+      };
+    }
+
+    beforeEach(function () {
+      dynamoDbClient = clients.createDynamoDbClient();
+      key = {
+        name: {
+          S: 'name'
+        }
+      };
+    });
+
+    it('replaces leases subject to the version condition', function (done) {
+      dynamoDbClient.updateItem(createSetParams(['a'], 1), function (error) {
+        if (error) {
+          return done(error);
+        }
+
+        dynamoDbClient.updateItem(createSetParams(['b'], 1), function (conditionalError) {
+          expect(conditionalError.code).to.equal('ConditionalCheckFailedException');
+
+          dynamoDbClient.updateItem(createSetParams(['a', 'b'], 2), function (setError) {
+            if (setError) {
+              return done(setError);
+            }
+
+            dynamoDbClient.getItem({
+              TableName: 'table',
+              Key: key
+            }, function (getError, result) {
+              expect(_.keys(result.Item.leases.M)).to.eql(['a', 'b']);
+              expect(result.Item.version.N).to.equal('2');
+              done(getError);
+            });
+          });
+        });
+      });
+    });
+
+    it('removes a lease and changes the version', function (done) {
+      dynamoDbClient.updateItem(createSetParams(['a', 'b'], 1), function (error) {
+        if (error) {
+          return done(error);
+        }
+
+        dynamoDbClient.updateItem(createRemoveParams('a'), function (removeError) {
+          if (removeError) {
+            return done(removeError);
+          }
+
+          expect(dynamoDbClient.tables.table.name.leases.M).to.have.keys(['b']);
+          expect(dynamoDbClient.tables.table.name.version.N).to.equal('2');
+
+          // A write based on the version before the removal fails.
+          dynamoDbClient.updateItem(createSetParams(['a', 'b', 'c'], 2), function (conditionalError) {
+            expect(conditionalError.code).to.equal('ConditionalCheckFailedException');
+            done();
+          });
+        });
+      });
+    });
+
+    it('does not remove a lease from a missing item', function (done) {
+      dynamoDbClient.updateItem(createRemoveParams('a'), function (error) {
+        expect(error.code).to.equal('ConditionalCheckFailedException');
+        expect(dynamoDbClient.tables.table).to.eql({});
+        done();
+      });
+    });
+
+    it('returns no item for a missing item', function (done) {
+      dynamoDbClient.getItem({
+        TableName: 'table',
+        Key: key
+      }, function (error, result) {
+        expect(result).to.eql({});
+        done(error);
+      });
+    });
+
+    describe('for aggregations', function () {
+      var aggregation;
+      var originalDynamoDbClient;
+
+      beforeEach(function () {
+        aggregation = {
+          componentName: 'join',
+          correlationKey: 'key',
+          expectedCount: 2,
+          timeoutAt: 100,
+          expiresAt: 1000
+        };
+
+        // Exercise the client with the requests that the application makes.
+        originalDynamoDbClient = utilities.dynamoDbClient;
+        utilities.dynamoDbClient = dynamoDbClient;
+      });
+
+      afterEach(function () {
+        utilities.dynamoDbClient = originalDynamoDbClient;
+      });
+
+      it('adds results and claims them', function (done) {
+        utilities.addAggregationResult('table', aggregation, { x: 1 }, function (error) {
+          if (error) {
+            return done(error);
+          }
+
+          utilities.addAggregationResult('table', aggregation, { x: 2 }, function (secondError, added) {
+            if (secondError) {
+              return done(secondError);
+            }
+
+            expect(added.count).to.equal(2);
+            expect(added.expectedCount).to.equal(2);
+
+            utilities.claimAggregation('table', 'join', 'key', 'id', function (claimError, claimed) {
+              if (claimError) {
+                return done(claimError);
+              }
+
+              expect(claimed.results).to.eql([
+                { x: 1 },
+                { x: 2 }
+              ]);
+
+              utilities.addAggregationResult('table', aggregation, {}, function (lateError) {
+                expect(lateError.aggregationClaimed).to.equal(true);
+
+                utilities.claimAggregation('table', 'join', 'key', 'other', function (otherError) {
+                  expect(otherError.aggregationClaimed).to.equal(true);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+
+      it('finds unclaimed aggregations that have timed out', function (done) {
+        utilities.addAggregationResult('table', aggregation, {}, function (error) {
+          if (error) {
+            return done(error);
+          }
+
+          utilities.getTimedOutAggregations('table', 99, function (earlyError, early) {
+            expect(early).to.eql([]);
+
+            utilities.getTimedOutAggregations('table', 100, function (lateError, late) {
+              expect(late).to.eql([
+                {
+                  componentName: 'join',
+                  correlationKey: 'key'
+                }
+              ]);
+              done(earlyError || lateError);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('createCloudWatchClient', function () {
+    it('records metric data', function (done) {
+      var cloudWatchClient = clients.createCloudWatchClient();
+
+      cloudWatchClient.putMetricData({
+        Namespace: 'namespace',
+        MetricData: [
+          {
+            MetricName: 'name',
+            Value: 1
+          }
+        ]
+      }, function (error) {
+        expect(cloudWatchClient.metricData).to.eql([
+          {
+            Namespace: 'namespace',
+            MetricName: 'name',
+            Value: 1
+          }
+        ]);
+        done(error);
+      });
+    });
+  });
+
+  describe('createSsmClient', function () {
+    var ssmClient;
+
+    beforeEach(function () {
+      ssmClient = clients.createSsmClient({
+        '/path/to/parameter': 'value'
+      });
+    });
+
+    it('returns parameter values', function (done) {
+      ssmClient.getParameter({
+        Name: '/path/to/parameter',
+        WithDecryption: true
+      }, function (error, result) {
+        expect(result.Parameter.Value).to.equal('value');
+        done(error);
+      });
+    });
+
+    it('calls back with error for a missing parameter', function (done) {
+      ssmClient.getParameter({
+        Name: '/missing'
+      }, function (error) {
+        expect(error.code).to.equal('ParameterNotFound');
+        done();
+      });
+    });
+  });
+
+  describe('createKmsClient', function () {
+    var kmsClient;
+
+    beforeEach(function () {
+      kmsClient = clients.createKmsClient({
+        'Y2lwaGVydGV4dA==': 'plaintext'
+      });
+    });
+
+    it('decrypts known ciphertext', function (done) {
+      kmsClient.decrypt({
+        CiphertextBlob: Buffer.from('ciphertext', 'utf8')
+      }, function (error, result) {
+        expect(result.Plaintext.toString('utf8')).to.equal('plaintext');
+        done(error);
+      });
+    });
+
+    it('calls back with error for unknown ciphertext', function (done) {
+      kmsClient.decrypt({
+        CiphertextBlob: Buffer.from('unknown', 'utf8')
+      }, function (error) {
+        expect(error.code).to.equal('InvalidCiphertextException');
+        done();
+      });
+    });
+  });
+
+  describe('createLambdaClient', function () {
+    var invokeFn;
+    var lambdaClient;
+
+    beforeEach(function () {
+      invokeFn = sandbox.stub().yields();
+      lambdaClient = clients.createLambdaClient(invokeFn);
+    });
+
+    it('passes the parsed event to the invoke function', function (done) {
+      lambdaClient.invoke({
+        FunctionName: 'arn',
+        InvocationType: 'Event',
+        LogType: 'None',
+        Payload: JSON.stringify({ x: 1 })
+      }, function (error, result) {
+        sinon.assert.calledWith(invokeFn, 'arn', { x: 1 }, sinon.match.func);
+        expect(result).to.eql({
+          StatusCode: 202
+        });
+        done(error);
+      });
+    });
+
+    it('calls back with an error from the invoke function', function (done) {
+      var invokeError = new Error('No such function');
+      invokeFn.yields(invokeError);
+
+      lambdaClient.invoke({
+        FunctionName: 'arn',
+        InvocationType: 'Event',
+        LogType: 'None',
+        Payload: '{}'
+      }, function (error) {
+        expect(error).to.equal(invokeError);
+        done();
+      });
+    });
+
+    it('calls back with error for other invocation types', function (done) {
+      lambdaClient.invoke({
+        FunctionName: 'arn',
+        InvocationType: 'RequestResponse',
+        Payload: '{}'
+      }, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(invokeFn);
+        done();
+      });
+    });
+  });
+});
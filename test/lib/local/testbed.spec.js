@@ -0,0 +1,425 @@
+/**
+ * @fileOverview Tests for lib/local/testbed.
+ */
+
+// Core.
+var path = require('path');
+
+// NPM.
+var fs = require('fs-extra');
+var _ = require('lodash');
+
+// Local.
+var index = require('../../../index');
+var buildCommon = require('../../../lib/build/common');
+var clients = require('../../../lib/local/clients');
+var constants = require('../../../lib/shared/constants');
+var resources = require('../../resources');
+var testbed = require('../../../lib/local/testbed');
+var utilities = require('../../../lib/shared/utilities');
+var applicationConfig = require('../../resources/mockApplication/applicationConfig');
+var testbedApplicationConfig = require('../../resources/testbedApplication/applicationConfig');
+var scratchDir = resources.getScratchDirectory();
+
+describe('lib/local/testbed', function () {
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('getArnMap', function () {
+    it('has the same properties as a deployed ARN map', function () {
+      var arnMap = testbed.getArnMap(applicationConfig);
+
+      expect(_.keys(arnMap).sort()).to.eql(
+        _.keys(resources.getMockArnMap(applicationConfig)).sort()
+      );
+      expect(utilities.getQueueUrl('message', arnMap)).to.equal(
+        'https://sqs.us-east-1.amazonaws.com/000000000000/' +
+        utilities.getFullQueueName('message', applicationConfig)
+      );
+    });
+
+    it('includes a concurrency table for the DynamoDB backend', function () {
+      var config = _.cloneDeep(applicationConfig);
+      var arnMap;
+
+      config.concurrencyBackend = constants.concurrencyBackend.DYNAMODB;
+      arnMap = testbed.getArnMap(config);
+
+      expect(utilities.getConcurrencyTableArn(arnMap)).to.match(
+        /^arn:aws:dynamodb:.*:table\//
+      );
+      expect(utilities.getConcurrencyQueueArn('message', arnMap)).to.equal(undefined);
+    });
+
+    it('includes an aggregation table for event from aggregation components', function () {
+      var config = _.cloneDeep(applicationConfig);
+      var arnMap;
+
+      expect(utilities.getAggregationTableArn(testbed.getArnMap(config))).to.equal(undefined);
+
+      config.components[1].type = constants.componentType.EVENT_FROM_AGGREGATION;
+      arnMap = testbed.getArnMap(config);
+
+      expect(utilities.getAggregationTableArn(arnMap)).to.match(
+        /^arn:aws:dynamodb:.*:table\//
+      );
+    });
+
+    it('includes buckets and topics', function () {
+      var config = _.cloneDeep(applicationConfig);
+      var arnMap;
+
+      config.components[0].type = constants.componentType.EVENT_FROM_S3;
+      config.components[1].type = constants.componentType.EVENT_FROM_SNS;
+      arnMap = testbed.getArnMap(config);
+
+      expect(utilities.getBucketArn('message', arnMap)).to.match(/^arn:aws:s3:::/);
+      expect(utilities.getTopicArn('invocation', arnMap)).to.match(/^arn:aws:sns:/);
+    });
+  });
+
+  describe('createContext', function () {
+    var callback;
+    var clock;
+    var component;
+
+    beforeEach(function () {
+      callback = sandbox.stub();
+      clock = sandbox.useFakeTimers();
+      component = applicationConfig.components[0];
+    });
+
+    it('has a unique request ID', function () {
+      var context = testbed.createContext(component, callback);
+
+      expect(context.awsRequestId).to.be.a('string');
+      expect(testbed.createContext(component, callback).awsRequestId).to.not.equal(
+        context.awsRequestId
+      );
+    });
+
+    it('calls back once on completion', function () {
+      var context = testbed.createContext(component, callback);
+      var result = {};
+
+      context.succeed(result);
+      context.fail(new Error());
+      clock.tick(component.lambda.timeout * 1000);
+
+      sinon.assert.calledOnce(callback);
+      sinon.assert.calledWith(callback, undefined, result);
+    });
+
+    it('calls back with error on timeout', function () {
+      var context = testbed.createContext(component, callback);
+
+      expect(context.getRemainingTimeInMillis()).to.equal(
+        component.lambda.timeout * 1000
+      );
+      clock.tick(component.lambda.timeout * 1000);
+
+      sinon.assert.calledOnce(callback);
+      sinon.assert.calledWith(callback, sinon.match.instanceOf(Error));
+    });
+  });
+
+  describe('serialize', function () {
+    it('produces values that can be restored after JSON encoding', function () {
+      var error = new Error('message');
+      var value;
+
+      error.code = 'Code';
+      value = testbed.deserialize(JSON.parse(JSON.stringify(testbed.serialize({
+        array: [1, 'a', { b: null }],
+        buffer: Buffer.from('buffer'),
+        date: new Date(1000),
+        error: error
+      }))));
+
+      expect(value.array).to.eql([1, 'a', { b: null }]);
+      expect(value.buffer.toString()).to.equal('buffer');
+      expect(value.date.getTime()).to.equal(1000);
+      expect(value.error).to.be.instanceOf(Error);
+      expect(value.error.message).to.equal('message');
+      expect(value.error.code).to.equal('Code');
+      expect(value.error.stack).to.equal(error.stack);
+    });
+
+    it('leaves undefined values alone', function () {
+      expect(testbed.deserialize(testbed.serialize(undefined))).to.equal(undefined);
+    });
+  });
+
+  describe('with the testbed application', function () {
+    var applicationDir;
+    var config;
+
+    // Starting containers takes a little while.
+    this.timeout(20000);
+
+    /**
+     * Build a version of the testbed application in the scratch directory.
+     *
+     * @param {Object} config The application configuration.
+     * @param {Function} callback Of the form function (error).
+     */
+    function buildApplication (config, callback) {
+      var stub = sinon.stub(buildCommon, 'getApplicationBuildDirectory').returns(
+        path.join(scratchDir, config.name)
+      );
+
+      fs.removeSync(path.join(scratchDir, config.name));
+      index.build(config, function (error) {
+        stub.restore();
+        callback(error);
+      });
+    }
+
+    before(function (done) {
+      // Needs time to build the application.
+      this.timeout(60000);
+      buildApplication(testbedApplicationConfig, done);
+    });
+
+    beforeEach(function () {
+      config = _.cloneDeep(testbedApplicationConfig);
+      applicationDir = path.join(scratchDir, config.name);
+      sandbox.stub(buildCommon, 'getApplicationBuildDirectory').returns(
+        applicationDir
+      );
+      sandbox.stub(console, 'info');
+      sandbox.stub(console, 'error');
+    });
+
+    describe('startContainer', function () {
+      var awsClients;
+
+      beforeEach(function (done) {
+        var arnMap = testbed.getArnMap(config);
+
+        awsClients = {
+          cloudWatchClient: clients.createCloudWatchClient(),
+          s3Client: clients.createS3Client(),
+          sqsClient: clients.createSqsClient(_.chain(arnMap).filter(function (arn) {
+            return arn.indexOf('arn:aws:sqs:') === 0;
+          }).map(utilities.sqsUrlFromArn).value(), {})
+        };
+
+        awsClients.s3Client.putObject({
+          Body: JSON.stringify(arnMap),
+          Bucket: config.deployment.s3Bucket,
+          Key: utilities.getArnMapS3Key(config)
+        }, done);
+      });
+
+      it('runs invocations in a child process against the provided clients', function (done) {
+        sandbox.spy(awsClients.s3Client, 'getObject');
+
+        testbed.startContainer(config.components[1], config, awsClients, function (error, container) {
+          if (error) {
+            return done(error);
+          }
+
+          container.invoke({ value: 1 }, function (invokeError, result) {
+            container.stop();
+            expect(result).to.eql({ value: 1 });
+            // The wrapper loaded the ARN map.
+            sinon.assert.called(awsClients.s3Client.getObject);
+            done(invokeError);
+          });
+        });
+      });
+
+      it('calls back with error if the package fails to load', function (done) {
+        var component = _.cloneDeep(config.components[0]);
+        component.lambda.handler = 'missing.handler';
+
+        testbed.startContainer(component, config, awsClients, function (error) {
+          expect(error).to.be.instanceOf(Error);
+          expect(error.code).to.equal('MODULE_NOT_FOUND');
+          done();
+        });
+      });
+    });
+
+    describe('run', function () {
+      it('runs the application until the coordinators stop', function (done) {
+        testbed.run(config, {
+          generations: 2,
+          messages: {
+            message: [
+              { value: 1 },
+              { value: 2 }
+            ]
+          }
+        }, function (error, results) {
+          if (error) {
+            return done(error);
+          }
+
+          var succeeded = _.chain(results.invocations).filter(function (invocation) {
+            return !invocation.error;
+          }).groupBy('name').value();
+
+          // Invocations that find the queue empty have no result.
+          expect(_.compact(_.pluck(succeeded.message, 'result'))).to.have.deep.members([
+            { value: 2 },
+            { value: 3 }
+          ]);
+          expect(_.pluck(succeeded.invocation, 'event')).to.have.deep.members([
+            { value: 2 },
+            { value: 3 }
+          ]);
+          // Data routed from one component to another arrives in an envelope.
+          _.each(succeeded.invocation, function (invocation) {
+            expect(invocation.envelope.source).to.equal('message');
+            expect(invocation.envelope.traceId).to.be.a('string');
+          });
+          expect(succeeded[constants.coordinator.NAME].length).to.equal(
+            config.coordinator.coordinatorConcurrency * 2
+          );
+          expect(results.queuedMessageCounts).to.eql({
+            message: 0
+          });
+          expect(_.pluck(results.metricData, 'MetricName')).to.include(
+            constants.metrics.QUEUED_MESSAGES
+          );
+
+          done();
+        });
+      });
+
+      it('leaves this process as it was', function (done) {
+        var deployId = process.env[constants.environment.DEPLOY_ID];
+        var listeners = process.listeners('uncaughtException');
+
+        testbed.run(config, {
+          generations: 1
+        }, function (error) {
+          expect(process.env[constants.environment.DEPLOY_ID]).to.equal(deployId);
+          expect(process.listeners('uncaughtException')).to.eql(listeners);
+          expect(_.filter(_.keys(require.cache), function (key) {
+            return key.indexOf(applicationDir) === 0;
+          })).to.eql([]);
+          done(error);
+        });
+      });
+
+      it('sets up dead letter queues', function (done) {
+        var arnMap;
+
+        config.components[0].deadLetter = true;
+        config.components[0].maxReceiveCount = 2;
+        arnMap = testbed.getArnMap(config);
+        sandbox.spy(clients, 'createSqsClient');
+
+        testbed.run(config, {
+          generations: 1
+        }, function (error, results) {
+          var redrivePolicies = clients.createSqsClient.getCall(0).args[1];
+
+          expect(redrivePolicies[utilities.getQueueUrl('message', arnMap)]).to.eql({
+            deadLetterQueueUrl: utilities.getDeadLetterQueueUrl('message', arnMap),
+            maxReceiveCount: 2
+          });
+          expect(results.deadLetterQueuedMessageCounts).to.eql({
+            message: 0
+          });
+
+          done(error);
+        });
+      });
+
+      it('tracks concurrency with the DynamoDB backend', function (done) {
+        config.concurrencyBackend = constants.concurrencyBackend.DYNAMODB;
+        sandbox.spy(clients, 'createDynamoDbClient');
+
+        testbed.run(config, {
+          generations: 2,
+          messages: {
+            message: [
+              { value: 1 }
+            ]
+          }
+        }, function (error, results) {
+          if (error) {
+            return done(error);
+          }
+
+          var dynamoDbClient = clients.createDynamoDbClient.getCall(0).returnValue;
+
+          expect(results.queuedMessageCounts).to.eql({
+            message: 0
+          });
+          // Every lease obtained was released.
+          _.each(
+            dynamoDbClient.tables[utilities.getFullConcurrencyTableName(config)],
+            function (item) {
+              expect(item.leases.M).to.eql({});
+            }
+          );
+
+          done();
+        });
+      });
+
+      it('calls back with error for messages sent to an invalid component', function (done) {
+        testbed.run(config, {
+          messages: {
+            invalid: [{}]
+          }
+        }, function (error) {
+          expect(error).to.be.instanceOf(Error);
+          done();
+        });
+      });
+
+      describe('in the scheduled coordinator mode', function () {
+        var scheduledConfig = _.cloneDeep(testbedApplicationConfig);
+
+        scheduledConfig.name = 'testbedScheduled';
+        scheduledConfig.coordinator.mode = constants.coordinatorMode.SCHEDULED;
+
+        before(function (done) {
+          this.timeout(60000);
+          buildApplication(scheduledConfig, done);
+        });
+
+        it('stands in for the schedule', function (done) {
+          buildCommon.getApplicationBuildDirectory.returns(
+            path.join(scratchDir, scheduledConfig.name)
+          );
+
+          testbed.run(scheduledConfig, {
+            generations: 3
+          }, function (error, results) {
+            if (error) {
+              return done(error);
+            }
+
+            var coordinatorEvents = _.chain(results.invocations).filter(function (invocation) {
+              return invocation.name === constants.coordinator.NAME;
+            }).pluck('event').value();
+
+            // The start of the application, then two scheduled runs.
+            expect(coordinatorEvents.length).to.equal(
+              scheduledConfig.coordinator.coordinatorConcurrency * 3
+            );
+            expect(_.filter(coordinatorEvents, 'scheduled').length).to.equal(
+              scheduledConfig.coordinator.coordinatorConcurrency * 2
+            );
+
+            done();
+          });
+        });
+      });
+    });
+  });
+});
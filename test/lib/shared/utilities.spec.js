@@ -26,6 +26,7 @@ describe('lib/shared/utilities', function () {
     // Make sure we stub the AWS client functions used here.
     sandbox.stub(utilities.lambdaClient, 'invoke').yields();
     // These will need to be redefined to return data for tests that use them.
+    sandbox.stub(utilities.sqsClient, 'changeMessageVisibility').yields();
     sandbox.stub(utilities.sqsClient, 'deleteMessage').yields();
     sandbox.stub(utilities.sqsClient, 'receiveMessage').yields();
     sandbox.stub(utilities.sqsClient, 'sendMessage').yields();
@@ -155,6 +156,64 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('eachLimit', function () {
+    var data;
+    var fn;
+
+    beforeEach(function () {
+      data = ['a', 'b', 'c'];
+      fn = sandbox.stub().yields();
+    });
+
+    it('iterates over data', function (done) {
+      utilities.eachLimit(data, 2, fn, function (error) {
+        expect(error).to.equal(undefined);
+        sinon.assert.callCount(fn, 3);
+        sinon.assert.calledWith(fn, data[0], sinon.match.func);
+        sinon.assert.calledWith(fn, data[1], sinon.match.func);
+        sinon.assert.calledWith(fn, data[2], sinon.match.func);
+        done();
+      });
+    });
+
+    it('runs no more than the limit at once', function (done) {
+      var running = 0;
+      var maxRunning = 0;
+
+      fn = function (item, callback) {
+        running++;
+        maxRunning = Math.max(running, maxRunning);
+
+        setImmediate(function () {
+          running--;
+          callback();
+        });
+      };
+
+      utilities.eachLimit(data, 2, fn, function (error) {
+        expect(maxRunning).to.equal(2);
+        done(error);
+      });
+    });
+
+    it('calls back immediately for empty data', function (done) {
+      utilities.eachLimit([], 2, fn, function (error) {
+        sinon.assert.notCalled(fn);
+        done(error);
+      });
+    });
+
+    it('calls back with error', function (done) {
+      fn.onCall(1).yields(new Error());
+
+      utilities.eachLimit(data, 1, fn, function (error) {
+        expect(error).to.be.an.instanceof(Error);
+        sinon.assert.callCount(fn, 2);
+        done();
+      });
+    });
+  });
+
   describe('series', function () {
     var fn1;
     var fn2;
@@ -227,6 +286,228 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('getComponentEnvironment', function () {
+    it('overrides the application environment with that of the component', function () {
+      expect(utilities.getComponentEnvironment({
+        environment: {
+          A: 'component',
+          C: 'component'
+        }
+      }, {
+        environment: {
+          A: 'application',
+          B: 'application'
+        }
+      })).to.eql({
+        A: 'component',
+        B: 'application',
+        C: 'component'
+      });
+    });
+
+    it('returns an empty environment if none is set', function () {
+      expect(utilities.getComponentEnvironment({}, {})).to.eql({});
+    });
+  });
+
+  describe('getSecret', function () {
+    beforeEach(function () {
+      sandbox.stub(utilities.kmsClient, 'decrypt').yields(null, {
+        Plaintext: Buffer.from('plaintext', 'utf8')
+      });
+      sandbox.stub(utilities.ssmClient, 'getParameter').yields(null, {
+        Parameter: {
+          Value: 'value'
+        }
+      });
+    });
+
+    it('uses an SSM client that supports parameters', function (done) {
+      // Let the real client method build the request.
+      utilities.ssmClient.getParameter.restore();
+      sandbox.stub(utilities.ssmClient, 'makeRequest').yields(null, {
+        Parameter: {
+          Value: 'value'
+        }
+      });
+
+      utilities.getSecret('/path/to/parameter', function (error, value) {
+        sinon.assert.calledWith(
+          utilities.ssmClient.makeRequest,
+          'getParameter',
+          {
+            Name: '/path/to/parameter',
+            WithDecryption: true
+          },
+          sinon.match.func
+        );
+        expect(value).to.equal('value');
+        done(error);
+      });
+    });
+
+    it('obtains and decrypts an SSM parameter', function (done) {
+      utilities.getSecret('/path/to/parameter', function (error, value) {
+        sinon.assert.calledWith(
+          utilities.ssmClient.getParameter,
+          {
+            Name: '/path/to/parameter',
+            WithDecryption: true
+          },
+          sinon.match.func
+        );
+        expect(value).to.equal('value');
+        done(error);
+      });
+    });
+
+    it('decrypts KMS ciphertext', function (done) {
+      utilities.getSecret({
+        kms: 'Y2lwaGVydGV4dA=='
+      }, function (error, value) {
+        expect(
+          utilities.kmsClient.decrypt.getCall(0).args[0].CiphertextBlob.toString('utf8')
+        ).to.equal('ciphertext');
+        expect(value).to.equal('plaintext');
+        done(error);
+      });
+    });
+
+    it('retries on error', function (done) {
+      utilities.ssmClient.getParameter.onCall(0).yields(new Error());
+      sandbox.stub(console, 'error');
+
+      utilities.getSecret('/path/to/parameter', function (error, value) {
+        sinon.assert.calledTwice(utilities.ssmClient.getParameter);
+        expect(value).to.equal('value');
+        done(error);
+      });
+    });
+
+    it('calls back with error on persistent failure', function (done) {
+      utilities.kmsClient.decrypt.yields(new Error());
+      sandbox.stub(console, 'error');
+
+      utilities.getSecret({
+        kms: 'Y2lwaGVydGV4dA=='
+      }, function (error, value) {
+        expect(error).to.be.instanceOf(Error);
+        expect(value).to.equal(undefined);
+        done();
+      });
+    });
+  });
+
+  describe('getSecrets', function () {
+    it('obtains each secret', function (done) {
+      sandbox.stub(utilities, 'getSecret', function (secret, callback) {
+        callback(null, secret + '-value');
+      });
+
+      utilities.getSecrets({
+        a: '/a',
+        b: '/b'
+      }, function (error, values) {
+        expect(values).to.eql({
+          a: '/a-value',
+          b: '/b-value'
+        });
+        done(error);
+      });
+    });
+
+    it('calls back with error if any secret cannot be obtained', function (done) {
+      sandbox.stub(utilities, 'getSecret').yields(new Error());
+
+      utilities.getSecrets({
+        a: '/a'
+      }, function (error, values) {
+        expect(error).to.be.instanceOf(Error);
+        expect(values).to.equal(undefined);
+        done();
+      });
+    });
+
+    it('calls back with no secrets if none are declared', function (done) {
+      utilities.getSecrets(undefined, function (error, values) {
+        expect(values).to.eql({});
+        done(error);
+      });
+    });
+  });
+
+  describe('generateTraceId', function () {
+    it('functions correctly', function () {
+      var traceId = utilities.generateTraceId();
+
+      expect(traceId).to.match(/^[0-9a-f]{32}$/);
+      expect(utilities.generateTraceId()).to.not.equal(traceId);
+    });
+  });
+
+  describe('createEnvelope', function () {
+    it('functions correctly', function () {
+      var data = { value: 1 };
+
+      sandbox.useFakeTimers(1000);
+
+      expect(utilities.createEnvelope(data, {
+        source: 'source',
+        traceId: 'trace',
+        deployId: 'deploy'
+      }, 2)).to.eql({
+        lambdaComplexEnvelope: 1,
+        source: 'source',
+        timestamp: 1000,
+        attempt: 2,
+        traceId: 'trace',
+        deployId: 'deploy',
+        data: data
+      });
+    });
+  });
+
+  describe('openEnvelope', function () {
+    it('opens an envelope', function () {
+      var data = { value: 1 };
+
+      sandbox.useFakeTimers(1000);
+
+      expect(utilities.openEnvelope(utilities.createEnvelope(data, {
+        source: 'source',
+        traceId: 'trace',
+        deployId: 'deploy'
+      }, 1))).to.eql({
+        data: data,
+        metadata: {
+          version: 1,
+          source: 'source',
+          timestamp: 1000,
+          attempt: 1,
+          traceId: 'trace',
+          deployId: 'deploy'
+        }
+      });
+    });
+
+    it('passes through anything else', function () {
+      var values = [
+        undefined,
+        'string',
+        {},
+        { data: {} },
+        { lambdaComplexEnvelope: 'not a version', data: {} }
+      ];
+
+      values.forEach(function (value) {
+        expect(utilities.openEnvelope(value)).to.eql({
+          data: value,
+          metadata: undefined
+        });
+      });
+    });
+  });
+
   describe('getRoleName', function () {
     it('functions correctly', function () {
       var fullName = utilities.getRoleName(component.name);
@@ -255,6 +536,37 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('getDeadLetterQueueName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getDeadLetterQueueName(component.name);
+      expect(fullName).to.equal(_.capitalize(component.name) + 'DeadLetterQueue');
+    });
+  });
+
+  describe('getFullDeadLetterQueueName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getFullDeadLetterQueueName(
+        component.name,
+        applicationConfig
+      );
+      expect(fullName).to.equal(
+        applicationConfig.name + '-' +
+        applicationConfig.deployId + '-' +
+        utilities.getDeadLetterQueueName(component.name)
+      );
+    });
+  });
+
+  describe('getFullAggregationTableName', function () {
+    it('functions correctly', function () {
+      expect(utilities.getFullAggregationTableName(applicationConfig)).to.equal(
+        applicationConfig.name + '-' +
+        applicationConfig.deployId + '-' +
+        utilities.getAggregationTableName()
+      );
+    });
+  });
+
   describe('getConcurrencyQueueName', function () {
     it('functions correctly', function () {
       var fullName = utilities.getConcurrencyQueueName(component.name);
@@ -276,6 +588,47 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('getBucketName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getBucketName(component.name);
+      expect(fullName).to.equal(_.capitalize(component.name) + 'Bucket');
+    });
+  });
+
+  describe('getTopicName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getTopicName(component.name);
+      expect(fullName).to.equal(_.capitalize(component.name) + 'Topic');
+    });
+  });
+
+  describe('getLambdaPermissionName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getLambdaPermissionName(component.name);
+      expect(fullName).to.equal(_.capitalize(component.name) + 'Permission');
+    });
+  });
+
+  describe('getAlarmTopicName', function () {
+    it('functions correctly', function () {
+      expect(utilities.getAlarmTopicName()).to.equal('AlarmTopic');
+    });
+  });
+
+  describe('getQueueAlarmName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getQueueAlarmName(component.name);
+      expect(fullName).to.equal(_.capitalize(component.name) + 'QueueAlarm');
+    });
+  });
+
+  describe('getLambdaErrorsAlarmName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getLambdaErrorsAlarmName(component.name);
+      expect(fullName).to.equal(_.capitalize(component.name) + 'ErrorsAlarm');
+    });
+  });
+
   describe('getLambdaFunctionName', function () {
     it('functions correctly', function () {
       var fullName = utilities.getLambdaFunctionName(component.name);
@@ -292,6 +645,15 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('getDeadLetterQueueArnOutputName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getDeadLetterQueueArnOutputName(component.name);
+      expect(fullName).to.equal(
+        utilities.getDeadLetterQueueName(component.name) + 'Arn'
+      );
+    });
+  });
+
   describe('getConcurrencyQueueArnOutputName', function () {
     it('functions correctly', function () {
       var fullName = utilities.getConcurrencyQueueArnOutputName(component.name);
@@ -310,6 +672,30 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('getBucketArnOutputName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getBucketArnOutputName(component.name);
+      expect(fullName).to.equal(
+        utilities.getBucketName(component.name) + 'Arn'
+      );
+    });
+  });
+
+  describe('getTopicArnOutputName', function () {
+    it('functions correctly', function () {
+      var fullName = utilities.getTopicArnOutputName(component.name);
+      expect(fullName).to.equal(
+        utilities.getTopicName(component.name) + 'Arn'
+      );
+    });
+  });
+
+  describe('getAlarmTopicArnOutputName', function () {
+    it('functions correctly', function () {
+      expect(utilities.getAlarmTopicArnOutputName()).to.equal('AlarmTopicArn');
+    });
+  });
+
   describe('getQueueArn', function () {
     it('functions correctly', function () {
       var arn = utilities.getQueueArn(component.name, arnMap);
@@ -340,6 +726,58 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('getDeadLetterQueueArn', function () {
+    it('functions correctly', function () {
+      var deadLetterArnMap = {};
+      deadLetterArnMap[utilities.getDeadLetterQueueArnOutputName(component.name)] = 'arn';
+
+      expect(utilities.getDeadLetterQueueArn(component.name, deadLetterArnMap)).to.equal('arn');
+    });
+
+    it('returns undefined for non-existing value', function () {
+      expect(utilities.getDeadLetterQueueArn('', arnMap)).to.equal(undefined);
+    });
+  });
+
+  describe('getAggregationTableArn', function () {
+    it('functions correctly', function () {
+      var aggregationArnMap = {};
+      aggregationArnMap[utilities.getAggregationTableArnOutputName()] = 'arn';
+
+      expect(utilities.getAggregationTableArn(aggregationArnMap)).to.equal('arn');
+    });
+
+    it('returns undefined for non-existing value', function () {
+      expect(utilities.getAggregationTableArn(arnMap)).to.equal(undefined);
+    });
+  });
+
+  describe('getBucketArn', function () {
+    it('functions correctly', function () {
+      var bucketArnMap = {};
+      bucketArnMap[utilities.getBucketArnOutputName(component.name)] = 'arn';
+
+      expect(utilities.getBucketArn(component.name, bucketArnMap)).to.equal('arn');
+    });
+
+    it('returns undefined for non-existing value', function () {
+      expect(utilities.getBucketArn('', arnMap)).to.equal(undefined);
+    });
+  });
+
+  describe('getTopicArn', function () {
+    it('functions correctly', function () {
+      var topicArnMap = {};
+      topicArnMap[utilities.getTopicArnOutputName(component.name)] = 'arn';
+
+      expect(utilities.getTopicArn(component.name, topicArnMap)).to.equal('arn');
+    });
+
+    it('returns undefined for non-existing value', function () {
+      expect(utilities.getTopicArn('', arnMap)).to.equal(undefined);
+    });
+  });
+
   describe('sqsUrlFromArn', function () {
     it('functions correctly', function () {
       expect(utilities.sqsUrlFromArn(
@@ -363,6 +801,19 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('getDeadLetterQueueUrl', function () {
+    it('functions correctly', function () {
+      sandbox.stub(utilities, 'getDeadLetterQueueArn').returns(
+        'arn:aws:sqs:us-east-1:444555666777:queuename'
+      );
+
+      var url = utilities.getDeadLetterQueueUrl(component.name, arnMap);
+      expect(url).to.equal(
+        'https://sqs.us-east-1.amazonaws.com/444555666777/queuename'
+      );
+    });
+  });
+
   describe('getConcurrencyQueueUrl', function () {
     it('functions correctly', function () {
       sandbox.stub(utilities, 'getConcurrencyQueueArn').returns(
@@ -464,7 +915,7 @@ describe('lib/shared/utilities', function () {
     });
 
     it('calls the AWS API as expected', function (done) {
-      utilities.sendMessage(queueUrl, payload, function (error) {
+      utilities.sendMessage(queueUrl, payload, undefined, function (error) {
         sinon.assert.callCount(utilities.sqsClient.sendMessage, 1);
         sinon.assert.alwaysCalledWith(
           utilities.sqsClient.sendMessage,
@@ -484,7 +935,7 @@ describe('lib/shared/utilities', function () {
       utilities.sqsClient.sendMessage.onCall(0).yields(new Error());
       utilities.sqsClient.sendMessage.onCall(1).yields();
 
-      utilities.sendMessage(queueUrl, payload, function (error) {
+      utilities.sendMessage(queueUrl, payload, undefined, function (error) {
         sinon.assert.callCount(console.error, 1);
         sinon.assert.callCount(utilities.sqsClient.sendMessage, 2);
         sinon.assert.alwaysCalledWith(
@@ -500,6 +951,33 @@ describe('lib/shared/utilities', function () {
       });
     });
 
+    it('sends the payload in an envelope if there is metadata', function (done) {
+      var metadata = {
+        source: 'source',
+        traceId: 'trace',
+        deployId: 'deploy'
+      };
+
+      sandbox.stub(console, 'error');
+      sandbox.useFakeTimers(1000);
+      utilities.sqsClient.sendMessage.onCall(0).yields(new Error());
+      utilities.sqsClient.sendMessage.onCall(1).yields();
+
+      utilities.sendMessage(queueUrl, payload, metadata, function (error) {
+        var bodies = utilities.sqsClient.sendMessage.args.map(function (args) {
+          return JSON.parse(args[0].MessageBody);
+        });
+
+        // Each attempt is numbered.
+        expect(bodies).to.eql([
+          utilities.createEnvelope(payload, metadata, 1),
+          utilities.createEnvelope(payload, metadata, 2)
+        ]);
+
+        done(error);
+      });
+    });
+
   });
 
   describe('deleteMessage', function () {
@@ -544,7 +1022,10 @@ describe('lib/shared/utilities', function () {
       message = {
         MessageId: 'test',
         ReceiptHandle: 'test-receipt-handle',
-        Body: JSON.stringify(eventFromMessage)
+        Body: JSON.stringify(eventFromMessage),
+        Attributes: {
+          ApproximateReceiveCount: '1'
+        }
       };
       queueUrl = 'queueUrl';
     });
@@ -566,6 +1047,7 @@ describe('lib/shared/utilities', function () {
           sinon.match({
             QueueUrl: queueUrl,
             MaxNumberOfMessages: 1,
+            AttributeNames: ['ApproximateReceiveCount'],
             VisibilityTimeout: visibilityTimeout,
             WaitTimeSeconds: waitTime
           }),
@@ -574,7 +1056,8 @@ describe('lib/shared/utilities', function () {
 
         expect(result).to.eql({
           message: message.Body,
-          receiptHandle: message.ReceiptHandle
+          receiptHandle: message.ReceiptHandle,
+          receiveCount: 1
         });
 
         done();
@@ -598,6 +1081,108 @@ describe('lib/shared/utilities', function () {
 
   });
 
+  describe('changeMessageVisibility', function () {
+    it('calls the AWS API as expected', function (done) {
+      utilities.changeMessageVisibility('queueUrl', 'receipt-handle', 60, function (error) {
+        sinon.assert.calledOnce(utilities.sqsClient.changeMessageVisibility);
+        sinon.assert.calledWith(
+          utilities.sqsClient.changeMessageVisibility,
+          {
+            QueueUrl: 'queueUrl',
+            ReceiptHandle: 'receipt-handle',
+            VisibilityTimeout: 60
+          },
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+  });
+
+  describe('receiveMessages', function () {
+    var messages;
+    var queueUrl;
+
+    beforeEach(function () {
+      messages = [
+        {
+          MessageId: 'test1',
+          ReceiptHandle: 'test-receipt-handle-1',
+          Body: JSON.stringify({ value: 1 })
+        },
+        {
+          MessageId: 'test2',
+          ReceiptHandle: 'test-receipt-handle-2',
+          Body: JSON.stringify({ value: 2 }),
+          Attributes: {
+            ApproximateReceiveCount: '2'
+          }
+        }
+      ];
+      queueUrl = 'queueUrl';
+    });
+
+    it('calls the AWS API as expected', function (done) {
+      utilities.sqsClient.receiveMessage.yields(
+        undefined,
+        {
+          Messages: messages
+        }
+      );
+
+      utilities.receiveMessages(queueUrl, 5, 60, 0, function (error, result) {
+        expect(error).to.equal(undefined);
+
+        sinon.assert.alwaysCalledWith(
+          utilities.sqsClient.receiveMessage,
+          sinon.match({
+            QueueUrl: queueUrl,
+            MaxNumberOfMessages: 5,
+            AttributeNames: ['ApproximateReceiveCount'],
+            VisibilityTimeout: 60,
+            WaitTimeSeconds: 0
+          }),
+          sinon.match.func
+        );
+
+        expect(result).to.eql([
+          {
+            message: messages[0].Body,
+            receiptHandle: messages[0].ReceiptHandle,
+            receiveCount: undefined
+          },
+          {
+            message: messages[1].Body,
+            receiptHandle: messages[1].ReceiptHandle,
+            receiveCount: 2
+          }
+        ]);
+
+        done();
+      });
+    });
+
+    it('returns an empty array for no messages', function (done) {
+      utilities.sqsClient.receiveMessage.yields(undefined, {});
+
+      utilities.receiveMessages(queueUrl, 5, 60, 0, function (error, result) {
+        expect(error).to.equal(undefined);
+        expect(result).to.eql([]);
+        done();
+      });
+    });
+
+    it('calls back with error on failure', function (done) {
+      utilities.sqsClient.receiveMessage.yields(new Error());
+
+      utilities.receiveMessages(queueUrl, 5, 60, 0, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
   describe('getQueueAttributes', function () {
     var attributes;
     var queueUrl;
@@ -700,12 +1285,14 @@ describe('lib/shared/utilities', function () {
     });
 
     it('calls the underlying function as expected', function (done) {
-      utilities.incrementConcurrencyCount(component, arnMap, function (error) {
+      utilities.incrementConcurrencyCount(component, arnMap, function (error, lease) {
+        expect(lease).to.equal(undefined);
         sinon.assert.callCount(utilities.sendMessage, 1);
         sinon.assert.alwaysCalledWith(
           utilities.sendMessage,
           utilities.getConcurrencyQueueUrl(component.name, arnMap),
           {},
+          undefined,
           sinon.match.func
         );
 
@@ -724,6 +1311,7 @@ describe('lib/shared/utilities', function () {
           utilities.sendMessage,
           utilities.getConcurrencyQueueUrl(component.name, arnMap),
           {},
+          undefined,
           sinon.match.func
         );
 
@@ -746,7 +1334,7 @@ describe('lib/shared/utilities', function () {
     });
 
     it('calls the underlying functions as expected', function (done) {
-      utilities.decrementConcurrencyCount(component, arnMap, function (error) {
+      utilities.decrementConcurrencyCount(component, arnMap, undefined, function (error) {
         sinon.assert.callCount(utilities.receiveMessage, 1);
         sinon.assert.alwaysCalledWith(
           utilities.receiveMessage,
@@ -771,7 +1359,7 @@ describe('lib/shared/utilities', function () {
       sandbox.stub(console, 'error');
       utilities.receiveMessage.onCall(0).yields(new Error());
 
-      utilities.decrementConcurrencyCount(component, arnMap, function (error) {
+      utilities.decrementConcurrencyCount(component, arnMap, undefined, function (error) {
         sinon.assert.callCount(console.error, 1);
         sinon.assert.callCount(utilities.receiveMessage, 2);
         sinon.assert.alwaysCalledWith(
@@ -797,7 +1385,7 @@ describe('lib/shared/utilities', function () {
       sandbox.stub(console, 'error');
       utilities.deleteMessage.onCall(0).yields(new Error());
 
-      utilities.decrementConcurrencyCount(component, arnMap, function (error) {
+      utilities.decrementConcurrencyCount(component, arnMap, undefined, function (error) {
         sinon.assert.callCount(console.error, 1);
         sinon.assert.callCount(utilities.receiveMessage, 1);
         sinon.assert.alwaysCalledWith(
@@ -822,7 +1410,690 @@ describe('lib/shared/utilities', function () {
     it('calls back with error if no message found', function (done) {
       utilities.receiveMessage.yields();
 
-      utilities.decrementConcurrencyCount(component, arnMap, function (error) {
+      utilities.decrementConcurrencyCount(component, arnMap, undefined, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('getConcurrencyBackend', function () {
+    it('returns the SQS backend by default', function () {
+      expect(utilities.getConcurrencyBackend(arnMap)).to.equal(
+        utilities.concurrencyBackends.sqs
+      );
+    });
+
+    it('returns the DynamoDB backend if there is a concurrency table', function () {
+      arnMap[utilities.getConcurrencyTableArnOutputName()] =
+        'arn:aws:dynamodb:us-east-1:444555666777:table/concurrency';
+
+      expect(utilities.getConcurrencyBackend(arnMap)).to.equal(
+        utilities.concurrencyBackends.dynamodb
+      );
+    });
+  });
+
+  describe('dynamoDbTableNameFromArn', function () {
+    it('functions correctly', function () {
+      expect(utilities.dynamoDbTableNameFromArn(
+        'arn:aws:dynamodb:us-east-1:444555666777:table/name-1-ConcurrencyTable'
+      )).to.equal('name-1-ConcurrencyTable');
+      expect(utilities.dynamoDbTableNameFromArn(undefined)).to.equal(undefined);
+    });
+  });
+
+  describe('getConcurrencyCount', function () {
+    it('obtains the concurrency queue message count', function (done) {
+      sandbox.stub(utilities, 'getQueueMessageCount').yields(undefined, 2);
+
+      utilities.getConcurrencyCount(component, arnMap, function (error, count) {
+        sinon.assert.calledWith(
+          utilities.getQueueMessageCount,
+          utilities.getConcurrencyQueueUrl(component.name, arnMap),
+          sinon.match.func
+        );
+        expect(count).to.equal(2);
+
+        done(error);
+      });
+    });
+  });
+
+  describe('DynamoDB concurrency backend', function () {
+    var conditionalError;
+    var tableName;
+
+    /**
+     * Create a concurrency item with leases expiring at the given times.
+     *
+     * @param {Number[]} expiryTimes Lease expiry timestamps.
+     * @return {Object} The item.
+     */
+    function createItem (expiryTimes) {
+      var leases = {};
+
+      expiryTimes.forEach(function (expiresAt, index) {
+        leases['lease' + index] = {
+          N: '' + expiresAt
+        };
+      });
+
+      return {
+        name: {
+          S: component.name
+        },
+        leases: {
+          M: leases
+        },
+        version: {
+          N: '3'
+        }
+      };
+    }
+
+    beforeEach(function () {
+      sandbox.useFakeTimers(1000);
+
+      tableName = 'name-1-ConcurrencyTable';
+      arnMap[utilities.getConcurrencyTableArnOutputName()] =
+        'arn:aws:dynamodb:us-east-1:444555666777:table/' + tableName;
+
+      conditionalError = new Error();
+      conditionalError.code = 'ConditionalCheckFailedException';
+
+      sandbox.stub(utilities.dynamoDbClient, 'updateItem').yields();
+      sandbox.stub(utilities.dynamoDbClient, 'getItem').yields(undefined, {
+        Item: createItem([5000, 500])
+      });
+    });
+
+    it('adds a lease conditionally on the version read', function (done) {
+      utilities.incrementConcurrencyCount(component, arnMap, function (error, lease) {
+        var expectedLeases = {
+          lease0: {
+            N: '5000'
+          }
+        };
+
+        expect(lease).to.match(/^[0-9a-f]{32}$/);
+        // The Lambda function timeout plus a margin, and the expired lease is
+        // dropped.
+        expectedLeases[lease] = {
+          N: '' + (1000 + component.lambda.timeout * 1000 + 10000)
+        };
+
+        sinon.assert.calledWith(
+          utilities.dynamoDbClient.getItem,
+          {
+            TableName: tableName,
+            Key: {
+              name: {
+                S: component.name
+              }
+            },
+            ConsistentRead: true
+          },
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          utilities.dynamoDbClient.updateItem,
+          {
+            TableName: tableName,
+            Key: {
+              name: {
+                S: component.name
+              }
+            },
+            UpdateExpression: 'SET #leases = :leases, #version = :version',
+            ConditionExpression: '#version = :priorVersion',
+            ExpressionAttributeNames: {
+              '#leases': 'leases',
+              '#version': 'version'
+            },
+            ExpressionAttributeValues: {
+              ':leases': {
+                M: expectedLeases
+              },
+              ':version': {
+                N: '4'
+              },
+              ':priorVersion': {
+                N: '3'
+              }
+            }
+          },
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('creates the item if there is none', function (done) {
+      utilities.dynamoDbClient.getItem.yields(undefined, {});
+
+      utilities.incrementConcurrencyCount(component, arnMap, function (error) {
+        var params = utilities.dynamoDbClient.updateItem.getCall(0).args[0];
+
+        expect(params.ConditionExpression).to.equal('attribute_not_exists(#version)');
+        expect(params.ExpressionAttributeValues[':version']).to.eql({
+          N: '1'
+        });
+        expect(_.size(params.ExpressionAttributeValues[':leases'].M)).to.equal(1);
+
+        done(error);
+      });
+    });
+
+    it('calls back with a flagged error at maxConcurrency', function (done) {
+      utilities.dynamoDbClient.getItem.yields(undefined, {
+        Item: createItem(_.fill(Array(component.maxConcurrency), 5000))
+      });
+
+      utilities.incrementConcurrencyCount(component, arnMap, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        expect(error.maxConcurrencyReached).to.equal(true);
+        sinon.assert.notCalled(utilities.dynamoDbClient.updateItem);
+
+        done();
+      });
+    });
+
+    it('does not count expired leases against maxConcurrency', function (done) {
+      var expiryTimes = _.fill(Array(component.maxConcurrency), 5000);
+
+      expiryTimes[0] = 1000;
+      utilities.dynamoDbClient.getItem.yields(undefined, {
+        Item: createItem(expiryTimes)
+      });
+
+      utilities.incrementConcurrencyCount(component, arnMap, function (error) {
+        sinon.assert.calledOnce(utilities.dynamoDbClient.updateItem);
+
+        done(error);
+      });
+    });
+
+    it('adds a lease regardless of count without maxConcurrency', function (done) {
+      utilities.dynamoDbClient.getItem.yields(undefined, {
+        Item: createItem(_.fill(Array(20), 5000))
+      });
+
+      utilities.incrementConcurrencyCount(
+        applicationConfig.components[1],
+        arnMap,
+        function (error) {
+          sinon.assert.calledOnce(utilities.dynamoDbClient.updateItem);
+
+          done(error);
+        }
+      );
+    });
+
+    it('reads the item again after losing a race', function (done) {
+      utilities.dynamoDbClient.updateItem.onCall(0).yields(conditionalError);
+
+      utilities.incrementConcurrencyCount(component, arnMap, function (error, lease) {
+        sinon.assert.calledTwice(utilities.dynamoDbClient.getItem);
+        sinon.assert.calledTwice(utilities.dynamoDbClient.updateItem);
+        expect(_.keys(
+          utilities.dynamoDbClient.updateItem.getCall(1).args[0].ExpressionAttributeValues[':leases'].M
+        )).to.include(lease);
+
+        done(error);
+      });
+    });
+
+    it('calls back with error after repeatedly losing races', function (done) {
+      utilities.dynamoDbClient.updateItem.yields(conditionalError);
+
+      utilities.incrementConcurrencyCount(component, arnMap, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        expect(error.maxConcurrencyReached).to.equal(undefined);
+        sinon.assert.callCount(utilities.dynamoDbClient.updateItem, 10);
+
+        done();
+      });
+    });
+
+    it('retries other failures', function (done) {
+      sandbox.stub(console, 'error');
+      utilities.dynamoDbClient.updateItem.onCall(0).yields(new Error());
+
+      utilities.incrementConcurrencyCount(component, arnMap, function (error) {
+        sinon.assert.calledOnce(utilities.dynamoDbClient.getItem);
+        sinon.assert.calledTwice(utilities.dynamoDbClient.updateItem);
+
+        done(error);
+      });
+    });
+
+    it('removes the lease on decrement', function (done) {
+      utilities.decrementConcurrencyCount(component, arnMap, 'lease0', function (error) {
+        sinon.assert.calledWith(
+          utilities.dynamoDbClient.updateItem,
+          {
+            TableName: tableName,
+            Key: {
+              name: {
+                S: component.name
+              }
+            },
+            UpdateExpression: 'REMOVE #leases.#lease ADD #version :one',
+            ConditionExpression: 'attribute_exists(#leases)',
+            ExpressionAttributeNames: {
+              '#leases': 'leases',
+              '#lease': 'lease0',
+              '#version': 'version'
+            },
+            ExpressionAttributeValues: {
+              ':one': {
+                N: '1'
+              }
+            }
+          },
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('calls back with error on decrement without a lease', function (done) {
+      utilities.decrementConcurrencyCount(component, arnMap, undefined, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.notCalled(utilities.dynamoDbClient.updateItem);
+
+        done();
+      });
+    });
+
+    it('calls back with error if there are no leases to decrement', function (done) {
+      utilities.dynamoDbClient.updateItem.yields(conditionalError);
+
+      utilities.decrementConcurrencyCount(component, arnMap, 'lease0', function (error) {
+        expect(error).to.be.instanceOf(Error);
+        sinon.assert.calledOnce(utilities.dynamoDbClient.updateItem);
+
+        done();
+      });
+    });
+
+    it('obtains the count of leases yet to expire', function (done) {
+      utilities.dynamoDbClient.getItem.yields(undefined, {
+        Item: createItem([5000, 500, 2000, 1000])
+      });
+
+      utilities.getConcurrencyCount(component, arnMap, function (error, count) {
+        sinon.assert.calledWith(
+          utilities.dynamoDbClient.getItem,
+          {
+            TableName: tableName,
+            Key: {
+              name: {
+                S: component.name
+              }
+            },
+            ConsistentRead: true
+          },
+          sinon.match.func
+        );
+        expect(count).to.equal(2);
+
+        done(error);
+      });
+    });
+
+    it('obtains a zero count for a missing item', function (done) {
+      utilities.dynamoDbClient.getItem.yields(undefined, {});
+
+      utilities.getConcurrencyCount(component, arnMap, function (error, count) {
+        expect(count).to.equal(0);
+
+        done(error);
+      });
+    });
+  });
+
+  describe('aggregation', function () {
+    var aggregation;
+    var conditionalError;
+    var item;
+    var tableName;
+
+    beforeEach(function () {
+      tableName = 'name-1-AggregationTable';
+      aggregation = {
+        componentName: 'join',
+        correlationKey: 'key',
+        expectedCount: 2,
+        expiresAt: 1000
+      };
+      item = {
+        id: {
+          S: 'join/key'
+        },
+        component: {
+          S: 'join'
+        },
+        correlationKey: {
+          S: 'key'
+        },
+        results: {
+          L: [
+            {
+              S: '{"x":1}'
+            }
+          ]
+        },
+        count: {
+          N: '1'
+        },
+        expectedCount: {
+          N: '2'
+        }
+      };
+
+      conditionalError = new Error();
+      conditionalError.code = 'ConditionalCheckFailedException';
+
+      sandbox.stub(utilities.dynamoDbClient, 'updateItem').yields(undefined, {
+        Attributes: item
+      });
+      sandbox.stub(utilities.dynamoDbClient, 'scan').yields(undefined, {
+        Items: []
+      });
+    });
+
+    describe('addAggregationResult', function () {
+      it('adds the result to the aggregation', function (done) {
+        utilities.addAggregationResult(tableName, aggregation, { x: 1 }, function (error, result) {
+          var params = utilities.dynamoDbClient.updateItem.getCall(0).args[0];
+
+          expect(params.TableName).to.equal(tableName);
+          expect(params.Key).to.eql({
+            id: {
+              S: 'join/key'
+            }
+          });
+          expect(params.ConditionExpression).to.equal('attribute_not_exists(#claimedBy)');
+          expect(params.UpdateExpression).to.not.contain('#timeoutAt');
+          expect(params.ExpressionAttributeValues[':result']).to.eql({
+            L: [
+              {
+                S: '{"x":1}'
+              }
+            ]
+          });
+          expect(params.ExpressionAttributeValues[':expectedCount']).to.eql({
+            N: '2'
+          });
+          expect(result).to.eql({
+            componentName: 'join',
+            correlationKey: 'key',
+            results: [
+              { x: 1 }
+            ],
+            count: 1,
+            expectedCount: 2
+          });
+
+          done(error);
+        });
+      });
+
+      it('sets the timeout if there is one', function (done) {
+        aggregation.timeoutAt = 500;
+
+        utilities.addAggregationResult(tableName, aggregation, {}, function (error) {
+          var params = utilities.dynamoDbClient.updateItem.getCall(0).args[0];
+
+          expect(params.UpdateExpression).to.contain(
+            '#timeoutAt = if_not_exists(#timeoutAt, :timeoutAt)'
+          );
+          expect(params.ExpressionAttributeValues[':timeoutAt']).to.eql({
+            N: '500'
+          });
+
+          done(error);
+        });
+      });
+
+      it('calls back with a flagged error if already claimed', function (done) {
+        utilities.dynamoDbClient.updateItem.yields(conditionalError);
+
+        utilities.addAggregationResult(tableName, aggregation, {}, function (error) {
+          expect(error).to.be.instanceOf(Error);
+          expect(error.aggregationClaimed).to.equal(true);
+
+          done();
+        });
+      });
+
+      it('calls back with error on failure without retrying', function (done) {
+        utilities.dynamoDbClient.updateItem.yields(new Error());
+
+        utilities.addAggregationResult(tableName, aggregation, {}, function (error) {
+          expect(error).to.be.instanceOf(Error);
+          expect(error.aggregationClaimed).to.equal(undefined);
+          sinon.assert.calledOnce(utilities.dynamoDbClient.updateItem);
+
+          done();
+        });
+      });
+    });
+
+    describe('claimAggregation', function () {
+      it('claims the aggregation', function (done) {
+        utilities.claimAggregation(tableName, 'join', 'key', 'id', function (error, result) {
+          var params = utilities.dynamoDbClient.updateItem.getCall(0).args[0];
+
+          expect(params.Key).to.eql({
+            id: {
+              S: 'join/key'
+            }
+          });
+          expect(params.UpdateExpression).to.equal('SET #claimedBy = :claimId');
+          expect(params.ExpressionAttributeValues).to.eql({
+            ':claimId': {
+              S: 'id'
+            }
+          });
+          expect(result.results).to.eql([
+            { x: 1 }
+          ]);
+
+          done(error);
+        });
+      });
+
+      it('calls back with a flagged error if claimed elsewhere', function (done) {
+        utilities.dynamoDbClient.updateItem.yields(conditionalError);
+
+        utilities.claimAggregation(tableName, 'join', 'key', 'id', function (error) {
+          expect(error).to.be.instanceOf(Error);
+          expect(error.aggregationClaimed).to.equal(true);
+          sinon.assert.calledOnce(utilities.dynamoDbClient.updateItem);
+
+          done();
+        });
+      });
+
+      it('retries other failures', function (done) {
+        sandbox.stub(console, 'error');
+        utilities.dynamoDbClient.updateItem.onCall(0).yields(new Error());
+
+        utilities.claimAggregation(tableName, 'join', 'key', 'id', function (error) {
+          sinon.assert.calledTwice(utilities.dynamoDbClient.updateItem);
+
+          done(error);
+        });
+      });
+    });
+
+    describe('getTimedOutAggregations', function () {
+      it('scans all pages of the table', function (done) {
+        utilities.dynamoDbClient.scan.onCall(0).yields(undefined, {
+          Items: [item],
+          LastEvaluatedKey: item.id
+        });
+
+        utilities.getTimedOutAggregations(tableName, 100, function (error, aggregations) {
+          sinon.assert.calledTwice(utilities.dynamoDbClient.scan);
+          expect(
+            utilities.dynamoDbClient.scan.getCall(0).args[0].ExpressionAttributeValues
+          ).to.eql({
+            ':now': {
+              N: '100'
+            }
+          });
+          expect(
+            utilities.dynamoDbClient.scan.getCall(1).args[0].ExclusiveStartKey
+          ).to.eql(item.id);
+          expect(aggregations).to.eql([
+            {
+              componentName: 'join',
+              correlationKey: 'key'
+            }
+          ]);
+
+          done(error);
+        });
+      });
+
+      it('calls back with error on failure', function (done) {
+        utilities.dynamoDbClient.scan.yields(new Error());
+
+        utilities.getTimedOutAggregations(tableName, 100, function (error) {
+          expect(error).to.be.instanceOf(Error);
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('determineApplicationStatus', function () {
+    var components;
+    var messageCount = 10;
+
+    beforeEach(function () {
+      components = _.cloneDeep(applicationConfig.components);
+      sandbox.stub(utilities, 'getQueueMessageCount').yields(null, messageCount);
+    });
+
+    it('yields expected status object', function (done) {
+      utilities.determineApplicationStatus(components, arnMap, 2, function (error, status) {
+        sinon.assert.callCount(utilities.getQueueMessageCount, 3);
+        sinon.assert.calledWith(
+          utilities.getQueueMessageCount,
+          utilities.getQueueUrl('message', arnMap),
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          utilities.getQueueMessageCount,
+          utilities.getConcurrencyQueueUrl('invocation', arnMap),
+          sinon.match.func
+        );
+
+        expect(status).to.eql({
+          components: [
+            {
+              name: 'message',
+              type: 'eventFromMessage',
+              concurrency: messageCount,
+              maxConcurrency: 10,
+              queuedMessageCount: messageCount
+            },
+            {
+              name: 'invocation',
+              type: 'eventFromInvocation',
+              concurrency: messageCount
+            }
+          ]
+        });
+
+        done(error);
+      });
+    });
+
+    it('includes dead letter queue message counts', function (done) {
+      arnMap[utilities.getDeadLetterQueueArnOutputName('message')] =
+        'arn:aws:sqs:us-east-1:444555666777:deadLetterQueue';
+
+      utilities.determineApplicationStatus(components, arnMap, 2, function (error, status) {
+        sinon.assert.callCount(utilities.getQueueMessageCount, 4);
+        sinon.assert.calledWith(
+          utilities.getQueueMessageCount,
+          utilities.getDeadLetterQueueUrl('message', arnMap),
+          sinon.match.func
+        );
+        expect(status.components[0].deadLetterQueuedMessageCount).to.equal(
+          messageCount
+        );
+
+        done(error);
+      });
+    });
+
+    it('logs errors and leaves counts null', function (done) {
+      sandbox.stub(console, 'error');
+      utilities.getQueueMessageCount.yields(new Error());
+
+      utilities.determineApplicationStatus(components, arnMap, 2, function (error, status) {
+        sinon.assert.callCount(console.error, 3);
+        expect(status.components[0].concurrency).to.equal(null);
+        expect(status.components[0].queuedMessageCount).to.equal(null);
+        expect(status.components[1].concurrency).to.equal(null);
+
+        done(error);
+      });
+    });
+  });
+
+  describe('putMetricData', function () {
+    beforeEach(function () {
+      sandbox.stub(utilities.cloudWatchClient, 'putMetricData').yields();
+    });
+
+    it('publishes the data in chunks', function (done) {
+      var metricData = [{ Value: 1 }, { Value: 2 }, { Value: 3 }];
+
+      utilities.putMetricData('namespace', metricData, 2, function (error) {
+        sinon.assert.calledTwice(utilities.cloudWatchClient.putMetricData);
+        sinon.assert.calledWith(
+          utilities.cloudWatchClient.putMetricData,
+          {
+            Namespace: 'namespace',
+            MetricData: metricData.slice(0, 2)
+          },
+          sinon.match.func
+        );
+        sinon.assert.calledWith(
+          utilities.cloudWatchClient.putMetricData,
+          {
+            Namespace: 'namespace',
+            MetricData: metricData.slice(2)
+          },
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('makes no request for no data', function (done) {
+      utilities.putMetricData('namespace', [], 2, function (error) {
+        sinon.assert.notCalled(utilities.cloudWatchClient.putMetricData);
+        done(error);
+      });
+    });
+
+    it('calls back with error on failure', function (done) {
+      utilities.cloudWatchClient.putMetricData.yields(new Error());
+
+      utilities.putMetricData('namespace', [{}], 2, function (error) {
         expect(error).to.be.instanceOf(Error);
         done();
       });
@@ -875,6 +2146,17 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+  describe('getApplicationControlS3Key', function () {
+    it('functions correctly', function () {
+      expect(utilities.getApplicationControlS3Key(applicationConfig)).to.equal(
+        path.join(
+          utilities.getFullS3KeyPrefix(applicationConfig),
+          'control.json'
+        )
+      );
+    });
+  });
+
   describe('uploadApplicationConfirmation', function () {
 
     beforeEach(function () {
@@ -1117,4 +2399,92 @@ describe('lib/shared/utilities', function () {
     });
   });
 
+
+  describe('loadApplicationControl', function () {
+    var control;
+
+    beforeEach(function () {
+      control = {
+        state: 'paused'
+      };
+
+      sandbox.stub(utilities.s3Client, 'getObject').yields(null, {
+        Body: JSON.stringify(control)
+      });
+    });
+
+    it('calls the AWS API as expected', function (done) {
+      utilities.loadApplicationControl(applicationConfig, function (error, loadedControl) {
+        expect(loadedControl).to.eql(control);
+
+        sinon.assert.callCount(utilities.s3Client.getObject, 1);
+        sinon.assert.alwaysCalledWith(
+          utilities.s3Client.getObject,
+          {
+            Bucket: applicationConfig.deployment.s3Bucket,
+            Key: utilities.getApplicationControlS3Key(applicationConfig)
+          },
+          sinon.match.func
+        );
+
+        done(error);
+      });
+    });
+
+    it('retries AWS API on non-404 failure', function (done) {
+      sandbox.stub(console, 'error');
+      utilities.s3Client.getObject.onCall(0).yields(new Error());
+
+      utilities.loadApplicationControl(applicationConfig, function (error, loadedControl) {
+        expect(loadedControl).to.eql(control);
+
+        sinon.assert.callCount(console.error, 1);
+        sinon.assert.callCount(utilities.s3Client.getObject, 2);
+
+        done(error);
+      });
+    });
+
+    it('calls back with error on persistent non-404 failure', function (done) {
+      sandbox.stub(console, 'error');
+      utilities.s3Client.getObject.yields(new Error());
+
+      utilities.loadApplicationControl(applicationConfig, function (error) {
+        expect(error).to.be.instanceOf(Error);
+
+        sinon.assert.callCount(console.error, 2);
+        sinon.assert.callCount(utilities.s3Client.getObject, 3);
+
+        done();
+      });
+    });
+
+    it('calls back with null on 404 failure', function (done) {
+      var notFoundError = new Error();
+      notFoundError.statusCode = 404;
+
+      sandbox.stub(console, 'error');
+      utilities.s3Client.getObject.yields(notFoundError);
+
+      utilities.loadApplicationControl(applicationConfig, function (error, loadedControl) {
+        expect(loadedControl).to.equal(null);
+
+        sinon.assert.notCalled(console.error);
+        sinon.assert.calledOnce(utilities.s3Client.getObject);
+
+        done(error);
+      });
+    });
+
+    it('calls back with error for invalid JSON', function (done) {
+      utilities.s3Client.getObject.yields(null, {
+        Body: '{'
+      });
+
+      utilities.loadApplicationControl(applicationConfig, function (error) {
+        expect(error).to.be.instanceOf(Error);
+        done();
+      });
+    });
+  });
 });
@@ -47,6 +47,35 @@ exports.getMockArnMap = function (config) {
       );
     }
 
+    // Dead letter queues for event from message type components.
+    if (component.deadLetter) {
+      prop = utilities.getDeadLetterQueueArnOutputName(component.name);
+      arnMap[prop] = util.format(
+        'arn:aws:sqs:%s:444555666777:%s',
+        config.deployment.region,
+        utilities.getDeadLetterQueueName(component.name)
+      );
+    }
+
+    // Buckets for event from S3 type components.
+    if (component.type === constants.componentType.EVENT_FROM_S3) {
+      prop = utilities.getBucketArnOutputName(component.name);
+      arnMap[prop] = util.format(
+        'arn:aws:s3:::%s',
+        utilities.getBucketName(component.name).toLowerCase()
+      );
+    }
+
+    // Topics for event from SNS type components.
+    if (component.type === constants.componentType.EVENT_FROM_SNS) {
+      prop = utilities.getTopicArnOutputName(component.name);
+      arnMap[prop] = util.format(
+        'arn:aws:sns:%s:444555666777:%s',
+        config.deployment.region,
+        utilities.getTopicName(component.name)
+      );
+    }
+
     // Concurrency queues for all components.
     prop = utilities.getConcurrencyQueueArnOutputName(component.name);
     arnMap[prop] = util.format(
@@ -75,6 +104,9 @@ exports.getMockArnMap = function (config) {
  * @param {Function} callback Of the form function (error).
  */
 exports.setUpMockApplication = function (config, callback) {
+  // The packages read the deploy ID from the environment that Lambda provides.
+  process.env[constants.environment.DEPLOY_ID] = '' + config.deployId;
+
   // We only want to set this up once per test run to save time, but multiple
   // suites request it. Hence set a global and check it to ensure it runs only
   // once.
@@ -139,8 +171,17 @@ exports.getConfigMatcher = function (expectedConfig) {
 
   // The function provided must return true on a match, false on no match.
   return sinon.match(function (actualConfig) {
+    // The loaded configuration reads the deploy ID from the environment, and
+    // so always has it as a string.
+    var expected = _.extend({}, expectedConfig, {
+      deployId: '' + expectedConfig.deployId
+    });
+    var actual = _.extend({}, actualConfig, {
+      deployId: '' + actualConfig.deployId
+    });
+
     // This covers most of it, but functions are not stringified.
-    if (JSON.stringify(expectedConfig) !== JSON.stringify(actualConfig)) {
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
       return false;
     }
 
@@ -161,3 +202,61 @@ exports.getConfigMatcher = function (expectedConfig) {
     });
   }, 'Configuration object does not match.');
 };
+
+/**
+ * Load a Grunt task with a stand-in for grunt, so that the task function can
+ * be run in tests. The stand-in has stubs for the parts of the grunt API used
+ * by tasks, and grunt.option returns undefined unless told otherwise.
+ *
+ * The harness is of the form:
+ *
+ * {
+ *   grunt: {},
+ *   // The registered task.
+ *   name: 'lambda-complex-build',
+ *   description: 'Build a Lambda Complex application.',
+ *   taskFn: function () {},
+ *   // The callback returned by this.async() in the task function.
+ *   done: function () {},
+ *   // Run the task function.
+ *   run: function () {}
+ * }
+ *
+ * @param {Function} task The task module.
+ * @param {Object} sandbox The Sinon sandbox for the stubs.
+ * @return {Object} The harness.
+ */
+exports.loadGruntTask = function (task, sandbox) {
+  var harness = {
+    done: sandbox.stub(),
+    grunt: {
+      fail: {
+        fatal: sandbox.stub()
+      },
+      file: {
+        write: sandbox.stub()
+      },
+      log: {
+        write: sandbox.stub(),
+        writeln: sandbox.stub()
+      },
+      option: sandbox.stub(),
+      registerTask: function (name, description, taskFn) {
+        harness.name = name;
+        harness.description = description;
+        harness.taskFn = taskFn;
+      }
+    },
+    run: function () {
+      harness.taskFn.call({
+        async: function () {
+          return harness.done;
+        }
+      });
+    }
+  };
+
+  task(harness.grunt);
+
+  return harness;
+};
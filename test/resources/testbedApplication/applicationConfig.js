@@ -0,0 +1,72 @@
+/**
+ * @fileOverview A configuration for the application run by the testbed tests.
+ *
+ * The testbed runs each component in its own process, so behavior can't be
+ * stubbed in tests and is built into the application instead.
+ */
+
+// NPM.
+var path = require('path');
+
+module.exports = {
+  name: 'testbed',
+  version: '0.1.0',
+  deployId: 16,
+
+  deployment: {
+    region: 'us-east-1',
+    s3Bucket: 'lambda-complex',
+    s3KeyPrefix: 'applications/',
+    tags: {},
+    switchoverFunction: function (stackDescription, config, callback) {
+      callback();
+    },
+    skipPriorCloudFormationStackDeletion: false,
+    skipPriorCloudWatchLogGroupsDeletion: false,
+    skipCloudFormationStackDeletionOnFailure: false
+  },
+
+  coordinator: {
+    coordinatorConcurrency: 2,
+    maxApiConcurrency: 4,
+    maxInvocationCount: 6,
+    // No waiting between generations of coordinators.
+    minInterval: 0
+  },
+
+  roles: [
+    {
+      name: 'default',
+      statements: []
+    }
+  ],
+
+  components: [
+    {
+      name: 'message',
+      type: 'eventFromMessage',
+      maxConcurrency: 10,
+      queueWaitTime: 0,
+      routing: 'invocation',
+      lambda: {
+        npmPackage: path.join(__dirname, 'testbedLambdaFunction'),
+        handler: 'index.increment',
+        memorySize: 128,
+        timeout: 60,
+        role: 'default'
+      }
+    },
+
+    {
+      name: 'invocation',
+      type: 'eventFromInvocation',
+      lambda: {
+        npmPackage: path.join(__dirname, 'testbedLambdaFunction'),
+        handler: 'index.echo',
+        memorySize: 128,
+        timeout: 60,
+        role: 'default'
+      }
+    }
+  ]
+};
@@ -0,0 +1,13 @@
+/**
+ * @fileOverview Handlers for the testbed application.
+ */
+
+exports.increment = function (event, context) {
+  context.succeed({
+    value: event.value + 1
+  });
+};
+
+exports.echo = function (event, context) {
+  context.succeed(event);
+};
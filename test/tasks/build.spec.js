@@ -33,6 +33,7 @@ describe('lib/grunt/tasks/build', function () {
 
     sandbox.stub(index, 'build').yields();
     sandbox.stub(gruntCommon, 'getConfigurationFromOptionOrFail').returns(config);
+    sandbox.stub(gruntCommon, 'writeConfigurationWarnings');
     sandbox.spy(grunt, 'registerTask');
     sandbox.spy(taskFnContext, 'async');
 
@@ -57,6 +58,11 @@ describe('lib/grunt/tasks/build', function () {
 
     setTimeout(function () {
       sinon.assert.calledWith(taskFnContext.async);
+      sinon.assert.calledWith(
+        gruntCommon.writeConfigurationWarnings,
+        grunt,
+        config
+      );
       sinon.assert.calledWith(
         index.build,
         config,
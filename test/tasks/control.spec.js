@@ -0,0 +1,100 @@
+/**
+ * @fileOverview Tests for tasks/pause, tasks/resume, and tasks/shutdown, which
+ * differ only in the index function that they call.
+ */
+
+// Core.
+var path = require('path');
+
+// NPM.
+var _ = require('lodash');
+
+// Local.
+var index = require('../../index');
+var resources = require('../resources');
+var applicationConfig = require('../resources/mockApplication/applicationConfig');
+
+var configPath = require.resolve('../resources/mockApplication/applicationConfig');
+
+_.each([
+  {
+    name: 'pause',
+    description: 'Pause a deployed Lambda Complex application.'
+  },
+  {
+    name: 'resume',
+    description: 'Resume a paused or shut down Lambda Complex application.'
+  },
+  {
+    name: 'shutdown',
+    description: 'Shut down a deployed Lambda Complex application.'
+  }
+], function (definition) {
+  describe('tasks/' + definition.name, function () {
+    var harness;
+    var sandbox;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      sandbox.stub(index, definition.name).yields();
+
+      harness = resources.loadGruntTask(
+        require('../../tasks/' + definition.name),
+        sandbox
+      );
+      harness.grunt.option.withArgs('config-path').returns(configPath);
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('registers the task', function () {
+      expect(harness.name).to.equal('lambda-complex-' + definition.name);
+      expect(harness.description).to.equal(definition.description);
+    });
+
+    it('uses the configuration at --config-path', function () {
+      harness.run();
+
+      sinon.assert.calledWith(
+        index[definition.name],
+        resources.getConfigMatcher(applicationConfig),
+        sinon.match.func
+      );
+      sinon.assert.calledWith(harness.done);
+    });
+
+    it('resolves a relative --config-path from the working directory', function () {
+      harness.grunt.option.withArgs('config-path').returns(
+        path.relative(process.cwd(), configPath)
+      );
+      harness.run();
+
+      sinon.assert.calledWith(
+        index[definition.name],
+        resources.getConfigMatcher(applicationConfig),
+        sinon.match.func
+      );
+    });
+
+    it('fails without --config-path', function () {
+      harness.grunt.option.withArgs('config-path').returns(undefined);
+      harness.run();
+
+      sinon.assert.calledWith(
+        harness.grunt.fail.fatal,
+        sinon.match.instanceOf(Error)
+      );
+    });
+
+    it('calls back with error on failure', function () {
+      var error = new Error();
+
+      index[definition.name].yields(error);
+      harness.run();
+
+      sinon.assert.calledWith(harness.done, error);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * @fileOverview Tests for tasks/graph.
+ */
+
+// Local.
+var graph = require('../../tasks/graph');
+var gruntCommon = require('../../lib/grunt/common');
+var index = require('../../index');
+var resources = require('../resources');
+
+describe('tasks/graph', function () {
+  var config;
+  var harness;
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    config = {};
+
+    sandbox.stub(index, 'graph').returns('graph');
+    sandbox.stub(gruntCommon, 'getConfigurationFromOptionOrFail').returns(config);
+
+    harness = resources.loadGruntTask(graph, sandbox);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('registers the task', function () {
+    expect(harness.name).to.equal('lambda-complex-graph');
+    expect(harness.description).to.equal(
+      'Render the graph of a Lambda Complex application.'
+    );
+  });
+
+  it('writes the graph in the default format', function () {
+    harness.run();
+
+    sinon.assert.calledWith(index.graph, config, undefined);
+    sinon.assert.calledWith(harness.grunt.log.write, 'graph');
+    sinon.assert.notCalled(harness.grunt.file.write);
+  });
+
+  it('passes --format to the graph', function () {
+    harness.grunt.option.withArgs('format').returns('mermaid');
+    harness.run();
+
+    sinon.assert.calledWith(index.graph, config, 'mermaid');
+  });
+
+  it('writes to a file for --output', function () {
+    harness.grunt.option.withArgs('output').returns('graph.dot');
+    harness.run();
+
+    sinon.assert.calledWith(harness.grunt.file.write, 'graph.dot', 'graph');
+    sinon.assert.notCalled(harness.grunt.log.write);
+  });
+
+  it('fails on error', function () {
+    var error = new Error();
+
+    index.graph.throws(error);
+    harness.run();
+
+    sinon.assert.calledWith(harness.grunt.fail.fatal, error);
+    sinon.assert.notCalled(harness.grunt.log.write);
+  });
+});
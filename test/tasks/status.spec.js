@@ -0,0 +1,80 @@
+/**
+ * @fileOverview Tests for tasks/status.
+ */
+
+// Local.
+var gruntCommon = require('../../lib/grunt/common');
+var index = require('../../index');
+var resources = require('../resources');
+var status = require('../../tasks/status');
+
+describe('tasks/status', function () {
+  var applicationStatus;
+  var config;
+  var harness;
+  var sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create();
+
+    applicationStatus = {
+      applicationState: 'running',
+      components: []
+    };
+    config = {};
+
+    sandbox.stub(index, 'status').yields(null, applicationStatus);
+    sandbox.stub(gruntCommon, 'getConfigurationFromOptionOrFail').returns(config);
+    sandbox.stub(gruntCommon, 'formatApplicationStatus').returns('formatted');
+
+    harness = resources.loadGruntTask(status, sandbox);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('registers the task', function () {
+    expect(harness.name).to.equal('lambda-complex-status');
+    expect(harness.description).to.equal(
+      'Display the status of a deployed Lambda Complex application.'
+    );
+  });
+
+  it('writes the formatted status', function () {
+    harness.run();
+
+    sinon.assert.calledWith(
+      gruntCommon.getConfigurationFromOptionOrFail,
+      harness.grunt
+    );
+    sinon.assert.calledWith(index.status, config, sinon.match.func);
+    sinon.assert.calledWith(
+      gruntCommon.formatApplicationStatus,
+      applicationStatus,
+      config
+    );
+    sinon.assert.calledWith(harness.grunt.log.writeln, 'formatted');
+    sinon.assert.calledWith(harness.done);
+  });
+
+  it('writes JSON for --json', function () {
+    harness.grunt.option.withArgs('json').returns(true);
+    harness.run();
+
+    sinon.assert.notCalled(gruntCommon.formatApplicationStatus);
+    sinon.assert.calledWith(
+      harness.grunt.log.writeln,
+      JSON.stringify(applicationStatus, null, '  ')
+    );
+    sinon.assert.calledWith(harness.done);
+  });
+
+  it('calls back with error on status error', function () {
+    index.status.yields(new Error());
+    harness.run();
+
+    sinon.assert.notCalled(harness.grunt.log.writeln);
+    sinon.assert.calledWith(harness.done, sinon.match.instanceOf(Error));
+  });
+});